@@ -6,7 +6,11 @@ const mockAWApi = {
 const mockFs = {
   writeFileSync: jest.fn(),
   readdirSync: jest.fn(),
-  readFileSync: jest.fn()
+  readFileSync: jest.fn(),
+  openSync: jest.fn(),
+  fsyncSync: jest.fn(),
+  closeSync: jest.fn(),
+  renameSync: jest.fn()
 };
 
 const mockPath = {
@@ -1,6 +1,7 @@
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 const { runBackfill } = require('../src/backfill/backfill');
+const { failedRun } = require('../src/dataIndexers/clusterTargets');
 
 module.exports = (async () => {
   try {
@@ -9,19 +10,30 @@ module.exports = (async () => {
       .scriptName('npm run backfill --')
       .usage('Usage: $0 [options]')
       .version(false)
+      .option('cluster', {
+        type: 'array',
+        string: true,
+        description: 'Target these clusters by name from the clusters config (repeatable)',
+        conflicts: ['prod', 'staging', 'both', 'all']
+      })
+      .option('all', {
+        type: 'boolean',
+        description: 'Target every cluster main indexes to (primary and mirrors, independent gap detection for each)',
+        conflicts: ['prod', 'staging', 'both']
+      })
       .option('prod', {
         type: 'boolean',
-        description: 'Target production cluster only',
+        description: 'Target the primary cluster only',
         conflicts: ['staging', 'both']
       })
       .option('staging', {
         type: 'boolean',
-        description: 'Target staging cluster only',
+        description: 'Target the cluster named STAGING only',
         conflicts: ['prod', 'both']
       })
       .option('both', {
         type: 'boolean',
-        description: 'Target both production and staging clusters (independent gap detection for each)',
+        description: 'Same as --all',
         conflicts: ['prod', 'staging']
       })
       .option('from', {
@@ -34,6 +46,10 @@ module.exports = (async () => {
         description: 'End date (YYYY-MM-DD)',
         demandOption: true
       })
+      .option('station', {
+        type: 'string',
+        description: 'Backfill this station (slug from the stations config). Defaults to the original station'
+      })
       .option('yes', {
         alias: 'y',
         type: 'boolean',
@@ -41,10 +57,10 @@ module.exports = (async () => {
         default: false
       })
       .check((argv) => {
-        // Validate exactly one of prod/staging/both
-        const clusterFlags = [argv.prod, argv.staging, argv.both].filter(Boolean);
+        // Validate exactly one of cluster/all/prod/staging/both
+        const clusterFlags = [argv.cluster, argv.all, argv.prod, argv.staging, argv.both].filter(Boolean);
         if (clusterFlags.length === 0) {
-          throw new Error('Must specify --prod, --staging, or --both');
+          throw new Error('Must specify --prod, --staging, or --both (or --cluster <name>, --all)');
         }
         if (clusterFlags.length > 1) {
           throw new Error('Cannot specify multiple cluster flags');
@@ -55,18 +71,23 @@ module.exports = (async () => {
       .example('$0 --prod --from 2025-12-29 --to 2026-01-01', 'Backfill production cluster only')
       .example('$0 --both --from 2025-12-29 --to 2026-01-01', 'Backfill both clusters with independent gap detection')
       .example('$0 --both --from 2025-12-29 --to 2026-01-01 --yes', 'Backfill both clusters without confirmation prompts')
+      .example('$0 --cluster PI --from 2025-12-29 --to 2026-01-01', 'Backfill a cluster by its configured name')
+      .example('$0 --prod --from 2025-12-29 --to 2026-01-01 --station patio', 'Backfill the indices of the patio station')
       .epilogue(`
 Description:
   Backfills missing weather data into Elasticsearch clusters. The script will:
-  1. Detect data gaps in the specified date range
+  1. Detect every data gap in the specified date range (5-minute date histogram)
   2. Try to load data from local files first
   3. Fall back to fetching from Ambient Weather API if needed
   4. Index both imperial and metric versions of the data
 
 Notes:
   - Use --yes flag in automated environments (CI/CD, scripts)
-  - The script will show gap details before proceeding
+  - The script will list every gap before proceeding, and fills each gap separately
   - Data is sourced from local files when available to avoid API limits
+  - --station backfills the ambient_weather_<slug>_* indices from the station's own files and device
+  - Clusters come from config/clusters.json (or config/clusters.default.json): --prod is the primary,
+    --both/--all are the primary and mirrors
       `)
       .help()
       .alias('help', 'h')
@@ -74,6 +95,7 @@ Notes:
 
     const result = await runBackfill(argv);
     console.log('[runBackfill] [RESULT]:', result);
+    if (failedRun(result)) process.exitCode = 1;
   } catch (err) {
     console.error('[runBackfill] [ERROR]', err);
     throw err;
@@ -0,0 +1,92 @@
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { runBootstrap } = require('../src/bootstrap/bootstrap');
+const { failedRun } = require('../src/dataIndexers/clusterTargets');
+
+module.exports = (async () => {
+  try {
+    // Parse CLI arguments
+    const argv = yargs(hideBin(process.argv))
+      .scriptName('npm run bootstrap --')
+      .usage('Usage: $0 [options]')
+      .version(false)
+      .option('cluster', {
+        type: 'array',
+        string: true,
+        description: 'Target these clusters by name from the clusters config (repeatable)',
+        conflicts: ['prod', 'staging', 'both', 'all']
+      })
+      .option('all', {
+        type: 'boolean',
+        description: 'Target every cluster main indexes to (primary and mirrors)',
+        conflicts: ['prod', 'staging', 'both']
+      })
+      .option('prod', {
+        type: 'boolean',
+        description: 'Target the primary cluster only',
+        conflicts: ['staging', 'both']
+      })
+      .option('staging', {
+        type: 'boolean',
+        description: 'Target the cluster named STAGING only',
+        conflicts: ['prod', 'both']
+      })
+      .option('both', {
+        type: 'boolean',
+        description: 'Same as --all',
+        conflicts: ['prod', 'staging']
+      })
+      .option('station', {
+        type: 'array',
+        string: true,
+        description: 'Set up these stations by slug (repeatable, defaults to every station in the stations config)'
+      })
+      .option('dry-run', {
+        type: 'boolean',
+        description: 'Only show what would change',
+        default: false
+      })
+      .option('yes', {
+        alias: 'y',
+        type: 'boolean',
+        description: 'Skip confirmation prompt and apply the changes',
+        default: false
+      })
+      .check((argv) => {
+        const clusterFlags = [argv.cluster, argv.all, argv.prod, argv.staging, argv.both].filter(Boolean);
+        if (clusterFlags.length !== 1) {
+          throw new Error('Must specify exactly one of --prod, --staging, --both, --all or --cluster <name>');
+        }
+        return true;
+      })
+      .example('$0 --staging --dry-run', 'Show what bootstrapping staging would change')
+      .example('$0 --both --yes', 'Bootstrap both clusters without confirmation prompts')
+      .example('$0 --both --station patio', 'Set up the templates, indices and aliases of a new station')
+      .epilogue(`
+Description:
+  Sets up a new or wiped cluster from the files in config/templates. The script will:
+  1. Create the ILM policy from config/lifecycle (updated when its rollover conditions differ)
+  2. Create or update the ambient_weather_heiligers_{imperial,metric} index templates
+     (a template is updated when its "version" differs from the file, or when the cluster's copy lacks or
+     differs in a setting the file has)
+  3. Create the first ambient_weather_heiligers_{imperial,metric}_YYYY_MM_DD-000001 indices
+  4. Point the all-ambient-weather-heiligers-{imperial,metric} write aliases at them
+
+Notes:
+  - Idempotent: aliases that already have a write index are left alone
+  - The planned changes (with a diff for every template) are shown before anything is applied
+  - Other stations get the same templates with their slug in place of heiligers
+    (ambient_weather_<slug>_{imperial,metric}, all-ambient-weather-<slug>-{imperial,metric})
+      `)
+      .help()
+      .alias('help', 'h')
+      .argv;
+
+    const result = await runBootstrap(argv);
+    console.log('[runBootstrap] [RESULT]:', JSON.stringify(result, null, 2));
+    if (failedRun(result)) process.exitCode = 1;
+  } catch (err) {
+    console.error('[runBootstrap] [ERROR]', err);
+    throw err;
+  }
+})();
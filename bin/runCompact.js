@@ -0,0 +1,60 @@
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { runCompact } = require('../src/compact/compact');
+
+module.exports = (async () => {
+  try {
+    // Parse CLI arguments
+    const argv = yargs(hideBin(process.argv))
+      .scriptName('npm run compact --')
+      .usage('Usage: $0 [days] [options] | $0 resolve <names..>')
+      .version(false)
+      .command(['days', '$0'], 'Compact the raw data files into one file per UTC day (the default)')
+      .command('resolve <names..>', 'Show which files hold the records of compacted files now')
+      .option('station', {
+        type: 'array',
+        string: true,
+        description: 'Only these stations by slug (repeatable). Defaults to every configured station'
+      })
+      .option('before', {
+        type: 'string',
+        description: 'Only compact the files whose records are all before this day (YYYY-MM-DD, UTC). Defaults to today'
+      })
+      .option('dry-run', {
+        type: 'boolean',
+        description: 'Only show the daily files that would be written, change nothing',
+        default: false
+      })
+      .example('$0 --dry-run', 'Show how the files before today would be compacted')
+      .example('$0 --before 2026-01-01 --station heiligers', 'Compact the heiligers files of 2025 and before')
+      .example('$0 resolve 1641684000000_1641752460000', 'Find the daily files a compacted file went into')
+      .epilogue(`
+Description:
+  Every run of main.js writes a new raw data file (and its two JSONL copies) per station. Compaction merges the raw
+  imperial records into one file per UTC day, named <first dateutc>_<last dateutc> like every fetched file,
+  deduplicated by dateutc, and regenerates the imperial and metric JSONL files from them.
+  Every removed file name is recorded in data/state/compaction-map.json (AW_COMPACTION_MAP_FILE) with the daily
+  files that hold its records now.
+
+Notes:
+  - Days that are already a single daily file are left alone: compaction can run as often as you like
+  - Files without a raw copy (e.g. backfill leftovers) and files that can't be read are left alone
+  - Compacted files don't need to be re-indexed: the records and their document ids don't change
+      `)
+      .help()
+      .alias('help', 'h')
+      .argv;
+
+    const result = await runCompact(argv);
+    console.log('[runCompact] [RESULT]:', JSON.stringify(result, summarize, 2));
+    if (result.status === 'error') process.exitCode = 1;
+  } catch (err) {
+    console.error('[runCompact] [ERROR]', err);
+    throw err;
+  }
+})();
+
+// the per day table is printed by runCompact, leave it out of the result
+function summarize(key, value) {
+  return key === 'days' ? undefined : value;
+}
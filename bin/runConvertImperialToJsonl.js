@@ -1,5 +1,6 @@
 const fs = require('file-system');
 const { ConvertImperialToJsonl } = require('./src/converters');
-const imperialToJsonlConverter = new ConvertImperialToJsonl(fs);
+const { ConversionManifest } = require('./src/converters/ConversionManifest');
+const imperialToJsonlConverter = new ConvertImperialToJsonl(fs, undefined, { manifest: new ConversionManifest() });
 const convertedData = imperialToJsonlConverter.convertRawImperialDataToJsonl();
 module.exports = convertedData;
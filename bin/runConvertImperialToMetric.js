@@ -1,5 +1,10 @@
 const fs = require('file-system');
-const { ConvertImperialToMetric } = require('./src/converters');
-const imperialToMetricJsonlConverter = new ConvertImperialToMetric(fs);
-const convertedMetricData = imperialToMetricJsonlConverter.convertImperialDataToMetricJsonl();
+const { ConvertImperialToMetric, ImperialDocumentCache } = require('./src/converters');
+const { ConversionManifest } = require('./src/converters/ConversionManifest');
+const { readStationsConfig } = require('./src/stations/stations');
+const manifest = new ConversionManifest();
+// the documents of every raw file, computed once for all the profiles
+const documents = new ImperialDocumentCache();
+// every unit profile of the stations config, each into its own JSONL directory
+const convertedMetricData = readStationsConfig().profiles.flatMap(profile => new ConvertImperialToMetric(fs, undefined, { manifest, profile, documents }).convertImperialDataToMetricJsonl());
 module.exports = convertedMetricData;
@@ -0,0 +1,113 @@
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { runDedupe } = require('../src/dedupe/dedupe');
+const { failedRun } = require('../src/dataIndexers/clusterTargets');
+const { UNIT_PROFILES } = require('../src/utils/fieldMappings');
+
+module.exports = (async () => {
+  try {
+    // Parse CLI arguments
+    const argv = yargs(hideBin(process.argv))
+      .scriptName('npm run dedupe --')
+      .usage('Usage: $0 --from <date> --to <date> [options]')
+      .version(false)
+      .option('cluster', {
+        type: 'array',
+        string: true,
+        description: 'Target these clusters by name from the clusters config (repeatable)',
+        conflicts: ['prod', 'staging', 'both', 'all']
+      })
+      .option('all', {
+        type: 'boolean',
+        description: 'Target every cluster main indexes to (primary and mirrors)',
+        conflicts: ['prod', 'staging', 'both']
+      })
+      .option('prod', {
+        type: 'boolean',
+        description: 'Target the primary cluster only',
+        conflicts: ['staging', 'both']
+      })
+      .option('staging', {
+        type: 'boolean',
+        description: 'Target the cluster named STAGING only',
+        conflicts: ['prod', 'both']
+      })
+      .option('both', {
+        type: 'boolean',
+        description: 'Same as --all',
+        conflicts: ['prod', 'staging']
+      })
+      .option('from', {
+        type: 'string',
+        description: 'First day to dedupe (YYYY-MM-DD, UTC)',
+        demandOption: true
+      })
+      .option('to', {
+        type: 'string',
+        description: 'Last day to dedupe, included (YYYY-MM-DD, UTC)',
+        demandOption: true
+      })
+      .option('type', {
+        type: 'string',
+        choices: ['imperial', ...Object.keys(UNIT_PROFILES), 'all', 'both'],
+        description: 'Data type to dedupe: imperial, a unit profile of the stations config, or all of them (both is kept for all)',
+        default: 'all'
+      })
+      .option('station', {
+        type: 'string',
+        description: 'Dedupe the indices of this station (slug from the stations config). Defaults to the original station'
+      })
+      .option('keep', {
+        type: 'string',
+        choices: ['earliest', 'latest', 'complete'],
+        description: 'Copy to keep: earliest or latest @timestamp, or the one with the most fields filled in',
+        default: 'earliest'
+      })
+      .option('dry-run', {
+        type: 'boolean',
+        description: 'Only report the duplicates per day, delete nothing',
+        default: false
+      })
+      .option('batch-size', {
+        type: 'number',
+        description: 'Documents per bulk delete request',
+        default: 1000
+      })
+      .check((argv) => {
+        const clusterFlags = [argv.cluster, argv.all, argv.prod, argv.staging, argv.both].filter(Boolean);
+        if (clusterFlags.length !== 1) {
+          throw new Error('Must specify exactly one of --prod, --staging, --both, --all or --cluster <name>');
+        }
+        return true;
+      })
+      .example('$0 --staging --from 2025-12-29 --to 2025-12-31 --dry-run', 'Show the duplicates on staging per day')
+      .example('$0 --all --from 2020-07-01 --to 2026-01-01 --keep complete', 'Remove every duplicate on every cluster, keeping the most complete copy')
+      .epilogue(`
+Description:
+  Finds the documents that share a dateutc across all ambient_weather_heiligers_<type>_* indices
+  (ambient_weather_<slug>_<type>_* with --station), for imperial and every unit profile of the stations config,
+  keeps one copy and deletes the others by index and id, in batches.
+  Documents are read in dateutc order with a point in time (search_after on dateutc and _id on OpenSearch),
+  so deleting while paging is safe.
+
+Notes:
+  - Run with --dry-run first: deletes can't be undone
+  - Duplicates usually live in different indices (e.g. an old index and the current write index)
+      `)
+      .help()
+      .alias('help', 'h')
+      .argv;
+
+    const result = await runDedupe(argv);
+    console.log('[runDedupe] [RESULT]:', JSON.stringify(result, summarize, 2));
+    if (failedRun(result)) process.exitCode = 1;
+  } catch (err) {
+    console.error('[runDedupe] [ERROR]', err);
+    throw err;
+  }
+})();
+
+// the per day table is printed by runDedupe, leave it out of the result
+function summarize(key, value) {
+  return key === 'days' ? undefined : value;
+}
@@ -6,7 +6,9 @@ const awApi = new AmbientWeatherApi({
   applicationKey: process.env.AMBIENT_WEATHER_APPLICATION_KEY
 });
 const FetchRawData = require('./src/dataFetchers');
-const rawDataFetcher = new FetchRawData(awApi, fs);
+const { AwApiRequests } = require('./src/dataFetchers/AwApiRequests');
+const { FetchState } = require('./src/dataFetchers/FetchState');
+const rawDataFetcher = new FetchRawData(new AwApiRequests(awApi), fs, undefined, { fetchState: new FetchState() });
 const runFetchDataLogger = new Logger('runFetchData');
 // for testing, we skip save.
 const newDataDatesAndFileNames = rawDataFetcher.getDataForDateRanges(false)
@@ -0,0 +1,47 @@
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { runFetchState } = require('../src/fetchState/fetchState');
+
+module.exports = (async () => {
+  try {
+    // Parse CLI arguments
+    const argv = yargs(hideBin(process.argv))
+      .scriptName('npm run fetch-state --')
+      .usage('Usage: $0 <command> [options]')
+      .version(false)
+      .command('show', 'Show where fetching and indexing left off for every station')
+      .command('rebuild', "Rebuild the stations' fetch state from their raw data files")
+      .demandCommand(1, 'Specify one of: show, rebuild')
+      .option('station', {
+        type: 'array',
+        string: true,
+        description: 'Only these stations by slug (repeatable). Defaults to every configured station and every station in the state file'
+      })
+      .option('file', {
+        type: 'string',
+        description: 'State file. Defaults to AW_FETCH_STATE_FILE or data/state/fetch-state.json'
+      })
+      .example('$0 show', 'Show the last fetched and indexed dates')
+      .example('$0 rebuild --station heiligers', 'Re-read the raw data files of the heiligers station')
+      .epilogue(`
+Description:
+  main.js and \`npm start\` read where fetching left off from the fetch state instead of parsing every file in
+  data/ambient-weather-<slug>-imperial on every run. The state keeps, per station, the last fetched dateutc,
+  the most recent dates (to dedupe the overlap with the next fetch) and the last dateutc indexed into each cluster.
+
+Notes:
+  - The state is updated after every raw data file is written, through a temporary file and a rename
+  - A station without state is rebuilt from its files on its next run
+  - Rebuild after moving, restoring or deleting raw data files by hand; the cluster dates are kept
+      `)
+      .help()
+      .alias('help', 'h')
+      .argv;
+
+    const result = await runFetchState(argv);
+    console.log('[runFetchState] [RESULT]:', JSON.stringify(result, null, 2));
+  } catch (err) {
+    console.error('[runFetchState] [ERROR]', err);
+    throw err;
+  }
+})();
@@ -0,0 +1,95 @@
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { runLifecycle } = require('../src/lifecycle/lifecycle');
+const { failedRun } = require('../src/dataIndexers/clusterTargets');
+const { UNIT_PROFILES } = require('../src/utils/fieldMappings');
+
+module.exports = (async () => {
+  try {
+    // Parse CLI arguments
+    const argv = yargs(hideBin(process.argv))
+      .scriptName('npm run lifecycle --')
+      .usage('Usage: $0 <command> [options]')
+      .version(false)
+      .command('status', 'Show each write index, its ILM step and which rollover conditions are met')
+      .command('setup', 'Create or update the ILM policy and move the aliases onto ILM-managed write indices')
+      .command('rollover', 'Force a rollover now, regardless of the conditions')
+      .demandCommand(1, 'Specify one of: status, setup, rollover')
+      .option('cluster', {
+        type: 'array',
+        string: true,
+        description: 'Target these clusters by name from the clusters config (repeatable)',
+        conflicts: ['prod', 'staging', 'both', 'all']
+      })
+      .option('all', {
+        type: 'boolean',
+        description: 'Target every cluster main indexes to (primary and mirrors)',
+        conflicts: ['prod', 'staging', 'both']
+      })
+      .option('prod', {
+        type: 'boolean',
+        description: 'Target the primary cluster only',
+        conflicts: ['staging', 'both']
+      })
+      .option('staging', {
+        type: 'boolean',
+        description: 'Target the cluster named STAGING only',
+        conflicts: ['prod', 'both']
+      })
+      .option('both', {
+        type: 'boolean',
+        description: 'Same as --all',
+        conflicts: ['prod', 'staging']
+      })
+      .option('type', {
+        type: 'string',
+        choices: ['imperial', ...Object.keys(UNIT_PROFILES)],
+        description: 'Only this alias (status and rollover): imperial or a unit profile. Defaults to imperial and the profiles of the stations config'
+      })
+      .option('config', {
+        type: 'string',
+        description: 'Policy name and rollover conditions file',
+        default: 'config/lifecycle/ambient_weather_heiligers_policy.json'
+      })
+      .option('dry-run', {
+        type: 'boolean',
+        description: 'Only show what setup or rollover would change',
+        default: false
+      })
+      .check((argv) => {
+        const clusterFlags = [argv.cluster, argv.all, argv.prod, argv.staging, argv.both].filter(Boolean);
+        if (clusterFlags.length !== 1) {
+          throw new Error('Must specify exactly one of --prod, --staging, --both, --all or --cluster <name>');
+        }
+        return true;
+      })
+      .example('$0 status --both', 'Show how close each write index is to rolling over')
+      .example('$0 setup --prod --dry-run', 'Show what setting up ILM on production would change')
+      .example('$0 rollover --staging --type metric', 'Roll the metric alias over to a new index now')
+      .epilogue(`
+Description:
+  Manages the ILM policy that rolls over the all-ambient-weather-heiligers-{imperial,metric} write indices.
+  Rollover conditions are read from config/lifecycle/ambient_weather_heiligers_policy.json.
+
+  setup will:
+  1. Create or update the policy when its rollover conditions differ from the config
+  2. Roll aliases still writing to an old style ambient_weather_heiligers_{type}_YYYY_MM_DD index over to
+     ambient_weather_heiligers_{type}_YYYY_MM_DD-000001 (ILM needs the numbered suffix)
+  3. Attach the policy to write indices that aren't managed yet
+
+Notes:
+  - Run \`npm run bootstrap\` first so the templates give new indices the policy
+  - Every rollover increments the number and moves the date to the day of the rollover
+      `)
+      .help()
+      .alias('help', 'h')
+      .argv;
+
+    const result = await runLifecycle(argv);
+    console.log('[runLifecycle] [RESULT]:', JSON.stringify(result, null, 2));
+    if (failedRun(result)) process.exitCode = 1;
+  } catch (err) {
+    console.error('[runLifecycle] [ERROR]', err);
+    throw err;
+  }
+})();
@@ -0,0 +1,87 @@
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { runReconcile } = require('../src/reconcile/reconcile');
+const { UNIT_PROFILES } = require('../src/utils/fieldMappings');
+
+module.exports = (async () => {
+  try {
+    // Parse CLI arguments
+    const argv = yargs(hideBin(process.argv))
+      .scriptName('npm run reconcile --')
+      .usage('Usage: $0 --cluster <reference> --cluster <other> --from <date> --to <date> [options]')
+      .version(false)
+      .option('cluster', {
+        type: 'array',
+        string: true,
+        description: 'The two clusters to compare, by name from the clusters config. The first is the reference',
+        conflicts: ['both', 'all']
+      })
+      .option('all', {
+        type: 'boolean',
+        description: 'Compare the primary and mirror clusters (when there are exactly two)',
+        conflicts: ['both']
+      })
+      .option('both', {
+        type: 'boolean',
+        description: 'Same as --all'
+      })
+      .option('from', {
+        type: 'string',
+        description: 'First day to compare (YYYY-MM-DD, UTC)',
+        demandOption: true
+      })
+      .option('to', {
+        type: 'string',
+        description: 'Last day to compare, included (YYYY-MM-DD, UTC)',
+        demandOption: true
+      })
+      .option('type', {
+        type: 'string',
+        choices: ['imperial', ...Object.keys(UNIT_PROFILES), 'all', 'both'],
+        description: 'Data type to compare: imperial, a unit profile of the stations config, or all of them (both is kept for all)',
+        default: 'all'
+      })
+      .option('station', {
+        type: 'string',
+        description: 'Compare the indices of this station (slug from the stations config). Defaults to the original station'
+      })
+      .option('format', {
+        type: 'string',
+        choices: ['table', 'json', 'markdown'],
+        description: 'Report format',
+        default: 'table'
+      })
+      .option('output', {
+        type: 'string',
+        description: 'Also write the report to this file'
+      })
+      .example('$0 --both --from 2026-01-10 --to 2026-01-12', 'Compare production and staging around an incident')
+      .example('$0 --cluster PRODUCTION --cluster PI --from 2026-01-01 --to 2026-01-31 --format markdown --output docs/reconcile-2026-01.md', 'Write a markdown report for an incident write-up')
+      .epilogue(`
+Description:
+  Buckets both clusters by UTC day and compares, for imperial and every unit profile of the stations config
+  (the ambient_weather_heiligers_* indices, ambient_weather_<slug>_* with --station):
+  - the document counts
+  - a checksum of the document content (every field except @timestamp, which is set at ingest)
+  and lists the exact dateutc values missing on the second cluster, only on the second cluster (extra),
+  or on both with different content, naming the fields that differ.
+
+Notes:
+  - The first cluster is the reference; --both compares the primary against the mirror
+  - Fill missing observations with \`npm run sync\`
+      `)
+      .help()
+      .alias('help', 'h')
+      .argv;
+
+    const result = await runReconcile(argv);
+    if (result.status === 'error') {
+      console.error('[runReconcile] [ERROR]', result.error);
+    } else {
+      console.log(result.rendered);
+    }
+  } catch (err) {
+    console.error('[runReconcile] [ERROR]', err);
+    throw err;
+  }
+})();
@@ -0,0 +1,58 @@
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { runRecover } = require('../src/recovery/recovery');
+
+module.exports = (async () => {
+  try {
+    // Parse CLI arguments
+    const argv = yargs(hideBin(process.argv))
+      .scriptName('npm run recover --')
+      .usage('Usage: $0 [options]')
+      .version(false)
+      .option('station', {
+        type: 'array',
+        string: true,
+        description: 'Only these stations by slug (repeatable). Defaults to every configured station'
+      })
+      .option('all', {
+        type: 'boolean',
+        description: 'Check every data file, not only the ones modified since the last check',
+        default: false
+      })
+      .option('dry-run', {
+        type: 'boolean',
+        description: 'Only show what would be repaired, change nothing',
+        default: false
+      })
+      .example('$0 --dry-run --all', 'Show every partial or orphaned data file')
+      .example('$0 --station heiligers', 'Repair the heiligers files modified since the last check')
+      .epilogue(`
+Description:
+  Data files are written to <file>.tmp, synced and renamed into place, so a crash or power loss leaves a temporary
+  file behind instead of a truncated data file. main.js runs this check for every station before fetching:
+  - a temporary file is moved into place when it's complete and its file doesn't exist, removed otherwise
+  - a JSONL copy that can't be read or holds fewer records than its raw file is removed, the next run converts it again
+  - a raw file that can't be read is written again from its imperial JSONL copy
+  - anything else that can't be read is moved to data/quarantine/ and logged with the dates it held, see npm run backfill
+
+Notes:
+  - Only the files modified since the station's last check are read, the time of the check is kept in the fetch state
+  - Use --all once for files written before atomic writes (they can be truncated)
+      `)
+      .help()
+      .alias('help', 'h')
+      .argv;
+
+    const result = await runRecover(argv);
+    console.log('[runRecover] [RESULT]:', JSON.stringify(result, summarize, 2));
+    if (result.status === 'error') process.exitCode = 1;
+  } catch (err) {
+    console.error('[runRecover] [ERROR]', err);
+    throw err;
+  }
+})();
+
+// the repairs are printed by runRecover, leave them out of the result
+function summarize(key, value) {
+  return key === 'repairs' ? value.length : value;
+}
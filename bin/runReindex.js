@@ -0,0 +1,99 @@
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { runReindex } = require('../src/reindex/reindex');
+const { failedRun } = require('../src/dataIndexers/clusterTargets');
+const { UNIT_PROFILES } = require('../src/utils/fieldMappings');
+
+module.exports = (async () => {
+  try {
+    // Parse CLI arguments
+    const argv = yargs(hideBin(process.argv))
+      .scriptName('npm run reindex --')
+      .usage('Usage: $0 [options]')
+      .version(false)
+      .option('cluster', {
+        type: 'array',
+        string: true,
+        description: 'Target these clusters by name from the clusters config (repeatable)',
+        conflicts: ['prod', 'staging', 'both', 'all']
+      })
+      .option('all', {
+        type: 'boolean',
+        description: 'Target every cluster main indexes to (primary and mirrors)',
+        conflicts: ['prod', 'staging', 'both']
+      })
+      .option('prod', {
+        type: 'boolean',
+        description: 'Target the primary cluster only',
+        conflicts: ['staging', 'both']
+      })
+      .option('staging', {
+        type: 'boolean',
+        description: 'Target the cluster named STAGING only',
+        conflicts: ['prod', 'both']
+      })
+      .option('both', {
+        type: 'boolean',
+        description: 'Same as --all',
+        conflicts: ['prod', 'staging']
+      })
+      .option('type', {
+        type: 'string',
+        choices: ['imperial', ...Object.keys(UNIT_PROFILES)],
+        description: 'Only this data type: imperial or a unit profile. Defaults to imperial and the profiles of the stations config'
+      })
+      .option('after', {
+        type: 'string',
+        description: 'Only records after this date (YYYY-MM-DD, UTC)',
+        conflicts: ['since-latest']
+      })
+      .option('since-latest', {
+        type: 'boolean',
+        description: 'Only records newer than the latest document already in each cluster',
+        default: false
+      })
+      .option('station', {
+        type: 'array',
+        string: true,
+        description: 'Re-index the files of these stations by slug (repeatable, defaults to every station in the stations config)'
+      })
+      .option('batch-docs', {
+        type: 'number',
+        description: 'Documents per bulk batch',
+        default: 1000
+      })
+      .check((argv) => {
+        const clusterFlags = [argv.cluster, argv.all, argv.prod, argv.staging, argv.both].filter(Boolean);
+        if (clusterFlags.length !== 1) {
+          throw new Error('Must specify exactly one of --prod, --staging, --both, --all or --cluster <name>');
+        }
+        return true;
+      })
+      .example('$0 --staging', 'Re-index every local file into staging')
+      .example('$0 --cluster PI --after 2025-01-01 --type metric', 'Re-index the metric records since 2025 into the PI cluster')
+      .example('$0 --all --since-latest', 'Index whatever each cluster is missing from the local files')
+      .example('$0 --prod --station patio', 'Re-index the files of the patio station into its own indices')
+      .epilogue(`
+Description:
+  Streams the files in data/ambient-weather-<slug>-{imperial,metric}-jsonl of every configured station
+  (or only the stations passed with --station) into their all-ambient-weather-<slug>-* write aliases.
+  Files are read line by line and sent in batches; the next batch is only read once the previous one
+  is indexed, so memory use stays flat however many years of files there are.
+
+Notes:
+  - Documents have deterministic ids, so re-indexing overwrites instead of duplicating, also after a rollover:
+    a document already in an older index of the alias is replaced in that index
+  - Documents that fail permanently go to the dead-letter file, see \`npm run replay-dead-letter\`
+      `)
+      .help()
+      .alias('help', 'h')
+      .argv;
+
+    const result = await runReindex(argv);
+    console.log('[runReindex] [RESULT]:', JSON.stringify(result, null, 2));
+    if (failedRun(result)) process.exitCode = 1;
+  } catch (err) {
+    console.error('[runReindex] [ERROR]', err);
+    throw err;
+  }
+})();
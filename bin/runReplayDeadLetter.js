@@ -0,0 +1,71 @@
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { runReplay } = require('../src/deadLetter/replay');
+
+module.exports = (async () => {
+  try {
+    // Parse CLI arguments
+    const argv = yargs(hideBin(process.argv))
+      .scriptName('npm run replay-dead-letter --')
+      .usage('Usage: $0 [options]')
+      .version(false)
+      .option('file', {
+        type: 'string',
+        description: 'Dead-letter file to replay. Defaults to AW_DEAD_LETTER_FILE or data/dead-letter/bulk-failures.jsonl'
+      })
+      .option('cluster', {
+        type: 'array',
+        string: true,
+        description: 'Only replay to these clusters by name from the clusters config (repeatable)',
+        conflicts: ['prod', 'staging', 'both', 'all']
+      })
+      .option('all', {
+        type: 'boolean',
+        description: 'Only replay to the clusters main indexes to (primary and mirrors)',
+        conflicts: ['prod', 'staging', 'both']
+      })
+      .option('prod', {
+        type: 'boolean',
+        description: 'Only replay to the primary cluster',
+        conflicts: ['staging', 'both']
+      })
+      .option('staging', {
+        type: 'boolean',
+        description: 'Only replay to the cluster named STAGING',
+        conflicts: ['prod', 'both']
+      })
+      .option('both', {
+        type: 'boolean',
+        description: 'Same as --all',
+        conflicts: ['prod', 'staging']
+      })
+      .option('dry-run', {
+        type: 'boolean',
+        description: 'Only show how many documents would be replayed to each cluster',
+        default: false
+      })
+      .example('$0 --dry-run', 'Show what is waiting in the dead-letter file')
+      .example('$0', 'Replay every document to the cluster it failed on')
+      .example('$0 --cluster STAGING --file data/dead-letter/old.jsonl', 'Replay an older file to staging only')
+      .epilogue(`
+Description:
+  Bulk indexing writes documents that fail permanently (mapping errors, or 429/5xx that outlast the retries)
+  to a dead-letter JSONL file, one { failedAt, cluster, index, status, error, attempts, operation, document } per line.
+  This re-sends them to the cluster recorded with each line.
+
+Notes:
+  - Documents that index are removed from the file, the ones that fail again stay with the new error
+  - Lines without a recorded cluster are only replayed when a single cluster is selected
+  - Fix the cause first (e.g. the index template for a mapping error), otherwise the documents just fail again
+      `)
+      .help()
+      .alias('help', 'h')
+      .argv;
+
+    const result = await runReplay(argv);
+    console.log('[runReplayDeadLetter] [RESULT]:', JSON.stringify(result, null, 2));
+  } catch (err) {
+    console.error('[runReplayDeadLetter] [ERROR]', err);
+    throw err;
+  }
+})();
@@ -0,0 +1,87 @@
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { runSync } = require('../src/sync/sync');
+const { UNIT_PROFILES } = require('../src/utils/fieldMappings');
+
+module.exports = (async () => {
+  try {
+    // Parse CLI arguments
+    const argv = yargs(hideBin(process.argv))
+      .scriptName('npm run sync --')
+      .usage('Usage: $0 --source <cluster> --target <cluster> --from <date> --to <date> [options]')
+      .version(false)
+      .option('source', {
+        type: 'string',
+        description: 'Cluster to copy from, by name from the clusters config',
+        demandOption: true
+      })
+      .option('target', {
+        type: 'string',
+        description: 'Cluster to copy to, by name from the clusters config',
+        demandOption: true
+      })
+      .option('from', {
+        type: 'string',
+        description: 'First day to sync (YYYY-MM-DD, UTC)',
+        demandOption: true
+      })
+      .option('to', {
+        type: 'string',
+        description: 'Last day to sync, included (YYYY-MM-DD, UTC)',
+        demandOption: true
+      })
+      .option('type', {
+        type: 'string',
+        choices: ['imperial', ...Object.keys(UNIT_PROFILES), 'all', 'both'],
+        description: 'Data type to sync: imperial, a unit profile of the stations config, or all of them (both is kept for all)',
+        default: 'all'
+      })
+      .option('station', {
+        type: 'string',
+        description: 'Sync the indices of this station (slug from the stations config). Defaults to the original station'
+      })
+      .option('dry-run', {
+        type: 'boolean',
+        description: 'Only report what the target is missing, per day',
+        default: false
+      })
+      .example('$0 --source PRODUCTION --target STAGING --from 2026-01-01 --to 2026-01-02', 'Fill staging from production for two days')
+      .example('$0 --source PRODUCTION --target PI --from 2026-01-01 --to 2026-01-31 --station patio', 'Fill the PI cluster with the patio station for January')
+      .example('$0 --source STAGING --target PI --from 2025-01-01 --to 2025-12-31 --type metric --dry-run', 'Show which days the PI cluster is missing metric data for')
+      .epilogue(`
+Description:
+  Copies the observations the target cluster is missing from the source cluster:
+  1. Reads every timestamp (dateutc) the target has in the range
+  2. Pages through the source with a point in time and search_after, 1000 documents at a time
+     (OpenSearch has no point in time: search_after on dateutc and _id)
+  3. Bulk indexes the documents whose timestamp the target doesn't have into the target's write alias
+  The ambient_weather_heiligers_* indices are synced, ambient_weather_<slug>_* with --station
+  The imperial indices and the indices of every unit profile of the stations config are synced, one of them with --type
+  4. Compares the distinct timestamps per day on both clusters
+
+Notes:
+  - Documents keep their deterministic ids, so running the same sync twice doesn't create duplicates
+  - Nothing is written to data/: documents go straight from one cluster to the other
+  - Documents that fail permanently go to the dead-letter file, see \`npm run replay-dead-letter\`
+      `)
+      .help()
+      .alias('help', 'h')
+      .argv;
+
+    const result = await runSync(argv);
+    const summaries = Object.fromEntries(['imperial', ...Object.keys(UNIT_PROFILES)].filter(dataType => result[dataType]).map(dataType => [dataType, summarize(result[dataType])]));
+    console.log('[runSync] [RESULT]:', JSON.stringify({ ...result, ...summaries }, null, 2));
+    // incomplete: the target is still missing timestamps after the transfer
+    if (['error', 'incomplete'].includes(result.status)) process.exitCode = 1;
+  } catch (err) {
+    console.error('[runSync] [ERROR]', err);
+    throw err;
+  }
+})();
+
+// the per day table is printed by runSync, leave it out of the result
+function summarize(typeResult) {
+  if (!typeResult) return undefined;
+  const { days, ...summary } = typeResult;
+  return summary;
+}
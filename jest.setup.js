@@ -1,6 +1,9 @@
 // Set NODE_ENV to test
 process.env.NODE_ENV = 'test';
 
+// Use the committed cluster targets, not a machine's own config/clusters.json
+process.env.AW_CLUSTERS_CONFIG = require('path').join(__dirname, 'config/clusters.default.json');
+
 // Mock the Logger class to suppress console output during tests
 jest.mock('./src/logger/Logger', () => {
   return jest.fn().mockImplementation(() => ({
@@ -1,11 +1,18 @@
 const AmbientWeatherApi = require('ambient-weather-api');
 const fs = require('file-system');
 const FetchRawData = require('./src/dataFetchers');
-const { ConvertImperialToJsonl, ConvertImperialToMetric } = require('./src/converters');
+const { AwApiRequests } = require('./src/dataFetchers/AwApiRequests');
+const { FetchState } = require('./src/dataFetchers/FetchState');
+const { recoverStation } = require('./src/recovery/recovery');
+const { ConvertImperialToJsonl, ConvertImperialToMetric, ImperialDocumentCache } = require('./src/converters');
+const { ConversionManifest } = require('./src/converters/ConversionManifest');
+const { QualityControl, readQcConfig, formatQcSummary } = require('./src/qualityControl/qualityControl');
 const IndexData = require('./src/dataIndexers');
 const Logger = require('./src/logger');
 const { prepareDataForBulkIndexing, updateProgressState } = require('./main_utils');
 const { createEsClient } = require('./src/dataIndexers/esClient');
+const { readClusterTargets, clusterTargetsWithRole, INDEXING_ROLES } = require('./src/dataIndexers/clusterTargets');
+const { readStationsConfig, resolveStations, stationDataDirectory, stationDataKinds } = require('./src/stations/stations');
 
 // initialize the classes;
 const awApi = new AmbientWeatherApi({
@@ -13,17 +20,12 @@ const awApi = new AmbientWeatherApi({
   applicationKey: process.env.AMBIENT_WEATHER_APPLICATION_KEY
 });
 const mainLogger = new Logger('[main]');
-const fetchRawDataTester = new FetchRawData(awApi, fs);
-const imperialToJsonlConverter = new ConvertImperialToJsonl(fs);
-const imperialToMetricJsonlConverter = new ConvertImperialToMetric(fs);
 
-// Create ES clients for both production and staging
-const prodClient = createEsClient('ES');
-const stagingClient = createEsClient('STAGING');
-
-// Create indexers for both clusters
-const prodIndexer = new IndexData(prodClient);
-const stagingIndexer = new IndexData(stagingClient);
+// A client for every cluster we index to (the primary and its mirrors, see config/clusters.default.json)
+const clusterClients = clusterTargetsWithRole(INDEXING_ROLES, readClusterTargets()).map(target => ({
+  clusterName: target.name,
+  client: createEsClient(target.name)
+}));
 
 /**
  * @param {class} logger : mainLogger instance
@@ -56,17 +58,105 @@ const states = {
   backfillDataFromFile: false,
 }
 
-const convertDataToJsonl = () => {
-  imperial = imperialToJsonlConverter.convertRawImperialDataToJsonl();
-  metric = imperialToMetricJsonlConverter.convertImperialDataToMetricJsonl();
+// the imperial JSONL files, then the JSONL files of every unit profile
+const convertDataToJsonl = (imperialToJsonlConverter, profileConverters) => {
+  const imperial = imperialToJsonlConverter.convertRawImperialDataToJsonl();
+  const profiles = Object.fromEntries(profileConverters.map(converter => [converter.profile, converter.convertImperialDataToMetricJsonl()]));
   return {
     imperialJSONLFileNames: imperial,
-    metricJSONLFileNames: metric,
+    profileJSONLFileNames: profiles,
   }
 }
 
+/**
+ * The stations to fetch: the devices on the account, resolved against the stations config (see src/stations).
+ * Falls back to the configured stations when the account can't be listed
+ * @param {AwApiRequests} awRequests request layer of the run
+ * @param {object} config output of readStationsConfig
+ * @returns {array} [{ macAddress, slug, name }]
+ */
+async function stationsToFetch(awRequests, config) {
+  let devices;
+  try {
+    devices = await awRequests.userDevices();
+  } catch (err) {
+    mainLogger.logWarning('[STATIONS] Could not list the devices on the account, using the configured stations:', err.message);
+  }
+  return resolveStations(devices, config);
+}
+
+/**
+ * Fetches, converts and indexes every station, one after the other.
+ * Each station has its own data directories, high-water mark and indices, so one station failing doesn't stop the others
+ * @returns {string} 'Done', throws when every station failed
+ */
 async function main() {
+  // one request layer per run: the API calls of every station are spaced and userDevices is only fetched once
+  const awRequests = new AwApiRequests(awApi);
+  // where fetching and indexing left off, per station (see src/dataFetchers/FetchState.js)
+  const fetchState = new FetchState();
+  // what every JSONL file was converted from, so changed raw files are converted again (see src/converters/ConversionManifest.js)
+  const conversionManifest = new ConversionManifest();
+  const config = readStationsConfig();
+  // the QC checks of the converted records (see src/qualityControl)
+  const qcChecks = readQcConfig();
+  const stations = await stationsToFetch(awRequests, config);
+  mainLogger.logInfo(`[${new Date().toISOString()}] Running for ${stations.length} station(s): ${stations.map(station => `${station.name} (${station.slug})`).join(', ')}`);
+
+  const failures = [];
+  for (const station of stations) {
+    try {
+      await runStation(station, awRequests, fetchState, conversionManifest, config.profiles, qcChecks);
+    } catch (err) {
+      mainLogger.logError(`[${station.slug}] Station run failed:`, err);
+      failures.push(err);
+    }
+  }
+  mainLogger.logInfo('[FETCH] Ambient Weather API calls:', awRequests.summary());
+  if (failures.length > 0 && failures.length === stations.length) {
+    throw failures[0];
+  }
+  return 'Done';
+}
+
+/**
+ * Check, fetch, convert and index one station
+ * @param {object} station { macAddress, slug, name } output of resolveStations
+ * @param {AwApiRequests} awRequests request layer of the run
+ * @param {FetchState} fetchState where fetching and indexing left off
+ * @param {ConversionManifest} conversionManifest what the JSONL files were converted from
+ * @param {array} profiles the unit profiles to convert to and index, from the stations config
+ * @param {object} qcChecks the QC checks, output of readQcConfig
+ * @returns {void} throws when fetching or converting fails, or when a fetch failed
+ */
+async function runStation(station, awRequests, fetchState, conversionManifest, profiles, qcChecks) {
+  // same messages as before, prefixed with the station
+  const mainLogger = new Logger(`[main] [${station.slug}]`);
+  // a new station (or a new profile) starts without any local files
+  stationDataKinds(profiles).forEach(kind => fs.mkdirSync(`data/${stationDataDirectory(station.slug, kind)}`));
+  // repair what an interrupted run left behind before anything reads the files (see src/recovery)
+  try {
+    recoverStation(fs, station.slug, { fetchState, profiles });
+  } catch (err) {
+    mainLogger.logWarning('[RECOVERY] Could not check the data files, see `npm run recover`:', err.message);
+  }
+
+  const fetchRawDataTester = new FetchRawData(awRequests, fs, station, { fetchState });
+  // flags the converted records, shared by the converters so the summary counts every file once
+  const qualityControl = new QualityControl({ checks: qcChecks });
+  // the documents of every raw file, computed once for all the converters, with the readings before them from the fetch state
+  const documents = new ImperialDocumentCache(station, { qualityControl, fetchState });
+  const imperialToJsonlConverter = new ConvertImperialToJsonl(fs, station, { manifest: conversionManifest, qualityControl, documents });
+  // a converter per unit profile, each writing its own JSONL directory
+  const profileConverters = profiles.map(profile => new ConvertImperialToMetric(fs, station, { manifest: conversionManifest, profile, qualityControl, documents }));
+  // an indexer for the station's indices on every cluster
+  const clusterIndexers = clusterClients.map(({ clusterName, client }) => ({
+    clusterName,
+    indexer: new IndexData(client, { clusterName, station: station.slug })
+  }));
+
   let imperialJSONLFileNames;
+  // the same fetched files for every profile
   let metricJSONLFileNames;
 
   // logging stuff
@@ -77,60 +167,51 @@ async function main() {
   stepsStates = updateProgressState({ fetchNewData: true }, { info: 'starting main function', includeTimestamp: true }, mainLogger)
   logProgress(mainLogger, stage, stepsStates);
 
-  // STEP 0: Query both clusters FIRST to get their latest indexed dates
+  // STEP 0: Query every cluster FIRST to get their latest indexed dates
   // This prevents duplicate data when multiple machines (Pi, Mac) run the cron job
   mainLogger.logInfo(`[${new Date().toISOString()}] Querying clusters for latest indexed dates...`);
 
-  let prodLatestDate = null;
-  let stagingLatestDate = null;
+  // clusterName -> latest indexed dateutc, null when unknown
+  const latestDates = {};
+  clusterIndexers.forEach(({ clusterName }) => { latestDates[clusterName] = null; });
 
   try {
-    // Initialize both clusters to get their latest dates
-    const [prodInitResult, stagingInitResult] = await Promise.allSettled([
-      prodIndexer.initialize(),
-      stagingIndexer.initialize()
-    ]);
-
-    if (prodInitResult.status === 'fulfilled' && prodInitResult.value.outcome === 'success') {
-      const latestDocs = prodInitResult.value.latestImperialDoc;
-      if (Array.isArray(latestDocs) && latestDocs.length > 0 && latestDocs[0]?._source?.dateutc) {
-        prodLatestDate = latestDocs[0]._source.dateutc;
-        mainLogger.logInfo(`[PRODUCTION] Latest indexed date: ${new Date(prodLatestDate).toISOString()}`);
-      } else {
-        mainLogger.logWarning(`[PRODUCTION] No documents found in cluster, will use local files as fallback`);
-      }
-    } else {
-      mainLogger.logWarning(`[PRODUCTION] Could not get latest date, will use local files as fallback`);
-    }
+    // Initialize all clusters to get their latest dates
+    const initResults = await Promise.allSettled(clusterIndexers.map(({ indexer }) => indexer.initialize()));
 
-    if (stagingInitResult.status === 'fulfilled' && stagingInitResult.value.outcome === 'success') {
-      const latestDocs = stagingInitResult.value.latestImperialDoc;
-      if (Array.isArray(latestDocs) && latestDocs.length > 0 && latestDocs[0]?._source?.dateutc) {
-        stagingLatestDate = latestDocs[0]._source.dateutc;
-        mainLogger.logInfo(`[STAGING] Latest indexed date: ${new Date(stagingLatestDate).toISOString()}`);
+    initResults.forEach((initResult, idx) => {
+      const { clusterName } = clusterIndexers[idx];
+      if (initResult.status === 'fulfilled' && initResult.value.outcome === 'success') {
+        const latestDocs = initResult.value.latestImperialDoc;
+        if (Array.isArray(latestDocs) && latestDocs.length > 0 && latestDocs[0]?._source?.dateutc) {
+          latestDates[clusterName] = latestDocs[0]._source.dateutc;
+          mainLogger.logInfo(`[${clusterName}] Latest indexed date: ${new Date(latestDates[clusterName]).toISOString()}`);
+        } else {
+          mainLogger.logWarning(`[${clusterName}] No documents found in cluster, will use local files as fallback`);
+        }
       } else {
-        mainLogger.logWarning(`[STAGING] No documents found in cluster, will use local files as fallback`);
+        // the last date this machine indexed into the cluster is the next best thing
+        const recordedDate = fetchState.station(station.slug)?.clusters?.[clusterName]?.lastIndexedDateutc;
+        if (recordedDate != null) {
+          latestDates[clusterName] = recordedDate;
+          mainLogger.logWarning(`[${clusterName}] Could not get latest date, using the last date indexed from here: ${new Date(recordedDate).toISOString()}`);
+        } else {
+          mainLogger.logWarning(`[${clusterName}] Could not get latest date, will use local files as fallback`);
+        }
       }
-    } else {
-      mainLogger.logWarning(`[STAGING] Could not get latest date, will use local files as fallback`);
-    }
+    });
   } catch (err) {
     mainLogger.logWarning(`[CLUSTER QUERY] Error querying clusters for latest dates:`, err.message);
   }
 
-  // Determine the fetch start date - use the OLDER of the two cluster dates
-  // This ensures we fetch all data that either cluster might need
+  // Determine the fetch start date - use the OLDEST of the cluster dates
+  // This ensures we fetch all data that any cluster might need
   let fetchFromDate = null;
   // Use != null to handle both null and undefined while still allowing epoch 0
-  if (prodLatestDate != null && stagingLatestDate != null) {
-    fetchFromDate = Math.min(prodLatestDate, stagingLatestDate);
-    mainLogger.logInfo(`[FETCH] Will fetch data newer than: ${new Date(fetchFromDate).toISOString()} (older of both clusters)`);
-  } else if (prodLatestDate != null) {
-    fetchFromDate = prodLatestDate;
-    mainLogger.logInfo(`[FETCH] Will fetch data newer than: ${new Date(fetchFromDate).toISOString()} (production only)`);
-  } else if (stagingLatestDate != null) {
-    fetchFromDate = stagingLatestDate;
-    mainLogger.logInfo(`[FETCH] Will fetch data newer than: ${new Date(fetchFromDate).toISOString()} (staging only)`);
+  const knownDates = Object.entries(latestDates).filter(([, date]) => date != null);
+  if (knownDates.length > 0) {
+    fetchFromDate = Math.min(...knownDates.map(([, date]) => date));
+    mainLogger.logInfo(`[FETCH] Will fetch data newer than: ${new Date(fetchFromDate).toISOString()} (oldest of ${knownDates.map(([clusterName]) => clusterName).join(', ')})`);
   } else {
     mainLogger.logInfo(`[FETCH] No cluster dates available, will use local files to determine fetch range`);
   }
@@ -148,12 +229,17 @@ async function main() {
       // When too early, set filenames to empty arrays
       imperialJSONLFileNames = [];
       metricJSONLFileNames = [];
+    } else if (getNewDataPromiseResult?.failedFetches?.length > 0) {
+      // everything fetched is newer than the failed window: indexing it would move the clusters' latest date past the hole.
+      // The files are kept, the next run fetches the same range again and only saves what's new
+      throw new Error(`${getNewDataPromiseResult.failedFetches.length} fetch(es) failed (${getNewDataPromiseResult.failedFetches.map(failed => `${new Date(failed.endDate).toISOString()}: ${failed.error}`).join('; ')}), not indexing so the next run fetches the range again`);
     } else if (Object.keys(getNewDataPromiseResult).includes('dataFetchForDates') && Object.keys(getNewDataPromiseResult).includes('dataFileNames')) {
       // Use the fetched filenames for indexing (whether newly converted or not)
       const fetchedFileNames = getNewDataPromiseResult.dataFileNames;
       stepsStates = updateProgressState({ newDataFetched: true }, { info: 'converting data to metric and JSONL', includeTimestamp: true }, mainLogger, { ...stepsStates })
       // Convert the data (will skip if already converted)
-      convertDataToJsonl();
+      convertDataToJsonl(imperialToJsonlConverter, profileConverters);
+      mainLogger.logInfo(`[QC] ${formatQcSummary(qualityControl.summary)}`, qualityControl.summary);
       // Use the fetched filenames for indexing, not converter results
       imperialJSONLFileNames = fetchedFileNames;
       metricJSONLFileNames = fetchedFileNames;
@@ -173,10 +259,13 @@ async function main() {
   }
 
   // Helper function to index data to a specific cluster
-  // Each cluster filters to only include records newer than its own latest date
+  // Each cluster filters to only include records newer than its own latest date.
+  // Documents carry deterministic ids (station MAC + dateutc), so anything that slips past the filter overwrites instead of duplicating.
   async function indexToCluster(indexer, clusterName, clusterLatestDate) {
     try {
       mainLogger.logInfo(`[${clusterName}] Preparing to index (filtering records newer than ${clusterLatestDate ? new Date(clusterLatestDate).toISOString() : 'none'})...`);
+      // most recent imperial dateutc the cluster accepted, recorded in the fetch state
+      let latestIndexed = null;
 
       // Index imperial data if available
       if (imperialJSONLFileNames.length > 0) {
@@ -184,34 +273,47 @@ async function main() {
             fileNamesArray: imperialJSONLFileNames,
             dataType: 'imperial',
             logger: mainLogger,
-            filterAfterDate: clusterLatestDate
+            filterAfterDate: clusterLatestDate,
+            station
           });
         if (imperialData.length > 0) {
           mainLogger.logInfo(`[${clusterName}] Indexing ${imperialData.length / 2} imperial documents...`);
-          await indexer.bulkIndexDocuments(imperialData, 'imperial');
+          const { erroredDocuments } = await indexer.bulkIndexDocuments(imperialData, 'imperial');
+          if (erroredDocuments.length > 0) {
+            mainLogger.logWarning(`[${clusterName}] ${erroredDocuments.length} imperial documents failed and were written to the dead-letter file, see \`npm run replay-dead-letter\``);
+          } else {
+            latestIndexed = imperialData.reduce((latest, item, i) => (i % 2 === 1 ? Math.max(latest, item.dateutc) : latest), -Infinity);
+          }
           mainLogger.logInfo(`[${clusterName}] Imperial data indexed successfully`);
         } else {
           mainLogger.logInfo(`[${clusterName}] No new imperial data to index (all records already indexed)`);
         }
       }
 
-      // Index metric data if available
+      // Index the data of every unit profile if available, each into its own alias
       if (metricJSONLFileNames.length > 0) {
-        const metricData = prepareDataForBulkIndexing({
-            fileNamesArray: metricJSONLFileNames,
-            dataType: 'metric',
-            logger: mainLogger,
-            filterAfterDate: clusterLatestDate
-          });
-        if (metricData.length > 0) {
-          mainLogger.logInfo(`[${clusterName}] Indexing ${metricData.length / 2} metric documents...`);
-          await indexer.bulkIndexDocuments(metricData, 'metric');
-          mainLogger.logInfo(`[${clusterName}] Metric data indexed successfully`);
-        } else {
-          mainLogger.logInfo(`[${clusterName}] No new metric data to index (all records already indexed)`);
+        for (const profile of profiles) {
+          const profileData = prepareDataForBulkIndexing({
+              fileNamesArray: metricJSONLFileNames,
+              dataType: profile,
+              logger: mainLogger,
+              filterAfterDate: clusterLatestDate,
+              station
+            });
+          if (profileData.length > 0) {
+            mainLogger.logInfo(`[${clusterName}] Indexing ${profileData.length / 2} ${profile} documents...`);
+            const { erroredDocuments } = await indexer.bulkIndexDocuments(profileData, profile);
+            if (erroredDocuments.length > 0) {
+              mainLogger.logWarning(`[${clusterName}] ${erroredDocuments.length} ${profile} documents failed and were written to the dead-letter file, see \`npm run replay-dead-letter\``);
+            }
+            mainLogger.logInfo(`[${clusterName}] ${profile} data indexed successfully`);
+          } else {
+            mainLogger.logInfo(`[${clusterName}] No new ${profile} data to index (all records already indexed)`);
+          }
         }
       }
 
+      if (Number.isFinite(latestIndexed)) fetchState.recordIndexed(station.slug, clusterName, latestIndexed);
       mainLogger.logInfo(`[${new Date().toISOString()}] [${clusterName}] Indexing complete`);
       return { cluster: clusterName, status: 'success' };
     } catch (err) {
@@ -220,26 +322,23 @@ async function main() {
     }
   }
 
-  // Index to both clusters independently - each with its own filter date
-  // This prevents duplicates: each cluster only gets records it doesn't already have
-  mainLogger.logInfo(`[${new Date().toISOString()}] Starting dual-cluster indexing...`);
-  const results = await Promise.allSettled([
-    indexToCluster(prodIndexer, 'PRODUCTION', prodLatestDate),
-    indexToCluster(stagingIndexer, 'STAGING', stagingLatestDate)
-  ]);
+  // Index to every cluster independently - each with its own filter date
+  // The filter keeps payloads small; deterministic document ids are what prevent duplicates
+  mainLogger.logInfo(`[${new Date().toISOString()}] Starting indexing to ${clusterIndexers.length} cluster(s)...`);
+  const results = await Promise.allSettled(
+    clusterIndexers.map(({ indexer, clusterName }) => indexToCluster(indexer, clusterName, latestDates[clusterName]))
+  );
 
   // Log final results
   mainLogger.logInfo(`[${new Date().toISOString()}] === FINAL RESULTS ===`);
   results.forEach((result, idx) => {
-    const clusterName = idx === 0 ? 'PRODUCTION' : 'STAGING';
+    const { clusterName } = clusterIndexers[idx];
     if (result.status === 'fulfilled') {
       mainLogger.logInfo(`[${clusterName}] Result:`, result.value);
     } else {
       mainLogger.logError(`[${clusterName}] Failed:`, result.reason);
     }
   });
-
-  return 'Done';
 };
 
 module.exports = main;
@@ -1,5 +1,8 @@
 const fs = require('file-system');
 const Logger = require('./src/logger');
+const { createDocumentId, localTimeFields, isTimezone, isTempFile } = require('./src/utils');
+const { writeAliasName } = require('./src/dataIndexers/lifecycle');
+const { stationDataDirectory, stationFields } = require('./src/stations/stations');
 
 const mainUtilsLogger = new Logger('main_utils');
 const mockedFileNamesArray = [
@@ -122,7 +125,9 @@ function updateProgressState(stepState, logMeta, mainLogger, oldStates) {
  * @param {string} options.dataType - 'imperial' or 'metric'
  * @param {Logger} [options.logger] - Optional logger instance
  * @param {number} [options.filterAfterDate] - Optional epoch ms; only include records with dateutc > this value
- * @returns {array} flat array containing bulk payload to send to cluster.
+ * @param {object} [options.station] - Optional { slug, macAddress, name }: read the station's directory, target its alias and tag its documents (see bulkPair)
+ * @returns {array} flat array containing bulk payload to send to cluster. Everything is held in memory, use streamBulkBatches to re-index a whole directory.
+ * Each action carries a deterministic `_id` (see `createDocumentId`) so re-running the same files overwrites documents instead of duplicating them.
  * @example
  * const results = prepareDataForBulkIndexing({
  *   fileNamesArray: ['1641684000000_1641752460000'],
@@ -133,15 +138,15 @@ function updateProgressState(stepState, logMeta, mainLogger, oldStates) {
  *
  * // Returns:
  * // [
- * //   { index: { _index: 'all-ambient-weather-heiligers-imperial' } },
+ * //   { index: { _index: 'all-ambient-weather-heiligers-imperial', _id: 'aabbccddeeff_1641824400000' } },
  * //   { dateutc: 1641824400000, tempinf: 70.3, ... },
  * //   ...
  * // ]
  */
-function prepareDataForBulkIndexing({ fileNamesArray, dataType, logger = null, filterAfterDate = null }) {
-  const targetAlias = `all-ambient-weather-heiligers-${dataType}`;
+function prepareDataForBulkIndexing({ fileNamesArray, dataType, logger = null, filterAfterDate = null, station = null }) {
+  const targetAlias = writeAliasName(dataType, station?.slug);
   // fetch and read the data first
-  const fullPathToFilesToRead = `data/ambient-weather-heiligers-${dataType}-jsonl`; // can be moved to the top.
+  const fullPathToFilesToRead = `data/${stationDataDirectory(station?.slug, `${dataType}-jsonl`)}`;
   if (fileNamesArray.length === 0) {
     fileNamesArray = getAllFilesFromPath(fullPathToFilesToRead); // get everything
   }
@@ -157,7 +162,7 @@ function prepareDataForBulkIndexing({ fileNamesArray, dataType, logger = null, f
       if (filterAfterDate != null && record.dateutc <= filterAfterDate) {
         return []; // Skip this record
       }
-      return [{ index: { _index: targetAlias } }, record]
+      return bulkPair(record, targetAlias, station);
     });
   });
 
@@ -169,6 +174,88 @@ function prepareDataForBulkIndexing({ fileNamesArray, dataType, logger = null, f
   return dataReadyForBulkIndexing;
 }
 
+/**
+ * Streaming version of prepareDataForBulkIndexing for re-indexing a whole data directory without holding it in memory.
+ * Files are read a chunk at a time and split into lines; a batch is yielded once it reaches maxBatchDocs documents or maxBatchBytes bytes.
+ * Reading only continues when the consumer asks for the next batch, so a slow cluster holds back the file reads (backpressure).
+ *
+ * @param {object} options - Named parameters object
+ * @param {array} [options.fileNamesArray] - file names (without extension) to read, all files in the data directory when empty
+ * @param {string} options.dataType - 'imperial' or 'metric'
+ * @param {number} [options.filterAfterDate] - Optional epoch ms; only include records with dateutc > this value
+ * @param {number} [options.maxBatchDocs] - documents per batch, defaults to 1000
+ * @param {number} [options.maxBatchBytes] - approximate bulk body size per batch, defaults to 5MB
+ * @param {object} [options.station] - Optional { slug, macAddress, name }, as for prepareDataForBulkIndexing
+ * @yields {object} { payload, progress } payload is a bulk payload like prepareDataForBulkIndexing returns,
+ * progress is { filesTotal, filesRead, currentFile, linesRead, skipped, documents } so far
+ * @example
+ * for await (const { payload, progress } of streamBulkBatches({ dataType: 'metric', filterAfterDate: 1641684000000 })) {
+ *   await indexer.bulkIndexDocuments(payload, 'metric');
+ * }
+ */
+async function* streamBulkBatches({ fileNamesArray = [], dataType, filterAfterDate = null, maxBatchDocs = 1000, maxBatchBytes = 5 * 1024 * 1024, station = null }) {
+  const targetAlias = writeAliasName(dataType, station?.slug);
+  const fullPathToFilesToRead = `data/${stationDataDirectory(station?.slug, `${dataType}-jsonl`)}`;
+  const fileNames = fileNamesArray.length === 0 ? getAllFilesFromPath(fullPathToFilesToRead) : fileNamesArray;
+  const progress = { filesTotal: fileNames.length, filesRead: 0, currentFile: null, linesRead: 0, skipped: 0, documents: 0 };
+
+  let payload = [];
+  let payloadBytes = 0;
+  const addLine = (line) => {
+    if (line.trim().length === 0) return;
+    progress.linesRead += 1;
+    const record = JSON.parse(line);
+    // Same filter as prepareDataForBulkIndexing: != null still allows epoch 0
+    if (filterAfterDate != null && record.dateutc <= filterAfterDate) {
+      progress.skipped += 1;
+      return;
+    }
+    const [action, doc] = bulkPair(record, targetAlias, station);
+    payload.push(action, doc);
+    payloadBytes += Buffer.byteLength(JSON.stringify(action)) + Buffer.byteLength(JSON.stringify(doc)) + 2;
+    progress.documents += 1;
+  };
+  const batchIsFull = () => payload.length / 2 >= maxBatchDocs || payloadBytes >= maxBatchBytes;
+  const takeBatch = () => {
+    const batch = { payload, progress: { ...progress } };
+    payload = [];
+    payloadBytes = 0;
+    return batch;
+  };
+
+  for (const fileName of fileNames) {
+    progress.currentFile = fileName;
+    let leftover = '';
+    for await (const chunk of fs.createReadStream(`${fullPathToFilesToRead}/${fileName}.jsonl`, { encoding: 'utf8' })) {
+      const lines = (leftover + chunk).split('\n');
+      leftover = lines.pop();
+      for (const line of lines) {
+        addLine(line);
+        if (batchIsFull()) yield takeBatch();
+      }
+    }
+    addLine(leftover);
+    progress.filesRead += 1;
+    if (batchIsFull()) yield takeBatch();
+  }
+  if (payload.length > 0) yield takeBatch();
+}
+
+/**
+ * @param {object} record one line of a jsonl file
+ * @param {string} targetAlias write alias
+ * @param {object | null} station { macAddress, name, timezone, hemisphere }: the document is tagged with the station's mac
+ * address and name and its id is built from the station's mac address. Without a station the record is sent with an id
+ * from AMBIENT_WEATHER_MACADDRESS
+ * @returns {array} [action, document] the document has the local date parts of the record in `local` (see
+ * src/utils/localTime.js), in the timezone of the record (its tz), else the one of the station, else UTC
+ */
+function bulkPair(record, targetAlias, station) {
+  const local = localTimeFields(record.dateutc, { timezone: [record.tz, station?.timezone].find(isTimezone), hemisphere: station?.hemisphere });
+  const doc = { ...record, ...(station ? stationFields(station) : {}), ...(local ? { local } : {}) };
+  return [{ index: { _index: targetAlias, _id: createDocumentId(record, station?.macAddress) } }, doc];
+}
+
 /**
  *
  * @param {string} fullPathToFiles
@@ -177,7 +264,9 @@ function prepareDataForBulkIndexing({ fileNamesArray, dataType, logger = null, f
 function getAllFilesFromPath(fullPathToFiles) {
   const files = fs.readdirSync(fullPathToFiles);
   let filesArray = [];
+  // a temporary file is a write that didn't finish, its file is read under its own name
   filesArray = files
+    .filter((file) => !isTempFile(`${file}`))
     .map((file) => (`${file}`.split(".")[0])).filter((fileName => fileName.length > 0));
   return filesArray;
 }
@@ -185,4 +274,5 @@ function getAllFilesFromPath(fullPathToFiles) {
 module.exports = {
   updateProgressState,
   prepareDataForBulkIndexing,
+  streamBulkBatches,
 }
@@ -3,7 +3,7 @@
  * Archive Data Script
  *
  * Moves local data files older than a specified number of days to an archive location,
- * but ONLY after verifying the data has been indexed to both production and staging clusters.
+ * but ONLY after verifying the data has been indexed to every configured cluster.
  *
  * Usage:
  *   node scripts/archive-data.js [--dry-run] [--days N]
@@ -16,10 +16,13 @@
  *   ARCHIVE_PATH  Required. The destination directory for archived files
  *                 Example: /Volumes/ExternalDrive/weather-archive
  *
- * The script will:
- * 1. Query both clusters for their latest indexed date
- * 2. Find local files whose data is older than the safe archive threshold
- * 3. Move verified files to ARCHIVE_PATH/data/{year}/{month}/
+ * The script will, for every station of the stations config:
+ * 1. Query every cluster in the clusters config (primary, mirror and archive-verify roles) for the latest date indexed
+ *    into the station's imperial indices
+ * 2. Find the station's local files whose data is older than the safe archive threshold, through the local data
+ *    catalog, with the JSONL copies of every unit profile
+ * 3. Move verified files to ARCHIVE_PATH/data/{type}/{year}/{month}/ (ARCHIVE_PATH/data/{slug}/{type}/... for the
+ *    stations other than the original one)
  *
  * LIMITATION: This script verifies that the cluster's latest indexed date is newer than
  * the file's data, but does NOT verify that every individual record in the file was indexed.
@@ -30,7 +33,11 @@
 const fs = require('fs');
 const path = require('path');
 const { createEsClient } = require('../src/dataIndexers/esClient');
+const { readClusterTargets } = require('../src/dataIndexers/clusterTargets');
 const { searchDocsByDateRange } = require('../src/dataIndexers/esClientMethods');
+const { indexPattern } = require('../src/dataIndexers/lifecycle');
+const { Registry } = require('../src/registry');
+const { DEFAULT_STATION, readStationsConfig } = require('../src/stations/stations');
 const Logger = require('../src/logger');
 
 const logger = new Logger('[archive-data]');
@@ -45,23 +52,27 @@ Usage:
 
 Description:
   Archives local weather data files to an external location after verifying
-  that the data has been successfully indexed to both production and staging
-  Elasticsearch clusters.
+  that the data has been successfully indexed to every Elasticsearch cluster
+  in the clusters config (config/clusters.json or config/clusters.default.json).
 
   This is a safety mechanism to prevent data loss - files are only archived
-  if their data is confirmed to exist in both clusters.
+  if their data is confirmed to exist in all clusters.
 
-  The script will:
-  - Connect to production and staging clusters
-  - Query for the latest indexed date in each cluster
-  - Determine the safe archive date (minimum of both clusters)
+  The script will, for every station of the stations config:
+  - Connect to every configured cluster (primary, mirror and archive-verify roles)
+  - Query for the latest date indexed into the station's indices in each cluster
+  - Determine the safe archive date (minimum of all clusters)
   - Find local files with all data older than the retention period
-  - Verify files are safe to archive (indexed in both clusters)
+  - Verify files are safe to archive (indexed in all clusters)
   - Move files to ARCHIVE_PATH/data/{type}/{year}/{month}/
   - Report summary of archived files
+  A station whose latest indexed date can't be determined on every cluster
+  is skipped, and the script exits with 1.
 
   Files are organized in the archive by:
-  - Type: imperial, imperial-jsonl, metric-jsonl
+  - Station: the stations other than the original one (heiligers) in
+    ARCHIVE_PATH/data/{slug}/
+  - Type: imperial, imperial-jsonl and {profile}-jsonl for every unit profile
   - Year: YYYY
   - Month: MM
 
@@ -73,16 +84,18 @@ Environment Variables:
   ARCHIVE_PATH    Required. Destination directory for archived files.
                   Example: export ARCHIVE_PATH=/Volumes/ExternalDrive/weather-archive
 
-Data Directories:
-  - data/ambient-weather-heiligers-imperial/*.json
-  - data/ambient-weather-heiligers-imperial-jsonl/*.jsonl
-  - data/ambient-weather-heiligers-metric-jsonl/*.jsonl
+Data Directories (for every station and unit profile):
+  - data/ambient-weather-{slug}-imperial/*.json
+  - data/ambient-weather-{slug}-imperial-jsonl/*.jsonl
+  - data/ambient-weather-{slug}-{profile}-jsonl/*.jsonl
+  Files are found through the local data catalog (src/registry), whatever their name
+  format; a file's dates are read from its records, not from its name.
 
 Output:
   - Retention period and cutoff date
   - Cluster connection status
-  - Latest indexed dates from production and staging
-  - Safe archive date (minimum of both clusters)
+  - Latest indexed dates of every station in each cluster
+  - Safe archive date of every station (minimum of all clusters)
   - List of files eligible for archiving
   - Archive operation status for each file set
   - Summary (total archived, errors)
@@ -97,7 +110,7 @@ Examples:
   npm run archive-data -- --dry-run --days 30 # Preview 30-day archive
 
 IMPORTANT NOTES:
-  - Files are only archived if data exists in BOTH production and staging
+  - Files are only archived if data exists in EVERY configured cluster
   - This script verifies the latest indexed date but does NOT verify every
     individual record. Run backfill scripts to ensure complete data coverage.
   - The ARCHIVE_PATH must be accessible (e.g., external drive must be mounted)
@@ -116,12 +129,6 @@ Related Commands:
 const MS_PER_DAY = 24 * 60 * 60 * 1000;
 const DEFAULT_RETENTION_DAYS = 7;
 
-const DATA_DIRS = {
-  imperial: 'data/ambient-weather-heiligers-imperial',
-  imperialJsonl: 'data/ambient-weather-heiligers-imperial-jsonl',
-  metricJsonl: 'data/ambient-weather-heiligers-metric-jsonl'
-};
-
 // Parse CLI arguments
 const args = process.argv.slice(2);
 const dryRun = args.includes('--dry-run');
@@ -141,25 +148,20 @@ if (daysIndex !== -1) {
 }
 
 /**
- * Determine the archive subdirectory based on file path
+ * Determine the archive subdirectory of a kind of file of a station: the original station's files are where they
+ * always were, the other stations' in a directory of their own
  */
-function getArchiveSubDir(filePath) {
-  if (filePath.includes('imperial-jsonl')) {
-    return 'imperial-jsonl';
-  }
-  if (filePath.includes('metric-jsonl')) {
-    return 'metric-jsonl';
-  }
-  return 'imperial';
+function getArchiveSubDir(slug, kind) {
+  return slug === DEFAULT_STATION ? kind : path.join(slug, kind);
 }
 
 /**
  * Validate that required data directories exist
  */
-function validateDataDirs() {
+function validateDataDirs(registries) {
   const missingDirs = [];
 
-  for (const [name, dirPath] of Object.entries(DATA_DIRS)) {
+  for (const [name, dirPath] of registries.flatMap(registry => Object.entries(registry.directories).map(([kind, dirPath]) => [`${registry.slug} ${kind}`, dirPath]))) {
     if (!fs.existsSync(dirPath)) {
       missingDirs.push(`${name}: ${dirPath}`);
     }
@@ -176,8 +178,12 @@ function validateDataDirs() {
 async function main() {
   logger.logInfo(`Starting archive process (dry-run: ${dryRun}, retention: ${retentionDays} days)`);
 
+  // every station's files, with the JSONL copies of every unit profile
+  const { profiles, stations } = readStationsConfig();
+  const registries = stations.map(({ slug }) => new Registry(fs, { slug, profiles }));
+
   // Validate data directories exist
-  if (!validateDataDirs()) {
+  if (!validateDataDirs(registries)) {
     logger.logWarning('Continuing with available directories...');
   }
 
@@ -197,34 +203,44 @@ async function main() {
   const cutoffDate = Date.now() - (retentionDays * MS_PER_DAY);
   logger.logInfo(`Cutoff date: ${new Date(cutoffDate).toISOString()} (files with all data before this may be archived)`);
 
-  // Initialize cluster clients
-  logger.logInfo('Connecting to clusters...');
-  const prodClient = createEsClient('ES');
-  const stagingClient = createEsClient('STAGING');
+  // Every configured cluster has to have the data, whatever its role
+  const clusterNames = readClusterTargets().map(target => target.name);
+  logger.logInfo(`Connecting to clusters: ${clusterNames.join(', ')}...`);
+  // a client that cannot be created (e.g. missing env vars) fails that cluster's dates only
+  const clients = clusterNames.map((clusterName) => {
+    try {
+      return createEsClient(clusterName);
+    } catch (err) {
+      logger.logError(`[${clusterName}] Could not create a client:`, err.message);
+      return null;
+    }
+  });
 
-  // Get latest indexed dates from both clusters - use allSettled so one failure doesn't block the other
-  const [prodResult, stagingResult] = await Promise.allSettled([
-    getLatestIndexedDate(prodClient, 'PRODUCTION'),
-    getLatestIndexedDate(stagingClient, 'STAGING')
-  ]);
+  const filesToArchive = [];
+  for (const registry of registries) {
+    // Get latest indexed dates from all clusters - use allSettled so one failure doesn't block the others
+    const latestResults = await Promise.allSettled(
+      clusterNames.map(async (clusterName, idx) => (clients[idx] ? getLatestIndexedDate(clients[idx], clusterName, registry.slug) : null))
+    );
+    const latestDates = latestResults.map(result => (result.status === 'fulfilled' ? result.value : null));
+
+    if (latestDates.some(latest => !latest)) {
+      logger.logError(`[${registry.slug}] Could not determine latest indexed dates from all clusters. Skipping the station to prevent data loss.`);
+      latestDates.forEach((latest, idx) => {
+        if (!latest) logger.logError(`  - ${clusterNames[idx]}: Failed to get latest date`);
+      });
+      process.exitCode = 1;
+      continue;
+    }
 
-  const prodLatest = prodResult.status === 'fulfilled' ? prodResult.value : null;
-  const stagingLatest = stagingResult.status === 'fulfilled' ? stagingResult.value : null;
+    // Only archive data that's been indexed in ALL clusters
+    const safeArchiveDate = Math.min(...latestDates);
+    logger.logInfo(`[${registry.slug}] Safe archive date (data confirmed in all clusters): ${new Date(safeArchiveDate).toISOString()}`);
 
-  if (!prodLatest || !stagingLatest) {
-    logger.logError('Could not determine latest indexed dates from both clusters. Aborting to prevent data loss.');
-    if (!prodLatest) logger.logError('  - PRODUCTION: Failed to get latest date');
-    if (!stagingLatest) logger.logError('  - STAGING: Failed to get latest date');
-    process.exit(1);
+    // Find files eligible for archiving
+    filesToArchive.push(...await findFilesToArchive(registry, cutoffDate, safeArchiveDate));
   }
 
-  // Only archive data that's been indexed in BOTH clusters
-  const safeArchiveDate = Math.min(prodLatest, stagingLatest);
-  logger.logInfo(`Safe archive date (data confirmed in both clusters): ${new Date(safeArchiveDate).toISOString()}`);
-
-  // Find files eligible for archiving
-  const filesToArchive = await findFilesToArchive(cutoffDate, safeArchiveDate);
-
   if (filesToArchive.length === 0) {
     logger.logInfo('No files eligible for archiving');
     return;
@@ -239,14 +255,14 @@ async function main() {
   for (const fileSet of filesToArchive) {
     try {
       if (dryRun) {
-        logger.logInfo(`[DRY-RUN] Would archive: ${fileSet.baseName}`);
-        logger.logInfo(`  - ${fileSet.files.join(', ')}`);
+        logger.logInfo(`[DRY-RUN] Would archive: ${fileSet.slug} ${fileSet.baseName}`);
+        logger.logInfo(`  - ${fileSet.files.map(file => file.path).join(', ')}`);
       } else {
         await archiveFileSet(fileSet, archivePath);
         archivedCount++;
       }
     } catch (err) {
-      logger.logError(`Failed to archive ${fileSet.baseName}:`, err.message);
+      logger.logError(`Failed to archive ${fileSet.slug} ${fileSet.baseName}:`, err.message);
       errorCount++;
     }
   }
@@ -262,13 +278,13 @@ async function main() {
 }
 
 /**
- * Get the latest indexed date from a cluster
+ * Get the latest date indexed into a station's imperial indices from a cluster
  */
-async function getLatestIndexedDate(client, clusterName) {
+async function getLatestIndexedDate(client, clusterName, slug) {
   try {
     const result = await searchDocsByDateRange(
       client,
-      'ambient_weather_heiligers_imperial_*',
+      indexPattern('imperial', slug),
       0,
       Date.now(),
       {
@@ -281,86 +297,38 @@ async function getLatestIndexedDate(client, clusterName) {
 
     if (result && result.length > 0 && result[0]._source) {
       const latestDate = result[0]._source.dateutc;
-      logger.logInfo(`[${clusterName}] Latest indexed: ${new Date(latestDate).toISOString()}`);
+      logger.logInfo(`[${clusterName}] [${slug}] Latest indexed: ${new Date(latestDate).toISOString()}`);
       return latestDate;
     }
   } catch (err) {
-    logger.logError(`[${clusterName}] Error getting latest date:`, err.message);
+    logger.logError(`[${clusterName}] [${slug}] Error getting latest date:`, err.message);
   }
   return null;
 }
 
 /**
- * Find files eligible for archiving
+ * Find a station's files eligible for archiving
  * Files must have ALL data older than both cutoffDate AND safeArchiveDate
+ * The catalog (Registry) reads the dates in every file, so every file name format is handled
  *
  * Note: Uses synchronous fs methods which is acceptable for a CLI script
  * that processes a limited number of files sequentially.
  */
-async function findFilesToArchive(cutoffDate, safeArchiveDate) {
+async function findFilesToArchive(registry, cutoffDate, safeArchiveDate) {
   const effectiveCutoff = Math.min(cutoffDate, safeArchiveDate);
-  const eligibleFiles = [];
-
-  // Check imperial JSON files
-  const imperialDir = DATA_DIRS.imperial;
-  if (!fs.existsSync(imperialDir)) {
-    logger.logWarning(`Imperial data directory not found: ${imperialDir}`);
-    return eligibleFiles;
-  }
-
-  const files = fs.readdirSync(imperialDir).filter(f => f.endsWith('.json') && f !== '.DS_Store');
-
-  for (const file of files) {
-    const baseName = file.replace('.json', '');
-
-    // Parse epoch timestamps from filename (format: fromEpoch_toEpoch.json)
-    const parts = baseName.split('_');
-    if (parts.length !== 2) {
-      logger.logWarning(`Skipping file with unexpected name format: ${file}`);
-      continue;
-    }
-
-    const [fromEpoch, toEpoch] = parts.map(Number);
-
-    if (isNaN(fromEpoch) || isNaN(toEpoch)) {
-      logger.logWarning(`Skipping file with non-numeric epochs: ${file}`);
-      continue;
-    }
-
-    // File is eligible if its LATEST data (toEpoch) is older than the cutoff
-    if (toEpoch < effectiveCutoff) {
-      const fileSet = {
-        baseName,
-        toEpoch,
-        files: []
-      };
-
-      // Collect all related files
-      const imperialPath = path.join(imperialDir, file);
-      if (fs.existsSync(imperialPath)) {
-        fileSet.files.push(imperialPath);
-      }
-
-      const jsonlPath = path.join(DATA_DIRS.imperialJsonl, `${baseName}.jsonl`);
-      if (fs.existsSync(jsonlPath)) {
-        fileSet.files.push(jsonlPath);
-      }
-
-      const metricPath = path.join(DATA_DIRS.metricJsonl, `${baseName}.jsonl`);
-      if (fs.existsSync(metricPath)) {
-        fileSet.files.push(metricPath);
-      }
-
-      if (fileSet.files.length > 0) {
-        eligibleFiles.push(fileSet);
-      }
-    }
-  }
-
-  // Sort by date (oldest first)
-  eligibleFiles.sort((a, b) => a.toEpoch - b.toEpoch);
 
-  return eligibleFiles;
+  registry.entries
+    .filter(entry => entry.error || entry.records === 0)
+    .forEach(entry => logger.logWarning(`Skipping ${registry.slug} ${entry.baseName}: ${entry.error ? `can't be read (${entry.error})` : 'no records'}`));
+
+  // File is eligible if its LATEST data is older than the cutoff, oldest first
+  const kinds = Object.keys(registry.directories);
+  return registry.filesBefore(effectiveCutoff).map(entry => ({
+    slug: registry.slug,
+    baseName: entry.baseName,
+    toEpoch: entry.maxDateutc,
+    files: kinds.filter(kind => entry.paths[kind]).map(kind => ({ kind, path: entry.paths[kind] }))
+  }));
 }
 
 /**
@@ -372,9 +340,9 @@ async function archiveFileSet(fileSet, archivePath) {
   const year = fileDate.getUTCFullYear();
   const month = String(fileDate.getUTCMonth() + 1).padStart(2, '0');
 
-  for (const filePath of fileSet.files) {
+  for (const { kind, path: filePath } of fileSet.files) {
     const fileName = path.basename(filePath);
-    const subDir = getArchiveSubDir(filePath);
+    const subDir = getArchiveSubDir(fileSet.slug, kind);
 
     const destDir = path.join(archivePath, 'data', subDir, `${year}`, month);
     const destPath = path.join(destDir, fileName);
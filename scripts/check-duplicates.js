@@ -37,6 +37,8 @@ Examples:
   npm run check-duplicates
 
 Related Commands:
+  npm run dedupe -- --staging --from <date> --to <date> --dry-run
+                                       Find and remove duplicates for any date range
   npm run verify-backfill              Verify backfilled data
   npm run check-staging-gaps           Check staging cluster gaps
   npm run analyze-data                 Analyze data coverage
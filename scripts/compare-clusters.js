@@ -36,7 +36,10 @@ Examples:
 Related Commands:
   npm run check-prod-gaps              Check production cluster gaps
   npm run check-staging-gaps           Check staging cluster gaps
-  npm run copy-prod-to-staging         Copy production data to staging
+  npm run sync -- --source PRODUCTION --target STAGING --from <date> --to <date>
+                                       Copy missing data between clusters
+  npm run reconcile -- --both --from <date> --to <date>
+                                       Per day counts, checksums and missing/extra/differing dateutc values
   npm run verify-backfill              Verify backfilled data
 `);
   process.exit(0);
@@ -2,6 +2,7 @@ const IndexData = require('../src/dataIndexers');
 const Logger = require('../src/logger');
 const { createEsClient } = require('../src/dataIndexers/esClient');
 const { prepareDataForBulkIndexing } = require('../main_utils');
+const { Registry } = require('../src/registry');
 const fs = require('fs');
 const path = require('path');
 
@@ -22,8 +23,8 @@ Description:
   or reindexing specific files.
 
   The script will:
-  - Scan the data/ambient-weather-heiligers-imperial-jsonl directory
-  - Find all .jsonl files (or the N most recent if specified)
+  - List the converted files in the local data catalog (src/registry)
+  - Take all of them (or the N most recent if specified)
   - Prepare both imperial and metric data for indexing
   - Index data to production cluster
   - Index data to staging cluster
@@ -36,7 +37,7 @@ Description:
 Arguments:
   [number_of_files]    Optional. Number of most recent files to index.
                        If omitted, all files are indexed.
-                       Files are sorted by filename (timestamp-based).
+                       Files are sorted by the dates of their records.
 
 Output:
   For each cluster (Production and Staging):
@@ -58,7 +59,8 @@ Examples:
 
 Related Commands:
   npm run verify-indexing              Verify indexing status
-  npm run copy-prod-to-staging         Copy production data to staging
+  npm run sync -- --source PRODUCTION --target STAGING --from <date> --to <date>
+                                       Copy missing data between clusters
   npm run check-staging-gaps           Check staging cluster gaps
   npm run check-prod-gaps              Check production cluster gaps
 `);
@@ -66,26 +68,23 @@ Related Commands:
 }
 
 /**
- * Get all JSONL files from the data directory
+ * Get the converted files from the local data catalog, oldest first
+ * Files are ordered by the dates of their records, so the different file name formats sort correctly
  * @param {number} limit - Number of most recent files to return (0 = all files)
  * @returns {string[]} Array of filenames without .jsonl extension
  */
 function getLatestDataFiles(limit = 0) {
-  const dataDir = path.join(__dirname, '../data/ambient-weather-heiligers-imperial-jsonl');
+  const registry = new Registry(fs, { dataDirectory: path.join(__dirname, '../data') });
 
-  if (!fs.existsSync(dataDir)) {
-    manualLogger.logWarning(`Data directory not found: ${dataDir}`);
-    return [];
-  }
-
-  // Read all .jsonl files
-  const files = fs.readdirSync(dataDir)
-    .filter(file => file.endsWith('.jsonl'))
-    .map(file => file.replace('.jsonl', ''))
-    .sort(); // Sort by filename (timestamps are sortable)
+  // both JSONL copies are indexed
+  const entries = registry.entries.filter(entry => entry.records > 0 && entry.paths['imperial-jsonl']);
+  entries
+    .filter(entry => !entry.paths['metric-jsonl'])
+    .forEach(entry => manualLogger.logWarning(`Skipping ${entry.baseName}: no metric JSONL file`));
+  const files = entries.filter(entry => entry.paths['metric-jsonl']).map(entry => entry.baseName);
 
   if (limit > 0 && files.length > limit) {
-    // Return the most recent files (last N in sorted order)
+    // Return the most recent files (last N in date order)
     return files.slice(-limit);
   }
 
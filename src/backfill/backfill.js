@@ -2,20 +2,36 @@ const AmbientWeatherApi = require('ambient-weather-api');
 const fs = require('file-system');
 const Logger = require('../logger');
 const { createEsClient } = require('../dataIndexers/esClient');
-const { searchDocsByDateRange } = require('../dataIndexers/esClientMethods');
+const { selectClusterTargets, multiClusterResult } = require('../dataIndexers/clusterTargets');
+const { searchDocsByDateRange, getDateHistogram } = require('../dataIndexers/esClientMethods');
 const IndexData = require('../dataIndexers');
 const FetchRawData = require('../dataFetchers');
+const { AwApiRequests } = require('../dataFetchers/AwApiRequests');
+const { Registry } = require('../registry');
+const { indexPattern } = require('../dataIndexers/lifecycle');
+const { DEFAULT_STATION, readStationsConfig, findStation } = require('../stations/stations');
 const { prepareDataForBulkIndexing } = require('../../main_utils');
-const { convertToMetric } = require('../utils');
+const { mapFields, profileFields, timeConstants, writeFileAtomic } = require('../utils');
+const { QualityControl, formatQcSummary } = require('../qualityControl/qualityControl');
+const { imperialDocuments } = require('../converters/imperialDocuments');
 const readlineSync = require('readline-sync');
 const moment = require('moment-timezone');
 
 const backfillLogger = new Logger('[backfill]');
 
+const ONE_MINUTE_AS_MILLISECONDS = timeConstants.seconds_per_minute * timeConstants.milliseconds_per_second;
+// The station reports every 5 minutes. Shorter holes are treated as jitter, not gaps.
+const GAP_DETECTION = {
+  intervalMinutes: 5,
+  minGapMinutes: 10,
+  maxBucketsPerRequest: 8640, // 30 days of 5 minute buckets, well below the cluster's search.max_buckets
+};
+
 /**
  * Main backfill orchestration function
- * @param {object} cliArgs - Parsed CLI arguments from yargs
- * @returns {object} - Result of backfill operation
+ * @param {object} cliArgs - Parsed CLI arguments from yargs ({ cluster, all, prod, staging, both, from, to, station, yes })
+ * station: slug of the station to backfill, the original station when not set
+ * @returns {object} - Result of backfill operation. On several clusters the result of every cluster, see multiClusterResult
  */
 async function runBackfill(cliArgs) {
   try {
@@ -28,11 +44,13 @@ async function runBackfill(cliArgs) {
       return { status: 'error', error: validation.error };
     }
 
-    const { clusters, fromDate, toDate } = validation;
+    const { clusters, fromDate, toDate, station } = validation;
+    // imperial and the unit profiles of the stations config, each has its own JSONL directory and alias
+    const { profiles } = readStationsConfig();
 
-    // If --both flag, run backfill for each cluster independently
+    // More than one cluster selected: run backfill for each cluster independently
     if (clusters.length > 1) {
-      backfillLogger.logInfo(`[DUAL-CLUSTER MODE] Will backfill both clusters with independent gap detection`);
+      backfillLogger.logInfo(`[MULTI-CLUSTER MODE] Will backfill ${clusters.length} clusters with independent gap detection`);
 
       // Process clusters sequentially for better UX when confirmation is needed
       const results = [];
@@ -44,44 +62,27 @@ async function runBackfill(cliArgs) {
           fromDate,
           toDate,
           cliArgs.yes,
-          { clusterIndex: i + 1, totalClusters: clusters.length }
+          { clusterIndex: i + 1, totalClusters: clusters.length, station, profiles }
         );
-        results.push({ status: 'fulfilled', value: result });
+        results.push(result);
       }
 
-      // Convert to Promise.allSettled format for compatibility with existing code
-      const allSettledResults = results;
-
       // Log final results
-      backfillLogger.logInfo(`[${new Date().toISOString()}] === DUAL-CLUSTER BACKFILL RESULTS ===`);
-      allSettledResults.forEach((result, idx) => {
-        const clusterName = clusters[idx].clusterName;
-        if (result.status === 'fulfilled') {
-          backfillLogger.logInfo(`[${clusterName}] Result:`, result.value);
+      backfillLogger.logInfo(`[${new Date().toISOString()}] === MULTI-CLUSTER BACKFILL RESULTS ===`);
+      results.forEach((result) => {
+        if (result.status === 'error') {
+          backfillLogger.logError(`[${result.cluster}] Failed:`, result.error);
         } else {
-          const errorMessage = result.reason instanceof Error
-            ? result.reason.message
-            : String(result.reason);
-          backfillLogger.logError(`[${clusterName}] Failed:`, errorMessage);
+          backfillLogger.logInfo(`[${result.cluster}] Result:`, result);
         }
       });
 
-      return {
-        status: 'success',
-        mode: 'dual-cluster',
-        results: allSettledResults.map((r, idx) => {
-          const errorValue = r.reason instanceof Error ? r.reason.message : String(r.reason);
-          return {
-            cluster: clusters[idx].clusterName,
-            result: r.status === 'fulfilled' ? r.value : { status: 'error', error: errorValue }
-          };
-        })
-      };
+      return multiClusterResult(results);
     }
 
     // Single cluster mode
     const { cluster, clusterName } = clusters[0];
-    const result = await backfillSingleCluster(cluster, clusterName, fromDate, toDate, cliArgs.yes, {});
+    const result = await backfillSingleCluster(cluster, clusterName, fromDate, toDate, cliArgs.yes, { station, profiles });
     return result;
 
   } catch (err) {
@@ -92,43 +93,50 @@ async function runBackfill(cliArgs) {
 
 /**
  * Backfill a single cluster
- * @param {string} cluster - Cluster key ('ES' or 'STAGING')
+ * @param {string} cluster - Cluster name from the clusters config
  * @param {string} clusterName - Display name for cluster
  * @param {number} fromDate - Start date in epoch ms
  * @param {number} toDate - End date in epoch ms
  * @param {boolean} skipConfirmation - Skip user confirmation
- * @param {object} context - Optional context (clusterIndex, totalClusters for dual-cluster mode)
+ * @param {object} context - { station, profiles, clusterIndex, totalClusters } station as returned by findStation, the unit
+ * profiles to convert to and index, the cluster index and count in multi-cluster mode
  * @returns {object} - Backfill result
  */
 async function backfillSingleCluster(cluster, clusterName, fromDate, toDate, skipConfirmation, context = {}) {
+  const { station, profiles } = context;
   try {
     // Step 1: Create ES client
     const client = createEsClient(cluster);
     backfillLogger.logInfo(`[${clusterName}] Created ES client`);
 
-    // Step 2: Find gap boundaries for this specific cluster
-    backfillLogger.logInfo(`[${clusterName}] Searching for data gap boundaries...`);
-    const boundaries = await findDataGapBoundaries(client, fromDate, toDate, clusterName);
+    // Step 2: Find every gap in the range for this specific cluster
+    backfillLogger.logInfo(`[${clusterName}] Searching for data gaps...`);
+    const gapSummary = await findDataGaps(client, fromDate, toDate, clusterName, station);
 
-    if (!boundaries.gapFound) {
+    if (!gapSummary.gapFound) {
       backfillLogger.logInfo(`[${clusterName}] No gap found - data already complete`);
       return { status: 'success', cluster: clusterName, message: 'No gap found - data already complete' };
     }
 
-    // Step 3: Display boundaries and get confirmation
-    const confirmed = confirmBackfill(boundaries, clusterName, skipConfirmation, context);
+    // Step 3: Display the gaps and get confirmation
+    const confirmed = confirmBackfill(gapSummary, clusterName, skipConfirmation, context);
 
     if (!confirmed) {
       backfillLogger.logInfo(`[${clusterName}] User cancelled backfill operation`);
       return { status: 'cancelled', cluster: clusterName, message: 'Backfill cancelled by user' };
     }
 
-    // Step 4: Perform backfill
-    backfillLogger.logInfo(`[${new Date().toISOString()}] [${clusterName}] Starting backfill...`);
-    const result = await performBackfill(client, clusterName, boundaries.startEpoch, boundaries.endEpoch);
+    // Step 4: Perform backfill, one gap at a time
+    const gapResults = [];
+    for (let i = 0; i < gapSummary.gaps.length; i++) {
+      const gap = gapSummary.gaps[i];
+      backfillLogger.logInfo(`[${new Date().toISOString()}] [${clusterName}] Starting backfill for gap ${i + 1} of ${gapSummary.gaps.length} (${gap.startFormatted} to ${gap.endFormatted})...`);
+      const gapResult = await performBackfill(client, clusterName, gap.startEpoch, gap.endEpoch, station, profiles);
+      gapResults.push({ ...gapResult, gap: { startEpoch: gap.startEpoch, endEpoch: gap.endEpoch } });
+    }
 
     backfillLogger.logInfo(`[${new Date().toISOString()}] [${clusterName}] Backfill complete!`);
-    return result;
+    return summarizeGapResults(clusterName, gapResults);
 
   } catch (err) {
     backfillLogger.logError(`[${clusterName}] [backfillSingleCluster] ERROR:`, err);
@@ -143,22 +151,10 @@ async function backfillSingleCluster(cluster, clusterName, fromDate, toDate, ski
  */
 function validateArgs(args) {
   try {
-    // Validate cluster selection (prod XOR staging XOR both)
-    if (!args.prod && !args.staging && !args.both) {
-      return { valid: false, error: 'Must specify --prod, --staging, or --both' };
-    }
-
-    // Build clusters array
-    const clusters = [];
-    if (args.both) {
-      clusters.push(
-        { cluster: 'ES', clusterName: 'PRODUCTION' },
-        { cluster: 'STAGING', clusterName: 'STAGING' }
-      );
-    } else if (args.prod) {
-      clusters.push({ cluster: 'ES', clusterName: 'PRODUCTION' });
-    } else if (args.staging) {
-      clusters.push({ cluster: 'STAGING', clusterName: 'STAGING' });
+    // Build clusters array from the configured cluster targets
+    const clusters = selectClusterTargets(args);
+    if (clusters.length === 0) {
+      return { valid: false, error: 'Must specify --prod, --staging, or --both (or --cluster <name>, --all)' };
     }
 
     // Validate and parse dates
@@ -184,12 +180,20 @@ function validateArgs(args) {
       };
     }
 
+    let station;
+    try {
+      station = findStation(args.station ?? DEFAULT_STATION);
+    } catch (err) {
+      return { valid: false, error: err.message };
+    }
+
     backfillLogger.logInfo('[validateArgs] Validation successful');
-    backfillLogger.logInfo(`[validateArgs] Target clusters: ${clusters.map(c => c.clusterName).join(', ')}`);
+    backfillLogger.logInfo(`[validateArgs] Target clusters: ${clusters.map(c => c.clusterName).join(', ')}, station: ${station.slug}`);
 
     return {
       valid: true,
       clusters,
+      station,
       fromDate: fromDate.epoch,
       toDate: toDate.epoch
     };
@@ -215,18 +219,23 @@ function parseDate(dateString) {
 }
 
 /**
- * Find exact time boundaries of data gap
+ * Find every data gap in a date range.
+ * Scans the whole range with a date histogram at the station's 5 minute interval (in windows to stay below the bucket limit)
+ * and turns each run of empty buckets into a gap bounded by the last document before it and the first document after it.
  * @param {object} client - ES client
  * @param {number} fromDate - Start date in epoch ms
  * @param {number} toDate - End date in epoch ms
  * @param {string} clusterName - Cluster name for logging
- * @returns {object} - Gap boundary information
+ * @param {object} station - { slug } as returned by findStation: the gaps are in its imperial indices
+ * @returns {object} - { gapFound, gaps: [gap boundary information], totalDurationHours }
  */
-async function findDataGapBoundaries(client, fromDate, toDate, clusterName) {
+async function findDataGaps(client, fromDate, toDate, clusterName, station) {
   try {
-    const imperialIndex = 'ambient_weather_heiligers_imperial_*';
+    const imperialIndex = indexPattern('imperial', station.slug);
+    const intervalMs = GAP_DETECTION.intervalMinutes * ONE_MINUTE_AS_MILLISECONDS;
+    const windowMs = GAP_DETECTION.maxBucketsPerRequest * intervalMs;
 
-    // Query for last document BEFORE fromDate
+    // Query for last document BEFORE fromDate, used as the start of a gap at the beginning of the range
     backfillLogger.logInfo(`[${clusterName}] Querying for last document before ${moment(fromDate).format('YYYY-MM-DD')}...`);
     const lastDocBefore = await searchDocsByDateRange(
       client,
@@ -241,7 +250,7 @@ async function findDataGapBoundaries(client, fromDate, toDate, clusterName) {
       }
     );
 
-    // Query for first document AFTER toDate
+    // Query for first document AFTER toDate, used as the end of a gap at the end of the range
     // Note: searchDocsByDateRange uses gte (>=), so we might get toDate itself.
     // This is fine because we filter with strict < comparison later when filtering records.
     backfillLogger.logInfo(`[${clusterName}] Querying for first document after ${moment(toDate).format('YYYY-MM-DD')}...`);
@@ -258,74 +267,127 @@ async function findDataGapBoundaries(client, fromDate, toDate, clusterName) {
       }
     );
 
-    // Analyze results
-    let startEpoch = fromDate;
-    let endEpoch = toDate;
-    let gapFound = true;
-
-    if (lastDocBefore && lastDocBefore.length > 0) {
-      const lastDoc = lastDocBefore[0];
-      if (lastDoc._source && lastDoc._source.dateutc) {
-        startEpoch = lastDoc._source.dateutc;
-        backfillLogger.logInfo(`[${clusterName}] Last document before gap: ${moment(startEpoch).format('YYYY-MM-DD HH:mm:ss [UTC]')}`);
-      }
+    const buckets = [];
+    for (let windowStart = fromDate; windowStart < toDate; windowStart += windowMs) {
+      const windowEnd = Math.min(windowStart + windowMs, toDate);
+      backfillLogger.logInfo(`[${clusterName}] Scanning ${moment.utc(windowStart).format('YYYY-MM-DD HH:mm')} to ${moment.utc(windowEnd).format('YYYY-MM-DD HH:mm')} [UTC]...`);
+      const windowBuckets = await getDateHistogram(client, imperialIndex, windowStart, windowEnd, {
+        interval: `${GAP_DETECTION.intervalMinutes}m`,
+        expandWildcards: 'all'
+      });
+      buckets.push(...windowBuckets);
     }
 
-    if (firstDocAfter && firstDocAfter.length > 0) {
-      const firstDoc = firstDocAfter[0];
-      if (firstDoc._source && firstDoc._source.dateutc) {
-        endEpoch = firstDoc._source.dateutc;
-        backfillLogger.logInfo(`[${clusterName}] First document after gap: ${moment(endEpoch).format('YYYY-MM-DD HH:mm:ss [UTC]')}`);
+    const gaps = [];
+    let lastSeenEpoch = lastDocBefore?.[0]?._source?.dateutc ?? fromDate;
+    let inGap = false;
+    for (const bucket of buckets) {
+      if (bucket.docCount === 0) {
+        inGap = true;
+        continue;
+      }
+      if (inGap) {
+        gaps.push(describeGap(lastSeenEpoch, bucket.firstDateutc));
+        inGap = false;
       }
+      lastSeenEpoch = bucket.lastDateutc;
     }
-
-    // Check if gap exists
-    const gapDuration = moment.duration(endEpoch - startEpoch);
-
-    if (gapDuration.asMinutes() < 10) {
-      // Less than 10 minutes gap - likely no actual gap
-      gapFound = false;
+    if (inGap) {
+      gaps.push(describeGap(lastSeenEpoch, firstDocAfter?.[0]?._source?.dateutc ?? toDate));
     }
 
+    // Less than 10 minutes between documents is a late or early reading rather than an actual gap
+    const significantGaps = gaps.filter(gap => (gap.endEpoch - gap.startEpoch) >= GAP_DETECTION.minGapMinutes * ONE_MINUTE_AS_MILLISECONDS);
+    significantGaps.forEach((gap, idx) => {
+      backfillLogger.logInfo(`[${clusterName}] Gap ${idx + 1}: ${gap.startFormatted} to ${gap.endFormatted} (${gap.durationHours} hours)`);
+    });
+
+    const totalDuration = moment.duration(significantGaps.reduce((total, gap) => total + (gap.endEpoch - gap.startEpoch), 0));
     return {
-      gapFound,
-      startEpoch,
-      endEpoch,
-      startFormatted: moment(startEpoch).format('YYYY-MM-DD HH:mm:ss [UTC]'),
-      endFormatted: moment(endEpoch).format('YYYY-MM-DD HH:mm:ss [UTC]'),
-      durationHours: gapDuration.asHours().toFixed(2),
-      durationDays: gapDuration.asDays().toFixed(2)
+      gapFound: significantGaps.length > 0,
+      gaps: significantGaps,
+      totalDurationHours: totalDuration.asHours().toFixed(2)
     };
 
   } catch (err) {
-    backfillLogger.logError(`[${clusterName}] [findDataGapBoundaries] Error:`, err);
+    backfillLogger.logError(`[${clusterName}] [findDataGaps] Error:`, err);
     throw err;
   }
 }
 
 /**
- * Display gap boundaries and get user confirmation
- * @param {object} boundaries - Gap boundary information
+ * Describe a single gap between two documents
+ * @param {number} startEpoch - dateutc of the last document before the gap (or the range start)
+ * @param {number} endEpoch - dateutc of the first document after the gap (or the range end)
+ * @returns {object} - Gap boundary information
+ */
+function describeGap(startEpoch, endEpoch) {
+  const gapDuration = moment.duration(endEpoch - startEpoch);
+  const intervalMs = GAP_DETECTION.intervalMinutes * ONE_MINUTE_AS_MILLISECONDS;
+  return {
+    startEpoch,
+    endEpoch,
+    startFormatted: moment.utc(startEpoch).format('YYYY-MM-DD HH:mm:ss [UTC]'),
+    endFormatted: moment.utc(endEpoch).format('YYYY-MM-DD HH:mm:ss [UTC]'),
+    durationHours: gapDuration.asHours().toFixed(2),
+    durationDays: gapDuration.asDays().toFixed(2),
+    missingReadings: Math.max(Math.ceil((endEpoch - startEpoch) / intervalMs) - 1, 0)
+  };
+}
+
+/**
+ * Combine the per-gap backfill results for a cluster
+ * @param {string} clusterName - Cluster name
+ * @param {array} gapResults - performBackfill results, each with the gap it covered
+ * @returns {object} - 'success' if no gap errored, 'error' if every gap errored, 'partial' otherwise
+ */
+function summarizeGapResults(clusterName, gapResults) {
+  const erroredGaps = gapResults.filter(result => result.status === 'error');
+  let status = 'success';
+  if (erroredGaps.length > 0) {
+    status = erroredGaps.length === gapResults.length ? 'error' : 'partial';
+  }
+  const summary = {
+    status,
+    cluster: clusterName,
+    gapsFound: gapResults.length,
+    gapsFilled: gapResults.filter(result => result.status === 'success').length,
+    recordsFound: gapResults.reduce((total, result) => total + (result.recordsFound ?? 0), 0),
+    gaps: gapResults
+  };
+  if (erroredGaps.length > 0) {
+    summary.error = erroredGaps.map(result => result.error).join('; ');
+  }
+  return summary;
+}
+
+/**
+ * Display every gap found and get user confirmation
+ * @param {object} gapSummary - Output of findDataGaps
  * @param {string} clusterName - Cluster name for display
  * @param {boolean} skipConfirmation - Skip confirmation prompt if true
- * @param {object} context - Optional context (clusterIndex, totalClusters for dual-cluster mode)
+ * @param {object} context - Optional context (clusterIndex, totalClusters for multi-cluster mode)
  * @returns {boolean} - True if user confirms, false otherwise
  */
-function confirmBackfill(boundaries, clusterName, skipConfirmation = false, context = {}) {
+function confirmBackfill(gapSummary, clusterName, skipConfirmation = false, context = {}) {
   const { clusterIndex, totalClusters } = context;
   const isMultiCluster = totalClusters && totalClusters > 1;
+  const { gaps } = gapSummary;
 
   if (process.env.NODE_ENV !== 'test') {
     console.log('\n========================================');
     if (isMultiCluster) {
-      console.log(`Gap found in ${clusterName} cluster (${clusterIndex} of ${totalClusters}):`);
+      console.log(`${gaps.length} gap(s) found in ${clusterName} cluster (${clusterIndex} of ${totalClusters}):`);
     } else {
-      console.log(`Gap found in ${clusterName} cluster:`);
+      console.log(`${gaps.length} gap(s) found in ${clusterName} cluster:`);
     }
     console.log('========================================');
-    console.log(`Last document before gap: ${boundaries.startFormatted}`);
-    console.log(`First document after gap: ${boundaries.endFormatted}`);
-    console.log(`Gap duration: ${boundaries.durationHours} hours (${boundaries.durationDays} days)`);
+    gaps.forEach((gap, idx) => {
+      console.log(`[${idx + 1}] ${gap.startFormatted} -> ${gap.endFormatted}`);
+      console.log(`    ${gap.durationHours} hours (${gap.durationDays} days), ~${gap.missingReadings} missing readings`);
+    });
+    console.log('----------------------------------------');
+    console.log(`Total gap duration: ${gapSummary.totalDurationHours} hours`);
     console.log('========================================\n');
 
     if (skipConfirmation) {
@@ -364,17 +426,27 @@ function confirmBackfill(boundaries, clusterName, skipConfirmation = false, cont
  * @param {string} clusterName - Cluster name for logging
  * @param {number} startEpoch - Start epoch ms
  * @param {number} endEpoch - End epoch ms
- * @returns {object} - Backfill result
+ * @param {object} station - { macAddress, slug, name } as returned by findStation: its files, API device and indices
+ * @param {array} profiles - the unit profiles to convert to and index, from the stations config
+ * @returns {object} - Backfill result, with the indexed documents and errors of imperial and every profile
+ * ({ imperialIndexed, imperialErrors, metricIndexed, metricErrors, ... })
  */
-async function performBackfill(client, clusterName, startEpoch, endEpoch) {
+async function performBackfill(client, clusterName, startEpoch, endEpoch, station, profiles) {
   try {
-    const indexer = new IndexData(client);
+    const indexer = new IndexData(client, { clusterName, station: station.slug });
+    const registry = new Registry(fs, { slug: station.slug, profiles });
+    const dataTypes = ['imperial', ...profiles];
+    // flags the records converted here, see src/qualityControl
+    const qualityControl = new QualityControl();
     let dataRecords = [];
+    // fetched from the API: the readings either side of the gap
+    let beforeGap = [];
+    let afterGap = [];
     let dataSource = 'unknown';
 
     // Step 1: Try to load data from existing local files first
     backfillLogger.logInfo(`[${clusterName}] Reading existing data files for date range...`);
-    const { dataRecords: localRecords, filesProcessed } = await loadDataFromLocalFiles(startEpoch, endEpoch, clusterName);
+    const { dataRecords: localRecords, filesProcessed, fileNames: localFileNames } = await loadDataFromLocalFiles(startEpoch, endEpoch, clusterName, registry, qualityControl);
 
     if (localRecords.length > 0) {
       backfillLogger.logInfo(`[${clusterName}] Loaded ${localRecords.length} records from ${filesProcessed} local files`);
@@ -389,39 +461,27 @@ async function performBackfill(client, clusterName, startEpoch, endEpoch) {
         apiKey: process.env.AMBIENT_WEATHER_API_KEY,
         applicationKey: process.env.AMBIENT_WEATHER_APPLICATION_KEY
       });
-      const fetcher = new FetchRawData(awApi, fs);
-
-      // Note: API counts backwards in time from endEpoch. The rate limit bypass in FetchRawData
-      // will calculate how many records to fetch based on the gap duration between startEpoch and endEpoch.
-      // We then filter results to the (startEpoch, endEpoch) range after fetching (see line 399).
-      // bypassRateLimit=true because backfill operates on past data and shouldn't be blocked by rate limiter.
-      const fetchResult = await fetcher.getDataForDateRanges(true, endEpoch, true); // skipSave=true, fromDate=endEpoch, bypassRateLimit=true
-
-      if (fetchResult === 'too early') {
-        backfillLogger.logWarning(`[${clusterName}] API returned "too early" - less than 5 minutes since last fetch`);
-        return { status: 'skipped', message: 'Too early to fetch data (less than 5 minutes since last fetch)' };
+      const fetcher = new FetchRawData(new AwApiRequests(awApi), fs, station);
+
+      // The API counts backwards from an end date: fetchWindow pages back from endEpoch until it reaches startEpoch,
+      // however long the gap, and only returns the records inside the window
+      const { records, pages, failedFetches } = await fetcher.fetchWindow(startEpoch, endEpoch);
+      if (failedFetches.length > 0) {
+        backfillLogger.logError(`[${clusterName}] ${failedFetches.length} API fetch(es) failed:`, failedFetches);
+        return { status: 'error', error: `API fetch failed: ${failedFetches.map(failed => failed.error).join('; ')}` };
       }
 
-      if (!fetchResult || typeof fetchResult !== 'object' || !Array.isArray(fetchResult.dataFetchForDates)) {
-        backfillLogger.logError(`[${clusterName}] Invalid fetch result from API`);
-        return { status: 'error', error: 'Invalid data fetch result from API' };
-      }
-
-      const { dataFetchForDates } = fetchResult;
+      // startEpoch and endEpoch are the documents either side of the gap, they're already in the cluster
+      dataRecords = records.filter(record => record.dateutc > startEpoch && record.dateutc < endEpoch);
+      beforeGap = records.filter(record => record.dateutc <= startEpoch);
+      afterGap = records.filter(record => record.dateutc === endEpoch);
 
-      if (dataFetchForDates.length === 0) {
+      if (dataRecords.length === 0) {
         backfillLogger.logWarning(`[${clusterName}] No data returned from API for specified range`);
         return { status: 'skipped', message: 'No data available in API for specified range' };
       }
 
-      // Flatten the fetched data and filter to our date range
-      // Use < for endEpoch because endEpoch is the "first document after gap" which is already in the cluster
-      dataRecords = dataFetchForDates.flat().filter(record => {
-        const recordTime = record.dateutc;
-        return recordTime > startEpoch && recordTime < endEpoch;
-      });
-
-      backfillLogger.logInfo(`[${clusterName}] Fetched ${dataRecords.length} records from API`);
+      backfillLogger.logInfo(`[${clusterName}] Fetched ${dataRecords.length} records from API in ${pages} page(s)`);
       dataSource = 'api';
     }
 
@@ -436,49 +496,31 @@ async function performBackfill(client, clusterName, startEpoch, endEpoch) {
 
     if (dataSource === 'local') {
       // Use existing JSONL files (already converted by loadDataFromLocalFiles)
-      backfillLogger.logInfo(`[${clusterName}] Identifying pre-converted JSONL files...`);
-      const dataDir = './data/ambient-weather-heiligers-imperial';
-      const files = fs.readdirSync(dataDir).filter(f => f.endsWith('.json'));
-
-      for (const file of files) {
-        const fileBaseName = file.replace('.json', '');
-        const filePath = `${dataDir}/${file}`;
-
-        try {
-          const records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-
-          // Check if this file has records in our range
-          const hasRelevantRecords = records.some(r =>
-            r.dateutc > startEpoch && r.dateutc < endEpoch
-          );
-
-          if (hasRelevantRecords) {
-            filesForIndexing.push(fileBaseName);
-          }
-        } catch (err) {
-          backfillLogger.logWarning(`[${clusterName}] Error checking ${file}:`, err.message);
-        }
-      }
-
+      filesForIndexing = localFileNames;
       backfillLogger.logInfo(`[${clusterName}] Using ${filesForIndexing.length} pre-converted JSONL files`);
 
     } else {
       // API source - create temp files
       tempFileBaseName = `backfill_${startEpoch}_${endEpoch}`;
-      const imperialJsonlPath = `./data/ambient-weather-heiligers-imperial-jsonl/${tempFileBaseName}.jsonl`;
-      const metricJsonlPath = `./data/ambient-weather-heiligers-metric-jsonl/${tempFileBaseName}.jsonl`;
 
-      backfillLogger.logInfo(`[${clusterName}] Writing ${dataRecords.length} imperial records to JSONL...`);
-      const imperialJsonlContent = dataRecords.map(record => JSON.stringify(record)).join('\n');
-      fs.writeFileSync(imperialJsonlPath, imperialJsonlContent);
+      // the QC flags and the rain of the first records need the readings before the gap, from the local files. The
+      // rain of the first document after the gap was the rain of the whole gap: it's converted and indexed again
+      const documents = imperialDocuments([...dataRecords, ...afterGap], {
+        qualityControl, files: historyFiles(registry), history: beforeGap, source: tempFileBaseName
+      });
+
+      backfillLogger.logInfo(`[${clusterName}] Writing ${documents.length} imperial records to JSONL...`);
+      writeFileAtomic(fs, `${registry.directories['imperial-jsonl']}/${tempFileBaseName}.jsonl`, documents.map(record => JSON.stringify(record)).join('\n'));
 
-      backfillLogger.logInfo(`[${clusterName}] Converting ${dataRecords.length} records to metric and writing JSONL...`);
-      const metricRecords = dataRecords.map(record => convertToMetric(record));
-      const metricJsonlContent = metricRecords.map(record => JSON.stringify(record)).join('\n');
-      fs.writeFileSync(metricJsonlPath, metricJsonlContent);
+      profiles.forEach((profile) => {
+        backfillLogger.logInfo(`[${clusterName}] Converting ${documents.length} records to ${profile} and writing JSONL...`);
+        const fields = profileFields(profile);
+        writeFileAtomic(fs, `${registry.directories[`${profile}-jsonl`]}/${tempFileBaseName}.jsonl`, documents.map(record => JSON.stringify(mapFields(record, fields))).join('\n'));
+      });
 
       filesForIndexing = [tempFileBaseName];
     }
+    if (qualityControl.summary.records > 0) backfillLogger.logInfo(`[${clusterName}] [QC] ${formatQcSummary(qualityControl.summary)}`);
 
     // Step 3: Initialize indexer
     backfillLogger.logInfo(`[${clusterName}] Initializing indexer...`);
@@ -488,27 +530,26 @@ async function performBackfill(client, clusterName, startEpoch, endEpoch) {
       return { status: 'error', error: 'Indexer initialization failed' };
     }
 
-    // Step 4: Index imperial data
-    backfillLogger.logInfo(`[${clusterName}] Indexing imperial data...`);
-    const imperialPayload = prepareDataForBulkIndexing({ fileNamesArray: filesForIndexing, dataType: 'imperial', logger: backfillLogger });
-    const imperialResult = await indexer.bulkIndexDocuments(imperialPayload, 'imperial');
-    backfillLogger.logInfo(`[${clusterName}] Imperial indexing complete. Total docs: ${imperialResult.indexCounts.count}`);
-
-    // Step 5: Index metric data
-    backfillLogger.logInfo(`[${clusterName}] Indexing metric data...`);
-    const metricPayload = prepareDataForBulkIndexing({ fileNamesArray: filesForIndexing, dataType: 'metric', logger: backfillLogger });
-    const metricResult = await indexer.bulkIndexDocuments(metricPayload, 'metric');
-    backfillLogger.logInfo(`[${clusterName}] Metric indexing complete. Total docs: ${metricResult.indexCounts.count}`);
+    // Step 4: Index the imperial data, then the data of every unit profile, each into its own alias
+    const indexed = {};
+    for (const dataType of dataTypes) {
+      backfillLogger.logInfo(`[${clusterName}] Indexing ${dataType} data...`);
+      const payload = prepareDataForBulkIndexing({ fileNamesArray: filesForIndexing, dataType, logger: backfillLogger, station });
+      const result = await indexer.bulkIndexDocuments(payload, dataType);
+      backfillLogger.logInfo(`[${clusterName}] ${dataType} indexing complete. Total docs: ${result.indexCounts.count}`);
+      indexed[`${dataType}Indexed`] = result.indexCounts.count;
+      indexed[`${dataType}Errors`] = result.erroredDocuments.length;
+    }
 
-    // Step 6: Clean up temporary files (only if API source)
+    // Step 5: Clean up temporary files (only if API source)
     if (dataSource === 'api' && tempFileBaseName) {
       backfillLogger.logInfo(`[${clusterName}] Cleaning up temporary files...`);
-      const imperialJsonlPath = `./data/ambient-weather-heiligers-imperial-jsonl/${tempFileBaseName}.jsonl`;
-      const metricJsonlPath = `./data/ambient-weather-heiligers-metric-jsonl/${tempFileBaseName}.jsonl`;
 
       try {
-        if (fs.existsSync(imperialJsonlPath)) fs.unlinkSync(imperialJsonlPath);
-        if (fs.existsSync(metricJsonlPath)) fs.unlinkSync(metricJsonlPath);
+        dataTypes.forEach((dataType) => {
+          const jsonlPath = `${registry.directories[`${dataType}-jsonl`]}/${tempFileBaseName}.jsonl`;
+          if (fs.existsSync(jsonlPath)) fs.unlinkSync(jsonlPath);
+        });
         backfillLogger.logInfo(`[${clusterName}] Cleanup complete`);
       } catch (cleanupErr) {
         backfillLogger.logWarning(`[${clusterName}] Cleanup failed (non-critical):`, cleanupErr.message);
@@ -523,10 +564,7 @@ async function performBackfill(client, clusterName, startEpoch, endEpoch) {
       dataSource,
       filesUsed: filesForIndexing.length,
       recordsFound: dataRecords.length,
-      imperialIndexed: imperialResult.indexCounts.count,
-      metricIndexed: metricResult.indexCounts.count,
-      imperialErrors: imperialResult.erroredDocuments.length,
-      metricErrors: metricResult.erroredDocuments.length
+      ...indexed
     };
 
   } catch (err) {
@@ -535,67 +573,66 @@ async function performBackfill(client, clusterName, startEpoch, endEpoch) {
   }
 }
 
+/**
+ * The raw files of the catalog, to read the readings before the records converted here from (see recordsBefore in
+ * src/registry)
+ * @param {Registry} registry
+ * @returns {array} [{ to, read }]
+ */
+function historyFiles(registry) {
+  return registry.entries
+    .filter(entry => entry.paths.imperial && entry.records > 0)
+    .map(entry => ({ to: entry.maxDateutc, read: () => registry.readRecords(entry) }));
+}
+
 /**
  * Load data from existing local files within the specified date range
+ * The catalog (Registry) finds the files whose records fall in the range, whatever their name format
  * @param {number} startEpoch - Start epoch ms
  * @param {number} endEpoch - End epoch ms
  * @param {string} clusterName - Cluster name for logging
- * @returns {object} - { dataRecords: Array, filesProcessed: number }
+ * @param {Registry} registry - the catalog of the station's files
+ * @param {QualityControl} qualityControl - flags the records of the files converted here
+ * @returns {object} - { dataRecords: Array, filesProcessed: number, fileNames: Array } fileNames: base names of the files the records are in
  */
-async function loadDataFromLocalFiles(startEpoch, endEpoch, clusterName) {
-  const dataDir = './data/ambient-weather-heiligers-imperial';
-  const jsonlDirImperial = './data/ambient-weather-heiligers-imperial-jsonl';
-  const jsonlDirMetric = './data/ambient-weather-heiligers-metric-jsonl';
+async function loadDataFromLocalFiles(startEpoch, endEpoch, clusterName, registry, qualityControl = new QualityControl()) {
+  const jsonlKinds = ['imperial-jsonl', ...registry.profiles.map(profile => `${profile}-jsonl`)];
   const allRecords = [];
-  let filesProcessed = 0;
+  const fileNames = [];
 
   try {
     // Ensure JSONL directories exist
-    if (!fs.existsSync(jsonlDirImperial)) {
-      fs.mkdirSync(jsonlDirImperial, { recursive: true });
-      backfillLogger.logInfo(`[${clusterName}] Created directory: ${jsonlDirImperial}`);
-    }
-    if (!fs.existsSync(jsonlDirMetric)) {
-      fs.mkdirSync(jsonlDirMetric, { recursive: true });
-      backfillLogger.logInfo(`[${clusterName}] Created directory: ${jsonlDirMetric}`);
-    }
-
-    // Read all files in the imperial data directory
-    const files = fs.readdirSync(dataDir);
-    backfillLogger.logInfo(`[${clusterName}] Found ${files.length} files in ${dataDir}`);
-
-    // Process each JSON file
-    for (const file of files) {
-      if (!file.endsWith('.json')) continue;
+    jsonlKinds.forEach((kind) => {
+      const directory = registry.directories[kind];
+      if (!fs.existsSync(directory)) {
+        fs.mkdirSync(directory, { recursive: true });
+        backfillLogger.logInfo(`[${clusterName}] Created directory: ${directory}`);
+      }
+    });
 
-      const fileBaseName = file.replace('.json', '');
-      const filePath = `${dataDir}/${file}`;
+    // Only raw files can be converted and indexed: a JSONL file without its raw file is left to reindex
+    const candidates = registry.filesCovering(startEpoch, endEpoch).filter(entry => entry.paths.imperial);
+    backfillLogger.logInfo(`[${clusterName}] Found ${candidates.length} of ${registry.entries.length} local files covering the range`);
+    const files = historyFiles(registry);
 
+    for (const entry of candidates) {
       try {
-        const fileContent = fs.readFileSync(filePath, 'utf8');
-        const records = JSON.parse(fileContent);
-
-        if (!Array.isArray(records)) {
-          backfillLogger.logWarning(`[${clusterName}] Skipping ${file} - not an array`);
-          continue;
-        }
+        const records = registry.readRecords(entry);
+        const documents = () => imperialDocuments(records, { qualityControl, files, source: entry.baseName });
 
         // Auto-convert to JSONL formats if they don't exist
-        const imperialJsonlPath = `${jsonlDirImperial}/${fileBaseName}.jsonl`;
-        const metricJsonlPath = `${jsonlDirMetric}/${fileBaseName}.jsonl`;
-
-        if (!fs.existsSync(imperialJsonlPath)) {
-          backfillLogger.logInfo(`[${clusterName}] Converting ${file} to imperial JSONL...`);
-          const jsonlContent = records.map(r => JSON.stringify(r)).join('\n');
-          fs.writeFileSync(imperialJsonlPath, jsonlContent);
+        if (!entry.paths['imperial-jsonl']) {
+          backfillLogger.logInfo(`[${clusterName}] Converting ${entry.baseName} to imperial JSONL...`);
+          const jsonlContent = documents().map(r => JSON.stringify(r)).join('\n');
+          writeFileAtomic(fs, `${registry.directories['imperial-jsonl']}/${entry.baseName}.jsonl`, jsonlContent);
         }
 
-        if (!fs.existsSync(metricJsonlPath)) {
-          backfillLogger.logInfo(`[${clusterName}] Converting ${file} to metric JSONL...`);
-          const metricRecords = records.map(r => convertToMetric(r));
-          const metricJsonlContent = metricRecords.map(r => JSON.stringify(r)).join('\n');
-          fs.writeFileSync(metricJsonlPath, metricJsonlContent);
-        }
+        registry.profiles.filter(profile => !entry.paths[`${profile}-jsonl`]).forEach((profile) => {
+          backfillLogger.logInfo(`[${clusterName}] Converting ${entry.baseName} to ${profile} JSONL...`);
+          const fields = profileFields(profile);
+          const profileJsonlContent = documents().map(r => JSON.stringify(mapFields(r, fields))).join('\n');
+          writeFileAtomic(fs, `${registry.directories[`${profile}-jsonl`]}/${entry.baseName}.jsonl`, profileJsonlContent);
+        });
 
         // Filter records within the date range
         // Use < for endEpoch because endEpoch is the "first document after gap" which is already in the cluster
@@ -605,13 +642,13 @@ async function loadDataFromLocalFiles(startEpoch, endEpoch, clusterName) {
         });
 
         if (filteredRecords.length > 0) {
-          backfillLogger.logInfo(`[${clusterName}] Found ${filteredRecords.length} records in ${file}`);
+          backfillLogger.logInfo(`[${clusterName}] Found ${filteredRecords.length} records in ${entry.baseName}`);
           allRecords.push(...filteredRecords);
-          filesProcessed++;
+          fileNames.push(entry.baseName);
         }
 
       } catch (err) {
-        backfillLogger.logWarning(`[${clusterName}] Error reading ${file}:`, err.message);
+        backfillLogger.logWarning(`[${clusterName}] Error reading ${entry.baseName}:`, err.message);
       }
     }
 
@@ -620,12 +657,13 @@ async function loadDataFromLocalFiles(startEpoch, endEpoch, clusterName) {
 
     return {
       dataRecords: allRecords,
-      filesProcessed
+      filesProcessed: fileNames.length,
+      fileNames
     };
 
   } catch (err) {
     backfillLogger.logError(`[${clusterName}] Error loading local files:`, err);
-    return { dataRecords: [], filesProcessed: 0 };
+    return { dataRecords: [], filesProcessed: 0, fileNames: [] };
   }
 }
 
@@ -6,7 +6,8 @@ jest.mock('../dataIndexers/esClient', () => ({
 }));
 
 jest.mock('../dataIndexers/esClientMethods', () => ({
-  searchDocsByDateRange: jest.fn()
+  searchDocsByDateRange: jest.fn(),
+  getDateHistogram: jest.fn()
 }));
 
 jest.mock('../dataIndexers', () => {
@@ -19,9 +20,11 @@ jest.mock('../dataIndexers', () => {
   }));
 });
 
+const mockFetchWindow = jest.fn();
 jest.mock('../dataFetchers', () => {
   return jest.fn().mockImplementation(() => ({
-    getDataForDateRanges: jest.fn()
+    getDataForDateRanges: jest.fn(),
+    fetchWindow: mockFetchWindow
   }));
 });
 
@@ -39,7 +42,11 @@ jest.mock('file-system', () => ({
   writeFileSync: jest.fn(),
   existsSync: jest.fn(),
   mkdirSync: jest.fn(),
-  unlinkSync: jest.fn()
+  unlinkSync: jest.fn(),
+  openSync: jest.fn(),
+  fsyncSync: jest.fn(),
+  closeSync: jest.fn(),
+  renameSync: jest.fn()
 }));
 
 jest.mock('ambient-weather-api', () => {
@@ -55,12 +62,32 @@ process.env.AMBIENT_WEATHER_APPLICATION_KEY = 'test-app-key';
 
 const { runBackfill } = require('./backfill');
 const { createEsClient } = require('../dataIndexers/esClient');
-const { searchDocsByDateRange } = require('../dataIndexers/esClientMethods');
+const { searchDocsByDateRange, getDateHistogram } = require('../dataIndexers/esClientMethods');
 const IndexData = require('../dataIndexers');
+const FetchRawData = require('../dataFetchers');
+const { prepareDataForBulkIndexing } = require('../../main_utils');
+const { withDerivedFields } = require('../utils/derivedFields');
 
 const fs = require('file-system');
 const readlineSync = require('readline-sync');
 
+const FIVE_MINUTES = 5 * 60 * 1000;
+
+/**
+ * Builds a getDateHistogram mock implementation with one document every 5 minutes,
+ * except inside the given [from, to) ranges
+ */
+const histogramWithGaps = (missingRanges = []) => async (client, index, start, end) => {
+  const buckets = [];
+  for (let key = start; key < end; key += FIVE_MINUTES) {
+    const missing = missingRanges.some(([from, to]) => key >= from && key < to);
+    buckets.push(missing
+      ? { key, docCount: 0, firstDateutc: null, lastDateutc: null }
+      : { key, docCount: 1, firstDateutc: key, lastDateutc: key });
+  }
+  return buckets;
+};
+
 describe('backfill', () => {
   let mockEsClient;
 
@@ -73,6 +100,7 @@ describe('backfill', () => {
 
     // Default: no gaps found (data complete)
     searchDocsByDateRange.mockResolvedValue([]);
+    getDateHistogram.mockImplementation(histogramWithGaps());
   });
 
   describe('runBackfill - argument validation', () => {
@@ -150,14 +178,6 @@ describe('backfill', () => {
   });
 
   describe('runBackfill - cluster selection', () => {
-    beforeEach(() => {
-      // Mock: documents exist close together (no gap - less than 10 min)
-      const fromDate = moment('2024-01-01').valueOf();
-      searchDocsByDateRange
-        .mockResolvedValueOnce([{ _source: { dateutc: fromDate - 60000 } }]) // 1 min before
-        .mockResolvedValueOnce([{ _source: { dateutc: fromDate + 60000 } }]); // 1 min after
-    });
-
     it('accepts --prod flag for production cluster', async () => {
       const result = await runBackfill({
         prod: true,
@@ -165,18 +185,11 @@ describe('backfill', () => {
         to: '2024-01-31'
       });
 
-      expect(createEsClient).toHaveBeenCalledWith('ES');
+      expect(createEsClient).toHaveBeenCalledWith('PRODUCTION');
       expect(result.status).toBe('success');
     });
 
     it('accepts --staging flag for staging cluster', async () => {
-      // Reset and add new mocks for this test
-      searchDocsByDateRange.mockReset();
-      const fromDate = moment('2024-01-01').valueOf();
-      searchDocsByDateRange
-        .mockResolvedValueOnce([{ _source: { dateutc: fromDate - 60000 } }])
-        .mockResolvedValueOnce([{ _source: { dateutc: fromDate + 60000 } }]);
-
       const result = await runBackfill({
         staging: true,
         from: '2024-01-01',
@@ -187,36 +200,46 @@ describe('backfill', () => {
       expect(result.status).toBe('success');
     });
 
-    it('accepts --both flag for dual-cluster mode', async () => {
-      // Reset and add mocks for both clusters (4 calls total)
-      searchDocsByDateRange.mockReset();
-      const fromDate = moment('2024-01-01').valueOf();
-      searchDocsByDateRange
-        .mockResolvedValueOnce([{ _source: { dateutc: fromDate - 60000 } }]) // PROD before
-        .mockResolvedValueOnce([{ _source: { dateutc: fromDate + 60000 } }]) // PROD after
-        .mockResolvedValueOnce([{ _source: { dateutc: fromDate - 60000 } }]) // STAGING before
-        .mockResolvedValueOnce([{ _source: { dateutc: fromDate + 60000 } }]); // STAGING after
-
+    it('accepts --both flag for multi-cluster mode', async () => {
       const result = await runBackfill({
         both: true,
         from: '2024-01-01',
         to: '2024-01-31'
       });
 
-      expect(createEsClient).toHaveBeenCalledWith('ES');
+      expect(createEsClient).toHaveBeenCalledWith('PRODUCTION');
       expect(createEsClient).toHaveBeenCalledWith('STAGING');
       expect(result.status).toBe('success');
-      expect(result.mode).toBe('dual-cluster');
+      expect(result.mode).toBe('multi-cluster');
+    });
+
+    it('accepts --cluster with configured cluster names', async () => {
+      const result = await runBackfill({
+        cluster: ['staging'],
+        from: '2024-01-01',
+        to: '2024-01-31'
+      });
+
+      expect(createEsClient).toHaveBeenCalledTimes(1);
+      expect(createEsClient).toHaveBeenCalledWith('STAGING');
+      expect(result.status).toBe('success');
+    });
+
+    it('returns error for a cluster that is not configured', async () => {
+      const result = await runBackfill({
+        cluster: ['PI'],
+        from: '2024-01-01',
+        to: '2024-01-31'
+      });
+
+      expect(result.status).toBe('error');
+      expect(result.error).toContain('Unknown cluster "PI"');
+      expect(createEsClient).not.toHaveBeenCalled();
     });
   });
 
   describe('runBackfill - gap detection', () => {
     it('returns success with no gap message when data is complete', async () => {
-      // Mock: documents exist at the boundaries (no gap)
-      searchDocsByDateRange
-        .mockResolvedValueOnce([{ _source: { dateutc: moment('2024-01-01').valueOf() - 60000 } }]) // last doc before
-        .mockResolvedValueOnce([{ _source: { dateutc: moment('2024-01-01').valueOf() + 60000 } }]); // first doc after (5 min gap)
-
       const result = await runBackfill({
         prod: true,
         from: '2024-01-01',
@@ -227,14 +250,27 @@ describe('backfill', () => {
       expect(result.message).toContain('No gap found');
     });
 
-    it('detects gap when more than 10 minutes between documents', async () => {
-      const fromDate = moment('2024-01-15').valueOf();
-      const toDate = moment('2024-01-20').valueOf();
+    it('ignores an empty bucket caused by a late reading (less than 10 minutes between documents)', async () => {
+      const emptyBucket = moment.utc('2024-01-10T12:00:00').valueOf();
+      const complete = histogramWithGaps([[emptyBucket, emptyBucket + FIVE_MINUTES]]);
+      getDateHistogram.mockImplementation(async (...args) => (await complete(...args)).map(bucket => (
+        bucket.key === emptyBucket - FIVE_MINUTES
+          ? { ...bucket, docCount: 2, lastDateutc: emptyBucket - 60000 } // reading due at 12:00 arrived at 11:59
+          : bucket
+      )));
 
-      // Mock: large gap between documents
-      searchDocsByDateRange
-        .mockResolvedValueOnce([{ _source: { dateutc: fromDate - 3600000 } }]) // 1 hour before fromDate
-        .mockResolvedValueOnce([{ _source: { dateutc: toDate + 3600000 } }]); // 1 hour after toDate
+      const result = await runBackfill({
+        prod: true,
+        from: '2024-01-01',
+        to: '2024-01-31'
+      });
+
+      expect(result.message).toContain('No gap found');
+    });
+
+    it('detects gap when more than 10 minutes between documents', async () => {
+      const gapStart = moment.utc('2024-01-16T00:00:00').valueOf();
+      getDateHistogram.mockImplementation(histogramWithGaps([[gapStart, gapStart + 3600000]]));
 
       // Mock user declining backfill
       readlineSync.question.mockReturnValue('n');
@@ -248,17 +284,94 @@ describe('backfill', () => {
       expect(result.status).toBe('cancelled');
       expect(result.message).toContain('cancelled by user');
     });
+
+    it('backfills every gap in the range separately', async () => {
+      const gaps = [
+        [moment.utc('2024-01-15T06:00:00').valueOf(), moment.utc('2024-01-15T08:00:00').valueOf()],
+        [moment.utc('2024-01-16T12:00:00').valueOf(), moment.utc('2024-01-16T12:30:00').valueOf()],
+        [moment.utc('2024-01-18T00:00:00').valueOf(), moment.utc('2024-01-19T00:00:00').valueOf()]
+      ];
+      getDateHistogram.mockImplementation(histogramWithGaps(gaps));
+      fs.readdirSync.mockReturnValue([]);
+
+      const result = await runBackfill({
+        prod: true,
+        from: '2024-01-15',
+        to: '2024-01-20',
+        yes: true
+      });
+
+      expect(result.gapsFound).toBe(3);
+      expect(result.gaps).toHaveLength(3);
+      // each gap is bounded by the documents on either side of it
+      expect(result.gaps.map(({ gap }) => gap)).toEqual(gaps.map(([from, to]) => ({
+        startEpoch: from - FIVE_MINUTES,
+        endEpoch: to
+      })));
+    });
+
+    it('bounds a gap at the start of the range by the last document before it', async () => {
+      const fromDate = moment.utc('2024-01-15').valueOf();
+      const lastDocBefore = fromDate - 86400000;
+      searchDocsByDateRange
+        .mockResolvedValueOnce([{ _source: { dateutc: lastDocBefore } }])
+        .mockResolvedValueOnce([]);
+      getDateHistogram.mockImplementation(histogramWithGaps([[fromDate, fromDate + 3600000]]));
+      fs.readdirSync.mockReturnValue([]);
+
+      const result = await runBackfill({
+        prod: true,
+        from: '2024-01-15',
+        to: '2024-01-20',
+        yes: true
+      });
+
+      expect(result.gaps[0].gap).toEqual({ startEpoch: lastDocBefore, endEpoch: fromDate + 3600000 });
+    });
+
+    it('bounds a gap at the end of the range by the first document after it', async () => {
+      const toDate = moment.utc('2024-01-20').valueOf();
+      const firstDocAfter = toDate + 86400000;
+      searchDocsByDateRange
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ _source: { dateutc: firstDocAfter } }]);
+      getDateHistogram.mockImplementation(histogramWithGaps([[toDate - 3600000, toDate]]));
+      fs.readdirSync.mockReturnValue([]);
+
+      const result = await runBackfill({
+        prod: true,
+        from: '2024-01-15',
+        to: '2024-01-20',
+        yes: true
+      });
+
+      expect(result.gaps[0].gap).toEqual({ startEpoch: toDate - 3600000 - FIVE_MINUTES, endEpoch: firstDocAfter });
+    });
+
+    it('scans long ranges in windows of at most 30 days of buckets', async () => {
+      await runBackfill({
+        prod: true,
+        from: '2024-01-01',
+        to: '2024-03-31'
+      });
+
+      expect(getDateHistogram).toHaveBeenCalledTimes(3);
+      getDateHistogram.mock.calls.forEach(([, , start, end, opts]) => {
+        expect((end - start) / FIVE_MINUTES).toBeLessThanOrEqual(8640);
+        expect(opts.interval).toBe('5m');
+      });
+    });
   });
 
+  // Setup gap detection to find a single gap inside the range
+  const mockSingleGap = () => {
+    const gapStart = moment.utc('2024-01-16').valueOf();
+    getDateHistogram.mockImplementation(histogramWithGaps([[gapStart, gapStart + 86400000]]));
+  };
+
   describe('runBackfill - user confirmation', () => {
     beforeEach(() => {
-      // Setup gap detection to find a gap
-      const fromDate = moment('2024-01-15').valueOf();
-      const toDate = moment('2024-01-20').valueOf();
-
-      searchDocsByDateRange
-        .mockResolvedValueOnce([{ _source: { dateutc: fromDate - 86400000 } }])
-        .mockResolvedValueOnce([{ _source: { dateutc: toDate + 86400000 } }]);
+      mockSingleGap();
     });
 
     it('prompts for confirmation when gap is found', async () => {
@@ -328,21 +441,14 @@ describe('backfill', () => {
 
   describe('runBackfill - data loading from local files', () => {
     beforeEach(() => {
-      // Setup gap detection
-      const fromDate = moment('2024-01-15').valueOf();
-      const toDate = moment('2024-01-20').valueOf();
-
-      searchDocsByDateRange
-        .mockResolvedValueOnce([{ _source: { dateutc: fromDate - 86400000 } }])
-        .mockResolvedValueOnce([{ _source: { dateutc: toDate + 86400000 } }]);
-
+      mockSingleGap();
       readlineSync.question.mockReturnValue('y');
     });
 
     it('loads data from local JSON files when available', async () => {
       const testRecords = [
-        { dateutc: moment('2024-01-16').valueOf(), temp: 72 },
-        { dateutc: moment('2024-01-17').valueOf(), temp: 73 }
+        { dateutc: moment.utc('2024-01-16T06:00:00').valueOf(), temp: 72 },
+        { dateutc: moment.utc('2024-01-16T12:00:00').valueOf(), temp: 73 }
       ];
 
       fs.readdirSync.mockReturnValue(['test_file.json']);
@@ -393,7 +499,7 @@ describe('backfill', () => {
     it('filters records to only include those within date range', async () => {
       const testRecords = [
         { dateutc: moment('2024-01-10').valueOf(), temp: 70 }, // before range
-        { dateutc: moment('2024-01-16').valueOf(), temp: 72 }, // in range
+        { dateutc: moment.utc('2024-01-16T12:00:00').valueOf(), temp: 72 }, // in range
         { dateutc: moment('2024-01-25').valueOf(), temp: 75 }  // after range
       ];
 
@@ -409,31 +515,150 @@ describe('backfill', () => {
       });
 
       // Verify prepareDataForBulkIndexing was called (indicates indexing proceeded)
-      const { prepareDataForBulkIndexing } = require('../../main_utils');
       expect(prepareDataForBulkIndexing).toHaveBeenCalled();
     });
+
+    it('indexes the files whose records cover the gap, whatever their name format', async () => {
+      const inGap = [{ dateutc: moment.utc('2024-01-16T12:00:00').valueOf(), temp: 72 }];
+      const beforeGap = [{ dateutc: moment.utc('2024-01-15T12:00:00').valueOf(), temp: 70 }];
+      const files = {
+        'imperial': ['20240116-T-1200_20240116-T-1205.json', '1705320000000_1705320300000.json'],
+        'imperial-jsonl': ['20240116-T-1200_20240116-T-1205.jsonl', 'backfill_1705363200000_1705449600000.jsonl'],
+        'metric-jsonl': ['20240116-T-1200_20240116-T-1205.jsonl']
+      };
+      fs.existsSync.mockReturnValue(true);
+      fs.readdirSync.mockImplementation(directory => files[directory.replace('data/ambient-weather-heiligers-', '')]);
+      fs.readFileSync.mockImplementation(filePath => JSON.stringify(filePath.includes('20240116') || filePath.includes('backfill') ? inGap : beforeGap));
+
+      const result = await runBackfill({ prod: true, from: '2024-01-15', to: '2024-01-20', yes: true });
+
+      // the backfill leftover has no raw file, the already converted file isn't converted again
+      expect(prepareDataForBulkIndexing).toHaveBeenCalledWith(expect.objectContaining({ fileNamesArray: ['20240116-T-1200_20240116-T-1205'], dataType: 'imperial' }));
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
+      expect(result.gaps[0]).toEqual(expect.objectContaining({ status: 'success', dataSource: 'local', filesUsed: 1, recordsFound: 1 }));
+    });
   });
 
-  describe('runBackfill - dual cluster mode', () => {
+  describe('runBackfill - data fetched from the API', () => {
+    const gapStart = moment.utc('2024-01-16').valueOf();
+
+    beforeEach(() => {
+      mockSingleGap();
+      fs.readdirSync.mockReturnValue([]);
+      fs.existsSync.mockReturnValue(true);
+    });
+
+    it('fetches exactly the window of the gap and indexes the records inside it', async () => {
+      const inGap = [gapStart, gapStart + FIVE_MINUTES].map(dateutc => ({ dateutc, tempf: 70 }));
+      mockFetchWindow.mockResolvedValue({ records: [{ dateutc: gapStart - FIVE_MINUTES, tempf: 69 }, ...inGap], pages: 1, failedFetches: [] });
+
+      const result = await runBackfill({ prod: true, from: '2024-01-15', to: '2024-01-20', yes: true });
+
+      // bounded by the documents either side of the gap
+      expect(mockFetchWindow).toHaveBeenCalledWith(gapStart - FIVE_MINUTES, gapStart + 86400000);
+      const imperialWrite = fs.writeFileSync.mock.calls.find(([filePath]) => filePath.includes('imperial-jsonl'));
+      expect(imperialWrite[1]).toBe(inGap.map(record => JSON.stringify(withDerivedFields({ ...record, qc: { flagged: false, range: [], step: [], persistence: [] }, rainin: null, rainrateinhr: null }))).join('\n'));
+      expect(result.status).toBe('success');
+    });
+
+    it('adds the rain of the records from the reading before the gap, and converts the first document after it again', async () => {
+      const gapEnd = gapStart + 86400000;
+      mockFetchWindow.mockResolvedValue({
+        records: [
+          { dateutc: gapStart - FIVE_MINUTES, tempf: 69, totalrainin: 1 },
+          { dateutc: gapEnd - FIVE_MINUTES, tempf: 70, totalrainin: 1.5 },
+          { dateutc: gapEnd, tempf: 70, totalrainin: 1.52 }
+        ],
+        pages: 1,
+        failedFetches: []
+      });
+
+      const result = await runBackfill({ prod: true, from: '2024-01-15', to: '2024-01-20', yes: true });
+
+      const imperialWrite = fs.writeFileSync.mock.calls.find(([filePath]) => filePath.includes('imperial-jsonl'));
+      // a day after the reading before the gap: too long ago for the rain of one reading
+      expect(imperialWrite[1].split('\n').map(line => JSON.parse(line)).map(({ dateutc, rainin, rainrateinhr }) => ({ dateutc, rainin, rainrateinhr }))).toEqual([
+        { dateutc: gapEnd - FIVE_MINUTES, rainin: null, rainrateinhr: null },
+        { dateutc: gapEnd, rainin: 0.02, rainrateinhr: 0.24 }
+      ]);
+      expect(result.gaps[0]).toEqual(expect.objectContaining({ status: 'success', recordsFound: 1 }));
+    });
+
+    it('backfills the station passed with --station: its indices, device, directories and aliases', async () => {
+      mockFetchWindow.mockResolvedValue({ records: [{ dateutc: gapStart, tempf: 70 }], pages: 1, failedFetches: [] });
+      const station = { macAddress: '112233445566', slug: '112233445566', name: '112233445566' };
+
+      const result = await runBackfill({ prod: true, from: '2024-01-15', to: '2024-01-20', yes: true, station: '112233445566' });
+
+      expect(getDateHistogram).toHaveBeenCalledWith(mockEsClient, 'ambient_weather_112233445566_imperial_*', expect.any(Number), expect.any(Number), expect.any(Object));
+      expect(searchDocsByDateRange.mock.calls.every(call => call[1] === 'ambient_weather_112233445566_imperial_*')).toBe(true);
+      expect(FetchRawData).toHaveBeenCalledWith(expect.anything(), fs, station);
+      expect(IndexData).toHaveBeenCalledWith(mockEsClient, { clusterName: 'PRODUCTION', station: '112233445566' });
+      expect(fs.writeFileSync.mock.calls.map(([filePath]) => filePath).filter(filePath => filePath.includes('jsonl'))).toEqual([
+        expect.stringMatching(/^data\/ambient-weather-112233445566-imperial-jsonl\/backfill_.*\.jsonl/),
+        expect.stringMatching(/^data\/ambient-weather-112233445566-metric-jsonl\/backfill_.*\.jsonl/)
+      ]);
+      expect(prepareDataForBulkIndexing).toHaveBeenCalledWith(expect.objectContaining({ dataType: 'metric', station }));
+      expect(result.status).toBe('success');
+    });
+
+    it('converts and indexes every unit profile of the stations config, each into its own alias', async () => {
+      const realFs = jest.requireActual('fs');
+      const os = require('os');
+      const path = require('path');
+      const tmpDir = realFs.mkdtempSync(path.join(os.tmpdir(), 'backfill-profiles-'));
+      process.env.AW_STATIONS_CONFIG = path.join(tmpDir, 'stations.json');
+      realFs.writeFileSync(process.env.AW_STATIONS_CONFIG, JSON.stringify({ profiles: ['metric', 'wmo'], stations: [{ slug: 'heiligers' }] }));
+      mockFetchWindow.mockResolvedValue({ records: [{ dateutc: gapStart, tempf: 50, windspeedmph: 10 }], pages: 1, failedFetches: [] });
+
+      let result;
+      try {
+        result = await runBackfill({ prod: true, from: '2024-01-15', to: '2024-01-20', yes: true });
+      } finally {
+        delete process.env.AW_STATIONS_CONFIG;
+        realFs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+
+      const wmoWrite = fs.writeFileSync.mock.calls.find(([filePath]) => filePath.startsWith('data/ambient-weather-heiligers-wmo-jsonl/backfill_'));
+      expect(JSON.parse(wmoWrite[1])).toEqual(expect.objectContaining({ temp_outside_c: 10, windspeed_m_per_s: 4.5 }));
+      expect(prepareDataForBulkIndexing.mock.calls.map(call => call[0].dataType)).toEqual(['imperial', 'metric', 'wmo']);
+      expect(IndexData.mock.results[0].value.bulkIndexDocuments).toHaveBeenCalledWith(expect.any(Array), 'wmo');
+      expect(result.gaps[0]).toEqual(expect.objectContaining({ status: 'success', wmoIndexed: expect.any(Number), wmoErrors: 0 }));
+    });
+
+    it('rejects a station that is not configured', async () => {
+      const result = await runBackfill({ prod: true, from: '2024-01-15', to: '2024-01-20', yes: true, station: 'patio' });
+
+      expect(result).toEqual({ status: 'error', error: expect.stringContaining('Unknown station patio') });
+      expect(createEsClient).not.toHaveBeenCalled();
+    });
+
+    it('reports an error when a fetch failed', async () => {
+      mockFetchWindow.mockResolvedValue({ records: [], pages: 0, failedFetches: [{ endDate: gapStart, numRecords: 288, error: '503 - {}' }] });
+
+      const result = await runBackfill({ prod: true, from: '2024-01-15', to: '2024-01-20', yes: true });
+
+      expect(JSON.stringify(result)).toContain('API fetch failed: 503 - {}');
+      expect(prepareDataForBulkIndexing).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runBackfill - multi-cluster mode', () => {
     it('processes both clusters sequentially', async () => {
       // No gaps found for either cluster
-      searchDocsByDateRange.mockResolvedValue([]);
-
       const result = await runBackfill({
         both: true,
         from: '2024-01-01',
         to: '2024-01-31'
       });
 
-      expect(result.mode).toBe('dual-cluster');
+      expect(result.mode).toBe('multi-cluster');
       expect(result.results).toHaveLength(2);
       expect(result.results[0].cluster).toBe('PRODUCTION');
       expect(result.results[1].cluster).toBe('STAGING');
     });
 
     it('continues with second cluster if first has no gap', async () => {
-      searchDocsByDateRange.mockResolvedValue([]);
-
       const result = await runBackfill({
         both: true,
         from: '2024-01-01',
@@ -445,16 +670,16 @@ describe('backfill', () => {
     });
 
     it('handles independent gaps in each cluster', async () => {
-      const fromDate = moment('2024-01-01').valueOf();
-      const toDate = moment('2024-01-31').valueOf();
+      const prodClient = { name: 'prod' };
+      const stagingClient = { name: 'staging' };
+      createEsClient.mockImplementation(cluster => (cluster === 'PRODUCTION' ? prodClient : stagingClient));
 
-      // First cluster: no gap (documents close together)
-      // Second cluster: has gap (documents far apart)
-      searchDocsByDateRange
-        .mockResolvedValueOnce([{ _source: { dateutc: fromDate - 60000 } }]) // PROD: 1 min before
-        .mockResolvedValueOnce([{ _source: { dateutc: fromDate + 60000 } }]) // PROD: 1 min after (no gap)
-        .mockResolvedValueOnce([{ _source: { dateutc: fromDate - 86400000 } }]) // STAGING: 1 day before
-        .mockResolvedValueOnce([{ _source: { dateutc: toDate + 86400000 } }]); // STAGING: 1 day after (gap!)
+      // First cluster: no gap
+      // Second cluster: has gap
+      const gapStart = moment.utc('2024-01-10').valueOf();
+      const noGaps = histogramWithGaps();
+      const withGap = histogramWithGaps([[gapStart, gapStart + 86400000]]);
+      getDateHistogram.mockImplementation((client, ...rest) => (client === prodClient ? noGaps : withGap)(client, ...rest));
 
       readlineSync.question.mockReturnValue('n');
 
@@ -464,8 +689,28 @@ describe('backfill', () => {
         to: '2024-01-31'
       });
 
-      expect(result.results[0].result.message).toContain('No gap found');
-      expect(result.results[1].result.status).toBe('cancelled');
+      expect(result.results[0].message).toContain('No gap found');
+      expect(result.results[1].status).toBe('cancelled');
+    });
+
+    it('reports the clusters that failed', async () => {
+      createEsClient.mockImplementation((cluster) => {
+        if (cluster === 'STAGING') throw new Error('STAGING_CLOUD_ID needs to be configured');
+        return mockEsClient;
+      });
+
+      const result = await runBackfill({ both: true, from: '2024-01-01', to: '2024-01-31' });
+
+      expect(result).toEqual(expect.objectContaining({ status: 'partial', mode: 'multi-cluster', failed: ['STAGING'] }));
+      expect(result.results[1]).toEqual({ status: 'error', cluster: 'STAGING', error: 'STAGING_CLOUD_ID needs to be configured' });
+    });
+
+    it('reports an error when every cluster failed', async () => {
+      getDateHistogram.mockRejectedValue(new Error('Histogram failed'));
+
+      const result = await runBackfill({ both: true, from: '2024-01-01', to: '2024-01-31' });
+
+      expect(result).toEqual(expect.objectContaining({ status: 'error', failed: ['PRODUCTION', 'STAGING'] }));
     });
   });
 
@@ -485,6 +730,19 @@ describe('backfill', () => {
       expect(result.error).toContain('Connection failed');
     });
 
+    it('handles histogram query failure', async () => {
+      getDateHistogram.mockRejectedValue(new Error('Histogram failed'));
+
+      const result = await runBackfill({
+        prod: true,
+        from: '2024-01-01',
+        to: '2024-01-31'
+      });
+
+      expect(result.status).toBe('error');
+      expect(result.error).toContain('Histogram failed');
+    });
+
     it('handles search query failure', async () => {
       searchDocsByDateRange.mockRejectedValue(new Error('Search failed'));
 
@@ -499,12 +757,7 @@ describe('backfill', () => {
     });
 
     it('handles file read errors gracefully', async () => {
-      const fromDate = moment('2024-01-15').valueOf();
-      const toDate = moment('2024-01-20').valueOf();
-
-      searchDocsByDateRange
-        .mockResolvedValueOnce([{ _source: { dateutc: fromDate - 86400000 } }])
-        .mockResolvedValueOnce([{ _source: { dateutc: toDate + 86400000 } }]);
+      mockSingleGap();
 
       readlineSync.question.mockReturnValue('y');
       fs.readdirSync.mockReturnValue(['corrupt.json']);
@@ -526,14 +779,9 @@ describe('backfill', () => {
     });
 
     it('handles indexer initialization failure', async () => {
-      const fromDate = moment('2024-01-15').valueOf();
-      const toDate = moment('2024-01-20').valueOf();
-
-      searchDocsByDateRange
-        .mockResolvedValueOnce([{ _source: { dateutc: fromDate - 86400000 } }])
-        .mockResolvedValueOnce([{ _source: { dateutc: toDate + 86400000 } }]);
+      mockSingleGap();
 
-      const testRecords = [{ dateutc: moment('2024-01-16').valueOf(), temp: 72 }];
+      const testRecords = [{ dateutc: moment.utc('2024-01-16T12:00:00').valueOf(), temp: 72 }];
       fs.readdirSync.mockReturnValue(['test.json']);
       fs.readFileSync.mockReturnValue(JSON.stringify(testRecords));
       fs.existsSync.mockReturnValue(true);
@@ -565,7 +813,7 @@ describe('backfill', () => {
       });
 
       // Should not fail with date parsing error
-      expect(result.error).not.toContain('Invalid date format');
+      expect(result.error ?? '').not.toContain('Invalid date format');
     });
 
     it('handles leap year dates', async () => {
@@ -575,7 +823,7 @@ describe('backfill', () => {
         to: '2024-02-29'
       });
 
-      expect(result.error).not.toContain('Invalid date format');
+      expect(result.error ?? '').not.toContain('Invalid date format');
     });
 
     it('rejects invalid month', async () => {
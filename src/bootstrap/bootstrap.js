@@ -0,0 +1,307 @@
+const fs = require('file-system');
+const path = require('path');
+const moment = require('moment-timezone');
+const readlineSync = require('readline-sync');
+const Logger = require('../logger');
+const { createEsClient } = require('../dataIndexers/esClient');
+const { selectClusterTargets, multiClusterResult } = require('../dataIndexers/clusterTargets');
+const {
+  getAmbientWeatherAliases,
+  getIndexTemplate,
+  putIndexTemplate,
+  indexExists,
+  createIndex,
+  updateAliases,
+  getLifecyclePolicy,
+  putLifecyclePolicy
+} = require('../dataIndexers/esClientMethods');
+const {
+  readLifecycleConfig,
+  buildLifecyclePolicy,
+  lifecyclePolicyMatches,
+  writeAliasName,
+  indexPattern,
+  templateName,
+  firstRolloverIndexName,
+  resolvedFirstRolloverIndexName
+} = require('../dataIndexers/lifecycle');
+const { DEFAULT_STATION, readStationsConfig } = require('../stations/stations');
+
+const bootstrapLogger = new Logger('[bootstrap]');
+
+const TEMPLATES_DIR = path.join(__dirname, '../../config/templates');
+const DATA_TYPES = ['imperial', 'metric'];
+
+/**
+ * Main bootstrap orchestration function
+ * @param {object} cliArgs - Parsed CLI arguments from yargs ({ cluster, all, prod, staging, both, station, yes, dryRun })
+ * station: slugs of the stations to set up, defaults to every station in the stations config
+ * @returns {object} - Result of the bootstrap operation, see multiClusterResult for several clusters
+ */
+async function runBootstrap(cliArgs) {
+  try {
+    bootstrapLogger.logInfo(`[${new Date().toISOString()}] Starting bootstrap...`);
+
+    const clusters = selectClusterTargets(cliArgs);
+    if (clusters.length === 0) {
+      return { status: 'error', error: 'Must specify --prod, --staging, or --both (or --cluster <name>, --all)' };
+    }
+
+    const { stations: configured, profiles } = readStationsConfig();
+    const stations = cliArgs.station ? [].concat(cliArgs.station) : configured.map(station => station.slug);
+    const [imperialTemplate, metricTemplate] = DATA_TYPES.map(dataType => readTemplateFile(path.join(TEMPLATES_DIR, `ambient_weather_heiligers_${dataType}_`)));
+    const baseTemplates = [imperialTemplate, ...profiles.map(profile => templateForProfile(metricTemplate, profile))];
+    const templates = stations.flatMap(station => baseTemplates.map(template => templateForStation(template, station)));
+    const lifecycleConfig = readLifecycleConfig();
+
+    const results = [];
+    for (const { cluster, clusterName } of clusters) {
+      results.push(await bootstrapSingleCluster(cluster, clusterName, templates, lifecycleConfig, cliArgs));
+    }
+    return clusters.length === 1 ? results[0] : multiClusterResult(results, cliArgs.dryRun ? 'dry-run' : 'success');
+  } catch (err) {
+    bootstrapLogger.logError('[runBootstrap] [ERROR]', err);
+    return { status: 'error', error: err.message };
+  }
+}
+
+/**
+ * Bootstrap a single cluster: plan, show the diff, confirm and apply
+ * @param {string} cluster - Cluster name from the clusters config
+ * @param {string} clusterName - Display name for cluster
+ * @param {array} templates - Output of readTemplateFile for each data type
+ * @param {object} lifecycleConfig - Output of readLifecycleConfig
+ * @param {object} options - { yes, dryRun }
+ * @returns {object} - Bootstrap result for the cluster
+ */
+async function bootstrapSingleCluster(cluster, clusterName, templates, lifecycleConfig, { yes = false, dryRun = false } = {}) {
+  try {
+    const client = createEsClient(cluster);
+    const plan = await planBootstrap(client, templates, moment.utc(), lifecycleConfig);
+
+    printPlan(plan, clusterName);
+
+    if (plan.length === 0) {
+      return { status: 'success', cluster: clusterName, message: 'Cluster already bootstrapped - nothing to change' };
+    }
+    if (dryRun) {
+      return { status: 'dry-run', cluster: clusterName, plan };
+    }
+    if (!yes && !confirm(`Apply ${plan.length} change(s) to ${clusterName}? (y/n): `)) {
+      return { status: 'cancelled', cluster: clusterName, message: 'Bootstrap cancelled by user' };
+    }
+
+    await applyBootstrap(client, plan);
+    bootstrapLogger.logInfo(`[${clusterName}] Applied ${plan.length} change(s)`);
+    return { status: 'success', cluster: clusterName, applied: plan };
+  } catch (err) {
+    bootstrapLogger.logError(`[${clusterName}] [bootstrapSingleCluster] ERROR:`, err);
+    return { status: 'error', cluster: clusterName, error: err.message };
+  }
+}
+
+/**
+ * Parse one of the `PUT _template/<name>` files in config/templates
+ * @param {string} filePath - path to the template file
+ * @returns {object} - { name, dataType, body } where body is the parsed JSON request body
+ * @example
+ * readTemplateFile('config/templates/ambient_weather_heiligers_metric_')
+ * // { name: 'ambient_weather_heiligers_metric', dataType: 'metric', body: { order: 0, version: 1, index_patterns: [...], ... } }
+ */
+function readTemplateFile(filePath) {
+  const [requestLine, ...bodyLines] = fs.readFileSync(filePath, 'utf8').split('\n');
+  const match = requestLine.trim().match(/^PUT\s+\/?_template\/(\S+)$/);
+  if (!match) {
+    throw new Error(`${filePath} does not start with a "PUT _template/<name>" request line`);
+  }
+  const name = match[1];
+  return {
+    name,
+    dataType: DATA_TYPES.find(dataType => name.includes(dataType)),
+    body: JSON.parse(bodyLines.join('\n'))
+  };
+}
+
+/**
+ * Every station gets its own templates, indices and write aliases, with the mappings and settings of the
+ * config/templates files (which are written for the original station)
+ * @param {object} template - Output of readTemplateFile
+ * @param {string} station - station slug
+ * @returns {object} - { name, dataType, station, body }
+ * @example
+ * templateForStation(readTemplateFile('config/templates/ambient_weather_heiligers_metric_'), 'patio')
+ * // { name: 'ambient_weather_patio_metric', dataType: 'metric', station: 'patio', body: { index_patterns: ['ambient_weather_patio_metric_*'], ... } }
+ */
+function templateForStation(template, station) {
+  if (station === DEFAULT_STATION) return { ...template, station };
+  return retarget(template, template.dataType, station);
+}
+
+/**
+ * Every unit profile other than metric gets its own template, indices and write alias, with the settings and mappings
+ * of the metric template: the profiles map the same fields with other suffixes, dynamic mapping types them
+ * @param {object} template - Output of readTemplateFile for the metric template
+ * @param {string} profile - unit profile (see src/utils/fieldMappings.js)
+ * @returns {object} - { name, dataType, station, body } for the original station, see templateForStation for the others
+ * @example
+ * templateForProfile(readTemplateFile('config/templates/ambient_weather_heiligers_metric_'), 'wmo')
+ * // { name: 'ambient_weather_heiligers_wmo', dataType: 'wmo', station: 'heiligers', body: { index_patterns: ['ambient_weather_heiligers_wmo_*'], ... } }
+ */
+function templateForProfile(template, profile) {
+  if (profile === template.dataType) return template;
+  return retarget(template, profile, DEFAULT_STATION);
+}
+
+// a copy of a template for another data type or station: its name, index pattern and aliases follow
+function retarget(template, dataType, station) {
+  const alias = writeAliasName(dataType, station);
+  const body = JSON.parse(JSON.stringify(template.body));
+  body.index_patterns = [indexPattern(dataType, station)];
+  if (body.settings?.index?.lifecycle) body.settings.index.lifecycle.rollover_alias = alias;
+  if (body.aliases) body.aliases = { [alias]: {} };
+  return { name: templateName(dataType, station), dataType, station, body };
+}
+
+/**
+ * Work out what needs to change on a cluster, without changing anything
+ * - the ILM policy the templates refer to is created when missing and updated when its rollover conditions differ
+ * - templates are created when missing and updated when their `version` differs from the file, or when the cluster's
+ *   template lacks or differs in anything the file sets (edited without a version bump). What only the cluster has
+ *   (defaults it fills in) doesn't count
+ * - a numbered write index (..._YYYY_MM_DD-000001) is only created when an alias has no write index
+ * @param {object} client - ES client
+ * @param {array} templates - Output of readTemplateFile (or templateForStation) for each data type and station
+ * @param {object} now - moment used to name new indices (defaults to the current UTC date)
+ * @param {object} lifecycleConfig - Output of readLifecycleConfig
+ * @returns {array} - ordered actions: { type: 'putPolicy' | 'putTemplate' | 'createIndex' | 'setWriteIndex', ... }
+ */
+async function planBootstrap(client, templates, now = moment.utc(), lifecycleConfig = readLifecycleConfig()) {
+  const plan = [];
+  const aliases = await getAmbientWeatherAliases(client);
+  if (!Array.isArray(aliases)) {
+    // getAmbientWeatherAliases swallows request errors; without the aliases we can't tell which write indices already exist
+    throw new Error('Could not read the ambient weather aliases from the cluster');
+  }
+
+  const existingPolicy = await getLifecyclePolicy(client, lifecycleConfig.policyName);
+  if (!lifecyclePolicyMatches(existingPolicy, lifecycleConfig)) {
+    plan.push({ type: 'putPolicy', name: lifecycleConfig.policyName, policy: buildLifecyclePolicy(lifecycleConfig), change: existingPolicy ? 'update' : 'create' });
+  }
+
+  for (const template of templates) {
+    const existingTemplate = await getIndexTemplate(client, template.name);
+    if (!existingTemplate) {
+      plan.push({ type: 'putTemplate', name: template.name, body: template.body, change: 'create', diff: diffObjects({}, template.body) });
+    } else {
+      const diff = diffObjects(existingTemplate, template.body);
+      if (existingTemplate.version !== template.body.version || diff.some(line => !line.startsWith('- '))) {
+        plan.push({ type: 'putTemplate', name: template.name, body: template.body, change: 'update', diff });
+      }
+    }
+  }
+
+  for (const { dataType, station } of templates) {
+    const alias = writeAliasName(dataType, station);
+    const hasWriteIndex = aliases.some(entry => entry.alias === alias && entry.is_write_index === 'true');
+    if (hasWriteIndex) continue;
+
+    const index = resolvedFirstRolloverIndexName(dataType, now, station);
+    if (await indexExists(client, index)) {
+      plan.push({ type: 'setWriteIndex', alias, index });
+    } else {
+      plan.push({ type: 'createIndex', alias, index, dataType, station });
+    }
+  }
+  return plan;
+}
+
+/**
+ * Apply a plan made by planBootstrap. The policy and templates go first so new indices pick up their mappings and lifecycle.
+ * @param {object} client - ES client
+ * @param {array} plan - Output of planBootstrap
+ * @returns {void}
+ */
+async function applyBootstrap(client, plan) {
+  for (const action of plan) {
+    if (action.type === 'putPolicy') {
+      await putLifecyclePolicy(client, action.name, action.policy);
+    } else if (action.type === 'putTemplate') {
+      await putIndexTemplate(client, action.name, action.body);
+    } else if (action.type === 'createIndex') {
+      // date math in the name lets ILM move the date forward on every rollover
+      await createIndex(client, firstRolloverIndexName(action.dataType, action.station), undefined, { [action.alias]: { is_write_index: true } });
+    } else if (action.type === 'setWriteIndex') {
+      await updateAliases(client, [{ add: { index: action.index, alias: action.alias, is_write_index: true } }]);
+    }
+  }
+}
+
+/**
+ * Flat diff between two JSON objects. Values are compared as strings because the cluster returns
+ * some settings as strings (e.g. number_of_shards: "1")
+ * @param {object} current - what the cluster has
+ * @param {object} desired - what the template file has
+ * @param {string} prefix - path prefix used while recursing
+ * @returns {array} - lines like '+ version: 1', '- settings.index.refresh_interval: "5s"', '~ version: 1 -> 2'
+ */
+function diffObjects(current = {}, desired = {}, prefix = '') {
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const keys = [...new Set([...Object.keys(current), ...Object.keys(desired)])].sort();
+
+  return keys.flatMap((key) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const [from, to] = [current[key], desired[key]];
+    if (isObject(from) && isObject(to)) return diffObjects(from, to, keyPath);
+    if (from === undefined) return [`+ ${keyPath}: ${JSON.stringify(to)}`];
+    if (to === undefined) return [`- ${keyPath}: ${JSON.stringify(from)}`];
+    if (JSON.stringify(from) === JSON.stringify(to) || String(from) === String(to)) return [];
+    return [`~ ${keyPath}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`];
+  });
+}
+
+/**
+ * Print the plan so the user can see what would change before confirming
+ * @param {array} plan - Output of planBootstrap
+ * @param {string} clusterName - Cluster name for display
+ */
+function printPlan(plan, clusterName) {
+  if (process.env.NODE_ENV === 'test') return;
+  console.log('\n========================================');
+  console.log(`Bootstrap plan for ${clusterName} cluster:`);
+  console.log('========================================');
+  if (plan.length === 0) {
+    console.log('Nothing to change: the policy and templates are current and every alias has a write index');
+  }
+  plan.forEach((action) => {
+    if (action.type === 'putPolicy') {
+      console.log(`ILM policy ${action.name}: ${action.change} (rollover ${JSON.stringify(action.policy.phases.hot.actions.rollover)})`);
+    } else if (action.type === 'putTemplate') {
+      console.log(`template ${action.name}: ${action.change} (version ${action.body.version})`);
+      action.diff.forEach(line => console.log(`    ${line}`));
+    } else if (action.type === 'createIndex') {
+      console.log(`index ${action.index}: create, as write index for ${action.alias}`);
+    } else if (action.type === 'setWriteIndex') {
+      console.log(`alias ${action.alias}: set write index to existing ${action.index}`);
+    }
+  });
+  console.log('========================================\n');
+}
+
+/**
+ * Prompt for a y/n answer
+ * @param {string} promptMessage - Question to show
+ * @returns {boolean} - True if the user answers y or yes
+ */
+function confirm(promptMessage) {
+  try {
+    const answer = `${readlineSync.question(promptMessage) ?? ''}`.toLowerCase();
+    return answer === 'y' || answer === 'yes';
+  } catch (err) {
+    if (err.message && err.message.includes('TTY')) {
+      throw new Error('TTY not available. Use --yes flag to skip confirmation prompts.');
+    }
+    throw err;
+  }
+}
+
+module.exports = { runBootstrap, readTemplateFile, templateForStation, templateForProfile, planBootstrap, applyBootstrap, diffObjects };
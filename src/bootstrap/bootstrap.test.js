@@ -0,0 +1,293 @@
+const path = require('path');
+const moment = require('moment-timezone');
+
+jest.mock('../dataIndexers/esClient', () => ({
+  createEsClient: jest.fn()
+}));
+
+jest.mock('../dataIndexers/esClientMethods', () => ({
+  getAmbientWeatherAliases: jest.fn(),
+  getIndexTemplate: jest.fn(),
+  putIndexTemplate: jest.fn(),
+  indexExists: jest.fn(),
+  createIndex: jest.fn(),
+  updateAliases: jest.fn(),
+  getLifecyclePolicy: jest.fn(),
+  putLifecyclePolicy: jest.fn()
+}));
+
+jest.mock('readline-sync', () => ({
+  question: jest.fn()
+}));
+
+const { runBootstrap, readTemplateFile, templateForStation, templateForProfile, planBootstrap, diffObjects } = require('./bootstrap');
+const { createEsClient } = require('../dataIndexers/esClient');
+const {
+  getAmbientWeatherAliases,
+  getIndexTemplate,
+  putIndexTemplate,
+  indexExists,
+  createIndex,
+  updateAliases,
+  getLifecyclePolicy,
+  putLifecyclePolicy
+} = require('../dataIndexers/esClientMethods');
+const readlineSync = require('readline-sync');
+
+const TEMPLATES_DIR = path.join(__dirname, '../../config/templates');
+
+describe('bootstrap', () => {
+  const mockEsClient = { name: 'client' };
+  const imperialTemplate = readTemplateFile(path.join(TEMPLATES_DIR, 'ambient_weather_heiligers_imperial_'));
+  const metricTemplate = readTemplateFile(path.join(TEMPLATES_DIR, 'ambient_weather_heiligers_metric_'));
+  const today = moment.utc().format('YYYY_MM_DD');
+  const lifecycleConfig = { policyName: 'ambient-weather-heiligers', rollover: { max_age: '30d', max_primary_shard_size: '5gb' } };
+  const currentPolicy = { phases: { hot: { min_age: '0ms', actions: { rollover: lifecycleConfig.rollover } } } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    createEsClient.mockReturnValue(mockEsClient);
+
+    // Default: empty cluster
+    getAmbientWeatherAliases.mockResolvedValue([]);
+    getIndexTemplate.mockResolvedValue(null);
+    getLifecyclePolicy.mockResolvedValue(null);
+    indexExists.mockResolvedValue(false);
+  });
+
+  describe('readTemplateFile', () => {
+    it('parses the template name and JSON body from a config/templates file', () => {
+      expect(imperialTemplate.name).toBe('ambient_weather_heiligers_imperial');
+      expect(imperialTemplate.dataType).toBe('imperial');
+      expect(imperialTemplate.body.index_patterns).toEqual(['ambient_weather_heiligers_imperial_*']);
+      expect(metricTemplate.body.aliases).toEqual({ 'all-ambient-weather-heiligers-metric': {} });
+    });
+
+    it('points new indices at the ILM policy and their rollover alias', () => {
+      expect(metricTemplate.body.settings.index.lifecycle).toEqual({
+        name: 'ambient-weather-heiligers',
+        rollover_alias: 'all-ambient-weather-heiligers-metric'
+      });
+    });
+  });
+
+  describe('templateForStation', () => {
+    it('keeps the template files as they are for the original station', () => {
+      expect(templateForStation(metricTemplate, 'heiligers')).toEqual({ ...metricTemplate, station: 'heiligers' });
+    });
+
+    it("points another station's template at its own indices and write alias", () => {
+      const template = templateForStation(metricTemplate, 'patio');
+
+      expect(template.name).toBe('ambient_weather_patio_metric');
+      expect(template.body.index_patterns).toEqual(['ambient_weather_patio_metric_*']);
+      expect(template.body.settings.index.lifecycle).toEqual({ name: 'ambient-weather-heiligers', rollover_alias: 'all-ambient-weather-patio-metric' });
+      expect(template.body.aliases).toEqual({ 'all-ambient-weather-patio-metric': {} });
+      expect(template.body.mappings).toEqual(metricTemplate.body.mappings);
+      // the file's template is left alone
+      expect(metricTemplate.body.index_patterns).toEqual(['ambient_weather_heiligers_metric_*']);
+    });
+  });
+
+  describe('templateForProfile', () => {
+    it('gives a unit profile the settings and mappings of the metric template with its own indices and write alias', () => {
+      expect(templateForProfile(metricTemplate, 'metric')).toBe(metricTemplate);
+
+      const template = templateForStation(templateForProfile(metricTemplate, 'wmo'), 'patio');
+
+      expect(template).toEqual(expect.objectContaining({ name: 'ambient_weather_patio_wmo', dataType: 'wmo', station: 'patio' }));
+      expect(template.body.index_patterns).toEqual(['ambient_weather_patio_wmo_*']);
+      expect(template.body.settings.index.lifecycle.rollover_alias).toBe('all-ambient-weather-patio-wmo');
+      expect(template.body.mappings).toEqual(metricTemplate.body.mappings);
+    });
+  });
+
+  describe('planBootstrap', () => {
+    it('plans the policy, templates, indices and write aliases for an empty cluster', async () => {
+      const plan = await planBootstrap(mockEsClient, [imperialTemplate, metricTemplate], moment.utc('2026-10-19'), lifecycleConfig);
+
+      expect(plan.map(({ type, name, index, alias }) => ({ type, name, index, alias }))).toEqual([
+        { type: 'putPolicy', name: 'ambient-weather-heiligers', index: undefined, alias: undefined },
+        { type: 'putTemplate', name: 'ambient_weather_heiligers_imperial', index: undefined, alias: undefined },
+        { type: 'putTemplate', name: 'ambient_weather_heiligers_metric', index: undefined, alias: undefined },
+        { type: 'createIndex', name: undefined, index: 'ambient_weather_heiligers_imperial_2026_10_19-000001', alias: 'all-ambient-weather-heiligers-imperial' },
+        { type: 'createIndex', name: undefined, index: 'ambient_weather_heiligers_metric_2026_10_19-000001', alias: 'all-ambient-weather-heiligers-metric' }
+      ]);
+      expect(plan[0].policy).toEqual(currentPolicy);
+    });
+
+    it('updates the policy when the configured rollover conditions differ', async () => {
+      getLifecyclePolicy.mockResolvedValue({ phases: { hot: { min_age: '0ms', actions: { rollover: { max_age: '7d' } } } } });
+
+      const plan = await planBootstrap(mockEsClient, [], moment.utc(), lifecycleConfig);
+
+      expect(plan).toEqual([expect.objectContaining({ type: 'putPolicy', change: 'update' })]);
+    });
+
+    it('plans nothing for a cluster that is already bootstrapped', async () => {
+      getIndexTemplate.mockImplementation(async (client, name) => (name.includes('imperial') ? imperialTemplate.body : metricTemplate.body));
+      getLifecyclePolicy.mockResolvedValue(currentPolicy);
+      getAmbientWeatherAliases.mockResolvedValue([
+        { alias: 'all-ambient-weather-heiligers-imperial', index: 'ambient_weather_heiligers_imperial_2021_12_30', is_write_index: 'true' },
+        { alias: 'all-ambient-weather-heiligers-metric', index: 'ambient_weather_heiligers_metric_2021_12_30', is_write_index: 'true' }
+      ]);
+
+      const plan = await planBootstrap(mockEsClient, [imperialTemplate, metricTemplate], moment.utc(), lifecycleConfig);
+
+      expect(plan).toEqual([]);
+      expect(indexExists).not.toHaveBeenCalled();
+    });
+
+    it('updates a template when its version differs and includes a diff', async () => {
+      getIndexTemplate.mockResolvedValue({ ...imperialTemplate.body, version: 1, settings: { index: { number_of_shards: '2' } } });
+      getLifecyclePolicy.mockResolvedValue(currentPolicy);
+
+      const plan = await planBootstrap(mockEsClient, [imperialTemplate], moment.utc(), lifecycleConfig);
+
+      expect(plan[0]).toEqual(expect.objectContaining({ type: 'putTemplate', change: 'update' }));
+      expect(plan[0].diff).toEqual([
+        '+ settings.index.lifecycle: {"name":"ambient-weather-heiligers","rollover_alias":"all-ambient-weather-heiligers-imperial"}',
+        '~ settings.index.number_of_shards: "2" -> "1"',
+        '~ version: 1 -> 8'
+      ]);
+    });
+
+    it('updates a template edited without a version bump, but not for what only the cluster has', async () => {
+      getIndexTemplate.mockResolvedValue({ ...imperialTemplate.body, settings: { index: { ...imperialTemplate.body.settings.index, number_of_shards: '2' } } });
+      getLifecyclePolicy.mockResolvedValue(currentPolicy);
+
+      const [action] = await planBootstrap(mockEsClient, [imperialTemplate], moment.utc(), lifecycleConfig);
+
+      expect(action).toEqual(expect.objectContaining({ type: 'putTemplate', change: 'update' }));
+      expect(action.diff).toEqual(['~ settings.index.number_of_shards: "2" -> "1"']);
+
+      getIndexTemplate.mockResolvedValue({ ...imperialTemplate.body, aliases: { ...imperialTemplate.body.aliases, 'weather-dashboards': {} }, settings: { index: { ...imperialTemplate.body.settings.index, refresh_interval: '1s' } } });
+
+      const plan = await planBootstrap(mockEsClient, [imperialTemplate], moment.utc(), lifecycleConfig);
+
+      expect(plan.filter(action => action.type === 'putTemplate')).toEqual([]);
+    });
+
+    it('points the write alias at an existing numbered index instead of creating it again', async () => {
+      indexExists.mockResolvedValue(true);
+      getLifecyclePolicy.mockResolvedValue(currentPolicy);
+
+      const plan = await planBootstrap(mockEsClient, [metricTemplate], moment.utc('2026-10-19'), lifecycleConfig);
+
+      expect(plan[1]).toEqual({ type: 'setWriteIndex', alias: 'all-ambient-weather-heiligers-metric', index: 'ambient_weather_heiligers_metric_2026_10_19-000001' });
+    });
+
+    it('throws when the aliases cannot be read', async () => {
+      getAmbientWeatherAliases.mockResolvedValue(undefined);
+
+      await expect(planBootstrap(mockEsClient, [metricTemplate], moment.utc(), lifecycleConfig)).rejects.toThrow('Could not read the ambient weather aliases');
+    });
+  });
+
+  describe('diffObjects', () => {
+    it('treats values that only differ in type as equal', () => {
+      expect(diffObjects({ settings: { index: { number_of_shards: '1' } } }, { settings: { index: { number_of_shards: 1 } } })).toEqual([]);
+    });
+
+    it('reports added and removed keys', () => {
+      expect(diffObjects({ order: 0 }, { version: 1 })).toEqual(['- order: 0', '+ version: 1']);
+    });
+  });
+
+  describe('runBootstrap', () => {
+    it('returns error when no cluster is specified', async () => {
+      const result = await runBootstrap({});
+
+      expect(result.status).toBe('error');
+      expect(createEsClient).not.toHaveBeenCalled();
+    });
+
+    it('applies the plan with --yes', async () => {
+      const result = await runBootstrap({ staging: true, yes: true });
+
+      expect(result.status).toBe('success');
+      expect(createEsClient).toHaveBeenCalledWith('STAGING');
+      expect(putIndexTemplate).toHaveBeenCalledWith(mockEsClient, 'ambient_weather_heiligers_imperial', imperialTemplate.body);
+      expect(putIndexTemplate).toHaveBeenCalledWith(mockEsClient, 'ambient_weather_heiligers_metric', metricTemplate.body);
+      expect(putLifecyclePolicy).toHaveBeenCalledWith(mockEsClient, 'ambient-weather-heiligers', expect.any(Object));
+      expect(createIndex).toHaveBeenCalledWith(
+        mockEsClient,
+        '<ambient_weather_heiligers_metric_{now/d{yyyy_MM_dd|+00:00}}-000001>',
+        undefined,
+        { 'all-ambient-weather-heiligers-metric': { is_write_index: true } }
+      );
+      // the policy and templates are created before the indices that depend on them
+      expect(putLifecyclePolicy.mock.invocationCallOrder[0]).toBeLessThan(putIndexTemplate.mock.invocationCallOrder[0]);
+      expect(putIndexTemplate.mock.invocationCallOrder[1]).toBeLessThan(createIndex.mock.invocationCallOrder[0]);
+    });
+
+    it('sets up the stations passed with --station', async () => {
+      await runBootstrap({ staging: true, yes: true, station: ['patio'] });
+
+      expect(putIndexTemplate).toHaveBeenCalledTimes(2);
+      expect(putIndexTemplate).toHaveBeenCalledWith(mockEsClient, 'ambient_weather_patio_metric', expect.objectContaining({ index_patterns: ['ambient_weather_patio_metric_*'] }));
+      expect(createIndex).toHaveBeenCalledWith(
+        mockEsClient,
+        '<ambient_weather_patio_imperial_{now/d{yyyy_MM_dd|+00:00}}-000001>',
+        undefined,
+        { 'all-ambient-weather-patio-imperial': { is_write_index: true } }
+      );
+    });
+
+    it('sets the write alias on an existing index', async () => {
+      indexExists.mockResolvedValue(true);
+
+      await runBootstrap({ prod: true, yes: true });
+
+      expect(updateAliases).toHaveBeenCalledWith(mockEsClient, [
+        { add: { index: `ambient_weather_heiligers_imperial_${today}-000001`, alias: 'all-ambient-weather-heiligers-imperial', is_write_index: true } }
+      ]);
+      expect(createIndex).not.toHaveBeenCalled();
+    });
+
+    it('does not change anything with --dry-run', async () => {
+      const result = await runBootstrap({ prod: true, dryRun: true });
+
+      expect(result.status).toBe('dry-run');
+      expect(result.plan).toHaveLength(5);
+      expect(putIndexTemplate).not.toHaveBeenCalled();
+      expect(createIndex).not.toHaveBeenCalled();
+    });
+
+    it('does not change anything when the user declines', async () => {
+      readlineSync.question.mockReturnValue('n');
+
+      const result = await runBootstrap({ prod: true });
+
+      expect(result.status).toBe('cancelled');
+      expect(putIndexTemplate).not.toHaveBeenCalled();
+    });
+
+    it('bootstraps both clusters with --both', async () => {
+      const result = await runBootstrap({ both: true, yes: true });
+
+      expect(result.mode).toBe('multi-cluster');
+      expect(result.status).toBe('success');
+      expect(result.results.map(r => r.cluster)).toEqual(['PRODUCTION', 'STAGING']);
+    });
+
+    it('reports a partial result when one of the clusters fails', async () => {
+      putIndexTemplate.mockResolvedValueOnce(true).mockResolvedValueOnce(true).mockRejectedValue(new Error('security_exception'));
+
+      const result = await runBootstrap({ both: true, yes: true });
+
+      expect(result.status).toBe('partial');
+      expect(result.failed).toEqual(['STAGING']);
+      expect(result.results.map(r => r.status)).toEqual(['success', 'error']);
+    });
+
+    it('returns an error result when a cluster request fails', async () => {
+      putIndexTemplate.mockRejectedValue(new Error('security_exception'));
+
+      const result = await runBootstrap({ prod: true, yes: true });
+
+      expect(result.status).toBe('error');
+      expect(result.error).toContain('security_exception');
+    });
+  });
+});
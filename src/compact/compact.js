@@ -0,0 +1,184 @@
+const fs = require('file-system');
+const moment = require('moment-timezone');
+const Logger = require('../logger');
+const { Registry } = require('../registry');
+const { CompactionMap } = require('../registry/compactionMap');
+const { readStationsConfig, findStation } = require('../stations/stations');
+const { mapFields, profileFields, writeFileAtomic } = require('../utils');
+const { QualityControl } = require('../qualityControl/qualityControl');
+const { imperialDocuments } = require('../converters/imperialDocuments');
+
+const compactLogger = new Logger('[compact]');
+
+const COMMANDS = ['days', 'resolve'];
+
+/**
+ * Compacts the raw data files of every station into one file per UTC day, or resolves the names of compacted files
+ * @param {object} cliArgs - Parsed CLI arguments from yargs ({ _: [command], station, before, dryRun, names })
+ * days: compacts the files whose records are all before --before (YYYY-MM-DD, UTC, defaults to today) into daily files
+ * resolve: the files that hold the records of each of names now
+ * station: slugs, defaults to every configured station
+ * @returns {object} - days: { status, dryRun, before, mapFile, stations: [output of compactStation] }, resolve: { status, resolved: { <name>: [names] } }
+ */
+async function runCompact(cliArgs) {
+  try {
+    const command = cliArgs._?.[0] ?? 'days';
+    if (!COMMANDS.includes(command)) {
+      return { status: 'error', error: `Command must be one of: ${COMMANDS.join(', ')}` };
+    }
+    const { stations: configured, profiles } = readStationsConfig();
+    const slugs = cliArgs.station
+      ? [].concat(cliArgs.station).map(slug => findStation(slug).slug)
+      : configured.map(station => station.slug);
+    const compactionMap = new CompactionMap();
+
+    if (command === 'resolve') {
+      const registries = slugs.map(slug => new Registry(fs, { slug, compactionMap, profiles }));
+      const resolved = Object.fromEntries([].concat(cliArgs.names ?? []).map(name => [
+        name,
+        registries.flatMap(registry => registry.resolve(name.replace(/\.jsonl?$/, '')).map(entry => entry.baseName))
+      ]));
+      return { status: 'success', command, resolved };
+    }
+
+    const before = cliArgs.before ? moment.tz(cliArgs.before, 'YYYY-MM-DD', true, 'UTC') : moment.utc().startOf('day');
+    if (!before.isValid()) {
+      return { status: 'error', error: `Invalid date format for --before. Use YYYY-MM-DD, got ${cliArgs.before}` };
+    }
+    compactLogger.logInfo(`[${new Date().toISOString()}] Compacting the data files before ${before.format('YYYY-MM-DD')} into daily files${cliArgs.dryRun ? ' (dry run)' : ''}...`);
+
+    const stations = slugs.map(slug => compactStation(new Registry(fs, { slug, compactionMap, profiles }), { before: before.valueOf(), dryRun: cliArgs.dryRun, compactionMap }));
+    printStations(stations, cliArgs.dryRun);
+    return { status: cliArgs.dryRun ? 'dry-run' : 'success', command, dryRun: Boolean(cliArgs.dryRun), before: before.toISOString(), mapFile: compactionMap.filePath, stations };
+  } catch (err) {
+    compactLogger.logError('[runCompact] [ERROR]', err);
+    return { status: 'error', error: err.message };
+  }
+}
+
+const utcDay = dateutc => moment.utc(dateutc).format('YYYY-MM-DD');
+
+/**
+ * Merges the raw imperial records of a station's files into one file per UTC day, deduplicated by dateutc and sorted,
+ * named `<first dateutc>_<last dateutc>` like every fetched file, and regenerates the imperial JSONL copy and the JSONL
+ * copy of every unit profile of the registry.
+ * Only files whose records are all before `before` are compacted, so the day being fetched into is left alone.
+ * Files are read oldest first and a day is written as soon as no file left can hold records of it. The compaction map
+ * is updated and the old files removed once every day is written: when a run stops halfway, the old files are still
+ * there and the next run merges them with the daily files again
+ * @param {object} registry the station's Registry
+ * @param {object} opts { before: epoch ms, dryRun, compactionMap, qualityControl: flags the JSONL copies, see src/qualityControl }
+ * @returns {object} { slug, filesBefore, filesAfter, records, duplicatesRemoved, days: [{ day, file, records, sources }] }
+ */
+function compactStation(registry, { before, dryRun = false, compactionMap, qualityControl = new QualityControl() }) {
+  const slug = registry.slug;
+  // files without a raw copy (e.g. backfill leftovers) and files that can't be read are left as they are
+  const sources = registry.entries.filter(entry => entry.paths.imperial && entry.records > 0 && entry.maxDateutc < before);
+  const filesBefore = registry.entries.length;
+  const openDays = new Map();
+  const days = [];
+  // the records of the day before, for the QC flags and the rain of the first readings of a day
+  let history = [];
+
+  const closeDays = (untilDay = null) => {
+    [...openDays.keys()].filter(day => untilDay === null || day < untilDay).sort().forEach((day) => {
+      const compacted = compactDay(registry, day, openDays.get(day), dryRun, { qualityControl, history });
+      if (compacted) days.push(compacted);
+      history = [...openDays.get(day).records.values()];
+      openDays.delete(day);
+    });
+  };
+
+  sources.forEach((entry) => {
+    // entries are sorted by their first dateutc: no file left holds records of the days before this one
+    closeDays(utcDay(entry.minDateutc));
+    registry.readRecords(entry).forEach((record) => {
+      const day = utcDay(record.dateutc);
+      if (!openDays.has(day)) openDays.set(day, { records: new Map(), sources: new Set(), read: 0 });
+      const openDay = openDays.get(day);
+      // the first copy of a dateutc wins: files are read oldest first
+      if (!openDay.records.has(record.dateutc)) openDay.records.set(record.dateutc, record);
+      openDay.sources.add(entry.baseName);
+      openDay.read += 1;
+    });
+  });
+  closeDays();
+
+  const replaced = new Set(days.flatMap(day => day.sources));
+  const newFiles = new Set(days.map(({ file }) => file));
+  const summary = {
+    slug,
+    filesBefore,
+    filesAfter: filesBefore - [...replaced].filter(baseName => !newFiles.has(baseName)).length + [...newFiles].filter(file => !replaced.has(file)).length,
+    records: days.reduce((total, day) => total + day.records, 0),
+    duplicatesRemoved: days.reduce((total, day) => total + day.read - day.records, 0),
+    days: days.map(({ day, file, records, sources: dayBaseNames }) => ({ day, file, records, sources: dayBaseNames }))
+  };
+  if (dryRun || days.length === 0) return summary;
+
+  // a file overwritten by the daily file of the same name still moves when some of its records went to other days
+  const moves = Object.fromEntries([...replaced]
+    .map(baseName => [baseName, days.filter(day => day.sources.includes(baseName)).map(day => day.file)])
+    .filter(([baseName, files]) => files.length > 1 || files[0] !== baseName));
+  compactionMap.record(slug, moves);
+
+  [...replaced].filter(baseName => !newFiles.has(baseName)).forEach((baseName) => {
+    Object.values(registry.entry(baseName).paths).filter(Boolean).forEach(filePath => fs.unlinkSync(filePath));
+  });
+  registry.scan();
+  compactLogger.logInfo(`[${slug}] ${replaced.size} files compacted into ${days.length} daily files (${summary.duplicatesRemoved} duplicates removed)`);
+  return summary;
+}
+
+/**
+ * Writes the daily file of a day, unless its only file already is that daily file
+ * @param {object} registry the station's Registry
+ * @param {string} day YYYY-MM-DD
+ * @param {object} openDay { records: Map of dateutc to record, sources: Set of base names, read: records read }
+ * @param {boolean} dryRun
+ * @param {object} qc { qualityControl, history: the records of the day before }
+ * @returns {object | null} { day, file, records, read, sources }, null when the day is compacted already
+ */
+function compactDay(registry, day, { records, sources, read }, dryRun, { qualityControl, history }) {
+  const sorted = [...records.values()].sort((a, b) => a.dateutc - b.dateutc);
+  const file = `${sorted[0].dateutc}_${sorted[sorted.length - 1].dateutc}`;
+  const dayBaseNames = [...sources];
+  const existing = registry.entry(file);
+  if (dayBaseNames.length === 1 && dayBaseNames[0] === file && existing.status === 'converted' && existing.records === read && read === sorted.length) {
+    return null;
+  }
+  if (existing && !sources.has(file)) {
+    throw new Error(`[${registry.slug}] the daily file ${file} of ${day} would overwrite a file that isn't compacted`);
+  }
+
+  if (!dryRun) {
+    const directories = registry.directories;
+    writeFileAtomic(fs, `${directories.imperial}/${file}.json`, JSON.stringify(sorted, null, 2));
+    const documents = imperialDocuments(sorted, { qualityControl, history, source: file });
+    writeFileAtomic(fs, `${directories['imperial-jsonl']}/${file}.jsonl`, documents.map(record => `${JSON.stringify(record)}\n`).join(''));
+    registry.profiles.forEach((profile) => {
+      const fields = profileFields(profile);
+      writeFileAtomic(fs, `${directories[`${profile}-jsonl`]}/${file}.jsonl`, documents.map(record => `${JSON.stringify(mapFields(record, fields))}\n`).join(''));
+    });
+  }
+  return { day, file, records: sorted.length, read, sources: dayBaseNames };
+}
+
+/**
+ * Print what was (or would be) compacted per station
+ * @param {array} stations - Output of compactStation for every station
+ * @param {boolean} dryRun
+ */
+function printStations(stations, dryRun) {
+  if (process.env.NODE_ENV === 'test') return;
+  console.log('\n========================================');
+  console.log(`Compaction${dryRun ? ' (dry run)' : ''}:`);
+  console.log('========================================');
+  stations.forEach((station) => {
+    console.log(`${station.slug}: ${station.filesBefore} -> ${station.filesAfter} files, ${station.days.length} days, ${station.duplicatesRemoved} duplicates removed`);
+    station.days.forEach(day => console.log(`    ${day.day}: ${day.sources.length} files -> ${day.file} (${day.records} records)`));
+  });
+  console.log('========================================\n');
+}
+
+module.exports = { runCompact, compactStation };
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runCompact, compactStation } = require('./compact');
+const { Registry } = require('../registry');
+const { CompactionMap } = require('../registry/compactionMap');
+const { convertToMetric, mapFields, profileFields, withDerivedFields } = require('../utils');
+
+describe('compact', () => {
+  const FIVE_MINUTES = 5 * 60 * 1000;
+  const DAY = 24 * 60 * 60 * 1000;
+  const JAN_1 = Date.UTC(2026, 0, 1);
+  let tmpDir;
+  let dataDirectory;
+  let compactionMap;
+
+  const NOT_FLAGGED = { flagged: false, range: [], step: [], persistence: [] };
+  const NO_RAIN = { rainin: null, rainrateinhr: null };
+  const records = (start, count) => Array.from({ length: count }, (_, i) => ({ dateutc: start + i * FIVE_MINUTES, tempf: 70 }));
+  const directory = kind => path.join(dataDirectory, `ambient-weather-heiligers-${kind}`);
+  const writeFetched = (data, { converted = true } = {}) => {
+    const baseName = `${data[0].dateutc}_${data[data.length - 1].dateutc}`;
+    fs.writeFileSync(path.join(directory('imperial'), `${baseName}.json`), JSON.stringify(data));
+    if (converted) {
+      fs.writeFileSync(path.join(directory('imperial-jsonl'), `${baseName}.jsonl`), data.map(record => JSON.stringify(record)).join('\n'));
+      fs.writeFileSync(path.join(directory('metric-jsonl'), `${baseName}.jsonl`), data.map(record => JSON.stringify(convertToMetric(record))).join('\n'));
+    }
+    return baseName;
+  };
+  const readJsonl = (kind, baseName) => fs.readFileSync(path.join(directory(kind), `${baseName}.jsonl`), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  const registry = () => new Registry(fs, { dataDirectory, compactionMap });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'compact-'));
+    dataDirectory = path.join(tmpDir, 'data');
+    ['imperial', 'imperial-jsonl', 'metric-jsonl'].forEach(kind => fs.mkdirSync(directory(kind), { recursive: true }));
+    compactionMap = new CompactionMap({ filePath: path.join(tmpDir, 'state', 'compaction-map.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('merges the files of every day into one daily file, deduplicated, with both JSONL copies', () => {
+    const first = writeFetched(records(JAN_1, 3));
+    // overlaps the first file by one record and runs into January 2nd
+    const second = writeFetched(records(JAN_1 + 2 * FIVE_MINUTES, 3).concat(records(JAN_1 + DAY, 2)), { converted: false });
+    const single = writeFetched(records(JAN_1 + DAY + 2 * FIVE_MINUTES, 1));
+
+    const result = compactStation(registry(), { before: JAN_1 + 2 * DAY, compactionMap });
+
+    const jan1 = `${JAN_1}_${JAN_1 + 4 * FIVE_MINUTES}`;
+    const jan2 = `${JAN_1 + DAY}_${JAN_1 + DAY + 2 * FIVE_MINUTES}`;
+    expect(result).toEqual({
+      slug: 'heiligers',
+      filesBefore: 3,
+      filesAfter: 2,
+      records: 8,
+      duplicatesRemoved: 1,
+      days: [
+        { day: '2026-01-01', file: jan1, records: 5, sources: [first, second] },
+        { day: '2026-01-02', file: jan2, records: 3, sources: [second, single] }
+      ]
+    });
+    expect(registry().entries.map(({ baseName, records: count, status }) => ({ baseName, count, status }))).toEqual([
+      { baseName: jan1, count: 5, status: 'converted' },
+      { baseName: jan2, count: 3, status: 'converted' }
+    ]);
+    expect(JSON.parse(fs.readFileSync(path.join(directory('imperial'), `${jan1}.json`), 'utf8'))).toEqual(records(JAN_1, 5));
+    expect(readJsonl('imperial-jsonl', jan2)).toEqual(records(JAN_1 + DAY, 3).map(record => withDerivedFields({ ...record, qc: NOT_FLAGGED, ...NO_RAIN })));
+    expect(readJsonl('metric-jsonl', jan2)).toEqual(records(JAN_1 + DAY, 3).map(record => JSON.parse(JSON.stringify(convertToMetric(withDerivedFields({ ...record, qc: NOT_FLAGGED, ...NO_RAIN }))))));
+  });
+
+  it('writes the JSONL copies of every unit profile and removes the old ones', () => {
+    fs.mkdirSync(directory('wmo-jsonl'));
+    const first = writeFetched(records(JAN_1, 2));
+    fs.writeFileSync(path.join(directory('wmo-jsonl'), `${first}.jsonl`), '');
+    writeFetched(records(JAN_1 + 2 * FIVE_MINUTES, 1));
+    const withProfiles = new Registry(fs, { dataDirectory, compactionMap, profiles: ['metric', 'wmo'] });
+
+    compactStation(withProfiles, { before: JAN_1 + DAY, compactionMap });
+
+    const jan1 = `${JAN_1}_${JAN_1 + 2 * FIVE_MINUTES}`;
+    expect(fs.readdirSync(directory('wmo-jsonl'))).toEqual([`${jan1}.jsonl`]);
+    expect(readJsonl('wmo-jsonl', jan1)).toEqual(records(JAN_1, 3).map(record => mapFields(withDerivedFields({ ...record, qc: NOT_FLAGGED, ...NO_RAIN }), profileFields('wmo'))));
+    expect(readJsonl('wmo-jsonl', jan1)[0]).toEqual(expect.objectContaining({ temp_outside_c: 21.1, heat_index_c: null }));
+    expect(withProfiles.entry(jan1).status).toBe('converted');
+  });
+
+  it('flags the JSONL copies with the readings of the day before', () => {
+    writeFetched([{ dateutc: JAN_1 + DAY - FIVE_MINUTES, tempf: 70 }, { dateutc: JAN_1 + DAY, tempf: 90 }, { dateutc: JAN_1 + DAY + FIVE_MINUTES, tempf: 200 }]);
+
+    compactStation(registry(), { before: JAN_1 + 2 * DAY, compactionMap });
+
+    expect(readJsonl('imperial-jsonl', `${JAN_1 + DAY}_${JAN_1 + DAY + FIVE_MINUTES}`).map(({ tempf, qc }) => ({ tempf, qc }))).toEqual([
+      { tempf: 90, qc: { ...NOT_FLAGGED, flagged: true, step: ['tempf'] } },
+      { tempf: 200, qc: { ...NOT_FLAGGED, flagged: true, range: ['tempf'] } }
+    ]);
+  });
+
+  it('maps the old file names to the daily files that hold their records', () => {
+    const first = writeFetched(records(JAN_1, 2));
+    const spanning = writeFetched(records(JAN_1 + DAY - FIVE_MINUTES, 2));
+
+    compactStation(registry(), { before: JAN_1 + 2 * DAY, compactionMap });
+
+    const jan1 = `${JAN_1}_${JAN_1 + DAY - FIVE_MINUTES}`;
+    const jan2 = `${JAN_1 + DAY}_${JAN_1 + DAY}`;
+    expect(new CompactionMap({ filePath: compactionMap.filePath }).station('heiligers')).toEqual({ [first]: [jan1], [spanning]: [jan1, jan2] });
+    expect(registry().resolve(spanning).map(entry => entry.baseName)).toEqual([jan1, jan2]);
+    expect(registry().resolve(jan2).map(entry => entry.baseName)).toEqual([jan2]);
+  });
+
+  it('follows daily files that are compacted again', () => {
+    const first = writeFetched(records(JAN_1, 2));
+    writeFetched(records(JAN_1 + 2 * FIVE_MINUTES, 1));
+    compactStation(registry(), { before: JAN_1 + DAY, compactionMap });
+    const later = writeFetched(records(JAN_1 + 3 * FIVE_MINUTES, 1));
+
+    compactStation(registry(), { before: JAN_1 + DAY, compactionMap });
+
+    const jan1 = `${JAN_1}_${JAN_1 + 3 * FIVE_MINUTES}`;
+    expect(registry().entries.map(entry => entry.baseName)).toEqual([jan1]);
+    expect(compactionMap.resolve('heiligers', first)).toEqual([jan1]);
+    expect(compactionMap.resolve('heiligers', later)).toEqual([jan1]);
+  });
+
+  it('leaves the days that are compacted, the files after the cutoff and the files without a raw copy alone', () => {
+    const daily = writeFetched(records(JAN_1, 3));
+    const today = writeFetched(records(JAN_1 + DAY - FIVE_MINUTES, 2));
+    fs.writeFileSync(path.join(directory('imperial-jsonl'), `backfill_${JAN_1}_${JAN_1 + DAY}.jsonl`), JSON.stringify(records(JAN_1, 1)[0]));
+
+    const result = compactStation(registry(), { before: JAN_1 + DAY, compactionMap });
+
+    expect(result).toEqual(expect.objectContaining({ filesBefore: 3, filesAfter: 3, days: [] }));
+    expect(registry().entries.map(entry => entry.baseName)).toEqual([daily, `backfill_${JAN_1}_${JAN_1 + DAY}`, today]);
+    expect(fs.existsSync(compactionMap.filePath)).toBe(false);
+  });
+
+  it('changes nothing on a dry run', () => {
+    const first = writeFetched(records(JAN_1, 2));
+    const second = writeFetched(records(JAN_1 + 2 * FIVE_MINUTES, 2));
+
+    const result = compactStation(registry(), { before: JAN_1 + DAY, dryRun: true, compactionMap });
+
+    expect(result.days).toEqual([{ day: '2026-01-01', file: `${JAN_1}_${JAN_1 + 3 * FIVE_MINUTES}`, records: 4, sources: [first, second] }]);
+    expect(registry().entries.map(entry => entry.baseName)).toEqual([first, second]);
+    expect(fs.existsSync(compactionMap.filePath)).toBe(false);
+  });
+
+  it('refuses to overwrite a file that is not compacted', () => {
+    writeFetched(records(JAN_1, 1));
+    writeFetched(records(JAN_1 + 2 * FIVE_MINUTES, 1));
+    // a backfill leftover without a raw copy, named like the daily file would be
+    fs.writeFileSync(path.join(directory('imperial-jsonl'), `${JAN_1}_${JAN_1 + 2 * FIVE_MINUTES}.jsonl`), JSON.stringify(records(JAN_1 + FIVE_MINUTES, 1)[0]));
+
+    expect(() => compactStation(registry(), { before: JAN_1 + DAY, compactionMap })).toThrow('would overwrite a file that isn\'t compacted');
+  });
+
+  it('stops before removing anything when the compaction map cannot be read', () => {
+    const first = writeFetched(records(JAN_1, 1));
+    fs.mkdirSync(path.dirname(compactionMap.filePath));
+    fs.writeFileSync(compactionMap.filePath, '{"stations": {"heilig');
+
+    writeFetched(records(JAN_1 + FIVE_MINUTES, 1));
+
+    expect(() => compactStation(registry(), { before: JAN_1 + DAY, compactionMap: new CompactionMap({ filePath: compactionMap.filePath }) })).toThrow();
+    // the old files stay, the next run merges them with the daily file again
+    expect(registry().entry(first)).toBeDefined();
+  });
+
+  describe('runCompact', () => {
+    it('validates the command and --before', async () => {
+      expect((await runCompact({ _: ['merge'] })).error).toContain('days, resolve');
+      expect((await runCompact({ _: [], before: '2026-13-01' })).error).toContain('Invalid date format for --before');
+    });
+
+    it('returns an error for an unknown station', async () => {
+      const result = await runCompact({ _: [], station: ['patio'], dryRun: true });
+
+      expect(result.status).toBe('error');
+      expect(result.error).toContain('Unknown station patio');
+    });
+  });
+});
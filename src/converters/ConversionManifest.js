@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../logger');
+const { parseRecords } = require('../registry');
+const { writeFileAtomic } = require('../utils');
+
+const conversionManifestLogger = new Logger('[ConversionManifest]');
+
+const DEFAULT_CONVERSION_MANIFEST_FILE = path.join(__dirname, '../../data/state/conversion-manifest.json');
+
+/**
+ * Which manifest file to use: AW_CONVERSION_MANIFEST_FILE, else data/state/conversion-manifest.json
+ * @returns {string} path to the conversion manifest file
+ */
+function conversionManifestFile() {
+  return process.env.AW_CONVERSION_MANIFEST_FILE || DEFAULT_CONVERSION_MANIFEST_FILE;
+}
+
+const emptyManifest = () => ({ version: 1, stations: {} });
+
+/*
+ * What every JSONL file was converted from. Per station and output kind (imperial-jsonl, metric-jsonl), every
+ * output file has { sourceHash, sourceSize, sourceMtimeMs, converterVersion, records, convertedAt }: the sha256 of
+ * the raw file it was converted from, the version of the converter that wrote it and the number of records written.
+ * The converters redo an output when its raw file or their version changed instead of only comparing file names.
+ * A raw file is only hashed when its size or modification time changed since it was recorded
+ * args:
+ * opts: { filePath = conversionManifestFile() }
+ */
+class ConversionManifest {
+  #filePath;
+  #manifest = null;
+  constructor({ filePath = conversionManifestFile() } = {}) {
+    this.#filePath = filePath;
+  }
+  get filePath() {
+    return this.#filePath;
+  }
+  /**
+   * @param {string} slug station slug
+   * @param {string} kind imperial-jsonl or metric-jsonl
+   * @returns {object} { <base name>: { sourceHash, sourceSize, sourceMtimeMs, converterVersion, records, convertedAt } }
+   */
+  outputs(slug, kind) {
+    return this.#load().stations[slug]?.[kind] ?? {};
+  }
+  /**
+   * Which raw files to convert (again). Outputs without a record that hold as many records as their raw file were
+   * written before the manifest existed (or by backfill, compact): they're recorded as they are
+   * @param {object} fs file system module of the data files
+   * @param {object} opts { slug, kind, converterVersion, sourceDirectory, outputDirectory,
+   *   sourceNames: base names of the raw files, outputNames: base names of the output files }
+   * @returns {array} [{ baseName, reason, source: { hash, size, mtimeMs } }], reason is one of new, source changed,
+   *   converter changed, unrecorded (an output without a record and a different record count)
+   */
+  plan(fs, { slug, kind, converterVersion, sourceDirectory, outputDirectory, sourceNames, outputNames }) {
+    const outputs = this.outputs(slug, kind);
+    const converted = new Set(outputNames);
+    const toConvert = [];
+    sourceNames.forEach((baseName) => {
+      const sourceFile = `${sourceDirectory}/${baseName}.json`;
+      // not a raw data file (e.g. .DS_Store)
+      if (!fs.existsSync(sourceFile)) return;
+      const { size, mtimeMs } = fs.statSync(sourceFile);
+      const recorded = outputs[baseName];
+      if (!converted.has(baseName)) {
+        toConvert.push({ baseName, reason: 'new', source: { hash: hashFile(fs, sourceFile), size, mtimeMs } });
+        return;
+      }
+      if (recorded && recorded.sourceSize === size && recorded.sourceMtimeMs === mtimeMs) {
+        if (recorded.converterVersion !== converterVersion) toConvert.push({ baseName, reason: 'converter changed', source: { hash: recorded.sourceHash, size, mtimeMs } });
+        return;
+      }
+      const source = { hash: hashFile(fs, sourceFile), size, mtimeMs };
+      if (recorded) {
+        if (recorded.sourceHash !== source.hash) {
+          toConvert.push({ baseName, reason: 'source changed', source });
+        } else if (recorded.converterVersion !== converterVersion) {
+          toConvert.push({ baseName, reason: 'converter changed', source });
+        } else {
+          // touched without changing
+          this.record(slug, kind, baseName, { ...recorded, source });
+        }
+        return;
+      }
+      const records = countRecords(fs, sourceFile);
+      if (records !== null && records === countRecords(fs, `${outputDirectory}/${baseName}.jsonl`)) {
+        this.record(slug, kind, baseName, { source, converterVersion, records, convertedAt: null });
+      } else {
+        toConvert.push({ baseName, reason: 'unrecorded', source });
+      }
+    });
+    // outputs whose raw file is gone (compacted, archived) don't need a record any more
+    const sources = new Set(sourceNames);
+    Object.keys(outputs).filter(baseName => !sources.has(baseName)).forEach(baseName => delete outputs[baseName]);
+    return toConvert;
+  }
+  /**
+   * Records what an output was converted from. Written by save
+   * @param {string} slug station slug
+   * @param {string} kind imperial-jsonl or metric-jsonl
+   * @param {string} baseName
+   * @param {object} conversion { source: { hash, size, mtimeMs } from plan, converterVersion, records, convertedAt = now }
+   */
+  record(slug, kind, baseName, { source, converterVersion, records, convertedAt = new Date().toISOString() }) {
+    const stations = this.#load().stations;
+    stations[slug] = stations[slug] ?? {};
+    stations[slug][kind] = stations[slug][kind] ?? {};
+    stations[slug][kind][baseName] = { sourceHash: source.hash, sourceSize: source.size, sourceMtimeMs: source.mtimeMs, converterVersion, records, convertedAt };
+  }
+  // an interrupted write leaves the previous manifest, never half of one
+  save() {
+    fs.mkdirSync(path.dirname(this.#filePath), { recursive: true });
+    writeFileAtomic(fs, this.#filePath, JSON.stringify(this.#load(), null, 2));
+  }
+
+  #load() {
+    if (this.#manifest) return this.#manifest;
+    this.#manifest = emptyManifest();
+    if (!fs.existsSync(this.#filePath)) return this.#manifest;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.#filePath, 'utf8'));
+      if (parsed && typeof parsed.stations === 'object' && !Array.isArray(parsed.stations)) {
+        this.#manifest = { ...emptyManifest(), ...parsed };
+      } else {
+        conversionManifestLogger.logWarning(`[load] ${this.#filePath} has no stations, starting over (outputs are checked against their raw files again)`);
+      }
+    } catch (err) {
+      conversionManifestLogger.logWarning(`[load] ${this.#filePath} is not valid JSON, starting over (outputs are checked against their raw files again):`, err.message);
+    }
+    return this.#manifest;
+  }
+}
+
+function hashFile(fs, filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// the number of records in a file, null when it can't be read
+function countRecords(fs, filePath) {
+  try {
+    return parseRecords(fs.readFileSync(filePath, 'utf8')).length;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = { ConversionManifest, conversionManifestFile };
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConversionManifest } = require('./ConversionManifest');
+const ConvertImperialToJsonl = require('./ConvertImperialToJsonl');
+const ConvertImperialToMetric = require('./ConvertImperialToMetric');
+const { withDerivedFields } = require('../utils');
+
+describe('ConversionManifest', () => {
+  const FIVE_MINUTES = 5 * 60 * 1000;
+  const JAN_1 = Date.UTC(2026, 0, 1);
+  const cwd = process.cwd();
+  let tmpDir;
+  let manifest;
+
+  const NOT_FLAGGED = { flagged: false, range: [], step: [], persistence: [] };
+  const records = (start, count) => Array.from({ length: count }, (_, i) => ({ dateutc: start + i * FIVE_MINUTES, tempf: 70 }));
+  const file = (kind, baseName) => path.join('data', `ambient-weather-heiligers-${kind}`, `${baseName}${kind === 'imperial' ? '.json' : '.jsonl'}`);
+  const writeRaw = (baseName, data) => fs.writeFileSync(file('imperial', baseName), JSON.stringify(data, null, 2));
+  const readJsonl = (kind, baseName) => fs.readFileSync(file(kind, baseName), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  const convert = () => {
+    const imperial = new ConvertImperialToJsonl(fs, undefined, { manifest });
+    const metric = new ConvertImperialToMetric(fs, undefined, { manifest });
+    return {
+      imperial: imperial.convertRawImperialDataToJsonl(),
+      metric: metric.convertImperialDataToMetricJsonl(),
+      reconverted: { imperial: imperial.reconverted, metric: metric.reconverted }
+    };
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversion-manifest-'));
+    process.chdir(tmpDir);
+    ['imperial', 'imperial-jsonl', 'metric-jsonl'].forEach(kind => fs.mkdirSync(path.join('data', `ambient-weather-heiligers-${kind}`), { recursive: true }));
+    manifest = new ConversionManifest({ filePath: path.join(tmpDir, 'state', 'conversion-manifest.json') });
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('records the source hash, converter version and record count of every output', () => {
+    writeRaw('first', records(JAN_1, 2));
+
+    expect(convert()).toEqual({ imperial: ['first'], metric: ['first'], reconverted: { imperial: [], metric: [] } });
+
+    const saved = new ConversionManifest({ filePath: manifest.filePath });
+    ['imperial-jsonl', 'metric-jsonl'].forEach((kind) => {
+      expect(saved.outputs('heiligers', kind).first).toEqual({
+        sourceHash: expect.stringMatching(/^[0-9a-f]{64}$/),
+        sourceSize: fs.statSync(file('imperial', 'first')).size,
+        sourceMtimeMs: fs.statSync(file('imperial', 'first')).mtimeMs,
+        converterVersion: kind === 'metric-jsonl' ? 5 : 4,
+        records: 2,
+        convertedAt: expect.any(String)
+      });
+    });
+    // nothing changed: nothing to convert
+    expect(convert()).toEqual({ imperial: [], metric: [], reconverted: { imperial: [], metric: [] } });
+  });
+
+  it('converts a file again when its raw file changed', () => {
+    writeRaw('first', records(JAN_1, 2));
+    convert();
+
+    writeRaw('first', records(JAN_1, 3));
+    const result = convert();
+
+    expect(result.imperial).toEqual(['first']);
+    expect(result.reconverted).toEqual({ imperial: [{ fileName: 'first', reason: 'source changed' }], metric: [{ fileName: 'first', reason: 'source changed' }] });
+    expect(readJsonl('imperial-jsonl', 'first')).toEqual(records(JAN_1, 3).map(record => ({ ...withDerivedFields(record), qc: NOT_FLAGGED, rainin: null, rainrateinhr: null })));
+    expect(readJsonl('metric-jsonl', 'first').length).toBe(3);
+  });
+
+  it('does not convert a raw file that was only touched', () => {
+    writeRaw('first', records(JAN_1, 2));
+    convert();
+    const later = new Date(Date.now() + 60000);
+    fs.utimesSync(file('imperial', 'first'), later, later);
+
+    expect(convert().imperial).toEqual([]);
+    expect(manifest.outputs('heiligers', 'imperial-jsonl').first.sourceMtimeMs).toBe(fs.statSync(file('imperial', 'first')).mtimeMs);
+  });
+
+  it('converts a file again when the converter version changed', () => {
+    writeRaw('first', records(JAN_1, 2));
+    convert();
+    const recorded = manifest.outputs('heiligers', 'metric-jsonl').first;
+    manifest.record('heiligers', 'metric-jsonl', 'first', { ...recorded, source: { hash: recorded.sourceHash, size: recorded.sourceSize, mtimeMs: recorded.sourceMtimeMs }, converterVersion: 0 });
+
+    const result = convert();
+
+    expect(result.imperial).toEqual([]);
+    expect(result.reconverted.metric).toEqual([{ fileName: 'first', reason: 'converter changed' }]);
+  });
+
+  it('records outputs written before the manifest existed, and converts the ones that do not match their raw file', () => {
+    writeRaw('complete', records(JAN_1, 2));
+    writeRaw('stale', records(JAN_1 + 2 * FIVE_MINUTES, 3));
+    ['imperial-jsonl', 'metric-jsonl'].forEach((kind) => {
+      fs.writeFileSync(file(kind, 'complete'), records(JAN_1, 2).map(record => `${JSON.stringify(record)}\n`).join(''));
+      fs.writeFileSync(file(kind, 'stale'), `${JSON.stringify(records(JAN_1 + 2 * FIVE_MINUTES, 1)[0])}\n`);
+    });
+
+    const result = convert();
+
+    expect(result.imperial).toEqual(['stale']);
+    expect(result.reconverted.imperial).toEqual([{ fileName: 'stale', reason: 'unrecorded' }]);
+    expect(manifest.outputs('heiligers', 'imperial-jsonl').complete).toEqual(expect.objectContaining({ records: 2, converterVersion: 4, convertedAt: null }));
+    expect(readJsonl('imperial-jsonl', 'stale').length).toBe(3);
+  });
+
+  it('records the outputs of every unit profile on their own', () => {
+    fs.mkdirSync(path.join('data', 'ambient-weather-heiligers-wmo-jsonl'));
+    writeRaw('first', records(JAN_1, 2));
+    convert();
+    const wmo = new ConvertImperialToMetric(fs, undefined, { manifest, profile: 'wmo' });
+
+    expect(wmo.convertImperialDataToMetricJsonl()).toEqual(['first']);
+    expect(readJsonl('wmo-jsonl', 'first').map(({ dateutc, temp_outside_c, heat_index_c }) => ({ dateutc, temp_outside_c, heat_index_c }))).toEqual([
+      { dateutc: JAN_1, temp_outside_c: 21.1, heat_index_c: null },
+      { dateutc: JAN_1 + FIVE_MINUTES, temp_outside_c: 21.1, heat_index_c: null }
+    ]);
+    expect(manifest.outputs('heiligers', 'wmo-jsonl').first).toEqual(expect.objectContaining({ converterVersion: 5, records: 2 }));
+    // the metric files are recorded apart
+    expect(new ConvertImperialToMetric(fs, undefined, { manifest, profile: 'wmo' }).convertImperialDataToMetricJsonl()).toEqual([]);
+    expect(convert().metric).toEqual([]);
+  });
+
+  it('flags the first readings of a file with the raw files before it', () => {
+    writeRaw(`${JAN_1}_${JAN_1 + FIVE_MINUTES}`, records(JAN_1, 2));
+    convert();
+    const next = `${JAN_1 + 2 * FIVE_MINUTES}_${JAN_1 + 2 * FIVE_MINUTES}`;
+    writeRaw(next, [{ dateutc: JAN_1 + 2 * FIVE_MINUTES, tempf: 85 }]);
+
+    convert();
+
+    expect(readJsonl('imperial-jsonl', next)[0].qc).toEqual({ ...NOT_FLAGGED, flagged: true, step: ['tempf'] });
+    // by their names in the metric documents
+    expect(readJsonl('metric-jsonl', next)[0].qc).toEqual({ ...NOT_FLAGGED, flagged: true, step: ['temp_outside_c'] });
+  });
+
+  it('adds the rain of the first readings of a file from the raw files before it', () => {
+    writeRaw(`${JAN_1}_${JAN_1}`, [{ dateutc: JAN_1, tempf: 70, totalrainin: 1.2 }]);
+    const next = `${JAN_1 + FIVE_MINUTES}_${JAN_1 + 2 * FIVE_MINUTES}`;
+    writeRaw(next, [{ dateutc: JAN_1 + FIVE_MINUTES, tempf: 70, totalrainin: 1.25 }, { dateutc: JAN_1 + 2 * FIVE_MINUTES, tempf: 70, totalrainin: 1.25 }]);
+
+    convert();
+
+    expect(readJsonl('imperial-jsonl', next).map(({ rainin, rainrateinhr }) => ({ rainin, rainrateinhr }))).toEqual([
+      { rainin: 0.05, rainrateinhr: 0.6 },
+      { rainin: 0, rainrateinhr: 0 }
+    ]);
+    expect(readJsonl('metric-jsonl', next)[0]).toEqual(expect.objectContaining({ total_rain_mm: 32, rain_mm: 1.27, rain_rate_mm_per_hr: 15.2 }));
+  });
+
+  it('forgets the outputs whose raw file is gone', () => {
+    writeRaw('first', records(JAN_1, 1));
+    writeRaw('second', records(JAN_1 + FIVE_MINUTES, 1));
+    convert();
+    fs.unlinkSync(file('imperial', 'first'));
+
+    convert();
+
+    expect(Object.keys(new ConversionManifest({ filePath: manifest.filePath }).outputs('heiligers', 'imperial-jsonl'))).toEqual(['second']);
+  });
+});
@@ -1,14 +1,45 @@
 const Logger = require('../logger');
+const { writeFileAtomic, isTempFile } = require('../utils');
+const { DEFAULT_STATION, stationDataDirectory } = require('../stations/stations');
+const { QualityControl } = require('../qualityControl/qualityControl');
+const { rawDataFiles } = require('../registry');
+const { ImperialDocumentCache } = require('./imperialDocuments');
 
 const convertImperialToJsonlLogger = new Logger('[ConvertImperialToJsonl]');
+// bump when the JSONL lines change: every file recorded in the conversion manifest is converted again
+// 2: the lines hold the derived quantities (heat index, wind chill, ...)
+// 3: the lines hold the QC flags (qc.*)
+// 4: the lines hold the rain of every reading (rainin, rainrateinhr)
+const CONVERTER_VERSION = 4;
 class ConvertImperialToJsonl {
-  #pathToJsonlFiles = 'ambient-weather-heiligers-imperial-jsonl';
-  #pathToJsonFiles = 'ambient-weather-heiligers-imperial';
+  #slug;
+  #manifest;
+  #documents;
+  #rawFiles = [];
+  #sources = new Map();
+  #reconverted = [];
+  #pathToJsonlFiles;
+  #pathToJsonFiles;
   #allJsonfilesArray = [];
   #convertedCount = 0;
   #filesConvertedToJsonl = [];
-  constructor(fs) {
+  /**
+   * @param {file-system} fs
+   * @param {object} station { slug } whose data directories to convert, defaults to the original station
+   * @param {object} opts { manifest, qualityControl, documents }
+   * manifest: ConversionManifest to convert the files whose raw file or converter changed too, without one only the raw
+   * files without a JSONL file are converted
+   * qualityControl: QualityControl that flags the records and counts the flags of the run, see src/qualityControl
+   * documents: ImperialDocumentCache the documents are computed with, share it with the unit profile converters: every
+   * raw file is flagged once. Defaults to one of its own with qualityControl
+   */
+  constructor(fs, { slug = DEFAULT_STATION } = {}, { manifest = null, qualityControl = new QualityControl(), documents = new ImperialDocumentCache({ slug }, { qualityControl }) } = {}) {
     this.fs = fs;
+    this.#slug = slug;
+    this.#manifest = manifest;
+    this.#documents = documents;
+    this.#pathToJsonlFiles = stationDataDirectory(slug, 'imperial-jsonl');
+    this.#pathToJsonFiles = stationDataDirectory(slug, 'imperial');
   }
   get pathToJsonlFiles() {
     return this.#pathToJsonlFiles;
@@ -34,31 +65,41 @@ class ConvertImperialToJsonl {
   set convertedCount(num) {
     this.#convertedCount = num;
   }
+  /**
+   * @returns {array} [{ fileName, reason }] the JSONL files of the last run that existed and were converted again
+   */
+  get reconverted() {
+    return this.#reconverted;
+  }
 
   getArrayOfFiles(filetype) {
     const fullPath = filetype === 'json' ? this.pathToJsonFiles : this.pathToJsonlFiles;
     const directoryPath = `data/${fullPath}`;
     const files = this.fs.readdirSync(directoryPath);
     let filesArray = [];
-    files.forEach((file) => filesArray.push(`${file}`.split(".")[0]));
+    // a temporary file is a write that didn't finish: it doesn't count as converted
+    files.filter((file) => !isTempFile(`${file}`)).forEach((file) => filesArray.push(`${file}`.split(".")[0]));
     return filesArray;
   }
   convertFiles(filesToConvert) {
     filesToConvert.forEach((entry) => {
       // skip an entry if it doesn't contain values
       if (Object.keys(entry).length === 0) return true;
-      const dataFileRead = JSON.parse(this.fs.readFileSync(`data/${this.pathToJsonFiles}/${entry}.json`));
-      const openedDataForJsonlFile = this.fs.openSync(`data/${this.pathToJsonlFiles}/${entry}.jsonl`, "w");
-      const arrayOfConvertedData = dataFileRead.map((element) => {
-        this.fs.appendFileSync(openedDataForJsonlFile, JSON.stringify(element) + "\n")
+      // flagged and with the rain of every reading, with the readings before the file from the raw files before it
+      const documents = this.#documents.documents(entry, () => JSON.parse(this.fs.readFileSync(`data/${this.pathToJsonFiles}/${entry}.json`)), this.#rawFiles);
+      const jsonlLines = documents.map((element) => {
         this.filesConvertedToJsonl = this.filesConvertedToJsonl.concat(entry);
-        return element;
+        return JSON.stringify(element) + "\n";
       });
-      // check that we're done, increment the counter and close the fileSync
-      if (arrayOfConvertedData && arrayOfConvertedData.length > 0) {
+      // the whole file at once, through a temporary file: a crash can't leave a partial file that looks converted
+      writeFileAtomic(this.fs, `data/${this.pathToJsonlFiles}/${entry}.jsonl`, jsonlLines.join(''));
+      if (this.#manifest && this.#sources.has(entry)) {
+        this.#manifest.record(this.#slug, 'imperial-jsonl', entry, { source: this.#sources.get(entry), converterVersion: CONVERTER_VERSION, records: jsonlLines.length });
+      }
+      // check that we're done and increment the counter
+      if (jsonlLines.length > 0) {
         this.convertedCount = this.convertedCount + 1;
       };
-      this.fs.closeSync(openedDataForJsonlFile)
     });
     return true;
   }
@@ -73,8 +114,11 @@ class ConvertImperialToJsonl {
     // fetch converted and unconverted file names without the .json/.jsonl;
     const allConvertedFiles = this.getArrayOfFiles('jsonl');
     const allRawFiles = this.getArrayOfFiles('json');
-    // filter out the files that have already been converted
-    const filesToConvert = allRawFiles.filter((element) => allConvertedFiles.indexOf(element) === -1);
+    this.#rawFiles = rawDataFiles(this.fs, `data/${this.pathToJsonFiles}`, allRawFiles);
+    // filter out the files that have already been converted, unless their raw file or the converter changed since
+    const filesToConvert = this.#manifest
+      ? this.#plan(allRawFiles, allConvertedFiles)
+      : allRawFiles.filter((element) => allConvertedFiles.indexOf(element) === -1);
     // read and write the file contents as newline delimited data
     if (filesToConvert.length > 0) {
       this.convertFiles(filesToConvert);
@@ -82,9 +126,29 @@ class ConvertImperialToJsonl {
     } else {
       convertImperialToJsonlLogger.logWarning('There are no unconverted files')
     }
+    if (this.#reconverted.length > 0) {
+      convertImperialToJsonlLogger.logInfo(`converted ${this.#reconverted.length} files again: ${this.#reconverted.map(({ fileName, reason }) => `${fileName} (${reason})`).join(', ')}`);
+    }
+    this.#manifest?.save();
+    this.#documents.save();
     // this.filesConvertedToJsonl = filesToConvert;
     return filesToConvert;
   }
+
+  #plan(allRawFiles, allConvertedFiles) {
+    const planned = this.#manifest.plan(this.fs, {
+      slug: this.#slug,
+      kind: 'imperial-jsonl',
+      converterVersion: CONVERTER_VERSION,
+      sourceDirectory: `data/${this.pathToJsonFiles}`,
+      outputDirectory: `data/${this.pathToJsonlFiles}`,
+      sourceNames: allRawFiles,
+      outputNames: allConvertedFiles
+    });
+    this.#sources = new Map(planned.map(({ baseName, source }) => [baseName, source]));
+    this.#reconverted = planned.filter(({ reason }) => reason !== 'new').map(({ baseName, reason }) => ({ fileName: baseName, reason }));
+    return planned.map(({ baseName }) => baseName);
+  }
 }
 
 module.exports = ConvertImperialToJsonl;
@@ -4,8 +4,10 @@ const mockFs = {
   readdirSync: jest.fn(),
   readFileSync: jest.fn(),
   openSync: jest.fn(),
-  appendFileSync: jest.fn(),
+  writeFileSync: jest.fn(),
+  fsyncSync: jest.fn(),
   closeSync: jest.fn(),
+  renameSync: jest.fn(),
 };
 
 describe('ConvertImperialToJsonl', () => {
@@ -76,9 +78,6 @@ describe('ConvertImperialToJsonl', () => {
         .mockReturnValueOnce(JSON.stringify([mockedData[1]]));
       mockFs.openSync
         .mockImplementationOnce(() => 1).mockImplementationOnce(() => 2);
-      mockFs.appendFileSync
-        .mockImplementationOnce(() => JSON.stringify(mockedData[0]) + "\n")
-        .mockImplementationOnce(() => JSON.stringify(mockedData[1]) + "\n");
       mockFs.closeSync
         .mockImplementation(() => true);
     });
@@ -88,8 +87,10 @@ describe('ConvertImperialToJsonl', () => {
     it('writes json file entries to a new file with line delimiting', () => {
       const result = convertImperialToJsonlTester.convertFiles([mockedData]);
       expect(result).toEqual(true);
-      expect(mockFs.appendFileSync).toHaveBeenCalledTimes(1)
-      expect(mockFs.closeSync).toHaveBeenCalledTimes(1)
+      // every line in one write to a temporary file, renamed into place
+      expect(mockFs.writeFileSync).toHaveBeenCalledTimes(1)
+      expect(mockFs.writeFileSync.mock.calls[0][0]).toMatch(/\.jsonl\.tmp$/)
+      expect(mockFs.renameSync).toHaveBeenCalledTimes(1)
     });
     it('does not fail if the file does not have contents', () => {
       const result = convertImperialToJsonlTester.convertFiles([{}]);
@@ -116,9 +117,6 @@ describe('ConvertImperialToJsonl', () => {
         .mockReturnValueOnce(JSON.stringify([mockedData[1]]));
       mockFs.openSync
         .mockImplementationOnce(() => 1).mockImplementationOnce(() => 2);
-      mockFs.appendFileSync
-        .mockImplementationOnce(() => JSON.stringify(mockedData[0]) + "\n")
-        .mockImplementationOnce(() => JSON.stringify(mockedData[1]) + "\n");
       mockFs.closeSync
         .mockImplementation(() => true);
       mockFs.readdirSync.mockImplementationOnce(() => mockedJsonlFiles).mockImplementationOnce(() => mockedJsonFiles)
@@ -131,7 +129,7 @@ describe('ConvertImperialToJsonl', () => {
       mockFs.readdirSync.mockReset();
       mockFs.readFileSync.mockReset();
       mockFs.openSync.mockReset();
-      mockFs.appendFileSync.mockReset();
+      mockFs.writeFileSync.mockReset();
       mockFs.closeSync.mockReset();
       mockedJsonl = ['20200717-T-1055.jsonl', '20200718-T-1055.jsonl'];
       mockedJson = ['20200717-T-1055.json', '20200718-T-1055.json'];
@@ -1,20 +1,61 @@
 // Reads json form of imperial data from file
 // Converts from imperial to metric units
 const momentTZ = require("moment-timezone");
-const { convertToMetric } = require('../utils');
+const { mapFields, profileFields, writeFileAtomic, isTempFile } = require('../utils');
 const Logger = require('../logger');
+const { DEFAULT_STATION, stationDataDirectory } = require('../stations/stations');
+const { QualityControl } = require('../qualityControl/qualityControl');
+const { rawDataFiles } = require('../registry');
+const { ImperialDocumentCache } = require('./imperialDocuments');
 // Writes the metric data directly to jsonl files
 
 const convertImperialToMetricLogger = new Logger('[ConvertImperialToMetric]');
+// bump when the metric conversion changes: every file recorded in the conversion manifest is converted again
+// 2: the fields are mapped with METRIC_FIELDS, numbered channels and fields without a rule are no longer dropped
+// 3: the documents hold the derived quantities (heat index, wind chill, ...) in the units of the profile
+// 4: the documents hold the QC flags (qc.*), listing the fields by their names in the profile
+// 5: the documents hold the rain of every reading and the rain rate
+const CONVERTER_VERSION = 5;
 class ConvertImperialToMetric {
-  #pathToMetricJsonlFiles = 'ambient-weather-heiligers-metric-jsonl'; // jsonl form of metric data already converted
-  #pathToImperialDataFiles = 'ambient-weather-heiligers-imperial'; // raw imperial data in json form
+  #slug;
+  #profile;
+  #fields;
+  #manifest;
+  #documents;
+  #rawFiles = [];
+  #sources = new Map();
+  #reconverted = [];
+  #pathToMetricJsonlFiles; // jsonl form of metric data already converted
+  #pathToImperialDataFiles; // raw imperial data in json form
   #allMetricJsonlfilesArray = [];
   #convertedToMetricCount = 0;
   #dataFilesConvertedToMetricJsonl = [];
   #now = momentTZ.utc(momentTZ());
-  constructor(fs) {
+  /**
+   * @param {file-system} fs
+   * @param {object} station { slug } whose data directories to convert, defaults to the original station
+   * @param {object} opts { manifest, profile, qualityControl, documents }
+   * manifest: ConversionManifest to convert the files whose raw file or converter changed too, without one only the raw
+   * files without a JSONL file of the profile are converted
+   * profile: the unit profile to convert to (see UNIT_PROFILES in src/utils/fieldMappings.js), each profile has its own
+   * JSONL directory: ambient-weather-<slug>-<profile>-jsonl. Defaults to metric
+   * qualityControl: QualityControl that flags the records, see src/qualityControl. Share the one of the imperial
+   * converter: a file is counted once in the summary of the run
+   * documents: ImperialDocumentCache the documents are computed with, share the one of the imperial converter: the
+   * documents of the files it just converted aren't computed again. Defaults to one of its own with qualityControl
+   */
+  constructor(fs, { slug = DEFAULT_STATION } = {}, { manifest = null, profile = 'metric', qualityControl = new QualityControl(), documents = new ImperialDocumentCache({ slug }, { qualityControl }) } = {}) {
     this.fs = fs;
+    this.#slug = slug;
+    this.#profile = profile;
+    this.#fields = profileFields(profile);
+    this.#manifest = manifest;
+    this.#documents = documents;
+    this.#pathToMetricJsonlFiles = stationDataDirectory(slug, `${profile}-jsonl`);
+    this.#pathToImperialDataFiles = stationDataDirectory(slug, 'imperial');
+  }
+  get profile() {
+    return this.#profile;
   }
   get now() {
     return this.#now;
@@ -46,13 +87,20 @@ class ConvertImperialToMetric {
   set convertedToMetricCount(num) {
     this.#convertedToMetricCount = num;
   }
+  /**
+   * @returns {array} [{ fileName, reason }] the JSONL files of the profile of the last run that existed and were converted again
+   */
+  get reconverted() {
+    return this.#reconverted;
+  }
 
   getArrayOfFiles(filetype) {
     const fullPath = filetype === 'json' ? this.pathToImperialDataFiles : this.pathToMetricJsonlFiles;
     const directoryPath = `data/${fullPath}`;
     const files = this.fs.readdirSync(directoryPath);
     let filesArray = [];// an array of filenames without the extension type: string[] | []
-    files.forEach((file) => filesArray.push(`${file}`.split(".")[0]));
+    // a temporary file is a write that didn't finish: it doesn't count as converted
+    files.filter((file) => !isTempFile(`${file}`)).forEach((file) => filesArray.push(`${file}`.split(".")[0]));
     return filesArray;
   }
 
@@ -60,44 +108,49 @@ class ConvertImperialToMetric {
     filesToConvert.forEach((file) => {
       // skip an file if it doesn't contain values
       if (Object.keys(file).length === 0) return true;
-      // read and parse the imperial data from json format
-      const dataFileRead = JSON.parse(this.fs.readFileSync(`data/${this.pathToImperialDataFiles}/${file}.json`));
-      // open a sync to a new file to write the metric data to
-      const openedDataForMetricJsonlFile = this.fs.openSync(`data/${this.pathToMetricJsonlFiles}/${file}.jsonl`, "w");
+      // read and parse the imperial data from json format, flagged and with the rain of every reading, with the readings
+      // before the file from the raw files before it
+      const documents = this.#documents.documents(file, () => JSON.parse(this.fs.readFileSync(`data/${this.pathToImperialDataFiles}/${file}.json`)), this.#rawFiles);
       // map over the entries in the imperial json file
-      const arrayOfConvertedData = dataFileRead.map((datum) => {
-        // convert to metric
-        const convertedDatum = convertToMetric(datum);
-        // write the converted element as a new line in the new file that will contain the metric data as a one-line json body
-        this.fs.appendFileSync(openedDataForMetricJsonlFile, JSON.stringify(convertedDatum) + "\n")
+      const metricJsonlLines = documents.map((datum) => {
+        // convert to the units of the profile
+        const convertedDatum = mapFields(datum, this.#fields);
         this.dataFilesConvertedToMetricJsonl = this.dataFilesConvertedToMetricJsonl.concat(file);
-        return datum;
+        // the converted element as a new line of the file that will contain the metric data as a one-line json body
+        return JSON.stringify(convertedDatum) + "\n";
       });
-      // check that we're done, increment the counter and close the fileSync
-      if (arrayOfConvertedData && arrayOfConvertedData.length > 0) {
+      // the whole file at once, through a temporary file: a crash can't leave a partial file that looks converted
+      writeFileAtomic(this.fs, `data/${this.pathToMetricJsonlFiles}/${file}.jsonl`, metricJsonlLines.join(''));
+      if (this.#manifest && this.#sources.has(file)) {
+        this.#manifest.record(this.#slug, `${this.#profile}-jsonl`, file, { source: this.#sources.get(file), converterVersion: CONVERTER_VERSION, records: metricJsonlLines.length });
+      }
+      // check that we're done and increment the counter
+      if (metricJsonlLines.length > 0) {
         this.convertedToMetricCount = this.convertedToMetricCount + 1;
       };
-      this.fs.closeSync(openedDataForMetricJsonlFile)
     });
     return true;
   }
 
   logResult(filesToConvert) {
     if (this.convertedToMetricCount === filesToConvert.length) {
-      convertImperialToMetricLogger.logInfo(`converted metric data files for ${filesToConvert.length} files: ${filesToConvert}`);
+      convertImperialToMetricLogger.logInfo(`converted ${this.#profile} data files for ${filesToConvert.length} files: ${filesToConvert}`);
     } else {
-      convertImperialToMetricLogger.logWarning(`couldn't convert metric data files for ${filesToConvert.length - this.convertedToMetricCount} files`);
+      convertImperialToMetricLogger.logWarning(`couldn't convert ${this.#profile} data files for ${filesToConvert.length - this.convertedToMetricCount} files`);
     }
   }
 
   // Main function that gets executed.
   convertImperialDataToMetricJsonl() {
     // fetch converted and unconverted file names without the .json/.jsonl;
-    convertImperialToMetricLogger.logInfo(`Converting imperial to metric data`)
+    convertImperialToMetricLogger.logInfo(`Converting imperial to ${this.#profile} data`)
     const allMetricJsonlFileNames = this.getArrayOfFiles('jsonl');
     const allImperialFileNames = this.getArrayOfFiles('json');
-    // filter out the files that have already been converted
-    const fileNamesToConvertToMetric = allImperialFileNames.filter((fileName) => allMetricJsonlFileNames.indexOf(fileName) === -1);
+    this.#rawFiles = rawDataFiles(this.fs, `data/${this.pathToImperialDataFiles}`, allImperialFileNames);
+    // filter out the files that have already been converted, unless their raw file or the conversion changed since
+    const fileNamesToConvertToMetric = this.#manifest
+      ? this.#plan(allImperialFileNames, allMetricJsonlFileNames)
+      : allImperialFileNames.filter((fileName) => allMetricJsonlFileNames.indexOf(fileName) === -1);
 
     // read and write the file contents as newline delimited data
     if (fileNamesToConvertToMetric.length > 0) {
@@ -106,9 +159,29 @@ class ConvertImperialToMetric {
     } else {
       convertImperialToMetricLogger.logWarning('There are no unconverted files')
     }
+    if (this.#reconverted.length > 0) {
+      convertImperialToMetricLogger.logInfo(`converted ${this.#reconverted.length} files again: ${this.#reconverted.map(({ fileName, reason }) => `${fileName} (${reason})`).join(', ')}`);
+    }
+    this.#manifest?.save();
+    this.#documents.save();
     // this.dataFilesConvertedToMetricJsonl = fileNamesToConvertToMetric;
     return fileNamesToConvertToMetric;
   }
+
+  #plan(allImperialFileNames, allMetricJsonlFileNames) {
+    const planned = this.#manifest.plan(this.fs, {
+      slug: this.#slug,
+      kind: `${this.#profile}-jsonl`,
+      converterVersion: CONVERTER_VERSION,
+      sourceDirectory: `data/${this.pathToImperialDataFiles}`,
+      outputDirectory: `data/${this.pathToMetricJsonlFiles}`,
+      sourceNames: allImperialFileNames,
+      outputNames: allMetricJsonlFileNames
+    });
+    this.#sources = new Map(planned.map(({ baseName, source }) => [baseName, source]));
+    this.#reconverted = planned.filter(({ reason }) => reason !== 'new').map(({ baseName, reason }) => ({ fileName: baseName, reason }));
+    return planned.map(({ baseName }) => baseName);
+  }
 }
 
 module.exports = ConvertImperialToMetric;
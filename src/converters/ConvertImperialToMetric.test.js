@@ -5,8 +5,10 @@ const mockFs = {
   readdirSync: jest.fn(),
   readFileSync: jest.fn(),
   openSync: jest.fn(),
-  appendFileSync: jest.fn(),
+  writeFileSync: jest.fn(),
+  fsyncSync: jest.fn(),
   closeSync: jest.fn(),
+  renameSync: jest.fn(),
 };
 
 describe('ConvertImperialToMetric', () => {
@@ -77,10 +79,6 @@ describe('ConvertImperialToMetric', () => {
         .mockReturnValueOnce(JSON.stringify([imperialDataMock[2]]));
       mockFs.openSync
         .mockImplementationOnce(() => 1).mockImplementationOnce(() => 3);
-      mockFs.appendFileSync
-        .mockImplementationOnce(() => JSON.stringify(mockedMetricData[0]) + "\n")
-        .mockImplementationOnce(() => JSON.stringify(mockedMetricData[1]) + "\n")
-        .mockImplementationOnce(() => JSON.stringify(mockedMetricData[2]) + "\n");
       mockFs.closeSync
         .mockImplementation(() => true);
     });
@@ -90,8 +88,10 @@ describe('ConvertImperialToMetric', () => {
     it('writes json file entries to a new file with line delimiting', () => {
       const result = convertImperialToMetricTester.convertDataAndWriteJsonlFile([imperialDataMock]);
       expect(result).toEqual(true);
-      expect(mockFs.appendFileSync).toHaveBeenCalledTimes(1)
-      expect(mockFs.closeSync).toHaveBeenCalledTimes(1)
+      // every line in one write to a temporary file, renamed into place
+      expect(mockFs.writeFileSync).toHaveBeenCalledTimes(1)
+      expect(mockFs.writeFileSync.mock.calls[0][0]).toMatch(/\.jsonl\.tmp$/)
+      expect(mockFs.renameSync).toHaveBeenCalledTimes(1)
     });
     it('does not fail if the file does not have contents', () => {
       const result = convertImperialToMetricTester.convertDataAndWriteJsonlFile([{}]);
@@ -121,10 +121,6 @@ describe('ConvertImperialToMetric', () => {
         .mockReturnValueOnce(JSON.stringify([mockedImperialData[2]]));
       mockFs.openSync
         .mockImplementationOnce(() => 1).mockImplementationOnce(() => 3);
-      mockFs.appendFileSync
-        .mockImplementationOnce(() => JSON.stringify(mockedMetricData[0]) + "\n")
-        .mockImplementationOnce(() => JSON.stringify(mockedMetricData[1]) + "\n")
-        .mockImplementationOnce(() => JSON.stringify(mockedMetricData[2]) + "\n");
       mockFs.closeSync
         .mockImplementation(() => true);
       expect(convertImperialToMetricTester.convertImperialDataToMetricJsonl()).toEqual(['20200719-T-1055']);
@@ -137,7 +133,7 @@ describe('ConvertImperialToMetric', () => {
       mockFs.readdirSync.mockReset();
       mockFs.readFileSync.mockReset();
       mockFs.openSync.mockReset();
-      mockFs.appendFileSync.mockReset();
+      mockFs.writeFileSync.mockReset();
       mockFs.closeSync.mockReset();
       mockedMetric = ['20200717-T-1055.jsonl', '20200718-T-1055.jsonl'];
       mockedImperial = ['20200717-T-1055.json', '20200718-T-1055.json'];
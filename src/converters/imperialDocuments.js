@@ -0,0 +1,113 @@
+const { recordsBefore } = require('../registry');
+const { withDerivedFields, withoutDerivedFields, withRainIncrements, withoutRainIncrements, RAIN_MAX_GAP_MINUTES } = require('../utils');
+const { QualityControl, withoutQcFlags } = require('../qualityControl/qualityControl');
+const { DEFAULT_STATION } = require('../stations/stations');
+
+const MINUTE = 60 * 1000;
+// the documents of the files converted last, for the converters after the first: a run converts a file or two
+const DOCUMENT_CACHE_SIZE = 48;
+
+/**
+ * The imperial documents of raw records, what the imperial JSONL files hold and the unit profiles are mapped from: the
+ * records with their QC flags (see src/qualityControl), the rain of every reading (see rainIncrements.js) and the
+ * derived quantities (see derivedFields.js). The flags and the rain of the first readings need the readings before them
+ * @param {array} records raw imperial records, in any order
+ * @param {object} opts { qualityControl, files, history, source }
+ * qualityControl: QualityControl that flags the records
+ * files: [{ to, read }] the raw files the readings before the records are read from, see recordsBefore in src/registry
+ * history: readings before the records that are at hand, next to the ones of files
+ * source: name of the file the records are from, see QualityControl#check
+ * @returns {array} the documents, in the order of the records
+ */
+function imperialDocuments(records, { qualityControl, files = [], history = [], source }) {
+  const first = firstDate(records);
+  const windowMinutes = historyWindowMinutes(qualityControl);
+  const before = [
+    ...recordsBefore(files, first, windowMinutes),
+    ...history.filter(record => record.dateutc < first && record.dateutc >= first - windowMinutes * MINUTE)
+  ].sort((a, b) => a.dateutc - b.dateutc);
+  return withRainIncrements(qualityControl.check(records, { history: before, source }), { history: before }).map(withDerivedFields);
+}
+
+const firstDate = records => records.reduce((min, record) => Math.min(min, record.dateutc), Infinity);
+// how far back the readings before the records are needed
+const historyWindowMinutes = qualityControl => Math.max(qualityControl.historyMinutes, RAIN_MAX_GAP_MINUTES);
+
+/*
+ * The imperial documents of a station's raw files, computed once per run for the imperial converter and every unit
+ * profile converter (see src/converters). The readings before a file come from the tail of the file converted before
+ * it when that is the raw file right before it, else from the raw files (see recordsBefore in src/registry): converting
+ * the files in order reads every raw file once. The tail is kept in the fetch state between runs, so a run doesn't read
+ * the raw files of the history window again
+ * args:
+ * station: { slug }
+ * opts: { qualityControl, fetchState, cacheSize }
+ * qualityControl: QualityControl that flags the records
+ * fetchState: FetchState to read the tail of the last run from and to record the tail of this one in, see save
+ * cacheSize: how many files' documents are kept
+ */
+class ImperialDocumentCache {
+  #slug;
+  #qualityControl;
+  #fetchState;
+  #cacheSize;
+  #documents = new Map();
+  #tail;
+  #latestTail = null;
+  constructor({ slug = DEFAULT_STATION } = {}, { qualityControl = new QualityControl(), fetchState = null, cacheSize = DOCUMENT_CACHE_SIZE } = {}) {
+    this.#slug = slug;
+    this.#qualityControl = qualityControl;
+    this.#fetchState = fetchState;
+    this.#cacheSize = cacheSize;
+    this.#tail = fetchState?.station(slug)?.recentRecords ?? null;
+  }
+  /**
+   * @param {string} source name of the raw file, without .json
+   * @param {function} read () => the raw records of the file, only called when the file's documents aren't cached
+   * @param {array} files [{ baseName, to, read }] the station's raw files, see rawDataFiles in src/registry
+   * @returns {array} the imperial documents of the file, see imperialDocuments
+   */
+  documents(source, read, files) {
+    if (this.#documents.has(source)) return this.#documents.get(source);
+    const records = read();
+    const first = firstDate(records);
+    const windowMinutes = historyWindowMinutes(this.#qualityControl);
+    // the tail is the history of the file when it ends where the last raw file before the file does
+    const previousTo = files.reduce((max, { to }) => (to < first ? Math.max(max, to) : max), -Infinity);
+    const history = this.#tail?.to === previousTo ? this.#tail.records : recordsBefore(files, first, windowMinutes);
+    const documents = imperialDocuments(records, { qualityControl: this.#qualityControl, history, source });
+    this.#cache(source, documents);
+    const to = files.find(file => file.baseName === source)?.to;
+    this.#tail = Number.isFinite(to) ? tailBefore([...history, ...records], to, windowMinutes) : null;
+    if (this.#tail && this.#tail.to > (this.#latestTail?.to ?? -Infinity)) this.#latestTail = this.#tail;
+    return documents;
+  }
+  /**
+   * Records the tail of the most recent file converted in the fetch state, for the next run
+   */
+  save() {
+    if (this.#fetchState && this.#latestTail) this.#fetchState.recordRecentRecords(this.#slug, this.#latestTail);
+  }
+
+  #cache(source, documents) {
+    this.#documents.set(source, documents);
+    if (this.#documents.size > this.#cacheSize) this.#documents.delete(this.#documents.keys().next().value);
+  }
+}
+
+// the readings of the window before the end of a file
+function tailBefore(records, to, windowMinutes) {
+  const start = to - windowMinutes * MINUTE;
+  return {
+    to,
+    records: records.filter(record => Number.isFinite(record?.dateutc) && record.dateutc >= start && record.dateutc <= to).sort((a, b) => a.dateutc - b.dateutc)
+  };
+}
+
+/**
+ * @param {object} document imperial document
+ * @returns {object} the record as the API returned it, see imperialDocuments
+ */
+const rawRecord = document => withoutQcFlags(withoutRainIncrements(withoutDerivedFields(document)));
+
+module.exports = { imperialDocuments, rawRecord, ImperialDocumentCache };
@@ -0,0 +1,81 @@
+const { ImperialDocumentCache } = require('./imperialDocuments');
+const { QualityControl } = require('../qualityControl/qualityControl');
+
+describe('ImperialDocumentCache', () => {
+  const FIVE_MINUTES = 5 * 60 * 1000;
+  const JAN_1 = Date.UTC(2026, 0, 1);
+
+  const records = (start, temperatures) => temperatures.map((tempf, i) => ({ dateutc: start + i * FIVE_MINUTES, tempf }));
+  // a raw file as rawDataFiles lists it, with its reads counted
+  const rawFile = (data) => {
+    const to = data[data.length - 1].dateutc;
+    return { baseName: `${data[0].dateutc}_${to}`, to, read: jest.fn(() => data) };
+  };
+  const mockFetchState = (recentRecords) => ({ station: jest.fn(() => (recentRecords ? { recentRecords } : undefined)), recordRecentRecords: jest.fn() });
+
+  it('computes the documents of a file once', () => {
+    const qualityControl = new QualityControl();
+    const first = rawFile(records(JAN_1, [70, 70]));
+    const documents = new ImperialDocumentCache(undefined, { qualityControl });
+
+    const imperial = documents.documents(first.baseName, first.read, [first]);
+    const metric = documents.documents(first.baseName, first.read, [first]);
+
+    expect(metric).toBe(imperial);
+    expect(first.read).toHaveBeenCalledTimes(1);
+    expect(qualityControl.summary.records).toBe(2);
+  });
+
+  it('flags the first readings of a file with the tail of the file before it, without reading the raw files again', () => {
+    const first = rawFile(records(JAN_1, [70, 70]));
+    const second = rawFile(records(JAN_1 + 2 * FIVE_MINUTES, [85]));
+    const documents = new ImperialDocumentCache();
+    documents.documents(first.baseName, first.read, [first]);
+
+    const [flagged] = documents.documents(second.baseName, second.read, [first, second]);
+
+    expect(flagged.qc).toEqual({ flagged: true, range: [], step: ['tempf'], persistence: [] });
+    expect(first.read).toHaveBeenCalledTimes(1);
+  });
+
+  it('reads the raw files before a file when the tail is not of the file right before it', () => {
+    const first = rawFile(records(JAN_1, [70]));
+    const second = rawFile(records(JAN_1 + FIVE_MINUTES, [70]));
+    const third = rawFile(records(JAN_1 + 2 * FIVE_MINUTES, [85]));
+    const documents = new ImperialDocumentCache();
+    documents.documents(first.baseName, first.read, [first, second, third]);
+
+    const [flagged] = documents.documents(third.baseName, third.read, [first, second, third]);
+
+    expect(flagged.qc.step).toEqual(['tempf']);
+    expect(second.read).toHaveBeenCalledTimes(1);
+  });
+
+  it('starts from the tail of the last run and records the most recent one', () => {
+    const previous = rawFile(records(JAN_1, [70]));
+    const next = rawFile(records(JAN_1 + FIVE_MINUTES, [85]));
+    const fetchState = mockFetchState({ to: previous.to, records: previous.read() });
+    const documents = new ImperialDocumentCache({ slug: 'patio' }, { fetchState });
+    previous.read.mockClear();
+
+    const [flagged] = documents.documents(next.baseName, next.read, [previous, next]);
+    documents.save();
+
+    expect(fetchState.station).toHaveBeenCalledWith('patio');
+    expect(flagged.qc.step).toEqual(['tempf']);
+    expect(previous.read).not.toHaveBeenCalled();
+    expect(fetchState.recordRecentRecords).toHaveBeenCalledWith('patio', { to: next.to, records: [...previous.read(), ...next.read()] });
+  });
+
+  it('keeps the documents of the most recent files only', () => {
+    const files = [rawFile(records(JAN_1, [70])), rawFile(records(JAN_1 + FIVE_MINUTES, [70])), rawFile(records(JAN_1 + 2 * FIVE_MINUTES, [70]))];
+    const documents = new ImperialDocumentCache(undefined, { cacheSize: 2 });
+    files.forEach(file => documents.documents(file.baseName, file.read, files));
+
+    documents.documents(files[0].baseName, files[0].read, files);
+    documents.documents(files[2].baseName, files[2].read, files);
+
+    expect(files[0].read).toHaveBeenCalledTimes(2);
+    expect(files[2].read).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,3 +1,4 @@
 const ConvertImperialToJsonl = require('./ConvertImperialToJsonl');
 const ConvertImperialToMetric = require('./ConvertImperialToMetric');
-module.exports = { ConvertImperialToJsonl, ConvertImperialToMetric };
+const { imperialDocuments, rawRecord, ImperialDocumentCache } = require('./imperialDocuments');
+module.exports = { ConvertImperialToJsonl, ConvertImperialToMetric, imperialDocuments, rawRecord, ImperialDocumentCache };
@@ -0,0 +1,129 @@
+const Logger = require('../logger');
+
+const awApiRequestsLogger = new Logger('[AwApiRequests]');
+
+const AW_REQUEST_DEFAULTS = {
+  // Ambient Weather allows about 1 request per second per api key
+  minIntervalMs: 1100,
+  maxRetries: 4,
+  initialBackoffMs: 2000,
+  maxBackoffMs: 60000
+};
+// connection errors worth another try: the request never got an answer
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {Error} err error thrown by the AW API (request-promise StatusCodeError or RequestError)
+ * @returns {boolean} true for 429, 5xx and connection errors
+ */
+function isRetryableRequestError(err) {
+  const statusCode = err?.statusCode;
+  if (statusCode === 429 || statusCode >= 500) return true;
+  return RETRYABLE_ERROR_CODES.includes(err?.cause?.code ?? err?.code);
+}
+
+/**
+ * @param {number} attempt 1 for the first retry
+ * @param {object} opts { initialBackoffMs, maxBackoffMs, random }
+ * @param {Error} err the error of the failed attempt: a 429 with a Retry-After header waits at least that long
+ * @returns {number} milliseconds to wait: half the exponential backoff plus a random part of the other half,
+ * so the Pi and the Mac (same api key) don't retry in step
+ */
+function retryDelay(attempt, { initialBackoffMs = AW_REQUEST_DEFAULTS.initialBackoffMs, maxBackoffMs = AW_REQUEST_DEFAULTS.maxBackoffMs, random = Math.random } = {}, err) {
+  const backoff = Math.min(initialBackoffMs * 2 ** (attempt - 1), maxBackoffMs);
+  const delay = Math.round(backoff / 2 + random() * (backoff / 2));
+  const retryAfterSeconds = Number(err?.response?.headers?.['retry-after']);
+  return Number.isFinite(retryAfterSeconds) ? Math.max(delay, retryAfterSeconds * 1000) : delay;
+}
+
+/*
+ * Request layer in front of the Ambient Weather API (same userDevices / deviceData methods), for one run:
+ * - calls are spaced at least minIntervalMs apart
+ * - 429s, 5xx and connection errors are retried with jittered exponential backoff, up to maxRetries times
+ * - the userDevices result is cached, the account's devices don't change during a run
+ * - every call's outcome is recorded (see outcomes and summary), so a failed fetch shows up in the run's result
+ * args:
+ * awApi: AW API REST application
+ * opts: { minIntervalMs, maxRetries, initialBackoffMs, maxBackoffMs, sleep, random, now } (the last three for tests)
+ */
+class AwApiRequests {
+  #awApi;
+  #opts;
+  #nextCallAt = 0;
+  #userDevices = null;
+  #outcomes = [];
+  constructor(awApi, opts = {}) {
+    this.#awApi = awApi;
+    this.#opts = { ...AW_REQUEST_DEFAULTS, sleep, random: Math.random, now: Date.now, ...opts };
+  }
+  /**
+   * @returns {array} [{ call, args, status: 'success' | 'failed', attempts, durationMs, statusCode?, error? }] in call order
+   */
+  get outcomes() {
+    return this.#outcomes;
+  }
+  /**
+   * @returns {object} { calls, succeeded, failed, retried } retried: calls that needed more than one attempt
+   */
+  summary() {
+    return {
+      calls: this.#outcomes.length,
+      succeeded: this.#outcomes.filter(outcome => outcome.status === 'success').length,
+      failed: this.#outcomes.filter(outcome => outcome.status === 'failed').length,
+      retried: this.#outcomes.filter(outcome => outcome.attempts > 1).length
+    };
+  }
+  /**
+   * The devices on the account, fetched once per run. A failed call isn't cached
+   * @returns {array} [{ macAddress, info: { name }, lastData }]
+   */
+  userDevices() {
+    if (!this.#userDevices) {
+      this.#userDevices = this.#request('userDevices', {}, () => this.#awApi.userDevices());
+      this.#userDevices.catch(() => { this.#userDevices = null; });
+    }
+    return this.#userDevices;
+  }
+  /**
+   * @param {string} macAddress device to fetch
+   * @param {object} options { limit, endDate } passed on to the API
+   * @returns {array} raw records, newest first
+   */
+  deviceData(macAddress, options) {
+    return this.#request('deviceData', { macAddress, ...options }, () => this.#awApi.deviceData(macAddress, options));
+  }
+
+  async #waitForSlot() {
+    const wait = this.#nextCallAt - this.#opts.now();
+    if (wait > 0) await this.#opts.sleep(wait);
+  }
+
+  async #request(call, args, send) {
+    const startedAt = this.#opts.now();
+    for (let attempt = 1; ; attempt++) {
+      await this.#waitForSlot();
+      try {
+        const result = await send();
+        this.#nextCallAt = this.#opts.now() + this.#opts.minIntervalMs;
+        this.#outcomes.push({ call, args, status: 'success', attempts: attempt, durationMs: this.#opts.now() - startedAt });
+        return result;
+      } catch (err) {
+        this.#nextCallAt = this.#opts.now() + this.#opts.minIntervalMs;
+        if (isRetryableRequestError(err) && attempt <= this.#opts.maxRetries) {
+          const delay = retryDelay(attempt, this.#opts, err);
+          awApiRequestsLogger.logWarning(`[${call}] ${err.statusCode ?? err.cause?.code ?? err.code}, retrying in ${delay}ms (attempt ${attempt + 1} of ${this.#opts.maxRetries + 1})`);
+          await this.#opts.sleep(delay);
+          continue;
+        }
+        // only the message: the request options of the error hold the api keys
+        this.#outcomes.push({ call, args, status: 'failed', attempts: attempt, durationMs: this.#opts.now() - startedAt, statusCode: err.statusCode, error: err.message });
+        awApiRequestsLogger.logError(`[${call}] failed after ${attempt} attempt(s):`, err.message);
+        throw err;
+      }
+    }
+  }
+}
+
+module.exports = { AwApiRequests, isRetryableRequestError, retryDelay, AW_REQUEST_DEFAULTS };
@@ -0,0 +1,110 @@
+const { AwApiRequests, isRetryableRequestError, retryDelay } = require('./AwApiRequests');
+
+describe('AwApiRequests', () => {
+  let awApi;
+  let clock;
+  let sleeps;
+  let requests;
+
+  const statusError = (statusCode, headers = {}) => Object.assign(new Error(`${statusCode} - {}`), { name: 'StatusCodeError', statusCode, response: { headers } });
+  const connectionError = code => Object.assign(new Error(`Error: ${code}`), { name: 'RequestError', cause: { code } });
+
+  beforeEach(() => {
+    awApi = { userDevices: jest.fn(), deviceData: jest.fn() };
+    clock = 0;
+    sleeps = [];
+    // time only moves when the layer waits
+    const sleep = async (ms) => {
+      sleeps.push(ms);
+      clock += ms;
+    };
+    requests = new AwApiRequests(awApi, { sleep, now: () => clock, random: () => 0.5 });
+  });
+
+  it('spaces the calls at least a second apart', async () => {
+    awApi.deviceData.mockResolvedValue([]);
+
+    await requests.deviceData('AA:BB', { limit: 288, endDate: 1 });
+    clock += 300;
+    await requests.deviceData('AA:BB', { limit: 288, endDate: 2 });
+
+    expect(sleeps).toEqual([800]);
+  });
+
+  it('fetches the devices once per run', async () => {
+    awApi.userDevices.mockResolvedValue([{ macAddress: 'AA:BB' }]);
+
+    await requests.userDevices();
+    const devices = await requests.userDevices();
+
+    expect(devices).toEqual([{ macAddress: 'AA:BB' }]);
+    expect(awApi.userDevices).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not cache a failed devices call', async () => {
+    awApi.userDevices.mockRejectedValueOnce(new Error('401 - {"error":"unauthorized"}')).mockResolvedValueOnce([]);
+
+    await expect(requests.userDevices()).rejects.toThrow('401');
+    await expect(requests.userDevices()).resolves.toEqual([]);
+    expect(awApi.userDevices).toHaveBeenCalledTimes(2);
+  });
+
+  it('retries 429s, 5xx and connection errors with backoff', async () => {
+    awApi.deviceData
+      .mockRejectedValueOnce(statusError(429))
+      .mockRejectedValueOnce(statusError(503))
+      .mockRejectedValueOnce(connectionError('ECONNRESET'))
+      .mockResolvedValueOnce([{ dateutc: 1 }]);
+
+    const data = await requests.deviceData('AA:BB', { limit: 1 });
+
+    expect(data).toEqual([{ dateutc: 1 }]);
+    // 3/4 of 2s, 4s and 8s with random() = 0.5
+    expect(sleeps).toEqual([1500, 3000, 6000]);
+    expect(requests.outcomes).toEqual([{ call: 'deviceData', args: { macAddress: 'AA:BB', limit: 1 }, status: 'success', attempts: 4, durationMs: 10500 }]);
+  });
+
+  it('waits as long as a 429 asks', async () => {
+    awApi.deviceData.mockRejectedValueOnce(statusError(429, { 'retry-after': '30' })).mockResolvedValueOnce([]);
+
+    await requests.deviceData('AA:BB', {});
+
+    expect(sleeps).toEqual([30000]);
+  });
+
+  it('records the calls that fail and rethrows their error', async () => {
+    awApi.deviceData.mockRejectedValueOnce(statusError(400)).mockResolvedValueOnce([]);
+    awApi.userDevices.mockRejectedValue(statusError(502));
+
+    await expect(requests.deviceData('AA:BB', { limit: 1 })).rejects.toThrow('400');
+    await requests.deviceData('AA:BB', { limit: 2 });
+    await expect(requests.userDevices()).rejects.toThrow('502');
+
+    expect(awApi.userDevices).toHaveBeenCalledTimes(5);
+    expect(requests.outcomes.map(({ call, status, attempts, statusCode }) => ({ call, status, attempts, statusCode }))).toEqual([
+      { call: 'deviceData', status: 'failed', attempts: 1, statusCode: 400 },
+      { call: 'deviceData', status: 'success', attempts: 1, statusCode: undefined },
+      { call: 'userDevices', status: 'failed', attempts: 5, statusCode: 502 }
+    ]);
+    expect(requests.summary()).toEqual({ calls: 3, succeeded: 1, failed: 2, retried: 1 });
+  });
+
+  describe('isRetryableRequestError', () => {
+    it('retries rate limits, server errors and connection errors only', () => {
+      expect(isRetryableRequestError(statusError(429))).toBe(true);
+      expect(isRetryableRequestError(statusError(500))).toBe(true);
+      expect(isRetryableRequestError(connectionError('ETIMEDOUT'))).toBe(true);
+      expect(isRetryableRequestError(statusError(401))).toBe(false);
+      expect(isRetryableRequestError(new Error('You need a macAddress for deviceData'))).toBe(false);
+    });
+  });
+
+  describe('retryDelay', () => {
+    it('doubles the backoff every attempt, with jitter, up to the maximum', () => {
+      expect(retryDelay(1, { random: () => 0 })).toBe(1000);
+      expect(retryDelay(1, { random: () => 1 })).toBe(2000);
+      expect(retryDelay(3, { random: () => 1 })).toBe(8000);
+      expect(retryDelay(10, { random: () => 1 })).toBe(60000);
+    });
+  });
+});
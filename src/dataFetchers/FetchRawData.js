@@ -1,8 +1,11 @@
 const {
   calcMinutesDiff,
-  timeConstants
+  timeConstants,
+  writeFileAtomic,
+  isTempFile
 } = require('../utils');
 const Logger = require('../logger');
+const { DEFAULT_STATION, stationDataDirectory } = require('../stations/stations');
 const AW_CONSTANTS = {
   dataInterval: 5,
   maxNumRecords: 288,
@@ -13,22 +16,32 @@ const fetchRawDataLogger = new Logger('[FetchRawData]');
  * Fetches data from Ambient-Weather
  * All dates should be in utc
  * args:
- * awAPi AW API REST application
+ * awAPi AW API REST application, or the AwApiRequests layer in front of it (spacing, retries, cached userDevices)
  * fs: file-system
- * returns: an array of dates for which data was retrieved
+ * station: { slug, macAddress } the device to fetch and the directory to save to (see src/stations), defaults to the original station
+ * opts: { fetchState } FetchState to read where fetching left off from (instead of every raw data file) and to record the saved dates in
+ * returns: an array of dates for which data was retrieved, and the fetches that failed
  */
 class FetchRawData {
-  #pathToFiles = 'ambient-weather-heiligers-imperial';
+  #pathToFiles;
+  #slug;
+  #macAddress;
+  #fetchState;
   #now = (new Date()).getTime();
   #numberOfRecords = 0;
   #datesArray = [];
   #allUniqueDates = [];
   #failedDatesForDataFetch = [];
+  #failedFetches = []; // [{ endDate, numRecords, error }] fetches that failed during the run
   #recentDataFileNames = []; // array of filename strings for the data fetched during the run.
   #skipSave = false;
-  constructor(awApi, fs) {
+  constructor(awApi, fs, { slug = DEFAULT_STATION, macAddress } = {}, { fetchState = null } = {}) {
     this.AWApi = awApi;
     this.fs = fs;
+    this.#slug = slug;
+    this.#pathToFiles = stationDataDirectory(slug, 'imperial');
+    this.#macAddress = macAddress;
+    this.#fetchState = fetchState;
   }
   get numberOfRecords() {
     return this.#numberOfRecords;
@@ -60,9 +73,15 @@ class FetchRawData {
   set now(date) {
     this.#now = date;
   }
+  get failedFetches() {
+    return this.#failedFetches;
+  }
   get pathToFiles() {
     return this.#pathToFiles;
   }
+  get macAddress() {
+    return this.#macAddress ?? process.env.AMBIENT_WEATHER_MACADDRESS;
+  }
   get recentDataFileNames() {
     return this.#recentDataFileNames;
   }
@@ -108,7 +127,8 @@ class FetchRawData {
     const files = this.fs.readdirSync(`data/${pathToFiles}`);
     if (files && files.length > 0) {
       files.forEach((file) => {
-        if (file === '.DS_Store') return;
+        // a temporary file is a write that didn't finish, the recovery check removes it
+        if (file === '.DS_Store' || isTempFile(file)) return;
         const dataReadFromFile = this.fs.readFileSync(`data/${pathToFiles}/${file}`);
         // handle the tricky case when all the file contains is an empty array
         if (dataReadFromFile !== undefined) {
@@ -123,6 +143,16 @@ class FetchRawData {
     }
     return [...new Set(allDates)];
   };
+  /**
+   * The dates we already have on file: the recent dates of the fetch state when there is one (rebuilt from the files
+   * the first time a station has none), else every date in the files
+   * @returns {array} unique date-time integers since Unix epoch in milliseconds
+   */
+  knownDates() {
+    if (!this.#fetchState) return this.extractUniqueDatesFromFiles(this.pathToFiles);
+    const stationState = this.#fetchState.station(this.#slug) ?? this.#fetchState.rebuild(this.#slug, this.extractUniqueDatesFromFiles(this.pathToFiles));
+    return stationState.recentDates;
+  }
   /**
    *
    * @param {array} allDatesFromFiles: array of date-time integers since Unix epoch in milliseconds
@@ -138,7 +168,7 @@ class FetchRawData {
     }
   }
   /**
-   * The AWApi call uses the from date and counts backwards (numRecords * 5 min) in time to fetch data.
+   * The AWApi call uses the from date and counts backwards (numRecords * 5 min) in time to fetch data, for this instance's device.
    * @param {integer} from: date-time as integer of Unix time in milliseconds since epoch
    * @param {integer} numRecords: number of records to fetch
    * @returns {array} if the device is available: array of json data containing the raw data from the AWApi call, else undefined
@@ -150,7 +180,7 @@ class FetchRawData {
     const devices = await this.AWApi.userDevices();
     if (devices && devices.length > 0) {
       try {
-        return await this.AWApi.deviceData(process.env.AMBIENT_WEATHER_MACADDRESS, { limit: numRecords, endDate: from });
+        return await this.AWApi.deviceData(this.macAddress, { limit: numRecords, endDate: from });
       } catch (err) {
         fetchRawDataLogger.logError('[fetchRecentData] [ERROR]', err)
         throw err;
@@ -186,7 +216,8 @@ class FetchRawData {
         const formattedFileName = `${from}_${to}`; // BREAKING CHANGE: uses integers now
         this.recentDataFileNames = formattedFileName;
         if (!this.skipSave) {
-          this.fs.writeFileSync(`data/${this.pathToFiles}/${formattedFileName}.json`, JSON.stringify(actualNewDataEntries, null, 2));
+          writeFileAtomic(this.fs, `data/${this.pathToFiles}/${formattedFileName}.json`, JSON.stringify(actualNewDataEntries, null, 2));
+          this.#fetchState?.recordFetched(this.#slug, actualNewDataEntries.map(entry => entry.dateutc));
         }
         return ({ from, to });
       }
@@ -196,14 +227,70 @@ class FetchRawData {
       throw err;
     }
   }
+  /**
+   * Records a fetch that failed, so it ends up in the result instead of leaving a silent hole in the data
+   * @param {integer} endDate date-time the fetch counted back from
+   * @param {integer} numRecords number of records requested
+   * @param {Error} err
+   */
+  recordFailedFetch(endDate, numRecords, err) {
+    this.failedDatesForDate = this.failedDatesForDate.concat(endDate);
+    this.#failedFetches.push({ endDate, numRecords, error: err.message });
+  }
+  /**
+   * Fetches exactly the records inside [start, end], however long the window: the API counts back from an end date,
+   * so the window is paged backward, each call asking for at most 288 records and no more than the window still needs.
+   * Pages overlap when the API includes its end date, so records are deduplicated on dateutc. Nothing is saved to file.
+   * Stops at the first failed call (see recordFailedFetch): the records of the pages before it are still returned
+   * @param {integer} start date-time in milliseconds since epoch, inclusive
+   * @param {integer} end date-time in milliseconds since epoch, inclusive
+   * @param {object} options { limit: records per call, max 288 }
+   * @returns {obj} { records: <array> sorted by dateutc, pages: <integer> calls that returned data, failedFetches: <array> }
+   * @example
+   * await fetcher.fetchWindow(Date.UTC(2026, 0, 1), Date.UTC(2026, 0, 3))
+   * // { records: [{ dateutc: 1767225600000, ... }, ... 577 records ..., { dateutc: 1767398400000, ... }], pages: 3, failedFetches: [] }
+   */
+  async fetchWindow(start, end, { limit = AW_CONSTANTS.maxNumRecords } = {}) {
+    const recordInterval = AW_CONSTANTS.dataInterval * timeConstants.seconds_per_minute * timeConstants.milliseconds_per_second;
+    const pageLimit = Math.min(limit, AW_CONSTANTS.maxNumRecords);
+    const recordsByDate = new Map();
+    let pages = 0;
+    // +1: the API's end date may be exclusive, a record at exactly `end` belongs to the window
+    let pageEnd = end + 1;
+    while (pageEnd > start) {
+      const numRecords = Math.min(pageLimit, Math.ceil((pageEnd - start) / recordInterval) + 1);
+      let page;
+      try {
+        page = await this.fetchRecentData(pageEnd, numRecords);
+      } catch (err) {
+        fetchRawDataLogger.logError('[fetchWindow] PROBLEM! Stopping at:', { endDate: pageEnd, error: err.message });
+        this.recordFailedFetch(pageEnd, numRecords, err);
+        break;
+      }
+      if (!Array.isArray(page) || page.length === 0) break;
+      pages += 1;
+      page
+        .filter(record => record?.dateutc >= start && record.dateutc <= end)
+        .forEach(record => recordsByDate.set(record.dateutc, record));
+      const oldest = Math.min(...page.map(record => record.dateutc));
+      // the device has no older data, or the API ignored the end date
+      if (!(oldest < pageEnd)) break;
+      pageEnd = oldest;
+    }
+    const records = [...recordsByDate.values()].sort((a, b) => a.dateutc - b.dateutc);
+    fetchRawDataLogger.logInfo('[fetchWindow] fetched', { start, end, records: records.length, pages, failedFetches: this.failedFetches.length });
+    return { records, pages, failedFetches: this.failedFetches };
+  }
   /**
    * main method for FetchRawData class: fetches data that we don't yet have on file up to fromDate
    * @param {boolean} skipSave: saving to file is skipped if true
    * @param {integer} fromDate: date until which to fetch new data for (calls are made going back in time)
    * @param {boolean} bypassRateLimit: skip the rate limit check (useful for backfill operations)
    * @param {integer} clusterLatestDate: optional - if provided, use this as the reference date instead of local files (prevents duplicates when multiple machines run cron)
-   * @returns {obj | string} { dataFetchForDates: <array>, dataFileNames: <array } | "too early" if less than 5 min has passed between the current time and the most recent datetime on file
-   array of date-times in milliseconds since epoch, array of filenames where the data was/would have been stored
+   * @returns {obj | string} { dataFetchForDates: <array>, dataFileNames: <array>, failedFetches: <array> } | "too early" if less than 5 min has passed between the current time and the most recent datetime on file
+   array of date-times in milliseconds since epoch, array of filenames where the data was/would have been stored,
+   the fetches that failed after the request layer's retries: [{ endDate, numRecords, error }]. The multi-day fetch stops at the first failure,
+   everything fetched before it is newer than the hole it leaves
    */
   // main function for this class
   async getDataForDateRanges(skipSave = true, fromDate, bypassRateLimit = false, clusterLatestDate = null) {
@@ -217,7 +304,7 @@ class FetchRawData {
     // this is all setup before I can start fetching the data
 
     // set the unique dates entry set to the class instance
-    this.allUniqueDates = this.extractUniqueDatesFromFiles(this.pathToFiles);
+    this.allUniqueDates = this.knownDates();
 
     // Use cluster-based date if provided, otherwise fall back to local files
     // Use != null to handle both null and undefined while still allowing epoch 0
@@ -269,23 +356,31 @@ class FetchRawData {
             break;
           }
         } catch (err) {
-          fetchRawDataLogger.logError('[getDataForDateRanges] [multi-day fetch] PROBLEM!', err)
+          fetchRawDataLogger.logError('[getDataForDateRanges] [multi-day fetch] PROBLEM! Stopping the batches at:', { endDate: this.now, error: err.message })
+          this.recordFailedFetch(this.now, this.numberOfRecords, err);
+          break;
         }
       }
+      if (this.failedFetches.length > 0) {
+        return { dataFetchForDates: this.datesArray, dataFileNames: this.recentDataFileNames, failedFetches: this.failedFetches };
+      }
       // fetch the last lot of data that doesn't fall into a batch
       const lastRecordsFromDate = Math.min(...this.datesArray.map((entry) => entry.from));
       const lastRecordsLimit = Math.floor(calcMinutesDiff(lastRecordsFromDate, dateOfLastDataSaved) / AW_CONSTANTS.dataInterval)
 
       fetchRawDataLogger.logInfo('[getDataForDateRanges] [multi-day fetch] Setting up final collection for record count:', { lastRecordsLimit: lastRecordsLimit });
 
-      const fetchedData = await this.fetchAndStoreData(lastRecordsFromDate, lastRecordsLimit);
-      if (fetchedData) {
-        const { from, to } = fetchedData;
-        this.datesArray = this.datesArray.concat({ from, to })
-        return { dataFetchForDates: this.datesArray, dataFileNames: this.recentDataFileNames };
-      } else {
-        return { dataFetchForDates: this.datesArray, dataFileNames: this.recentDataFileNames };
+      try {
+        const fetchedData = await this.fetchAndStoreData(lastRecordsFromDate, lastRecordsLimit);
+        if (fetchedData) {
+          const { from, to } = fetchedData;
+          this.datesArray = this.datesArray.concat({ from, to })
+        }
+      } catch (err) {
+        fetchRawDataLogger.logError('[getDataForDateRanges] [multi-day fetch] PROBLEM! Final collection failed:', { endDate: lastRecordsFromDate, error: err.message })
+        this.recordFailedFetch(lastRecordsFromDate, lastRecordsLimit, err);
       }
+      return { dataFetchForDates: this.datesArray, dataFileNames: this.recentDataFileNames, failedFetches: this.failedFetches };
     } else if (estTotalNumRecordsToFetch >= 2 && estTotalNumRecordsToFetch <= 288) {
       // single day data fetch, do not fetch if only one record is needed.
       try {
@@ -293,14 +388,15 @@ class FetchRawData {
         const result = await this.fetchAndStoreData(this.now, estTotalNumRecordsToFetch);
         this.datesArray = this.datesArray.concat(result)
 
-        return { dataFetchForDates: this.datesArray, dataFileNames: this.recentDataFileNames };
+        return { dataFetchForDates: this.datesArray, dataFileNames: this.recentDataFileNames, failedFetches: this.failedFetches };
       } catch (err) {
-        fetchRawDataLogger.logError('[getDataForDateRanges] [single-day fetch] PROBLEM!', err)
+        fetchRawDataLogger.logError('[getDataForDateRanges] [single-day fetch] PROBLEM!', { endDate: this.now, error: err.message })
+        this.recordFailedFetch(this.now, estTotalNumRecordsToFetch, err);
       }
     } else {
       return "too early"
     }
-    return { dataFetchForDates: this.datesArray, dataFileNames: this.recentDataFileNames };
+    return { dataFetchForDates: this.datesArray, dataFileNames: this.recentDataFileNames, failedFetches: this.failedFetches };
   };
 }
 module.exports = FetchRawData;
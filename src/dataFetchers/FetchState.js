@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../logger');
+const { writeFileAtomic } = require('../utils');
+
+const fetchStateLogger = new Logger('[FetchState]');
+
+const DEFAULT_FETCH_STATE_FILE = path.join(__dirname, '../../data/state/fetch-state.json');
+// two days of 5 minute readings: enough to dedupe the overlap between runs
+const RECENT_DATES_LIMIT = 2 * 288;
+
+/**
+ * Which state file to use: AW_FETCH_STATE_FILE, else data/state/fetch-state.json
+ * @returns {string} path to the fetch state file
+ */
+function fetchStateFile() {
+  return process.env.AW_FETCH_STATE_FILE || DEFAULT_FETCH_STATE_FILE;
+}
+
+const emptyState = () => ({ version: 1, stations: {} });
+
+/*
+ * Where fetching left off, so a run doesn't have to read every raw data file to find out. Per station:
+ * - lastFetchedDateutc: the most recent dateutc saved to the station's raw data files
+ * - recentDates: the most recent recentDatesLimit dateutc values saved, to dedupe the overlap with the next fetch
+ * - clusters: { <cluster name>: { lastIndexedDateutc, indexedAt } } the most recent dateutc indexed into each cluster
+ * - recoveryCheckedAt: when the station's data files were last checked for partial files (see src/recovery)
+ * - recentRecords: { to, records } the raw readings before the end (to) of the last converted raw file, the history of the
+ *   next one (see ImperialDocumentCache in src/converters/imperialDocuments.js)
+ * The file is rewritten (temporary file + rename) after every change, and a station's fetch state can be rebuilt
+ * from its raw data files at any time, see rebuild and `npm run fetch-state -- rebuild`
+ * args:
+ * opts: { filePath = fetchStateFile(), recentDatesLimit }
+ */
+class FetchState {
+  #filePath;
+  #recentDatesLimit;
+  #state = null;
+  constructor({ filePath = fetchStateFile(), recentDatesLimit = RECENT_DATES_LIMIT } = {}) {
+    this.#filePath = filePath;
+    this.#recentDatesLimit = recentDatesLimit;
+  }
+  get filePath() {
+    return this.#filePath;
+  }
+  /**
+   * @returns {object} the whole state: { version, stations: { <slug>: { lastFetchedDateutc, recentDates, clusters, updatedAt } } }
+   */
+  get state() {
+    return this.#load();
+  }
+  /**
+   * @param {string} slug station slug
+   * @returns {object | undefined} { lastFetchedDateutc, recentDates, clusters, recoveryCheckedAt, recentRecords, updatedAt }, undefined when the station has no state yet
+   */
+  station(slug) {
+    return this.#load().stations[slug];
+  }
+  /**
+   * Records the dates saved to a station's raw data files
+   * @param {string} slug station slug
+   * @param {array} dates dateutc values just saved
+   */
+  recordFetched(slug, dates) {
+    const current = this.#stationEntry(slug);
+    const recentDates = this.#trim([...current.recentDates, ...dates]);
+    const lastFetchedDateutc = Math.max(current.lastFetchedDateutc ?? -Infinity, ...dates);
+    this.#load().stations[slug] = { ...current, lastFetchedDateutc: Number.isFinite(lastFetchedDateutc) ? lastFetchedDateutc : null, recentDates, updatedAt: new Date().toISOString() };
+    this.#save();
+  }
+  /**
+   * Records the most recent dateutc indexed into a cluster. Never moves backwards
+   * @param {string} slug station slug
+   * @param {string} clusterName
+   * @param {number} dateutc
+   */
+  recordIndexed(slug, clusterName, dateutc) {
+    const current = this.#stationEntry(slug);
+    const previous = current.clusters[clusterName]?.lastIndexedDateutc ?? -Infinity;
+    const clusters = { ...current.clusters, [clusterName]: { lastIndexedDateutc: Math.max(previous, dateutc), indexedAt: new Date().toISOString() } };
+    this.#load().stations[slug] = { ...current, clusters, updatedAt: new Date().toISOString() };
+    this.#save();
+  }
+  /**
+   * Records when a station's data files were checked for partial files: the next check only reads the files modified since
+   * @param {string} slug station slug
+   * @param {number} checkedAt epoch ms the check started
+   */
+  recordRecoveryCheck(slug, checkedAt) {
+    this.#load().stations[slug] = { ...this.#stationEntry(slug), recoveryCheckedAt: checkedAt, updatedAt: new Date().toISOString() };
+    this.#save();
+  }
+  /**
+   * Records the readings before the end of the last converted raw file. Never moves backwards
+   * @param {string} slug station slug
+   * @param {object} recentRecords { to, records } to: the last dateutc the name of the file claims, records: the raw
+   * readings of the history window before it
+   */
+  recordRecentRecords(slug, { to, records }) {
+    const current = this.#stationEntry(slug);
+    if ((current.recentRecords?.to ?? -Infinity) > to) return;
+    this.#load().stations[slug] = { ...current, recentRecords: { to, records }, updatedAt: new Date().toISOString() };
+    this.#save();
+  }
+  /**
+   * Replaces a station's fetch state with the dates found in its raw data files. The cluster entries are kept, the
+   * recent records are dropped: the next conversion reads its history from the raw files again
+   * @param {string} slug station slug
+   * @param {array} dates every dateutc in the station's raw data files
+   * @returns {object} the station's new state
+   */
+  rebuild(slug, dates) {
+    const { recentRecords, ...current } = this.#stationEntry(slug);
+    const recentDates = this.#trim(dates);
+    this.#load().stations[slug] = {
+      ...current,
+      lastFetchedDateutc: recentDates.length > 0 ? recentDates[recentDates.length - 1] : null,
+      recentDates,
+      updatedAt: new Date().toISOString()
+    };
+    this.#save();
+    fetchStateLogger.logInfo(`[rebuild] [${slug}] ${dates.length} dates on file, last fetched ${recentDates.length > 0 ? new Date(recentDates[recentDates.length - 1]).toISOString() : 'never'}`);
+    return this.station(slug);
+  }
+
+  #stationEntry(slug) {
+    return this.#load().stations[slug] ?? { lastFetchedDateutc: null, recentDates: [], clusters: {} };
+  }
+
+  // sorted, unique, the most recent recentDatesLimit dates only
+  #trim(dates) {
+    const sorted = [...new Set(dates.filter(Number.isFinite))].sort((a, b) => a - b);
+    return sorted.slice(Math.max(sorted.length - this.#recentDatesLimit, 0));
+  }
+
+  #load() {
+    if (this.#state) return this.#state;
+    this.#state = emptyState();
+    if (!fs.existsSync(this.#filePath)) return this.#state;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.#filePath, 'utf8'));
+      if (parsed && typeof parsed.stations === 'object' && !Array.isArray(parsed.stations)) {
+        this.#state = { ...emptyState(), ...parsed };
+      } else {
+        fetchStateLogger.logWarning(`[load] ${this.#filePath} has no stations, starting over (stations are rebuilt from their files)`);
+      }
+    } catch (err) {
+      fetchStateLogger.logWarning(`[load] ${this.#filePath} is not valid JSON, starting over (stations are rebuilt from their files):`, err.message);
+    }
+    return this.#state;
+  }
+
+  // an interrupted write leaves the previous state, never half of one
+  #save() {
+    fs.mkdirSync(path.dirname(this.#filePath), { recursive: true });
+    writeFileAtomic(fs, this.#filePath, JSON.stringify(this.#state, null, 2));
+  }
+}
+
+module.exports = { FetchState, fetchStateFile, RECENT_DATES_LIMIT };
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FetchState } = require('./FetchState');
+
+describe('FetchState', () => {
+  const FIVE_MINUTES = 5 * 60 * 1000;
+  const DAY = Date.UTC(2026, 0, 1);
+  let tmpDir;
+  let filePath;
+
+  const datesFrom = (start, count) => Array.from({ length: count }, (_, i) => start + i * FIVE_MINUTES);
+  const readFile = () => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-state-'));
+    filePath = path.join(tmpDir, 'state', 'fetch-state.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('has no state for a station that was never fetched', () => {
+    expect(new FetchState({ filePath }).station('heiligers')).toBeUndefined();
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it('records the fetched dates and keeps only the most recent ones', () => {
+    const fetchState = new FetchState({ filePath, recentDatesLimit: 3 });
+
+    fetchState.recordFetched('heiligers', datesFrom(DAY, 2));
+    fetchState.recordFetched('heiligers', datesFrom(DAY + FIVE_MINUTES, 3));
+
+    expect(fetchState.station('heiligers')).toEqual(expect.objectContaining({
+      lastFetchedDateutc: DAY + 3 * FIVE_MINUTES,
+      recentDates: datesFrom(DAY + FIVE_MINUTES, 3),
+      clusters: {}
+    }));
+    // written straight away, without leaving the temporary file behind
+    expect(readFile().stations.heiligers.lastFetchedDateutc).toBe(DAY + 3 * FIVE_MINUTES);
+    expect(fs.readdirSync(path.dirname(filePath))).toEqual(['fetch-state.json']);
+  });
+
+  it('records the last date indexed into each cluster, never moving it back', () => {
+    const fetchState = new FetchState({ filePath });
+
+    fetchState.recordIndexed('heiligers', 'PRODUCTION', DAY + FIVE_MINUTES);
+    fetchState.recordIndexed('heiligers', 'PRODUCTION', DAY);
+    fetchState.recordIndexed('heiligers', 'STAGING', DAY);
+
+    const { clusters } = new FetchState({ filePath }).station('heiligers');
+    expect(clusters.PRODUCTION.lastIndexedDateutc).toBe(DAY + FIVE_MINUTES);
+    expect(clusters.STAGING.lastIndexedDateutc).toBe(DAY);
+  });
+
+  it('records when the data files of a station were last checked, keeping the rest of its state', () => {
+    const fetchState = new FetchState({ filePath });
+    fetchState.recordFetched('heiligers', [DAY]);
+
+    fetchState.recordRecoveryCheck('heiligers', DAY + FIVE_MINUTES);
+
+    expect(new FetchState({ filePath }).station('heiligers')).toEqual(expect.objectContaining({ lastFetchedDateutc: DAY, recoveryCheckedAt: DAY + FIVE_MINUTES }));
+  });
+
+  it('records the readings before the last converted file, never moving them back', () => {
+    const fetchState = new FetchState({ filePath });
+    const recentRecords = { to: DAY + FIVE_MINUTES, records: [{ dateutc: DAY, tempf: 70 }, { dateutc: DAY + FIVE_MINUTES, tempf: 71 }] };
+    fetchState.recordRecentRecords('heiligers', recentRecords);
+
+    fetchState.recordRecentRecords('heiligers', { to: DAY, records: [{ dateutc: DAY, tempf: 70 }] });
+
+    expect(new FetchState({ filePath }).station('heiligers').recentRecords).toEqual(recentRecords);
+    // the next conversion reads its history from the raw files again
+    expect(fetchState.rebuild('heiligers', [DAY]).recentRecords).toBeUndefined();
+  });
+
+  it('rebuilds a station from the dates on file and keeps its cluster dates', () => {
+    const fetchState = new FetchState({ filePath, recentDatesLimit: 2 });
+    fetchState.recordFetched('heiligers', [DAY + 10 * FIVE_MINUTES]);
+    fetchState.recordIndexed('heiligers', 'PRODUCTION', DAY);
+
+    const rebuilt = fetchState.rebuild('heiligers', [DAY + 2 * FIVE_MINUTES, DAY, DAY + FIVE_MINUTES, DAY]);
+
+    expect(rebuilt).toEqual(expect.objectContaining({
+      lastFetchedDateutc: DAY + 2 * FIVE_MINUTES,
+      recentDates: [DAY + FIVE_MINUTES, DAY + 2 * FIVE_MINUTES],
+      clusters: { PRODUCTION: expect.objectContaining({ lastIndexedDateutc: DAY }) }
+    }));
+    expect(fetchState.rebuild('patio', [])).toEqual(expect.objectContaining({ lastFetchedDateutc: null, recentDates: [] }));
+  });
+
+  it('starts over when the file is not valid', () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '{"stations": {"heilig');
+
+    const fetchState = new FetchState({ filePath });
+
+    expect(fetchState.station('heiligers')).toBeUndefined();
+    fetchState.recordFetched('heiligers', [DAY]);
+    expect(readFile().stations.heiligers.recentDates).toEqual([DAY]);
+  });
+});
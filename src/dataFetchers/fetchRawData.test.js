@@ -244,7 +244,9 @@ describe('FetchRawData', () => {
       spy = jest.spyOn(mockFs, 'writeFileSync').mockImplementationOnce(() => true);
 
       expect(mockFs.writeFileSync).toHaveBeenCalled();
-      expect(mockFs.writeFileSync.mock.calls[0][0]).toBe('data/ambient-weather-heiligers-imperial/1593466200000_1593468000000.json')
+      // written to a temporary file first, then renamed into place
+      expect(mockFs.writeFileSync.mock.calls[0][0]).toBe('data/ambient-weather-heiligers-imperial/1593466200000_1593468000000.json.tmp')
+      expect(mockFs.renameSync).toHaveBeenLastCalledWith('data/ambient-weather-heiligers-imperial/1593466200000_1593468000000.json.tmp', 'data/ambient-weather-heiligers-imperial/1593466200000_1593468000000.json')
       expect(mockFs.writeFileSync.mock.calls[0][1]).toBe(JSON.stringify(mockedData, null, 2))
       expect(mockFs.writeFileSync.mock.results[0].value).toBe(undefined)
       spy.mockRestore();
@@ -279,11 +281,116 @@ describe('FetchRawData', () => {
       await rawDataFetcher.fetchAndStoreData((Date.parse('2020-06-30')), 1);
       spy = jest.spyOn(mockFs, 'writeFileSync').mockImplementationOnce(() => true);
       expect(mockFs.writeFileSync).toHaveBeenCalled();
-      expect(mockFs.writeFileSync.mock.calls[0][0]).toBe('data/ambient-weather-heiligers-imperial/1593430200000_1593432000000.json')
-      expect(mockFs.writeFileSync.mock.calls[0][0]).not.toBe('data/ambient-weather-heiligers-imperial/20200629-T-1201_1201.json')
+      expect(mockFs.writeFileSync.mock.calls[0][0]).toBe('data/ambient-weather-heiligers-imperial/1593430200000_1593432000000.json.tmp')
       spy.mockRestore();
     });
   });
+  describe('fetch state', () => {
+    const mockFetchState = () => ({ station: jest.fn(), rebuild: jest.fn(), recordFetched: jest.fn() });
+    it('reads the dates on file from the fetch state instead of the files', () => {
+      const fetchState = mockFetchState();
+      fetchState.station.mockReturnValue({ lastFetchedDateutc: 2, recentDates: [1, 2] });
+      const rawDataFetcher = new FetchRawData(mockAWApi, mockFs, { slug: 'patio' }, { fetchState });
+      jest.spyOn(rawDataFetcher, 'extractUniqueDatesFromFiles');
+
+      expect(rawDataFetcher.knownDates()).toEqual([1, 2]);
+      expect(fetchState.station).toHaveBeenCalledWith('patio');
+      expect(rawDataFetcher.extractUniqueDatesFromFiles).not.toHaveBeenCalled();
+    });
+    it('rebuilds the fetch state from the files for a station without one', () => {
+      const fetchState = mockFetchState();
+      fetchState.rebuild.mockReturnValue({ lastFetchedDateutc: 3, recentDates: [3] });
+      const rawDataFetcher = new FetchRawData(mockAWApi, mockFs, { slug: 'patio' }, { fetchState });
+      jest.spyOn(rawDataFetcher, 'extractUniqueDatesFromFiles').mockReturnValue([3]);
+
+      expect(rawDataFetcher.knownDates()).toEqual([3]);
+      expect(rawDataFetcher.extractUniqueDatesFromFiles).toHaveBeenCalledWith('ambient-weather-patio-imperial');
+      expect(fetchState.rebuild).toHaveBeenCalledWith('patio', [3]);
+    });
+    it('records the dates of every file it writes', async () => {
+      const fetchState = mockFetchState();
+      const rawDataFetcher = new FetchRawData(mockAWApi, mockFs, undefined, { fetchState });
+      jest.spyOn(rawDataFetcher, 'fetchRecentData').mockResolvedValueOnce([{ dateutc: 1593468000000 }, { dateutc: 1593467700000 }]);
+
+      await rawDataFetcher.fetchAndStoreData(1593468000000, 2);
+
+      expect(fetchState.recordFetched).toHaveBeenCalledWith('heiligers', [1593468000000, 1593467700000]);
+    });
+    it('does not record anything when saving is skipped', async () => {
+      const fetchState = mockFetchState();
+      const rawDataFetcher = new FetchRawData(mockAWApi, mockFs, undefined, { fetchState });
+      rawDataFetcher.skipSave = true;
+      jest.spyOn(rawDataFetcher, 'fetchRecentData').mockResolvedValueOnce([{ dateutc: 1593468000000 }]);
+
+      await rawDataFetcher.fetchAndStoreData(1593468000000, 1);
+
+      expect(fetchState.recordFetched).not.toHaveBeenCalled();
+    });
+  });
+  describe('class methods: fetchWindow', () => {
+    const FIVE_MINUTES = 5 * 60 * 1000;
+    const windowStart = Date.parse('2020-07-10T00:00:00Z');
+    let rawDataFetcher;
+    // a station that reported every 5 minutes for 10 days before 2020-07-20: the API returns up to `limit` records
+    // at or before endDate, newest first
+    const stationData = (endDateIsInclusive = true) => (macAddress, { limit, endDate }) => {
+      const records = [];
+      let dateutc = Math.floor(endDate / FIVE_MINUTES) * FIVE_MINUTES;
+      if (!endDateIsInclusive && dateutc === endDate) dateutc -= FIVE_MINUTES;
+      for (; records.length < limit && dateutc >= windowStart - 10 * 24 * 60 * 60 * 1000; dateutc -= FIVE_MINUTES) {
+        records.push({ dateutc, tempf: 70 });
+      }
+      return Promise.resolve(records);
+    };
+    beforeEach(() => {
+      mockAWApi.userDevices.mockReset().mockResolvedValue([{ macAddress: 'F4:CF:A2:CD:9B:12' }]);
+      mockAWApi.deviceData.mockReset();
+      rawDataFetcher = new FetchRawData(mockAWApi, mockFs);
+    });
+    it('pages back until it reaches the start of a window longer than a day', async () => {
+      mockAWApi.deviceData.mockImplementation(stationData());
+      const windowEnd = windowStart + 3 * 24 * 60 * 60 * 1000;
+
+      const { records, pages, failedFetches } = await rawDataFetcher.fetchWindow(windowStart, windowEnd);
+
+      expect(records).toHaveLength(3 * 288 + 1);
+      expect(records[0].dateutc).toBe(windowStart);
+      expect(records[records.length - 1].dateutc).toBe(windowEnd);
+      // sorted, and the overlapping record of every page only once
+      expect(records.every((record, i) => i === 0 || record.dateutc - records[i - 1].dateutc === FIVE_MINUTES)).toBe(true);
+      expect(pages).toBe(4);
+      expect(mockAWApi.deviceData.mock.calls.every(([, { limit }]) => limit <= 288)).toBe(true);
+      expect(failedFetches).toEqual([]);
+    });
+    it('only asks for the records a short window needs', async () => {
+      mockAWApi.deviceData.mockImplementation(stationData(false));
+      const windowEnd = windowStart + 30 * 60 * 1000;
+
+      const { records } = await rawDataFetcher.fetchWindow(windowStart, windowEnd);
+
+      expect(records.map(record => record.dateutc)).toEqual([0, 1, 2, 3, 4, 5, 6].map(i => windowStart + i * FIVE_MINUTES));
+      expect(mockAWApi.deviceData.mock.calls[0][1]).toEqual({ limit: 8, endDate: windowEnd + 1 });
+    });
+    it('stops at a failed call and returns what it fetched before it', async () => {
+      mockAWApi.deviceData
+        .mockImplementationOnce(stationData())
+        .mockRejectedValueOnce(new Error('503 - {}'));
+
+      const { records, failedFetches } = await rawDataFetcher.fetchWindow(windowStart, windowStart + 2 * 24 * 60 * 60 * 1000);
+
+      expect(records).toHaveLength(288);
+      expect(failedFetches).toEqual([{ endDate: windowStart + 24 * 60 * 60 * 1000 + FIVE_MINUTES, numRecords: 288, error: '503 - {}' }]);
+    });
+    it('stops when the device has no older data', async () => {
+      mockAWApi.deviceData.mockResolvedValueOnce([{ dateutc: windowStart + FIVE_MINUTES }]).mockResolvedValueOnce([]);
+
+      const { records, pages } = await rawDataFetcher.fetchWindow(windowStart, windowStart + 60 * 60 * 1000);
+
+      expect(records).toEqual([{ dateutc: windowStart + FIVE_MINUTES }]);
+      expect(pages).toBe(1);
+      expect(mockAWApi.deviceData).toHaveBeenCalledTimes(2);
+    });
+  });
   describe('class methods: getDataForDateRanges', () => {
     let rawDataFetcher;
     const setDate = (Date.parse('2020-07-19'));
@@ -314,7 +421,8 @@ describe('FetchRawData', () => {
       const result = await rawDataFetcher.getDataForDateRanges(defaultArgs.skipSave, defaultArgs.fromDate);
       expect(rawDataFetcher.extractUniqueDatesFromFiles).toHaveBeenCalled();
       expect(rawDataFetcher.fetchAndStoreData.mock.calls.length).toEqual(1);
-      expect(Object.keys(result)).toStrictEqual(["dataFetchForDates", "dataFileNames"]);
+      expect(Object.keys(result)).toStrictEqual(["dataFetchForDates", "dataFileNames", "failedFetches"]);
+      expect(result.failedFetches).toEqual([]);
       expect(result.dataFetchForDates).toEqual([{ from: mockedFrom, to: mockedTo }]);
     });
     it.skip("fetches data if no date is provided", async () => {
@@ -373,6 +481,35 @@ describe('FetchRawData', () => {
       expect(fromDates).toEqual(mockedFrom)
       expect(toDates).toEqual(mockedTo)
     });
+    it('stops the batches at the first failed fetch and reports it', async () => {
+      rawDataFetcher = new FetchRawData(mockAWApi, mockFs);
+      const mockedFrom = Date.parse('2020-07-18T00:00:00Z');
+      jest
+        .spyOn(rawDataFetcher, 'extractUniqueDatesFromFiles')
+        .mockImplementation(() => [Date.parse('2020-07-15T17:55:00.000Z')]);
+      jest
+        .spyOn(rawDataFetcher, 'fetchAndStoreData')
+        .mockImplementationOnce(() => ({ from: mockedFrom, to: Date.parse('2020-07-19T00:00:00Z') }))
+        .mockRejectedValueOnce(new Error('503 - {}'));
+
+      const result = await rawDataFetcher.getDataForDateRanges(false, Date.parse('2020-07-19'));
+
+      // no further batches and no final collection: they would only fetch data older than the hole
+      expect(rawDataFetcher.fetchAndStoreData).toHaveBeenCalledTimes(2);
+      expect(result.dataFetchForDates).toEqual([{ from: mockedFrom, to: Date.parse('2020-07-19T00:00:00Z') }]);
+      expect(result.failedFetches).toEqual([{ endDate: mockedFrom, numRecords: undefined, error: '503 - {}' }]);
+      expect(rawDataFetcher.failedDatesForDate).toEqual([mockedFrom]);
+    });
+    it('reports a failed single-day fetch', async () => {
+      rawDataFetcher = new FetchRawData(mockAWApi, mockFs);
+      rawDataFetcher.now = Date.parse('2020-07-19T00:00:00Z');
+      jest.spyOn(rawDataFetcher, 'extractUniqueDatesFromFiles').mockImplementation(() => [Date.parse('2020-07-18T23:00:00Z')]);
+      jest.spyOn(rawDataFetcher, 'fetchAndStoreData').mockRejectedValueOnce(new Error('ECONNRESET'));
+
+      const result = await rawDataFetcher.getDataForDateRanges(false, Date.parse('2020-07-19T00:00:00Z'));
+
+      expect(result.failedFetches).toEqual([{ endDate: Date.parse('2020-07-19T00:00:00Z'), numRecords: 12, error: 'ECONNRESET' }]);
+    });
     it('works if a date is not provided', async () => {
       rawDataFetcher = new FetchRawData(mockAWApi, mockFs);
       const result = await rawDataFetcher.getDataForDateRanges();
@@ -1,20 +1,47 @@
 const esClient = require('./esClient');
-const { pingCluster, getAmbientWeatherAliases, getMostRecentDoc, createIndex, deleteIndex, bulkIndexDocuments } = require('./esClientMethods');
+const {
+  pingCluster,
+  getAmbientWeatherAliases,
+  getMostRecentDoc,
+  createIndex,
+  deleteIndex,
+  bulkIndexDocuments,
+  countDocuments,
+  refreshIndex,
+  getIndexTemplate,
+  getLifecyclePolicy,
+  putLifecyclePolicy,
+  explainLifecycle,
+  rolloverAlias,
+  putIndexSettings
+} = require('./esClientMethods');
+const {
+  readLifecycleConfig,
+  buildLifecyclePolicy,
+  lifecyclePolicyMatches,
+  writeAliasName,
+  templateName,
+  firstRolloverIndexName,
+  resolvedFirstRolloverIndexName,
+  isRolloverIndexName,
+  isStationIndex
+} = require('./lifecycle');
+const { DEFAULT_STATION } = require('../stations/stations');
 const Logger = require('../logger');
 /*
 What do I want to do here?
 - ensure we have a connection to es
 - retrieve the current active indices we're writing to
 - retrieve the data we want to index: -> this will be done in the composed module
-- do any final transformations we need to that used to be handled by logstash (e.g. the date-time splitting)
+- do any final transformations we need to that used to be handled by logstash: the date-time splitting is the `local`
+  date parts bulkPair (main_utils.js) adds to every document
 - do the bulk indexing
 - retrieve the most recent document we've indexed and validate the indecing operation
 
 - later on:
-- set up ILM to roll over the indices
 - deduplicate any data that might be duplicated
-- add new indices
-- add new templates
+- new templates, first indices and write aliases are set up by src/bootstrap (npm run bootstrap)
+- ILM rolls the write indices over (setupLifecycle, getRolloverStatus and rollover below, npm run lifecycle)
 */
 /**
  * @implements elasticsearch client to communicate with the cluster
@@ -25,8 +52,16 @@ class IndexData {
   #dateOflatestIndexedImperialDoc = ''; // dateString
   #currentWriteIndices = [];
 
-  constructor(esClient) {
+  /**
+   * @param {elasticsearch client} esClient
+   * @param {object} options { clusterName, station }
+   * clusterName: name from the clusters config, recorded with documents that end up in the dead-letter file
+   * station: slug of the weather station whose indices and aliases this indexer writes to (see src/stations)
+   */
+  constructor(esClient, { clusterName, station = DEFAULT_STATION } = {}) {
     this.client = esClient;
+    this.clusterName = clusterName;
+    this.station = station;
     this.logger = new Logger('[IndexData]');
   };
   get dataToIndex() {
@@ -63,7 +98,7 @@ class IndexData {
     return await pingCluster(this.client);
   }
   /**
-   * gets the current write indices from the cluster
+   * gets the current write indices of the station from the cluster
    * adds these names to the class
    * @returns undordered array containing the write indices' names for the metric and imperial data
    * @example
@@ -75,6 +110,7 @@ class IndexData {
     const aliasesResults = await getAmbientWeatherAliases(this.client);
     const currentIndices = aliasesResults
       .filter(aliasEntry => (aliasEntry.is_write_index === 'true'))
+      .filter(aliasEntry => isStationIndex(aliasEntry.index, this.station))
       .map((entry => entry.index))
     if (currentIndices && currentIndices.length > 0) {
       this.currentWriteIndices = currentIndices;
@@ -85,7 +121,7 @@ class IndexData {
   }
   /**
    * @param
-   * @returns array containing selected info about the most recent document indexed for both the metric and imperial write indices as returned from the alias search.
+   * @returns array containing selected info about the most recent document indexed for both the metric and imperial aliases as returned from the alias search.
    * @example
     [{
         _index: 'ambient_weather_heiligers_imperial_2021_12_30',
@@ -115,8 +151,9 @@ class IndexData {
   async getMostRecentIndexedDocuments() {
     this.logger.logInfo('[getMostRecentIndexedDocuments] [START]')
 
-    const metricIndexToSearch = this.currentWriteIndices.filter(name => name.includes('metric'))[0];
-    const imperialIndexToSearch = this.currentWriteIndices.filter(name => name.includes('imperial'))[0];
+    // search the aliases rather than the write indices: right after a rollover the write index is still empty
+    const metricIndexToSearch = writeAliasName('metric', this.station);
+    const imperialIndexToSearch = writeAliasName('imperial', this.station);
 
     const opts = { size: 1, _source: ['date', 'dateutc', '@timestamp'], sortBy: [{ field: "dateutc", direction: "desc" }], expandWildcards: 'all' }
 
@@ -133,18 +170,201 @@ class IndexData {
   }
 
   /**
-   *
+   * Creates or updates the ILM policy and moves both aliases onto ILM-managed write indices
+   * - an alias still writing to an old style dated index (no -000001 suffix) is rolled over to
+   *   <ambient_weather_heiligers_{type}_{now/d}-000001> because ILM can only roll over indices whose name ends in a number
+   * - the write index gets the policy and rollover alias settings, later indices get them from the templates
+   * @param {object} config output of readLifecycleConfig
+   * @param {object} opts { dryRun, dataTypes } dryRun: only work out the actions when true, dataTypes: the aliases to
+   * set up, imperial and the unit profiles (defaults to ['imperial', 'metric'])
+   * @returns {array} the actions taken (or that would be taken)
+   * @example
+    [
+      { type: 'putPolicy', policyName: 'ambient-weather-heiligers', change: 'create' },
+      { type: 'rollover', alias: 'all-ambient-weather-heiligers-metric', oldIndex: 'ambient_weather_heiligers_metric_2021_12_30', newIndex: 'ambient_weather_heiligers_metric_2026_10_19-000001' },
+      { type: 'attachPolicy', alias: 'all-ambient-weather-heiligers-metric', index: 'ambient_weather_heiligers_metric_2026_10_19-000001' }
+    ]
+   */
+  async setupLifecycle(config = readLifecycleConfig(), { dryRun = false, dataTypes = ['imperial', 'metric'] } = {}) {
+    this.logger.logInfo('[setupLifecycle] [START]', { policyName: config.policyName, dryRun });
+    const actions = [];
+
+    const currentPolicy = await getLifecyclePolicy(this.client, config.policyName);
+    if (!lifecyclePolicyMatches(currentPolicy, config)) {
+      actions.push({ type: 'putPolicy', policyName: config.policyName, change: currentPolicy ? 'update' : 'create', rollover: config.rollover });
+      if (!dryRun) await putLifecyclePolicy(this.client, config.policyName, buildLifecyclePolicy(config));
+    }
+
+    for (const dataType of dataTypes) {
+      const alias = writeAliasName(dataType, this.station);
+      const template = await getIndexTemplate(this.client, templateName(dataType, this.station));
+      if (template?.settings?.index?.lifecycle?.name !== config.policyName) {
+        // indices created by ILM rollovers take their settings from the template
+        this.logger.logWarning(`[setupLifecycle] template ${templateName(dataType, this.station)} does not use ${config.policyName}. Run \`npm run bootstrap\` to update it`);
+      }
+
+      let writeIndex = await this.#getWriteIndexFor(alias);
+      const needsNumberedIndex = !isRolloverIndexName(writeIndex);
+      if (needsNumberedIndex) {
+        const newIndex = dryRun
+          ? resolvedFirstRolloverIndexName(dataType, undefined, this.station)
+          : (await rolloverAlias(this.client, alias, { newIndex: firstRolloverIndexName(dataType, this.station) })).new_index;
+        actions.push({ type: 'rollover', alias, oldIndex: writeIndex, newIndex });
+        writeIndex = newIndex;
+      }
+
+      // in a dry run the numbered index doesn't exist yet, so there's nothing to explain
+      const explained = dryRun && needsNumberedIndex ? {} : await explainLifecycle(this.client, writeIndex);
+      if (explained?.policy !== config.policyName) {
+        actions.push({ type: 'attachPolicy', alias, index: writeIndex });
+        if (!dryRun) {
+          await putIndexSettings(this.client, writeIndex, {
+            'index.lifecycle.name': config.policyName,
+            'index.lifecycle.rollover_alias': alias
+          });
+        }
+      }
+    }
+    this.logger.logInfo('[setupLifecycle] [RESULT]', actions);
+    return actions;
+  }
+
+  /**
+   * For each alias: the write index, where ILM has it and whether the configured conditions would roll it over now
+   * @param {object} config output of readLifecycleConfig
+   * @param {array} dataTypes defaults to ['imperial', 'metric']
+   * @returns {array} one status per alias
+   * @example
+    [{
+      alias: 'all-ambient-weather-heiligers-metric',
+      writeIndex: 'ambient_weather_heiligers_metric_2026_10_19-000001',
+      managed: true,
+      policy: 'ambient-weather-heiligers',
+      phase: 'hot',
+      step: 'check-rollover-ready',
+      age: '2.1d',
+      failedStep: undefined,
+      conditions: { '[max_age: 30d]': false, '[max_primary_shard_size: 5gb]': false },
+      wouldRollOver: false
+    }]
+   */
+  async getRolloverStatus(config = readLifecycleConfig(), dataTypes = ['imperial', 'metric']) {
+    const statuses = [];
+    for (const dataType of dataTypes) {
+      const alias = writeAliasName(dataType, this.station);
+      const writeIndex = await this.#getWriteIndexFor(alias);
+      const explained = await explainLifecycle(this.client, writeIndex);
+      const dryRunResult = await rolloverAlias(this.client, alias, { conditions: config.rollover, dryRun: true });
+      const conditions = dryRunResult.conditions ?? {};
+      statuses.push({
+        alias,
+        writeIndex,
+        managed: !!explained?.managed,
+        policy: explained?.policy,
+        phase: explained?.phase,
+        step: explained?.step,
+        age: explained?.age,
+        failedStep: explained?.failed_step,
+        conditions,
+        wouldRollOver: Object.values(conditions).some(Boolean)
+      });
+    }
+    return statuses;
+  }
+
+  /**
+   * Forces a rollover of an alias, regardless of the configured conditions
+   * @param {string} dataType 'imperial' or 'metric'
+   * @param {object} opts { dryRun }
+   * @returns {object} { alias, oldIndex, newIndex, rolledOver, dryRun }
+   */
+  async rollover(dataType, { dryRun = false } = {}) {
+    const alias = writeAliasName(dataType, this.station);
+    const writeIndex = await this.#getWriteIndexFor(alias);
+    // an old style dated write index can't be incremented, start the numbered series instead
+    const newIndex = isRolloverIndexName(writeIndex) ? undefined : firstRolloverIndexName(dataType, this.station);
+    const result = await rolloverAlias(this.client, alias, { newIndex, dryRun });
+
+    if (result.rolled_over) {
+      this.currentWriteIndices = this.currentWriteIndices.map(name => (name === writeIndex ? result.new_index : name));
+    }
+    return { alias, oldIndex: result.old_index, newIndex: result.new_index, rolledOver: !!result.rolled_over, dryRun: !!result.dry_run };
+  }
+
+  /**
+   * @param {string} alias
+   * @returns {string} name of the write index behind the alias
+   */
+  async #getWriteIndexFor(alias) {
+    const aliasesResults = await getAmbientWeatherAliases(this.client);
+    const writeEntry = (aliasesResults || []).find(entry => entry.alias === alias && entry.is_write_index === 'true');
+    if (!writeEntry) {
+      throw new Error(`${alias} has no write index. Run \`npm run bootstrap\` first`);
+    }
+    return writeEntry.index;
+  }
+
+  /**
+   * @param {string} dataType 'imperial' or a unit profile ('metric', 'wmo', ...)
+   * @returns {string} the station's current write index for the data type
+   */
+  #writeIndexFor(dataType) {
+    return this.#currentWriteIndices.find(name => isStationIndex(name, this.station, dataType));
+  }
+
+  /**
+   * @param {string} dataType 'imperial' or a unit profile ('metric', 'wmo', ...)
+   * @returns {string} pattern of every index of the station's alias for the data type, the rolled over ones included
+   */
+  #indexPatternFor(dataType) {
+    return `ambient_weather_${this.station}_${dataType}_*`;
+  }
+
+  /**
+   * Documents that are already in an older index of the alias are replaced there, not indexed again into the write index
    * @param {array} payload array of preformatted documents to index (output of prepare docs for bulk indexing)
-   * @param {string} dataType data unit type the bulk operation, one of 'metric' or 'imperial'
-   * @returns TBD
+   * @param {string} dataType data unit type the bulk operation, 'imperial' or a unit profile ('metric', 'wmo', ...)
+   * @param {object} opts chunking, retry and dead-letter options, see bulkIndexDocuments in ./esClientMethods
+   * @returns {object} { indexCounts, erroredDocuments, indexed, retried, chunks }
    */
-  async bulkIndexDocuments(payload, dataType) {
+  async bulkIndexDocuments(payload, dataType, opts = {}) {
     const body = payload;
-    const indexName = this.#currentWriteIndices.filter(name => name.includes(dataType))[0];
-    const result = await bulkIndexDocuments(this.client, indexName, body);
+    const indexName = this.#writeIndexFor(dataType);
+    const result = await bulkIndexDocuments(this.client, indexName, body, { clusterName: this.clusterName, existingIndices: this.#indexPatternFor(dataType), ...opts });
     return result;
   }
 
+  /**
+   * Indexes bulk batches as they are produced (e.g. by streamBulkBatches in main_utils), one batch at a time.
+   * The next batch is only requested once the previous one is indexed, so reading never runs ahead of the cluster
+   * @param {AsyncIterable} batches yields { payload, progress }
+   * @param {string} dataType 'imperial' or a unit profile ('metric', 'wmo', ...)
+   * @param {object} opts { onProgress(progress) called after every batch, plus the bulkIndexDocuments options }
+   * @returns {object} { indexCounts, erroredDocuments, indexed, retried, chunks, batches }
+   */
+  async bulkIndexBatches(batches, dataType, { onProgress, ...opts } = {}) {
+    const indexName = this.#writeIndexFor(dataType);
+    const totals = { erroredDocuments: [], indexed: 0, retried: 0, chunks: 0, batches: 0 };
+    for await (const { payload, progress } of batches) {
+      const result = await bulkIndexDocuments(this.client, indexName, payload, { clusterName: this.clusterName, existingIndices: this.#indexPatternFor(dataType), ...opts, count: false });
+      totals.erroredDocuments.push(...result.erroredDocuments);
+      totals.indexed += result.indexed;
+      totals.retried += result.retried;
+      totals.chunks += result.chunks;
+      totals.batches += 1;
+      const batchProgress = { ...progress, indexed: totals.indexed, errored: totals.erroredDocuments.length };
+      if (onProgress) {
+        onProgress(batchProgress);
+      } else {
+        this.logger.logInfo(`[bulkIndexBatches] ${dataType}: ${batchProgress.filesRead}/${batchProgress.filesTotal} files, ${batchProgress.indexed} indexed, ${batchProgress.skipped} skipped, ${batchProgress.errored} failed`);
+      }
+    }
+    // refreshed once for every batch, see bulkIndexDocuments
+    if (totals.indexed > 0 && !opts.refresh) await refreshIndex(this.client, indexName);
+    const indexCounts = await countDocuments(this.client, indexName);
+    return { indexCounts, ...totals };
+  }
+
   /**
   * Pings cluster to see if we have a connection
   * if we have a connection, gets the active write indices
@@ -164,9 +384,13 @@ class IndexData {
     // get the current write indices
     const currentIndices = await this.getActiveWriteIndices();
     if (currentIndices && Array.isArray(currentIndices) && currentIndices.length > 0) {
+      currentIndices
+        .filter(indexName => !isRolloverIndexName(indexName))
+        .forEach(indexName => this.logger.logWarning(`[initialize] Write index ${indexName} can't be rolled over by ILM. Run \`npm run lifecycle -- setup\``));
       const { latestImperialDoc, latestMetricDoc } = await this.getMostRecentIndexedDocuments();
       return { latestImperialDoc, latestMetricDoc, outcome: 'success' }
     }
+    this.logger.logWarning('[initialize] No write indices found. Run `npm run bootstrap` to create the templates, indices and write aliases');
     return { latestImperialDoc: null, latestMetricDoc: null, outcome: 'error: no currentIndices found or non returned' };
     // await bulkIndexData(this.client, data, dataType);
   }
@@ -7,14 +7,30 @@ jest.mock('./esClientMethods', () => ({
   getMostRecentDoc: jest.fn(),
   createIndex: jest.fn(),
   deleteIndex: jest.fn(),
-  bulkIndexDocuments: jest.fn()
+  bulkIndexDocuments: jest.fn(),
+  countDocuments: jest.fn(),
+  refreshIndex: jest.fn(),
+  getIndexTemplate: jest.fn(),
+  getLifecyclePolicy: jest.fn(),
+  putLifecyclePolicy: jest.fn(),
+  explainLifecycle: jest.fn(),
+  rolloverAlias: jest.fn(),
+  putIndexSettings: jest.fn()
 }));
 
 const {
   pingCluster,
   getAmbientWeatherAliases,
   getMostRecentDoc,
-  bulkIndexDocuments
+  bulkIndexDocuments,
+  countDocuments,
+  refreshIndex,
+  getIndexTemplate,
+  getLifecyclePolicy,
+  putLifecyclePolicy,
+  explainLifecycle,
+  rolloverAlias,
+  putIndexSettings
 } = require('./esClientMethods');
 
 describe('IndexData', () => {
@@ -149,6 +165,27 @@ describe('IndexData', () => {
 
       expect(result).toBeUndefined();
     });
+
+    it('only keeps the write indices of its own station', async () => {
+      getAmbientWeatherAliases.mockResolvedValue([
+        { alias: 'all-ambient-weather-heiligers-imperial', index: 'ambient_weather_heiligers_imperial_2024_01', is_write_index: 'true' },
+        { alias: 'all-ambient-weather-patio-imperial', index: 'ambient_weather_patio_imperial_2026_01_01-000001', is_write_index: 'true' }
+      ]);
+
+      expect(await indexer.getActiveWriteIndices()).toEqual(['ambient_weather_heiligers_imperial_2024_01']);
+      expect(await new IndexData(mockClient, { station: 'patio' }).getActiveWriteIndices()).toEqual(['ambient_weather_patio_imperial_2026_01_01-000001']);
+    });
+
+    it('leaves out the indices of a station whose slug starts with its own', async () => {
+      getAmbientWeatherAliases.mockResolvedValue([
+        { alias: 'all-ambient-weather-patio-metric', index: 'ambient_weather_patio_metric_2026_01_01-000001', is_write_index: 'true' },
+        { alias: 'all-ambient-weather-patio_2-metric', index: 'ambient_weather_patio_2_metric_2026_01_01-000001', is_write_index: 'true' },
+        { alias: 'all-ambient-weather-patio_metric-imperial', index: 'ambient_weather_patio_metric_imperial_2026_01_01-000001', is_write_index: 'true' }
+      ]);
+      const patioIndexer = new IndexData(mockClient, { station: 'patio' });
+
+      expect(await patioIndexer.getActiveWriteIndices()).toEqual(['ambient_weather_patio_metric_2026_01_01-000001']);
+    });
   });
 
   describe('getMostRecentIndexedDocuments', () => {
@@ -187,9 +224,10 @@ describe('IndexData', () => {
 
       await indexer.getMostRecentIndexedDocuments();
 
+      // the alias, so that a freshly rolled over (empty) write index still finds the latest doc
       expect(getMostRecentDoc).toHaveBeenCalledWith(
         mockClient,
-        'ambient_weather_heiligers_metric_2024_01',
+        'all-ambient-weather-heiligers-metric',
         expect.objectContaining({
           size: 1,
           _source: ['date', 'dateutc', '@timestamp'],
@@ -197,6 +235,14 @@ describe('IndexData', () => {
         })
       );
     });
+
+    it("searches the station's aliases", async () => {
+      getMostRecentDoc.mockResolvedValue([{ _source: { dateutc: 1704067200000 } }]);
+
+      await new IndexData(mockClient, { station: 'patio' }).getMostRecentIndexedDocuments();
+
+      expect(getMostRecentDoc.mock.calls.map(call => call[1])).toEqual(['all-ambient-weather-patio-metric', 'all-ambient-weather-patio-imperial']);
+    });
   });
 
   describe('bulkIndexDocuments', () => {
@@ -222,7 +268,8 @@ describe('IndexData', () => {
       expect(bulkIndexDocuments).toHaveBeenCalledWith(
         mockClient,
         'ambient_weather_heiligers_imperial_2024_01',
-        payload
+        payload,
+        expect.any(Object)
       );
     });
 
@@ -241,10 +288,46 @@ describe('IndexData', () => {
       expect(bulkIndexDocuments).toHaveBeenCalledWith(
         mockClient,
         'ambient_weather_heiligers_metric_2024_01',
-        payload
+        payload,
+        expect.any(Object)
+      );
+    });
+
+    it('records the cluster name and passes bulk options through', async () => {
+      bulkIndexDocuments.mockResolvedValue({ indexCounts: { count: 1 }, erroredDocuments: [] });
+      const stagingIndexer = new IndexData(mockClient, { clusterName: 'STAGING' });
+      stagingIndexer.currentWriteIndices = ['ambient_weather_heiligers_imperial_2024_01'];
+
+      await stagingIndexer.bulkIndexDocuments([], 'imperial', { maxChunkDocs: 500 });
+
+      expect(bulkIndexDocuments).toHaveBeenCalledWith(
+        mockClient,
+        'ambient_weather_heiligers_imperial_2024_01',
+        [],
+        { clusterName: 'STAGING', existingIndices: 'ambient_weather_heiligers_imperial_*', maxChunkDocs: 500 }
       );
     });
 
+    it("routes to the station's write index", async () => {
+      bulkIndexDocuments.mockResolvedValue({ indexCounts: { count: 1 }, erroredDocuments: [] });
+      const patioIndexer = new IndexData(mockClient, { clusterName: 'STAGING', station: 'patio' });
+      patioIndexer.currentWriteIndices = ['ambient_weather_patio_metric_2026_01_01-000001', 'ambient_weather_patio_imperial_2026_01_01-000001'];
+
+      await patioIndexer.bulkIndexDocuments([], 'imperial');
+
+      expect(bulkIndexDocuments).toHaveBeenCalledWith(mockClient, 'ambient_weather_patio_imperial_2026_01_01-000001', [], { clusterName: 'STAGING', existingIndices: 'ambient_weather_patio_imperial_*' });
+    });
+
+    it('picks the write index of the data type, not one of a station named after it', async () => {
+      bulkIndexDocuments.mockResolvedValue({ indexCounts: { count: 1 }, erroredDocuments: [] });
+      const patioIndexer = new IndexData(mockClient, { station: 'patio' });
+      patioIndexer.currentWriteIndices = ['ambient_weather_patio_metric_imperial_2026_01_01-000001', 'ambient_weather_patio_metric_2026_01_01-000001'];
+
+      await patioIndexer.bulkIndexDocuments([], 'metric');
+
+      expect(bulkIndexDocuments).toHaveBeenCalledWith(mockClient, 'ambient_weather_patio_metric_2026_01_01-000001', [], expect.any(Object));
+    });
+
     it('returns errored documents when bulk has errors', async () => {
       const mockResult = {
         indexCounts: { count: 99 },
@@ -259,12 +342,61 @@ describe('IndexData', () => {
     });
   });
 
+  describe('bulkIndexBatches', () => {
+    async function* batchesOf(...payloads) {
+      for (const [i, payload] of payloads.entries()) {
+        yield { payload, progress: { filesTotal: 2, filesRead: i + 1, linesRead: (i + 1) * 2, skipped: 0, documents: i + 1 } };
+      }
+    }
+
+    beforeEach(() => {
+      indexer = new IndexData(mockClient, { clusterName: 'PRODUCTION' });
+      indexer.currentWriteIndices = ['ambient_weather_heiligers_imperial_2024_01', 'ambient_weather_heiligers_metric_2024_01'];
+    });
+
+    it('indexes one batch at a time and counts the index once at the end', async () => {
+      const sent = [];
+      bulkIndexDocuments.mockImplementation(async (client, index, payload) => {
+        sent.push(payload);
+        return { erroredDocuments: [], indexed: payload.length / 2, retried: 0, chunks: 1 };
+      });
+      countDocuments.mockResolvedValue({ count: 42 });
+      const first = [{ index: {} }, { dateutc: 1 }];
+      const second = [{ index: {} }, { dateutc: 2 }];
+
+      const result = await indexer.bulkIndexBatches(batchesOf(first, second), 'metric');
+
+      expect(sent).toEqual([first, second]);
+      expect(bulkIndexDocuments).toHaveBeenCalledWith(
+        mockClient,
+        'ambient_weather_heiligers_metric_2024_01',
+        first,
+        { clusterName: 'PRODUCTION', existingIndices: 'ambient_weather_heiligers_metric_*', count: false }
+      );
+      expect(refreshIndex).toHaveBeenCalledTimes(1);
+      expect(refreshIndex).toHaveBeenCalledWith(mockClient, 'ambient_weather_heiligers_metric_2024_01');
+      expect(countDocuments).toHaveBeenCalledTimes(1);
+      expect(result).toEqual({ indexCounts: { count: 42 }, erroredDocuments: [], indexed: 2, retried: 0, chunks: 2, batches: 2 });
+    });
+
+    it('reports progress after every batch', async () => {
+      bulkIndexDocuments.mockResolvedValue({ erroredDocuments: [{ status: 400 }], indexed: 0, retried: 0, chunks: 1 });
+      countDocuments.mockResolvedValue({ count: 0 });
+      const onProgress = jest.fn();
+
+      await indexer.bulkIndexBatches(batchesOf([{ index: {} }, { dateutc: 1 }], [{ index: {} }, { dateutc: 2 }]), 'imperial', { onProgress });
+
+      expect(onProgress).toHaveBeenCalledTimes(2);
+      expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ filesRead: 2, filesTotal: 2, indexed: 0, errored: 2 }));
+    });
+  });
+
   describe('initialize', () => {
     it('returns success when cluster is reachable and has write indices', async () => {
       pingCluster.mockResolvedValue(true);
       getAmbientWeatherAliases.mockResolvedValue([
-        { alias: 'all-imperial', index: 'imperial_2024', is_write_index: 'true' },
-        { alias: 'all-metric', index: 'metric_2024', is_write_index: 'true' }
+        { alias: 'all-ambient-weather-heiligers-imperial', index: 'ambient_weather_heiligers_imperial_2024_01', is_write_index: 'true' },
+        { alias: 'all-ambient-weather-heiligers-metric', index: 'ambient_weather_heiligers_metric_2024_01', is_write_index: 'true' }
       ]);
       getMostRecentDoc.mockResolvedValue([{
         _source: { dateutc: 1704067200000, date: '2024-01-01' }
@@ -300,8 +432,8 @@ describe('IndexData', () => {
     it('calls methods in correct order', async () => {
       pingCluster.mockResolvedValue(true);
       getAmbientWeatherAliases.mockResolvedValue([
-        { alias: 'all-imperial', index: 'imperial_2024', is_write_index: 'true' },
-        { alias: 'all-metric', index: 'metric_2024', is_write_index: 'true' }
+        { alias: 'all-ambient-weather-heiligers-imperial', index: 'ambient_weather_heiligers_imperial_2024_01', is_write_index: 'true' },
+        { alias: 'all-ambient-weather-heiligers-metric', index: 'ambient_weather_heiligers_metric_2024_01', is_write_index: 'true' }
       ]);
       getMostRecentDoc.mockResolvedValue([{
         _source: { dateutc: 1704067200000 }
@@ -318,4 +450,159 @@ describe('IndexData', () => {
       expect(aliasOrder).toBeLessThan(docOrder);
     });
   });
+  describe('lifecycle', () => {
+    const config = { policyName: 'ambient-weather-heiligers', rollover: { max_age: '30d', max_primary_shard_size: '5gb' } };
+    const managedTemplate = (dataType) => ({
+      settings: { index: { lifecycle: { name: 'ambient-weather-heiligers', rollover_alias: `all-ambient-weather-heiligers-${dataType}` } } }
+    });
+
+    beforeEach(() => {
+      getIndexTemplate.mockImplementation(async (client, name) => managedTemplate(name.includes('metric') ? 'metric' : 'imperial'));
+    });
+
+    describe('setupLifecycle', () => {
+      it('creates the policy and moves old style dated write indices onto numbered ones', async () => {
+        getLifecyclePolicy.mockResolvedValue(null);
+        getAmbientWeatherAliases.mockResolvedValue([
+          { alias: 'all-ambient-weather-heiligers-imperial', index: 'ambient_weather_heiligers_imperial_2021_12_30', is_write_index: 'true' },
+          { alias: 'all-ambient-weather-heiligers-metric', index: 'ambient_weather_heiligers_metric_2021_12_30', is_write_index: 'true' }
+        ]);
+        rolloverAlias.mockImplementation(async (client, alias) => ({
+          rolled_over: true,
+          new_index: alias.includes('metric') ? 'ambient_weather_heiligers_metric_2026_10_19-000001' : 'ambient_weather_heiligers_imperial_2026_10_19-000001'
+        }));
+        explainLifecycle.mockResolvedValue({ managed: true, policy: 'ambient-weather-heiligers' });
+
+        const actions = await indexer.setupLifecycle(config);
+
+        expect(putLifecyclePolicy).toHaveBeenCalledWith(mockClient, 'ambient-weather-heiligers', {
+          phases: { hot: { min_age: '0ms', actions: { rollover: { max_age: '30d', max_primary_shard_size: '5gb' } } } }
+        });
+        expect(rolloverAlias).toHaveBeenCalledWith(mockClient, 'all-ambient-weather-heiligers-metric', {
+          newIndex: '<ambient_weather_heiligers_metric_{now/d{yyyy_MM_dd|+00:00}}-000001>'
+        });
+        expect(actions.map(action => action.type)).toEqual(['putPolicy', 'rollover', 'rollover']);
+        expect(putIndexSettings).not.toHaveBeenCalled();
+      });
+
+      it('attaches the policy to a numbered write index that is not managed yet', async () => {
+        getLifecyclePolicy.mockResolvedValue({ phases: { hot: { min_age: '0ms', actions: { rollover: config.rollover } } } });
+        getAmbientWeatherAliases.mockResolvedValue([
+          { alias: 'all-ambient-weather-heiligers-imperial', index: 'ambient_weather_heiligers_imperial_2026_10_19-000001', is_write_index: 'true' },
+          { alias: 'all-ambient-weather-heiligers-metric', index: 'ambient_weather_heiligers_metric_2026_10_19-000001', is_write_index: 'true' }
+        ]);
+        explainLifecycle
+          .mockResolvedValueOnce({ managed: true, policy: 'ambient-weather-heiligers' })
+          .mockResolvedValueOnce({ managed: false });
+
+        const actions = await indexer.setupLifecycle(config);
+
+        expect(actions).toEqual([
+          { type: 'attachPolicy', alias: 'all-ambient-weather-heiligers-metric', index: 'ambient_weather_heiligers_metric_2026_10_19-000001' }
+        ]);
+        expect(putLifecyclePolicy).not.toHaveBeenCalled();
+        expect(putIndexSettings).toHaveBeenCalledWith(mockClient, 'ambient_weather_heiligers_metric_2026_10_19-000001', {
+          'index.lifecycle.name': 'ambient-weather-heiligers',
+          'index.lifecycle.rollover_alias': 'all-ambient-weather-heiligers-metric'
+        });
+      });
+
+      it('updates the policy when the configured conditions change', async () => {
+        getLifecyclePolicy.mockResolvedValue({ phases: { hot: { min_age: '0ms', actions: { rollover: { max_age: '7d' } } } } });
+        getAmbientWeatherAliases.mockResolvedValue([
+          { alias: 'all-ambient-weather-heiligers-imperial', index: 'ambient_weather_heiligers_imperial_2026_10_19-000001', is_write_index: 'true' },
+          { alias: 'all-ambient-weather-heiligers-metric', index: 'ambient_weather_heiligers_metric_2026_10_19-000001', is_write_index: 'true' }
+        ]);
+        explainLifecycle.mockResolvedValue({ managed: true, policy: 'ambient-weather-heiligers' });
+
+        const actions = await indexer.setupLifecycle(config);
+
+        expect(actions).toEqual([{ type: 'putPolicy', policyName: 'ambient-weather-heiligers', change: 'update', rollover: config.rollover }]);
+        expect(putLifecyclePolicy).toHaveBeenCalled();
+      });
+
+      it('only works out the actions with dryRun', async () => {
+        getLifecyclePolicy.mockResolvedValue(null);
+        getAmbientWeatherAliases.mockResolvedValue([
+          { alias: 'all-ambient-weather-heiligers-imperial', index: 'ambient_weather_heiligers_imperial_2021_12_30', is_write_index: 'true' },
+          { alias: 'all-ambient-weather-heiligers-metric', index: 'ambient_weather_heiligers_metric_2021_12_30', is_write_index: 'true' }
+        ]);
+
+        const actions = await indexer.setupLifecycle(config, { dryRun: true });
+
+        expect(actions.map(action => action.type)).toEqual(['putPolicy', 'rollover', 'attachPolicy', 'rollover', 'attachPolicy']);
+        expect(putLifecyclePolicy).not.toHaveBeenCalled();
+        expect(rolloverAlias).not.toHaveBeenCalled();
+        expect(putIndexSettings).not.toHaveBeenCalled();
+      });
+
+      it('throws when an alias has no write index', async () => {
+        getLifecyclePolicy.mockResolvedValue(null);
+        getAmbientWeatherAliases.mockResolvedValue([]);
+
+        await expect(indexer.setupLifecycle(config, { dryRun: true })).rejects.toThrow('all-ambient-weather-heiligers-imperial has no write index');
+      });
+    });
+
+    describe('getRolloverStatus', () => {
+      it('reports the ILM step and which conditions are met', async () => {
+        getAmbientWeatherAliases.mockResolvedValue([
+          { alias: 'all-ambient-weather-heiligers-metric', index: 'ambient_weather_heiligers_metric_2026_10_19-000001', is_write_index: 'true' }
+        ]);
+        explainLifecycle.mockResolvedValue({ managed: true, policy: 'ambient-weather-heiligers', phase: 'hot', step: 'check-rollover-ready', age: '31d' });
+        rolloverAlias.mockResolvedValue({ dry_run: true, rolled_over: false, conditions: { '[max_age: 30d]': true, '[max_primary_shard_size: 5gb]': false } });
+
+        const [status] = await indexer.getRolloverStatus(config, ['metric']);
+
+        expect(rolloverAlias).toHaveBeenCalledWith(mockClient, 'all-ambient-weather-heiligers-metric', { conditions: config.rollover, dryRun: true });
+        expect(status).toEqual(expect.objectContaining({
+          writeIndex: 'ambient_weather_heiligers_metric_2026_10_19-000001',
+          managed: true,
+          step: 'check-rollover-ready',
+          wouldRollOver: true
+        }));
+      });
+    });
+
+    describe('rollover', () => {
+      it('forces a rollover and tracks the new write index', async () => {
+        indexer.currentWriteIndices = ['ambient_weather_heiligers_metric_2026_10_19-000001'];
+        getAmbientWeatherAliases.mockResolvedValue([
+          { alias: 'all-ambient-weather-heiligers-metric', index: 'ambient_weather_heiligers_metric_2026_10_19-000001', is_write_index: 'true' }
+        ]);
+        rolloverAlias.mockResolvedValue({
+          old_index: 'ambient_weather_heiligers_metric_2026_10_19-000001',
+          new_index: 'ambient_weather_heiligers_metric_2026_11_02-000002',
+          rolled_over: true,
+          dry_run: false
+        });
+
+        const result = await indexer.rollover('metric');
+
+        expect(rolloverAlias).toHaveBeenCalledWith(mockClient, 'all-ambient-weather-heiligers-metric', { newIndex: undefined, dryRun: false });
+        expect(result).toEqual({
+          alias: 'all-ambient-weather-heiligers-metric',
+          oldIndex: 'ambient_weather_heiligers_metric_2026_10_19-000001',
+          newIndex: 'ambient_weather_heiligers_metric_2026_11_02-000002',
+          rolledOver: true,
+          dryRun: false
+        });
+        expect(indexer.currentWriteIndices).toEqual(['ambient_weather_heiligers_metric_2026_11_02-000002']);
+      });
+
+      it('starts the numbered series when the write index is an old style dated index', async () => {
+        getAmbientWeatherAliases.mockResolvedValue([
+          { alias: 'all-ambient-weather-heiligers-imperial', index: 'ambient_weather_heiligers_imperial_2021_12_30', is_write_index: 'true' }
+        ]);
+        rolloverAlias.mockResolvedValue({ rolled_over: false, dry_run: true });
+
+        await indexer.rollover('imperial', { dryRun: true });
+
+        expect(rolloverAlias).toHaveBeenCalledWith(mockClient, 'all-ambient-weather-heiligers-imperial', {
+          newIndex: '<ambient_weather_heiligers_imperial_{now/d{yyyy_MM_dd|+00:00}}-000001>',
+          dryRun: true
+        });
+      });
+    });
+  });
 });
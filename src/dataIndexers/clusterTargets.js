@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_DIR = path.join(__dirname, '../../config');
+const LOCAL_CLUSTERS_FILE = path.join(CONFIG_DIR, 'clusters.json'); // not committed, per machine
+const DEFAULT_CLUSTERS_FILE = path.join(CONFIG_DIR, 'clusters.default.json');
+
+/**
+ * primary: indexed by main, default backfill target and the cluster the data is fetched against
+ * mirror: indexed by main alongside the primary
+ * archive-verify: not indexed by main, but local files are only archived once their data is here too
+ */
+const CLUSTER_ROLES = ['primary', 'mirror', 'archive-verify'];
+const INDEXING_ROLES = ['primary', 'mirror'];
+
+/**
+ * Which clusters file to use: AW_CLUSTERS_CONFIG, else config/clusters.json, else config/clusters.default.json
+ * @returns {string} path to the clusters file
+ */
+function clustersConfigFile() {
+  if (process.env.AW_CLUSTERS_CONFIG) return process.env.AW_CLUSTERS_CONFIG;
+  return fs.existsSync(LOCAL_CLUSTERS_FILE) ? LOCAL_CLUSTERS_FILE : DEFAULT_CLUSTERS_FILE;
+}
+
+/**
+ * Reads and validates the cluster targets. Connection values stay as written (e.g. "${ES_CLOUD_ID}"),
+ * they are only resolved when a client is created for the cluster
+ * @param {string} filePath defaults to clustersConfigFile()
+ * @returns {array} [{ name, role, connection }]
+ * @example
+ * readClusterTargets()
+ * // [{ name: 'PRODUCTION', role: 'primary', connection: { cloudId: '${ES_CLOUD_ID}', ... } }, { name: 'STAGING', role: 'mirror', ... }]
+ */
+function readClusterTargets(filePath = clustersConfigFile()) {
+  const { clusters } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(clusters) || clusters.length === 0) {
+    throw new Error(`${filePath} must list at least one cluster under "clusters"`);
+  }
+
+  const seenNames = new Set();
+  clusters.forEach((target) => {
+    if (!target.name) {
+      throw new Error(`${filePath}: every cluster needs a "name"`);
+    }
+    if (seenNames.has(target.name.toUpperCase())) {
+      throw new Error(`${filePath}: cluster name ${target.name} is used more than once`);
+    }
+    seenNames.add(target.name.toUpperCase());
+    if (!CLUSTER_ROLES.includes(target.role)) {
+      throw new Error(`${filePath}: cluster ${target.name} has role "${target.role}", expected one of ${CLUSTER_ROLES.join(', ')}`);
+    }
+    if (!target.connection || typeof target.connection !== 'object') {
+      throw new Error(`${filePath}: cluster ${target.name} needs "connection" details`);
+    }
+  });
+
+  const primaries = clusters.filter(target => target.role === 'primary');
+  if (primaries.length !== 1) {
+    throw new Error(`${filePath}: exactly one cluster must have the primary role, found ${primaries.length}`);
+  }
+  return clusters;
+}
+
+/**
+ * @param {string} name cluster name, case insensitive
+ * @param {array} targets output of readClusterTargets
+ * @returns {object | undefined} the cluster target
+ */
+function findClusterTarget(name, targets = readClusterTargets()) {
+  return targets.find(target => target.name.toUpperCase() === `${name}`.toUpperCase());
+}
+
+/**
+ * @param {array} roles
+ * @param {array} targets output of readClusterTargets
+ * @returns {array} the cluster targets with one of the roles, in config order
+ */
+function clusterTargetsWithRole(roles, targets = readClusterTargets()) {
+  return targets.filter(target => roles.includes(target.role));
+}
+
+/**
+ * Build the clusters list from the CLI cluster flags
+ * - --cluster <name> (repeatable): the named clusters
+ * - --all (or --both): every cluster main indexes to (primary and mirrors)
+ * - --prod: the primary cluster
+ * - --staging: the cluster named STAGING
+ * @param {object} args CLI arguments
+ * @param {array} targets output of readClusterTargets
+ * @returns {array} [{ cluster, clusterName, role }], cluster is the name passed to createEsClient
+ */
+function selectClusterTargets(args, targets = readClusterTargets()) {
+  let selected = [];
+  if (args.cluster) {
+    const names = Array.isArray(args.cluster) ? args.cluster : [args.cluster];
+    selected = names.map((name) => {
+      const target = findClusterTarget(name, targets);
+      if (!target) {
+        throw new Error(`Unknown cluster "${name}". Configured clusters: ${targets.map(t => t.name).join(', ')}`);
+      }
+      return target;
+    });
+  } else if (args.all || args.both) {
+    selected = clusterTargetsWithRole(INDEXING_ROLES, targets);
+  } else if (args.prod) {
+    selected = clusterTargetsWithRole(['primary'], targets);
+  } else if (args.staging) {
+    const staging = findClusterTarget('STAGING', targets);
+    if (!staging) {
+      throw new Error('--staging needs a cluster named STAGING in the clusters config');
+    }
+    selected = [staging];
+  }
+  return selected.map(target => ({ cluster: target.name, clusterName: target.name, role: target.role }));
+}
+
+/**
+ * The result of a command run on several clusters: a cluster that failed fails the run, so the command doesn't exit as
+ * if every cluster were done
+ * @param {array} results the result of every cluster, each with its { status, cluster }
+ * @param {string} status the status of the run when no cluster failed
+ * @returns {object} { status, mode: 'multi-cluster', results, failed } status is 'error' when every cluster failed,
+ * 'partial' when some did or had failures of their own (a 'partial' result). failed: the names of the clusters that failed
+ * @example
+ * multiClusterResult([{ status: 'success', cluster: 'PRODUCTION' }, { status: 'error', cluster: 'STAGING', error: '...' }])
+ * // { status: 'partial', mode: 'multi-cluster', results: [...], failed: ['STAGING'] }
+ */
+function multiClusterResult(results, status = 'success') {
+  const failed = results.filter(result => result.status === 'error').map(result => result.cluster);
+  let overall = status;
+  if (failed.length > 0 && failed.length === results.length) {
+    overall = 'error';
+  } else if (failed.length > 0 || results.some(result => result.status === 'partial')) {
+    overall = 'partial';
+  }
+  return { status: overall, mode: 'multi-cluster', results, failed };
+}
+
+/**
+ * @param {object} result the result of a command
+ * @returns {boolean} whether the command failed, on one cluster or all of them: its CLI exits with 1
+ */
+const failedRun = result => ['error', 'partial'].includes(result?.status);
+
+module.exports = {
+  multiClusterResult,
+  failedRun,
+  CLUSTER_ROLES,
+  INDEXING_ROLES,
+  clustersConfigFile,
+  readClusterTargets,
+  findClusterTarget,
+  clusterTargetsWithRole,
+  selectClusterTargets
+};
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  readClusterTargets,
+  findClusterTarget,
+  clusterTargetsWithRole,
+  selectClusterTargets,
+  multiClusterResult,
+  failedRun
+} = require('./clusterTargets');
+
+describe('clusterTargets', () => {
+  const targets = [
+    { name: 'PRODUCTION', role: 'primary', connection: { cloudId: '${ES_CLOUD_ID}' } },
+    { name: 'STAGING', role: 'mirror', connection: { cloudId: '${STAGING_CLOUD_ID}' } },
+    { name: 'PI', role: 'mirror', connection: { node: 'http://localhost:9200' } },
+    { name: 'COLD', role: 'archive-verify', connection: { cloudId: '${COLD_CLOUD_ID}' } }
+  ];
+  let tmpDir;
+
+  const writeConfig = (config) => {
+    const filePath = path.join(tmpDir, 'clusters.json');
+    fs.writeFileSync(filePath, JSON.stringify(config));
+    return filePath;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clusters-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('readClusterTargets', () => {
+    it('reads the committed default config', () => {
+      expect(readClusterTargets().map(({ name, role }) => ({ name, role }))).toEqual([
+        { name: 'PRODUCTION', role: 'primary' },
+        { name: 'STAGING', role: 'mirror' }
+      ]);
+    });
+
+    it('reads any number of clusters', () => {
+      expect(readClusterTargets(writeConfig({ clusters: targets }))).toHaveLength(4);
+    });
+
+    it('throws for an unknown role', () => {
+      const filePath = writeConfig({ clusters: [{ ...targets[0], role: 'backup' }] });
+
+      expect(() => readClusterTargets(filePath)).toThrow('has role "backup"');
+    });
+
+    it('throws unless exactly one cluster is primary', () => {
+      const filePath = writeConfig({ clusters: [targets[1], targets[2]] });
+
+      expect(() => readClusterTargets(filePath)).toThrow('exactly one cluster must have the primary role, found 0');
+    });
+
+    it('throws for duplicate names', () => {
+      const filePath = writeConfig({ clusters: [targets[0], { ...targets[1], name: 'production' }] });
+
+      expect(() => readClusterTargets(filePath)).toThrow('used more than once');
+    });
+
+    it('throws when a cluster has no connection details', () => {
+      const filePath = writeConfig({ clusters: [{ name: 'PRODUCTION', role: 'primary' }] });
+
+      expect(() => readClusterTargets(filePath)).toThrow('needs "connection" details');
+    });
+  });
+
+  describe('findClusterTarget', () => {
+    it('matches names case insensitively', () => {
+      expect(findClusterTarget('pi', targets)).toBe(targets[2]);
+      expect(findClusterTarget('ES', targets)).toBeUndefined();
+    });
+  });
+
+  describe('clusterTargetsWithRole', () => {
+    it('keeps config order', () => {
+      expect(clusterTargetsWithRole(['primary', 'mirror'], targets).map(t => t.name)).toEqual(['PRODUCTION', 'STAGING', 'PI']);
+    });
+  });
+
+  describe('selectClusterTargets', () => {
+    it('selects named clusters with --cluster', () => {
+      expect(selectClusterTargets({ cluster: ['pi', 'COLD'] }, targets)).toEqual([
+        { cluster: 'PI', clusterName: 'PI', role: 'mirror' },
+        { cluster: 'COLD', clusterName: 'COLD', role: 'archive-verify' }
+      ]);
+    });
+
+    it('selects every indexing cluster with --all or --both', () => {
+      expect(selectClusterTargets({ all: true }, targets).map(t => t.cluster)).toEqual(['PRODUCTION', 'STAGING', 'PI']);
+      expect(selectClusterTargets({ both: true }, targets).map(t => t.cluster)).toEqual(['PRODUCTION', 'STAGING', 'PI']);
+    });
+
+    it('maps --prod to the primary and --staging to the cluster named STAGING', () => {
+      expect(selectClusterTargets({ prod: true }, targets).map(t => t.cluster)).toEqual(['PRODUCTION']);
+      expect(selectClusterTargets({ staging: true }, targets).map(t => t.cluster)).toEqual(['STAGING']);
+    });
+
+    it('returns an empty list without cluster flags', () => {
+      expect(selectClusterTargets({}, targets)).toEqual([]);
+    });
+
+    it('throws for an unknown cluster name', () => {
+      expect(() => selectClusterTargets({ cluster: 'NAS' }, targets)).toThrow('Unknown cluster "NAS". Configured clusters: PRODUCTION, STAGING, PI, COLD');
+    });
+  });
+
+  describe('multiClusterResult', () => {
+    const succeeded = { status: 'success', cluster: 'PRODUCTION' };
+    const errored = { status: 'error', cluster: 'STAGING', error: 'security_exception' };
+
+    it('fails the run when some or all of the clusters failed', () => {
+      expect(multiClusterResult([succeeded, succeeded])).toEqual({ status: 'success', mode: 'multi-cluster', results: [succeeded, succeeded], failed: [] });
+      expect(multiClusterResult([succeeded, errored])).toEqual(expect.objectContaining({ status: 'partial', failed: ['STAGING'] }));
+      expect(multiClusterResult([errored], 'dry-run').status).toBe('error');
+      expect(multiClusterResult([succeeded, { ...succeeded, status: 'partial' }])).toEqual(expect.objectContaining({ status: 'partial', failed: [] }));
+      expect(multiClusterResult([{ ...succeeded, status: 'dry-run' }], 'dry-run').status).toBe('dry-run');
+    });
+
+    it('makes the CLIs exit with 1 for a failed or partial run', () => {
+      expect(['success', 'dry-run', 'partial', 'error'].map(status => failedRun({ status }))).toEqual([false, false, true, true]);
+      expect(failedRun(undefined)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('../utils');
+
+const DEFAULT_DEAD_LETTER_FILE = path.join(__dirname, '../../data/dead-letter/bulk-failures.jsonl');
+
+/**
+ * Which dead-letter file to use: AW_DEAD_LETTER_FILE, else data/dead-letter/bulk-failures.jsonl
+ * @returns {string} path to the dead-letter file
+ */
+function deadLetterFile() {
+  return process.env.AW_DEAD_LETTER_FILE || DEFAULT_DEAD_LETTER_FILE;
+}
+
+/**
+ * Appends documents that failed permanently, one JSON object per line
+ * @param {array} entries [{ failedAt, cluster, index, status, error, attempts, operation, document }]
+ * @param {string} filePath defaults to deadLetterFile()
+ */
+function appendDeadLetters(entries, filePath = deadLetterFile()) {
+  if (entries.length === 0) return;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+}
+
+/**
+ * @param {string} filePath defaults to deadLetterFile()
+ * @returns {array} the dead-letter entries, [] when there is no file
+ */
+function readDeadLetters(filePath = deadLetterFile()) {
+  if (!fs.existsSync(filePath)) return [];
+  // numbered before the blank lines are left out, so the error names the line of the file
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .map((line, i) => ({ line, number: i + 1 }))
+    .filter(({ line }) => line.trim().length > 0)
+    .map(({ line, number }) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`${filePath} line ${number} is not valid JSON: ${err.message}`);
+      }
+    });
+}
+
+/**
+ * Replaces the dead-letter file with the entries that are still outstanding, removes it when there are none.
+ * Written atomically so an interrupted replay can't truncate it
+ * @param {array} entries dead-letter entries to keep
+ * @param {string} filePath defaults to deadLetterFile()
+ */
+function writeDeadLetters(entries, filePath = deadLetterFile()) {
+  if (entries.length === 0) {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    return;
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  writeFileAtomic(fs, filePath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+}
+
+module.exports = { deadLetterFile, appendDeadLetters, readDeadLetters, writeDeadLetters };
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { deadLetterFile, appendDeadLetters, readDeadLetters, writeDeadLetters } = require('./deadLetter');
+
+describe('deadLetter', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dead-letter-'));
+    filePath = path.join(tempDir, 'nested', 'failures.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    delete process.env.AW_DEAD_LETTER_FILE;
+  });
+
+  it('defaults to data/dead-letter and can be moved with AW_DEAD_LETTER_FILE', () => {
+    expect(deadLetterFile()).toMatch(/data\/dead-letter\/bulk-failures\.jsonl$/);
+    process.env.AW_DEAD_LETTER_FILE = filePath;
+    expect(deadLetterFile()).toBe(filePath);
+  });
+
+  it('appends one JSON line per entry and reads them back', () => {
+    appendDeadLetters([{ status: 400, document: { dateutc: 1 } }], filePath);
+    appendDeadLetters([{ status: 429, document: { dateutc: 2 } }], filePath);
+
+    expect(fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean)).toHaveLength(2);
+    expect(readDeadLetters(filePath).map(entry => entry.status)).toEqual([400, 429]);
+  });
+
+  it('reads a missing file as empty', () => {
+    expect(readDeadLetters(filePath)).toEqual([]);
+  });
+
+  it('names the line that is not valid JSON', () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '{"status":400}\n{oops\n');
+
+    expect(() => readDeadLetters(filePath)).toThrow('line 2 is not valid JSON');
+  });
+
+  it('counts the blank lines in the number of the line that is not valid JSON', () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '{"status":400}\n\n\n{oops\n');
+
+    expect(() => readDeadLetters(filePath)).toThrow('line 4 is not valid JSON');
+  });
+
+  it('rewrites the file with the remaining entries and removes it when none remain', () => {
+    appendDeadLetters([{ status: 400 }, { status: 503 }], filePath);
+
+    writeDeadLetters([{ status: 503 }], filePath);
+    expect(readDeadLetters(filePath)).toEqual([{ status: 503 }]);
+    expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+
+    writeDeadLetters([], filePath);
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+});
@@ -1,7 +1,11 @@
 const { errors } = require('@elastic/elasticsearch');
+const { errors: openSearchErrors } = require('@opensearch-project/opensearch');
+
+// the OpenSearch client (see createEsClient) throws its own error classes, with the same properties
+const isErrorOf = (error, name) => error instanceof errors[name] || error instanceof openSearchErrors[name];
 
 const isResponseError = function (error) {
-  return error instanceof errors.ResponseError;
+  return isErrorOf(error, 'ResponseError');
 }
 
 const isUnauthorizedError = function (error) {
@@ -20,8 +24,22 @@ const isBadRequestError = function (error) {
   return isResponseError(error) && error.meta.body.status === 400;
 }
 
+// 429 means the cluster is shedding load, 5xx that a node or shard is unavailable: both are worth trying again later
+const isRetryableStatus = function (status) {
+  return status === 429 || status >= 500;
+}
+
+const isRetryableError = function (error) {
+  if (isResponseError(error)) return isRetryableStatus(error.statusCode);
+  return isErrorOf(error, 'ConnectionError')
+    || isErrorOf(error, 'TimeoutError')
+    || isErrorOf(error, 'NoLivingConnectionsError');
+}
+
 module.exports = {
   isResponseError,
+  isRetryableStatus,
+  isRetryableError,
   isUnauthorizedError,
   indexDoesNotExist,
   indexExistsError
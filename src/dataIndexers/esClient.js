@@ -1,12 +1,126 @@
 const { Client } = require('@elastic/elasticsearch');
+const { Client: OpenSearchClient } = require('@opensearch-project/opensearch');
 const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { findClusterTarget } = require('./clusterTargets');
 
 /**
- * Creates an Elasticsearch client for the specified environment
+ * Creates an Elasticsearch client for the specified cluster
+ * @param {string} clusterName - Name of a cluster in the clusters config (e.g. 'PRODUCTION'),
+ * or a legacy environment prefix ('ES' for production, 'STAGING' for staging)
+ * @returns {Client} Elasticsearch client instance, an OpenSearch client for a cluster with distribution 'opensearch'
+ */
+function createEsClient(clusterName = 'ES') {
+  const target = findClusterTarget(clusterName);
+  if (target) {
+    const options = clientOptionsFromConnection(target);
+    return target.connection.distribution === 'opensearch' ? new OpenSearchClient(options) : new Client(options);
+  }
+  return createEsClientFromEnvPrefix(clusterName);
+}
+
+/**
+ * The 7.x Elasticsearch client refuses to talk to anything but Elasticsearch, so OpenSearch clusters get the OpenSearch
+ * client: same request and response shapes for the APIs both have, but no ILM and no point in time API
+ * @param {Client} client a client from createEsClient
+ * @returns {boolean} whether the client talks to an OpenSearch cluster
+ */
+const isOpenSearch = client => client instanceof OpenSearchClient;
+
+// Keys a cluster's "connection" profile may use, see the Clusters section of the README
+const CONNECTION_KEYS = [
+  'cloudId', 'node', 'distribution',
+  'username', 'password', 'apiKey', 'bearer',
+  'tls', 'requestTimeout', 'pingTimeout', 'maxRetries',
+  'sniffOnStart', 'sniffInterval', 'sniffOnConnectionFault'
+];
+const TLS_KEYS = ['ca', 'caFile', 'caFingerprint', 'rejectUnauthorized'];
+const DISTRIBUTIONS = ['elasticsearch', 'opensearch'];
+// what the OpenSearch client can't do: Elastic Cloud ids, Elasticsearch API keys and pinning the CA by fingerprint
+const OPENSEARCH_UNSUPPORTED_KEYS = ['cloudId', 'apiKey'];
+
+/**
+ * Replaces ${ENV_VAR} references in every string of a connection profile
+ * @param {*} value - connection value (string, number, boolean, array or object)
+ * @param {string} clusterName - used in the error for a missing env var
+ * @returns {*} the value with the references resolved
+ */
+function resolveEnvReferences(value, clusterName) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (match, envKey) => {
+      assert.ok(process.env[envKey], `${envKey} needs to be configured (cluster ${clusterName})`);
+      return process.env[envKey];
+    });
+  }
+  if (Array.isArray(value)) return value.map(entry => resolveEnvReferences(entry, clusterName));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, resolveEnvReferences(entry, clusterName)]));
+  }
+  return value;
+}
+
+/**
+ * Turns a cluster's connection profile into options for the elasticsearch Client (or the OpenSearch Client, which takes the
+ * same options)
+ * @param {object} target - cluster target from the clusters config
+ * @returns {object} options for the elasticsearch Client
+ * @example
+ * clientOptionsFromConnection({ name: 'PI', connection: { node: ['https://pi-1:9200', 'https://pi-2:9200'], apiKey: '${PI_API_KEY}', tls: { caFile: 'certs/ca.crt' }, requestTimeout: '60s' } })
+ * // { node: ['https://pi-1:9200', 'https://pi-2:9200'], auth: { apiKey: '...' }, ssl: { ca: '-----BEGIN CERTIFICATE-----...' }, requestTimeout: '60s' }
+ */
+function clientOptionsFromConnection(target) {
+  const unknownKeys = Object.keys(target.connection).filter(key => !CONNECTION_KEYS.includes(key));
+  assert.ok(unknownKeys.length === 0, `cluster ${target.name} has unknown connection settings: ${unknownKeys.join(', ')}`);
+  const connection = resolveEnvReferences(target.connection, target.name);
+
+  assert.ok(!!connection.cloudId !== !!connection.node, `cluster ${target.name} needs either a cloudId or a node (a URL or a list of URLs) in its connection`);
+  const authMethods = ['username', 'apiKey', 'bearer'].filter(key => connection[key]);
+  assert.ok(authMethods.length <= 1, `cluster ${target.name} can only use one of username/password, apiKey or bearer, found ${authMethods.join(', ')}`);
+  assert.ok(!connection.username || connection.password, `cluster ${target.name} has a username but no password`);
+  const distribution = connection.distribution || 'elasticsearch';
+  assert.ok(DISTRIBUTIONS.includes(distribution), `cluster ${target.name} has distribution "${distribution}", expected one of ${DISTRIBUTIONS.join(', ')}`);
+  if (distribution === 'opensearch') {
+    const unsupported = [...OPENSEARCH_UNSUPPORTED_KEYS.filter(key => connection[key]), ...(connection.tls?.caFingerprint ? ['tls.caFingerprint'] : [])];
+    assert.ok(unsupported.length === 0, `cluster ${target.name} is an OpenSearch cluster, which can't use ${unsupported.join(', ')}`);
+  }
+
+  const options = connection.cloudId ? { cloud: { id: connection.cloudId } } : { node: connection.node };
+
+  if (connection.username) options.auth = { username: connection.username, password: connection.password };
+  // apiKey is either the base64 encoded "id:api_key" or { id, api_key }
+  if (connection.apiKey) options.auth = { apiKey: connection.apiKey };
+  // the OpenSearch client has no bearer option, the security plugin reads the header
+  if (connection.bearer) {
+    if (distribution === 'opensearch') options.headers = { authorization: `Bearer ${connection.bearer}` };
+    else options.auth = { bearer: connection.bearer };
+  }
+
+  if (connection.tls) {
+    const unknownTlsKeys = Object.keys(connection.tls).filter(key => !TLS_KEYS.includes(key));
+    assert.ok(unknownTlsKeys.length === 0, `cluster ${target.name} has unknown tls settings: ${unknownTlsKeys.join(', ')}`);
+    const { ca, caFile, caFingerprint, rejectUnauthorized } = connection.tls;
+    const ssl = {};
+    if (ca) ssl.ca = ca;
+    if (caFile) ssl.ca = fs.readFileSync(path.resolve(__dirname, '../..', caFile), 'utf8');
+    if (rejectUnauthorized !== undefined) ssl.rejectUnauthorized = rejectUnauthorized !== false && rejectUnauthorized !== 'false';
+    if (Object.keys(ssl).length > 0) options.ssl = ssl;
+    if (caFingerprint) options.caFingerprint = caFingerprint;
+  }
+
+  ['requestTimeout', 'pingTimeout', 'maxRetries', 'sniffOnStart', 'sniffInterval', 'sniffOnConnectionFault']
+    .filter(key => connection[key] !== undefined)
+    .forEach((key) => { options[key] = connection[key]; });
+
+  return options;
+}
+
+/**
+ * Creates a client from the ES_ / STAGING_ environment variables, for callers that still pass an env prefix
  * @param {string} envPrefix - Environment prefix ('ES' for production, 'STAGING' for staging)
  * @returns {Client} Elasticsearch client instance
  */
-function createEsClient(envPrefix = 'ES') {
+function createEsClientFromEnvPrefix(envPrefix) {
   // Determine environment variable names based on prefix
   const cloudIdKey = envPrefix === 'ES' ? 'ES_CLOUD_ID' : `${envPrefix}_CLOUD_ID`;
   const usernameKey = envPrefix === 'ES' ? 'ES_USERNAME' : `${envPrefix}_ES_USERNAME`;
@@ -18,11 +132,6 @@ function createEsClient(envPrefix = 'ES') {
     password: process.env[passwordKey],
   }
 
-  let missingEnvEntries = [];
-  if (!envConfig.cloud_id) missingEnvEntries.push(cloudIdKey)
-  if (!envConfig.username) missingEnvEntries.push(usernameKey)
-  if (!envConfig.password) missingEnvEntries.push(passwordKey);
-
   assert.ok(envConfig.cloud_id, `${cloudIdKey} needs to be configured`);
   assert.ok(envConfig.username, `${usernameKey} needs to be configured`);
   assert.ok(envConfig.password, `${passwordKey} needs to be configured`);
@@ -39,4 +148,4 @@ function createEsClient(envPrefix = 'ES') {
   return client;
 }
 
-module.exports = { createEsClient };
+module.exports = { createEsClient, isOpenSearch };
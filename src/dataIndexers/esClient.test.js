@@ -0,0 +1,167 @@
+jest.mock('@elastic/elasticsearch', () => ({
+  Client: jest.fn().mockImplementation(options => ({ options }))
+}));
+
+jest.mock('./clusterTargets', () => {
+  const actual = jest.requireActual('./clusterTargets');
+  return { ...actual, findClusterTarget: jest.fn(actual.findClusterTarget) };
+});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client } = require('@elastic/elasticsearch');
+const { Client: OpenSearchClient } = require('@opensearch-project/opensearch');
+const { findClusterTarget } = require('./clusterTargets');
+const { createEsClient, isOpenSearch } = require('./esClient');
+
+const withConnection = connection => findClusterTarget.mockReturnValueOnce({ name: 'LOCAL', role: 'mirror', connection });
+
+describe('createEsClient', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = {
+      ...originalEnv,
+      ES_CLOUD_ID: 'prod-cloud-id',
+      ES_USERNAME: 'prod-user',
+      ES_PASSWORD: 'prod-password',
+      STAGING_CLOUD_ID: 'staging-cloud-id',
+      STAGING_ES_USERNAME: 'staging-user',
+      STAGING_ES_PASSWORD: 'staging-password'
+    };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('resolves a configured cluster name from its env var references', () => {
+    createEsClient('PRODUCTION');
+
+    expect(Client).toHaveBeenCalledWith({
+      cloud: { id: 'prod-cloud-id' },
+      auth: { username: 'prod-user', password: 'prod-password' }
+    });
+  });
+
+  it('still accepts the legacy env prefixes', () => {
+    createEsClient('ES');
+
+    expect(Client).toHaveBeenCalledWith({
+      cloud: { id: 'prod-cloud-id' },
+      auth: { username: 'prod-user', password: 'prod-password' }
+    });
+  });
+
+  describe('connection profiles', () => {
+    it('connects to a list of nodes with an api key', () => {
+      process.env.LOCAL_API_KEY = 'base64-api-key';
+      withConnection({ node: ['http://es-1:9200', 'http://es-2:9200'], apiKey: '${LOCAL_API_KEY}' });
+
+      createEsClient('LOCAL');
+
+      expect(Client).toHaveBeenCalledWith({
+        node: ['http://es-1:9200', 'http://es-2:9200'],
+        auth: { apiKey: 'base64-api-key' }
+      });
+    });
+
+    it('connects to a local node without authentication', () => {
+      withConnection({ node: 'http://localhost:9200' });
+
+      createEsClient('LOCAL');
+
+      expect(Client).toHaveBeenCalledWith({ node: 'http://localhost:9200' });
+    });
+
+    it('passes bearer tokens, timeouts and sniffing through', () => {
+      withConnection({
+        node: 'https://es.local:9200',
+        bearer: 'token',
+        requestTimeout: '60s',
+        pingTimeout: 3000,
+        maxRetries: 5,
+        sniffOnStart: true,
+        sniffInterval: 300000,
+        sniffOnConnectionFault: true
+      });
+
+      createEsClient('LOCAL');
+
+      expect(Client).toHaveBeenCalledWith({
+        node: 'https://es.local:9200',
+        auth: { bearer: 'token' },
+        requestTimeout: '60s',
+        pingTimeout: 3000,
+        maxRetries: 5,
+        sniffOnStart: true,
+        sniffInterval: 300000,
+        sniffOnConnectionFault: true
+      });
+    });
+
+    it('reads a CA file and TLS verification settings', () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'es-ca-'));
+      const caFile = path.join(tmpDir, 'ca.crt');
+      fs.writeFileSync(caFile, '-----BEGIN CERTIFICATE-----');
+      withConnection({ node: 'https://es.local:9200', tls: { caFile, rejectUnauthorized: false, caFingerprint: 'AA:BB' } });
+
+      createEsClient('LOCAL');
+
+      expect(Client).toHaveBeenCalledWith({
+        node: 'https://es.local:9200',
+        ssl: { ca: '-----BEGIN CERTIFICATE-----', rejectUnauthorized: false },
+        caFingerprint: 'AA:BB'
+      });
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('connects to OpenSearch with the OpenSearch client', () => {
+      withConnection({ node: 'http://opensearch:9200', distribution: 'opensearch', username: 'admin', password: 'secret', tls: { rejectUnauthorized: false } });
+
+      const client = createEsClient('LOCAL');
+
+      expect(Client).not.toHaveBeenCalled();
+      expect(client).toBeInstanceOf(OpenSearchClient);
+      expect(isOpenSearch(client)).toBe(true);
+      expect(client.connectionPool.connections[0].url.href).toBe('http://opensearch:9200/');
+      expect(isOpenSearch(createEsClient('PRODUCTION'))).toBe(false);
+    });
+
+    it('sends a bearer token to OpenSearch as a header, and rejects what the OpenSearch client does not support', () => {
+      withConnection({ node: 'http://opensearch:9200', distribution: 'opensearch', bearer: 'token' });
+      expect(createEsClient('LOCAL').transport.headers).toEqual(expect.objectContaining({ authorization: 'Bearer token' }));
+
+      withConnection({ node: 'http://opensearch:9200', distribution: 'opensearch', apiKey: 'key', tls: { caFingerprint: 'AA:BB' } });
+      expect(() => createEsClient('LOCAL')).toThrow('cluster LOCAL is an OpenSearch cluster, which can\'t use apiKey, tls.caFingerprint');
+    });
+
+    it('rejects more than one authentication method', () => {
+      withConnection({ node: 'http://localhost:9200', apiKey: 'key', bearer: 'token' });
+
+      expect(() => createEsClient('LOCAL')).toThrow('can only use one of username/password, apiKey or bearer');
+    });
+
+    it('rejects a profile with both or neither of cloudId and node', () => {
+      withConnection({ cloudId: 'id', node: 'http://localhost:9200' });
+      expect(() => createEsClient('LOCAL')).toThrow('needs either a cloudId or a node');
+
+      withConnection({ username: 'elastic', password: 'changeme' });
+      expect(() => createEsClient('LOCAL')).toThrow('needs either a cloudId or a node');
+    });
+
+    it('rejects unknown settings', () => {
+      withConnection({ node: 'http://localhost:9200', requestTimout: 1000 });
+
+      expect(() => createEsClient('LOCAL')).toThrow('unknown connection settings: requestTimout');
+    });
+  });
+
+  it('names the missing env var and cluster', () => {
+    delete process.env.STAGING_ES_PASSWORD;
+
+    expect(() => createEsClient('staging')).toThrow('STAGING_ES_PASSWORD needs to be configured (cluster STAGING)');
+  });
+});
@@ -1,5 +1,6 @@
 const esClient = require('./esClient');
-const { indexDoesNotExist, indexExistsError } = require('./errors');
+const { indexDoesNotExist, indexExistsError, isResponseError, isRetryableStatus, isRetryableError } = require('./errors');
+const { deadLetterFile, appendDeadLetters } = require('./deadLetter');
 const { errors } = require('@elastic/elasticsearch');
 const Logger = require('../logger');
 
@@ -63,7 +64,7 @@ async function getAllAmbientWeatherIndices(client = require('./esClient')) {
 /**
  *
  * @param {class} client: configured elasticsearch client
- * @returns array of objects containing { alias <string>, index <string>, is_write_index: <boolean> }
+ * @returns array of objects containing { alias <string>, index <string>, is_write_index: <boolean> }, for every station
  * @example
  * [{
 *   alias: 'all-ambient-weather-heiligers-imperial',
@@ -76,7 +77,7 @@ async function getAmbientWeatherAliases(client = require('./esClient')) {
   let error;
   try {
     const { body, statusCode } = await client.cat.aliases({
-      name: '*ambient-weather-heiligers-*',
+      name: '*ambient-weather-*',
       format: 'json',
       h: ['alias', 'index', 'is_write_index'],
       v: true,
@@ -104,6 +105,7 @@ async function getAmbientWeatherAliases(client = require('./esClient')) {
  * @param {Class} client elastisearch client already configured
  * @param {string} indexName
  * @param {object} indexMappings
+ * @param {object} indexAliases optional aliases to create with the index, e.g. { 'all-ambient-weather-heiligers-metric': { is_write_index: true } }
  * @returns {object} { body, statusCode, headers, meta } where body is { acknowledged: <boolean>, shards_acknowledged: <boolean>, index: <string> }
  * @example see ./exampleAPICallResponses.js for more info
     body: { acknowledged: true, shards_acknowledged: true, index: 'tweets' },
@@ -111,13 +113,14 @@ async function getAmbientWeatherAliases(client = require('./esClient')) {
     headers: {..., date: 'Tue, 04 Jan 2022 21:23:29 GMT'},
     meta: {...}
  */
-async function createIndex(client = require('./esClient'), indexName, indexMappings) {
+async function createIndex(client = require('./esClient'), indexName, indexMappings, indexAliases) {
   let createIndexResult;
   try {
     createIndexResult = await client.indices.create({
       index: indexName,
       body: {
-        mappings: indexMappings
+        mappings: indexMappings,
+        ...(indexAliases ? { aliases: indexAliases } : {})
       }
     }, { ignore: [400] }); // explicitly ignore 400, not 404. see https://github.com/elastic/elasticsearch-js/pull/927/files
   } catch (err) {
@@ -132,6 +135,189 @@ async function createIndex(client = require('./esClient'), indexName, indexMappi
   return createIndexResult;
 }
 
+/**
+ *
+ * @param {Class} client configured elasticsearch client
+ * @param {string} indexName
+ * @returns {boolean} true if the index exists
+ */
+async function indexExists(client = require('./esClient'), indexName) {
+  const { body } = await client.indices.exists({ index: indexName });
+  return body;
+}
+
+/**
+ * Gets a legacy (`_template`) index template
+ * @param {Class} client configured elasticsearch client
+ * @param {string} templateName
+ * @returns {object | null} the template body ({ order, version, index_patterns, settings, mappings, aliases }), null if it doesn't exist
+ */
+async function getIndexTemplate(client = require('./esClient'), templateName) {
+  try {
+    const { body } = await client.indices.getTemplate({ name: templateName });
+    return body[templateName] ?? null;
+  } catch (err) {
+    if (isResponseError(err) && err.statusCode === 404) {
+      return null;
+    }
+    esClientLogger.logError(`[getIndexTemplate] [ERROR] cannot get the template: ${templateName}`, err);
+    throw err;
+  }
+}
+
+/**
+ * Creates or updates a legacy (`_template`) index template
+ * @param {Class} client configured elasticsearch client
+ * @param {string} templateName
+ * @param {object} templateBody { order, version, index_patterns, settings, mappings, aliases }
+ * @returns {object} body of es response
+ * @example { acknowledged: true }
+ */
+async function putIndexTemplate(client = require('./esClient'), templateName, templateBody) {
+  let putResult;
+  try {
+    putResult = await client.indices.putTemplate({ name: templateName, body: templateBody });
+  } catch (err) {
+    esClientLogger.logError(`[putIndexTemplate] [ERROR] cannot put the template: ${templateName}`, err);
+    throw err;
+  }
+  esClientLogger.logInfo('[putIndexTemplate] [SUCCESS]', putResult.body);
+  return putResult.body;
+}
+
+/**
+ * Applies alias actions atomically
+ * @param {Class} client configured elasticsearch client
+ * @param {array} actions alias actions, e.g. [{ add: { index, alias, is_write_index: true } }]
+ * @returns {object} body of es response
+ * @example { acknowledged: true }
+ */
+async function updateAliases(client = require('./esClient'), actions) {
+  let updateResult;
+  try {
+    updateResult = await client.indices.updateAliases({ body: { actions } });
+  } catch (err) {
+    esClientLogger.logError('[updateAliases] [ERROR]', err);
+    throw err;
+  }
+  esClientLogger.logInfo('[updateAliases] [SUCCESS]', updateResult.body);
+  return updateResult.body;
+}
+
+/**
+ * The ILM API of a client: OpenSearch has index state management instead, which the lifecycle commands don't manage
+ * @param {Class} client configured elasticsearch client
+ * @returns {object} client.ilm
+ * @throws for an OpenSearch cluster
+ */
+function lifecycleApi(client) {
+  if (esClient.isOpenSearch(client)) {
+    throw new Error('OpenSearch clusters have no index lifecycle management (ILM), manage their rollover with index state management instead');
+  }
+  return client.ilm;
+}
+
+/**
+ * Gets an index lifecycle (ILM) policy
+ * @param {Class} client configured elasticsearch client
+ * @param {string} policyName
+ * @returns {object | null} the policy ({ phases: {...} }), null if it doesn't exist
+ */
+async function getLifecyclePolicy(client = require('./esClient'), policyName) {
+  try {
+    const { body } = await lifecycleApi(client).getLifecycle({ policy: policyName });
+    return body[policyName]?.policy ?? null;
+  } catch (err) {
+    if (isResponseError(err) && err.statusCode === 404) {
+      return null;
+    }
+    esClientLogger.logError(`[getLifecyclePolicy] [ERROR] cannot get the policy: ${policyName}`, err);
+    throw err;
+  }
+}
+
+/**
+ * Creates or updates an index lifecycle (ILM) policy
+ * @param {Class} client configured elasticsearch client
+ * @param {string} policyName
+ * @param {object} policy { phases: {...} }
+ * @returns {object} body of es response
+ * @example { acknowledged: true }
+ */
+async function putLifecyclePolicy(client = require('./esClient'), policyName, policy) {
+  let putResult;
+  try {
+    putResult = await lifecycleApi(client).putLifecycle({ policy: policyName, body: { policy } });
+  } catch (err) {
+    esClientLogger.logError(`[putLifecyclePolicy] [ERROR] cannot put the policy: ${policyName}`, err);
+    throw err;
+  }
+  esClientLogger.logInfo('[putLifecyclePolicy] [SUCCESS]', putResult.body);
+  return putResult.body;
+}
+
+/**
+ * Explains the lifecycle state of an index
+ * @param {Class} client configured elasticsearch client
+ * @param {string} indexName
+ * @returns {object} explanation for the index
+ * @example { index: 'ambient_weather_heiligers_metric_2026_10_19-000001', managed: true, policy: 'ambient-weather-heiligers', phase: 'hot', action: 'rollover', step: 'check-rollover-ready', age: '2.1d' }
+ */
+async function explainLifecycle(client = require('./esClient'), indexName) {
+  try {
+    const { body } = await lifecycleApi(client).explainLifecycle({ index: indexName });
+    return body.indices[indexName];
+  } catch (err) {
+    esClientLogger.logError(`[explainLifecycle] [ERROR] cannot explain the lifecycle of: ${indexName}`, err);
+    throw err;
+  }
+}
+
+/**
+ * Rolls an alias over to a new write index
+ * @param {Class} client configured elasticsearch client
+ * @param {string} aliasName alias to roll over
+ * @param {object} opts newIndex (optional name, may use date math), conditions (optional, rollover only happens when one is met), dryRun
+ * @returns {object} body of es response
+ * @example { old_index: 'ambient_weather_heiligers_metric_2026_10_19-000001', new_index: 'ambient_weather_heiligers_metric_2026_11_18-000002', rolled_over: true, dry_run: false, conditions: { '[max_age: 30d]': true } }
+ */
+async function rolloverAlias(client = require('./esClient'), aliasName, opts = {}) {
+  let rolloverResult;
+  try {
+    rolloverResult = await client.indices.rollover({
+      alias: aliasName,
+      ...(opts.newIndex ? { new_index: opts.newIndex } : {}),
+      dry_run: !!opts.dryRun,
+      body: opts.conditions ? { conditions: opts.conditions } : {}
+    });
+  } catch (err) {
+    esClientLogger.logError(`[rolloverAlias] [ERROR] cannot roll over: ${aliasName}`, err);
+    throw err;
+  }
+  esClientLogger.logInfo('[rolloverAlias] [SUCCESS]', rolloverResult.body);
+  return rolloverResult.body;
+}
+
+/**
+ * Updates dynamic index settings
+ * @param {Class} client configured elasticsearch client
+ * @param {string} indexName
+ * @param {object} settings e.g. { 'index.lifecycle.name': 'ambient-weather-heiligers' }
+ * @returns {object} body of es response
+ * @example { acknowledged: true }
+ */
+async function putIndexSettings(client = require('./esClient'), indexName, settings) {
+  let putResult;
+  try {
+    putResult = await client.indices.putSettings({ index: indexName, body: settings });
+  } catch (err) {
+    esClientLogger.logError(`[putIndexSettings] [ERROR] cannot update the settings of: ${indexName}`, err);
+    throw err;
+  }
+  esClientLogger.logInfo('[putIndexSettings] [SUCCESS]', putResult.body);
+  return putResult.body;
+}
+
 // params: esClient = elasticsearch client preconfigured, indexName <string>: name of the index to delete
 /**
  *
@@ -241,47 +427,386 @@ async function searchDocsByDateRange(client = require('./esClient'), indexName,
   return searchResultBody;
 }
 /**
- *
+ * Pages through every document in a date range with a point in time and search_after,
+ * so the result is consistent and complete however many documents there are (no 10,000 hit limit).
+ * OpenSearch has neither the point in time API nor _shard_doc: there the pages come from the live indices, sorted on
+ * dateutc and _id (see searchAfterByDateRange)
+ * Rethrows on failure like getDateHistogram: a partial result would be read as "no more data"
+ * @param {Class} client configured elasticsearch client
+ * @param {string} indexName index (or pattern) to search
+ * @param {number} startDate start date in epoch milliseconds (inclusive)
+ * @param {number} endDate end date in epoch milliseconds (exclusive)
+ * @param {object} opts optional configuration: size (hits per page, default 1000), _source (default the whole document), keepAlive (default '2m')
+ * @yields {array} one page of hits in ascending dateutc order
+ * @example
+ * for await (const hits of searchAllDocsByDateRange(client, 'ambient_weather_heiligers_imperial_*', start, end, { _source: ['dateutc'] })) {
+ *   hits.forEach(hit => seen.add(hit._source.dateutc));
+ * }
+ */
+async function* searchAllDocsByDateRange(client = require('./esClient'), indexName, startDate, endDate, opts = {}) {
+  if (esClient.isOpenSearch(client)) {
+    yield* searchAfterByDateRange(client, indexName, startDate, endDate, opts);
+    return;
+  }
+  const keepAlive = opts.keepAlive ?? '2m';
+  const { body: pit } = await client.openPointInTime({ index: indexName, keep_alive: keepAlive, expand_wildcards: 'all' });
+  let pitId = pit.id;
+  try {
+    let searchAfter;
+    while (true) {
+      const { body } = await client.search({
+        body: {
+          pit: { id: pitId, keep_alive: keepAlive },
+          query: { range: { dateutc: { gte: startDate, lt: endDate } } },
+          // _shard_doc breaks ties between documents with the same dateutc (e.g. duplicates in older indices)
+          sort: [{ dateutc: 'asc' }, { _shard_doc: 'asc' }],
+          size: opts.size ?? 1000,
+          _source: opts._source ?? true,
+          ...(searchAfter ? { search_after: searchAfter } : {})
+        }
+      });
+      const hits = body.hits.hits;
+      if (hits.length === 0) return;
+      pitId = body.pit_id ?? pitId;
+      searchAfter = hits[hits.length - 1].sort;
+      yield hits;
+    }
+  } finally {
+    await client.closePointInTime({ body: { id: pitId } }).catch((err) => {
+      esClientLogger.logWarning('[searchAllDocsByDateRange] could not close the point in time:', err.message);
+    });
+  }
+}
+/**
+ * searchAllDocsByDateRange without a point in time: search_after on the indices as they are, sorted on dateutc and _id,
+ * which is unique within an index. Pages don't shift when documents are deleted or added behind the last sort values,
+ * but a document indexed ahead of them while paging shows up
+ * @yields {array} one page of hits in ascending dateutc order
+ */
+async function* searchAfterByDateRange(client, indexName, startDate, endDate, opts = {}) {
+  let searchAfter;
+  while (true) {
+    const { body } = await client.search({
+      index: indexName,
+      expand_wildcards: 'all',
+      body: {
+        query: { range: { dateutc: { gte: startDate, lt: endDate } } },
+        sort: [{ dateutc: 'asc' }, { _id: 'asc' }],
+        size: opts.size ?? 1000,
+        _source: opts._source ?? true,
+        ...(searchAfter ? { search_after: searchAfter } : {})
+      }
+    });
+    const hits = body.hits.hits;
+    if (hits.length === 0) return;
+    searchAfter = hits[hits.length - 1].sort;
+    yield hits;
+  }
+}
+/**
+ * Gets the documents for specific observation times. Rethrows on failure
+ * @param {Class} client configured elasticsearch client
+ * @param {string} indexName index (or pattern) to search
+ * @param {array} dateutcs epoch ms values, at most 1000 per call
+ * @returns {array} hits in ascending dateutc order, more than one per dateutc when a cluster holds duplicates
+ */
+async function getDocsByDateutc(client = require('./esClient'), indexName, dateutcs) {
+  if (dateutcs.length === 0) return [];
+  const { body } = await client.search({
+    index: indexName,
+    expand_wildcards: 'all',
+    body: {
+      query: { terms: { dateutc: dateutcs } },
+      sort: [{ dateutc: 'asc' }],
+      // room for a duplicate of every observation
+      size: dateutcs.length * 2
+    }
+  });
+  return body.hits.hits;
+}
+/**
+ * Buckets documents in a date range by a fixed interval, including empty buckets, so that missing observations can be located.
+ * Unlike the other search helpers this rethrows on failure: an empty result would otherwise be read as "no data".
+ * @param {Class} client configured elasticsearch client
+ * @param {string} indexName index (or pattern) to search
+ * @param {number} startDate start date in epoch milliseconds (inclusive)
+ * @param {number} endDate end date in epoch milliseconds (exclusive)
+ * @param {object} opts optional configuration: interval (fixed_interval, default '5m'), expandWildcards
+ * @returns {array} buckets in ascending order: { key, docCount, firstDateutc, lastDateutc }, where first/last are null for empty buckets
+ * @example
+ * [{ key: 1704067200000, docCount: 1, firstDateutc: 1704067200000, lastDateutc: 1704067200000 },
+ *  { key: 1704067500000, docCount: 0, firstDateutc: null, lastDateutc: null }]
+ */
+async function getDateHistogram(client = require('./esClient'), indexName, startDate, endDate, opts = {}) {
+  try {
+    const { body } = await client.search({
+      index: indexName,
+      expand_wildcards: opts.expandWildcards ?? 'all',
+      size: 0,
+      body: {
+        query: {
+          range: {
+            dateutc: {
+              gte: startDate,
+              lt: endDate
+            }
+          }
+        },
+        aggs: {
+          observations: {
+            date_histogram: {
+              field: 'date',
+              fixed_interval: opts.interval ?? '5m',
+              min_doc_count: 0,
+              extended_bounds: { min: startDate, max: endDate - 1 }
+            },
+            aggs: {
+              first_dateutc: { min: { field: 'dateutc' } },
+              last_dateutc: { max: { field: 'dateutc' } }
+            }
+          }
+        }
+      }
+    });
+    const buckets = body.aggregations.observations.buckets.map((bucket) => ({
+      key: bucket.key,
+      docCount: bucket.doc_count,
+      firstDateutc: bucket.first_dateutc.value,
+      lastDateutc: bucket.last_dateutc.value
+    }));
+    esClientLogger.logInfo('[getDateHistogram] buckets returned:', buckets.length);
+    return buckets;
+  } catch (err) {
+    esClientLogger.logError('[getDateHistogram] search request error:', err);
+    throw err;
+  }
+}
+// Bulk request limits, see https://www.elastic.co/guide/en/elasticsearch/reference/7.16/docs-bulk.html#docs-bulk-api-desc
+const BULK_DEFAULTS = {
+  maxChunkBytes: 5 * 1024 * 1024,
+  maxChunkDocs: 1000,
+  maxRetries: 5,
+  initialBackoffMs: 1000,
+  maxBackoffMs: 30000
+};
+
+/**
+ * Splits a bulk payload into chunks that stay under a byte size and a document count.
+ * Actions and their documents stay together; a single document bigger than maxChunkBytes gets a chunk to itself
+ * @param {array} payload [action, document, action, document, ...]
+ * @param {object} limits { maxChunkBytes, maxChunkDocs }
+ * @returns {array} chunks, each a bulk payload of its own
+ */
+function chunkBulkPayload(payload, { maxChunkBytes = BULK_DEFAULTS.maxChunkBytes, maxChunkDocs = BULK_DEFAULTS.maxChunkDocs } = {}) {
+  const chunks = [];
+  let chunk = [];
+  let chunkBytes = 0;
+  for (let i = 0; i < payload.length; i += 2) {
+    // bulk bodies are sent as newline delimited JSON
+    const pairBytes = Buffer.byteLength(`${JSON.stringify(payload[i])}\n${JSON.stringify(payload[i + 1])}\n`);
+    if (chunk.length > 0 && (chunkBytes + pairBytes > maxChunkBytes || chunk.length / 2 >= maxChunkDocs)) {
+      chunks.push(chunk);
+      chunk = [];
+      chunkBytes = 0;
+    }
+    chunk.push(payload[i], payload[i + 1]);
+    chunkBytes += pairBytes;
+  }
+  if (chunk.length > 0) chunks.push(chunk);
+  return chunks;
+}
+
+/**
+ * @param {number} attempt 1 for the first retry
+ * @param {object} opts { initialBackoffMs, maxBackoffMs }
+ * @returns {number} milliseconds to wait before the retry: initialBackoffMs, doubled every attempt, capped at maxBackoffMs
+ */
+function backoffDelay(attempt, { initialBackoffMs = BULK_DEFAULTS.initialBackoffMs, maxBackoffMs = BULK_DEFAULTS.maxBackoffMs } = {}) {
+  return Math.min(initialBackoffMs * 2 ** (attempt - 1), maxBackoffMs);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sends one chunk, retrying the documents that failed with 429 or 5xx until they succeed or the retries run out
+ * @returns {object} { indexed, retried, failed: [{ status, error, attempts, operation, document }] }
+ */
+async function sendBulkChunk(client, chunk, opts) {
+  let pending = chunk;
+  let retried = 0;
+  const failed = [];
+  for (let attempt = 0; pending.length > 0; attempt++) {
+    if (attempt > 0) {
+      const delay = backoffDelay(attempt, opts);
+      esClientLogger.logWarning(`[bulkIndexDocuments] retrying ${pending.length / 2} documents in ${delay}ms (attempt ${attempt + 1} of ${opts.maxRetries + 1})`);
+      await sleep(delay);
+      retried += pending.length / 2;
+    }
+    let bulkResponse;
+    try {
+      ({ body: bulkResponse } = await client.bulk({ refresh: opts.refresh, body: pending }));
+    } catch (err) {
+      // the whole request failed: retry it if the cluster is only busy or briefly unreachable, otherwise give up on the run
+      if (isRetryableError(err) && attempt < opts.maxRetries) continue;
+      throw err;
+    }
+
+    const retry = [];
+    if (bulkResponse.errors) {
+      // The items array has the same order as the documents we just sent
+      bulkResponse.items.forEach((action, i) => {
+        const { status, error } = action[Object.keys(action)[0]];
+        if (!error) return;
+        const operation = pending[i * 2];
+        const document = pending[i * 2 + 1];
+        if (isRetryableStatus(status) && attempt < opts.maxRetries) {
+          retry.push(operation, document);
+        } else {
+          // anything else is very likely a mapping error: the document has to be fixed before it's tried again
+          failed.push({ status, error, attempts: attempt + 1, operation, document });
+        }
+      });
+    }
+    pending = retry;
+  }
+  return { indexed: chunk.length / 2 - failed.length, retried, failed };
+}
+
+/**
+ * Points the index actions of a chunk whose _id is already in one of the indices of indexPattern at that index, so a
+ * document indexed again after a rollover replaces itself instead of landing in the new write index a second time.
+ * The _ids are only unique per index: the write alias alone can't tell that an older index has the document
+ * @param {elasticsearch client} client
+ * @param {array} chunk [action, document, ...]
+ * @param {string} indexPattern every index the documents can be in, e.g. ambient_weather_heiligers_metric_*
+ * @returns {object} { chunk: the chunk with the actions of existing documents pointed at their index, rerouted }
+ */
+async function routeToExistingIndices(client, chunk, indexPattern) {
+  const ids = chunk.filter((_, i) => i % 2 === 0).map(action => action.index?._id).filter(Boolean);
+  if (ids.length === 0) return { chunk, rerouted: 0 };
+  const { body } = await client.search({
+    index: indexPattern,
+    body: {
+      query: { ids: { values: ids } },
+      _source: false,
+      // room for an id that is already in two indices
+      size: ids.length * 2
+    }
+  });
+  const existing = new Map();
+  body.hits.hits.forEach(hit => {
+    if (!existing.has(hit._id)) existing.set(hit._id, hit._index);
+  });
+  let rerouted = 0;
+  const routed = chunk.map((item, i) => {
+    const index = i % 2 === 0 && existing.get(item.index?._id);
+    if (!index || index === item.index._index) return item;
+    rerouted += 1;
+    return { index: { ...item.index, _index: index } };
+  });
+  return { chunk: routed, rerouted };
+}
+
+/**
+ * Bulk indexes a payload in chunks of at most maxChunkDocs documents and maxChunkBytes bytes.
+ * - documents rejected with 429 or 5xx are retried with exponential backoff, up to maxRetries times
+ * - a whole request failing with 429, 5xx or a connection error is retried the same way, and rethrown once the retries run out
+ * - documents that fail for any other reason, or keep failing, are appended to the dead-letter file (see ./deadLetter and `npm run replay-dead-letter`)
  * @param {elasticsearch client} client
  * @param {string} indexName index to target and return counts from after bulk request is issued.
  * @param {array} payload preconfigured bulk payload
- * @param {obj} opts option bulk request options to pass to ES
- * @returns { obj } { indexCounts: <number> total number of documents in the target index, erroredDocuments: <array> documents that had an error with bulk operation}
+ * @param {object} opts { refresh = false, maxChunkBytes, maxChunkDocs, maxRetries, initialBackoffMs, maxBackoffMs,
+ *  clusterName: recorded with dead-lettered documents, deadLetterFile: path, or false to only return the failures,
+ *  refresh: the refresh of every bulk request, by default the index is only refreshed once before it's counted,
+ *  count: false to skip counting the index afterwards (indexCounts is then undefined, and the index isn't refreshed),
+ *  existingIndices: index pattern of every index of the alias, documents already in one of them are written there, see routeToExistingIndices }
+ * @returns { obj } { indexCounts: <number> total number of documents in the target index, erroredDocuments: <array> documents that failed permanently,
+ *  indexed, retried, chunks }
  */
-
 async function bulkIndexDocuments(client = require('./esClient'), indexName, payload, opts = {}) {
-  let indexedDocs;
-  let erroredDocuments = [];
-  // add more configuration if needed later. See https://www.elastic.co/guide/en/elasticsearch/client/javascript-api/8.0/api-reference.html#_bulk
   const bulkConfig = {
-    ...opts,
-    refresh: 'true',
+    ...BULK_DEFAULTS,
+    refresh: false,
+    deadLetterFile: deadLetterFile(),
+    ...opts
+  };
+  const erroredDocuments = [];
+  let indexed = 0;
+  let retried = 0;
+  const chunks = chunkBulkPayload(payload, bulkConfig);
+  if (chunks.length > 1) {
+    esClientLogger.logInfo(`[bulkIndexDocuments] sending ${payload.length / 2} documents in ${chunks.length} chunks`);
   }
-  const body = payload;
-  // console.log('---------------->>>esClientMethods, bulkIndexDocuments, body(payload)', body)
-  const { body: bulkResponse } = await client.bulk({ refresh: bulkConfig.refresh, body });
-
-  if (bulkResponse.errors) {
-    // The items array has the same order of the dataset we just indexed.
-    // The presence of the `error` key indicates that the operation
-    // that we did for the document has failed.
-    bulkResponse.items.forEach((action, i) => {
-      const operation = Object.keys(action)[0]
-      if (action[operation].error) {
-        erroredDocuments.push({
-          // If the status is 429 it means that you can retry the document,
-          // otherwise it's very likely a mapping error, and you should
-          // fix the document before to try it again.
-          status: action[operation].status,
-          error: action[operation].error,
-          operation: body[i * 2],
-          document: body[i * 2 + 1]
-        })
+
+  for (const payloadChunk of chunks) {
+    let chunk = payloadChunk;
+    if (bulkConfig.existingIndices) {
+      const routing = await routeToExistingIndices(client, chunk, bulkConfig.existingIndices);
+      chunk = routing.chunk;
+      if (routing.rerouted > 0) esClientLogger.logInfo(`[bulkIndexDocuments] ${routing.rerouted} documents already indexed, replacing them in their own index`);
+    }
+    const result = await sendBulkChunk(client, chunk, bulkConfig);
+    indexed += result.indexed;
+    retried += result.retried;
+    erroredDocuments.push(...result.failed);
+    if (result.failed.length > 0 && bulkConfig.deadLetterFile) {
+      // written per chunk so the failures are kept even if a later chunk throws
+      const failedAt = new Date().toISOString();
+      appendDeadLetters(result.failed.map(failure => ({ failedAt, cluster: bulkConfig.clusterName, index: indexName, ...failure })), bulkConfig.deadLetterFile);
+      esClientLogger.logWarning(`[bulkIndexDocuments] ${result.failed.length} documents failed permanently, written to ${bulkConfig.deadLetterFile}`);
+    }
+  }
+
+  // the documents are counted once they're searchable: one refresh for the payload instead of one for every chunk
+  if (bulkConfig.count !== false && indexed > 0 && !bulkConfig.refresh) await refreshIndex(client, indexName);
+  const indexCounts = bulkConfig.count === false ? undefined : await countDocuments(client, indexName);
+  return { indexCounts, erroredDocuments, indexed, retried, chunks: chunks.length }
+}
+
+/**
+ * @param {elasticsearch client} client
+ * @param {string} indexName index, alias or comma separated list of them
+ * @returns {object} { count } number of documents in the index
+ */
+async function countDocuments(client = require('./esClient'), indexName) {
+  const { body: count } = await client.count({ index: indexName });
+  return count;
+}
+
+/**
+ * Makes the documents written to an index since its last refresh searchable
+ * @param {elasticsearch client} client
+ * @param {string} indexName index, alias, pattern or comma separated list of them
+ */
+async function refreshIndex(client = require('./esClient'), indexName) {
+  await client.indices.refresh({ index: indexName });
+}
+
+/**
+ * Deletes documents by index and id with bulk delete requests of at most batchSize documents.
+ * A document that is already gone counts as not found, not as an error. Rethrows when a request fails as a whole
+ * @param {elasticsearch client} client
+ * @param {array} docs [{ _index, _id }], the concrete index each document lives in
+ * @param {object} opts { batchSize = 1000, refresh = false } refresh: the refresh of every bulk request, the deletes are
+ * searchable after the next refresh of the index (refreshIndex) by default
+ * @returns {object} { deleted, notFound, errors: [{ _index, _id, status, error }] }
+ */
+async function deleteDocumentsById(client = require('./esClient'), docs, { batchSize = BULK_DEFAULTS.maxChunkDocs, refresh = false } = {}) {
+  const result = { deleted: 0, notFound: 0, errors: [] };
+  for (let i = 0; i < docs.length; i += batchSize) {
+    const batch = docs.slice(i, i + batchSize);
+    const { body } = await client.bulk({ refresh, body: batch.map(({ _index, _id }) => ({ delete: { _index, _id } })) });
+    body.items.forEach(({ delete: { _index, _id, status, result: outcome, error } }) => {
+      if (status === 404 || outcome === 'not_found') {
+        result.notFound += 1;
+      } else if (error) {
+        result.errors.push({ _index, _id, status, error });
+      } else {
+        result.deleted += 1;
       }
-    })
+    });
   }
-  const { body: count } = await client.count({ index: indexName })
-  return { indexCounts: count, erroredDocuments }
+  return result;
 }
 
 const clientMethods = {
@@ -290,9 +815,20 @@ const clientMethods = {
   getAllAmbientWeatherIndices,
   getAmbientWeatherAliases,
   createIndex,
+  indexExists,
+  getIndexTemplate,
+  putIndexTemplate,
+  updateAliases,
+  getLifecyclePolicy,
+  putLifecyclePolicy,
+  explainLifecycle,
+  rolloverAlias,
+  putIndexSettings,
   deleteIndex,
   getMostRecentDoc,
-  bulkIndexDocuments
+  getDateHistogram,
+  bulkIndexDocuments,
+  countDocuments
 }
 // clientMethods.getClusterInfo();
 // clientMethods.pingCluster();
@@ -311,6 +847,6 @@ const clientMethods = {
 // }
 // clientMethods.createIndex(require('./esClient'), 'tweets', testMappings)
 // clientMethods.deleteIndex(require('./esClient'), 'tweets')
-module.exports = { pingCluster, getAmbientWeatherAliases, createIndex, getMostRecentDoc, searchDocsByDateRange, deleteIndex, bulkIndexDocuments };
+module.exports = { pingCluster, getAmbientWeatherAliases, createIndex, indexExists, getIndexTemplate, putIndexTemplate, updateAliases, getLifecyclePolicy, putLifecyclePolicy, explainLifecycle, rolloverAlias, putIndexSettings, getMostRecentDoc, searchDocsByDateRange, searchAllDocsByDateRange, getDocsByDateutc, getDateHistogram, deleteIndex, chunkBulkPayload, backoffDelay, routeToExistingIndices, bulkIndexDocuments, countDocuments, refreshIndex, deleteDocumentsById };
 
 
@@ -2,11 +2,34 @@ const {
   pingCluster,
   getAmbientWeatherAliases,
   createIndex,
+  indexExists,
+  getIndexTemplate,
+  putIndexTemplate,
+  updateAliases,
+  getLifecyclePolicy,
+  putLifecyclePolicy,
+  explainLifecycle,
+  rolloverAlias,
+  putIndexSettings,
   getMostRecentDoc,
   searchDocsByDateRange,
+  searchAllDocsByDateRange,
+  getDocsByDateutc,
+  getDateHistogram,
   deleteIndex,
-  bulkIndexDocuments
+  chunkBulkPayload,
+  backoffDelay,
+  routeToExistingIndices,
+  bulkIndexDocuments,
+  deleteDocumentsById
 } = require('./esClientMethods');
+const { appendDeadLetters } = require('./deadLetter');
+const { errors } = require('@elastic/elasticsearch');
+
+jest.mock('./deadLetter', () => ({
+  deadLetterFile: jest.fn(() => 'data/dead-letter/bulk-failures.jsonl'),
+  appendDeadLetters: jest.fn()
+}));
 
 describe('esClientMethods', () => {
   let mockClient;
@@ -17,6 +40,8 @@ describe('esClientMethods', () => {
       ping: jest.fn(),
       info: jest.fn(),
       search: jest.fn(),
+      openPointInTime: jest.fn(),
+      closePointInTime: jest.fn(),
       bulk: jest.fn(),
       count: jest.fn(),
       cat: {
@@ -25,7 +50,19 @@ describe('esClientMethods', () => {
       },
       indices: {
         create: jest.fn(),
-        delete: jest.fn()
+        delete: jest.fn(),
+        exists: jest.fn(),
+        getTemplate: jest.fn(),
+        putTemplate: jest.fn(),
+        updateAliases: jest.fn(),
+        rollover: jest.fn(),
+        putSettings: jest.fn(),
+        refresh: jest.fn()
+      },
+      ilm: {
+        getLifecycle: jest.fn(),
+        putLifecycle: jest.fn(),
+        explainLifecycle: jest.fn()
       }
     };
   });
@@ -71,7 +108,7 @@ describe('esClientMethods', () => {
 
       expect(result).toEqual(mockAliases);
       expect(mockClient.cat.aliases).toHaveBeenCalledWith({
-        name: '*ambient-weather-heiligers-*',
+        name: '*ambient-weather-*',
         format: 'json',
         h: ['alias', 'index', 'is_write_index'],
         v: true,
@@ -147,6 +184,15 @@ describe('esClientMethods', () => {
       expect(result).toBeUndefined();
     });
 
+    it('creates the index with aliases when provided', async () => {
+      mockClient.indices.create.mockResolvedValue({ body: { acknowledged: true }, statusCode: 200 });
+      const aliases = { 'all-ambient-weather-heiligers-metric': { is_write_index: true } };
+
+      await createIndex(mockClient, testIndexName, undefined, aliases);
+
+      expect(mockClient.indices.create.mock.calls[0][0].body).toEqual({ mappings: undefined, aliases });
+    });
+
     it('throws on unexpected errors', async () => {
       const unexpectedError = new Error('Unexpected error');
       unexpectedError.meta = { body: { error: { type: 'unknown_error' } } };
@@ -156,6 +202,155 @@ describe('esClientMethods', () => {
     });
   });
 
+  describe('indexExists', () => {
+    it('returns the exists response body', async () => {
+      mockClient.indices.exists.mockResolvedValue({ body: true });
+
+      const result = await indexExists(mockClient, 'test_index');
+
+      expect(result).toBe(true);
+      expect(mockClient.indices.exists).toHaveBeenCalledWith({ index: 'test_index' });
+    });
+  });
+
+  describe('getIndexTemplate', () => {
+    it('returns the template body', async () => {
+      mockClient.indices.getTemplate.mockResolvedValue({ body: { test_template: { version: 1 } } });
+
+      const result = await getIndexTemplate(mockClient, 'test_template');
+
+      expect(result).toEqual({ version: 1 });
+    });
+
+    it('returns null when the template does not exist', async () => {
+      const { errors } = require('@elastic/elasticsearch');
+      const notFoundError = new errors.ResponseError({ body: {}, statusCode: 404, headers: {}, meta: {} });
+      mockClient.indices.getTemplate.mockRejectedValue(notFoundError);
+
+      const result = await getIndexTemplate(mockClient, 'missing_template');
+
+      expect(result).toBeNull();
+    });
+
+    it('throws on other errors', async () => {
+      mockClient.indices.getTemplate.mockRejectedValue(new Error('Unexpected error'));
+
+      await expect(getIndexTemplate(mockClient, 'test_template')).rejects.toThrow('Unexpected error');
+    });
+  });
+
+  describe('putIndexTemplate', () => {
+    it('puts the template', async () => {
+      mockClient.indices.putTemplate.mockResolvedValue({ body: { acknowledged: true } });
+      const templateBody = { version: 1, index_patterns: ['test_*'] };
+
+      const result = await putIndexTemplate(mockClient, 'test_template', templateBody);
+
+      expect(result).toEqual({ acknowledged: true });
+      expect(mockClient.indices.putTemplate).toHaveBeenCalledWith({ name: 'test_template', body: templateBody });
+    });
+  });
+
+  describe('updateAliases', () => {
+    it('sends the alias actions', async () => {
+      mockClient.indices.updateAliases.mockResolvedValue({ body: { acknowledged: true } });
+      const actions = [{ add: { index: 'test_index', alias: 'test_alias', is_write_index: true } }];
+
+      const result = await updateAliases(mockClient, actions);
+
+      expect(result).toEqual({ acknowledged: true });
+      expect(mockClient.indices.updateAliases).toHaveBeenCalledWith({ body: { actions } });
+    });
+  });
+
+  describe('getLifecyclePolicy', () => {
+    const policy = { phases: { hot: { min_age: '0ms', actions: { rollover: { max_age: '30d' } } } } };
+
+    it('returns the policy', async () => {
+      mockClient.ilm.getLifecycle.mockResolvedValue({ body: { test_policy: { version: 1, policy } } });
+
+      const result = await getLifecyclePolicy(mockClient, 'test_policy');
+
+      expect(result).toEqual(policy);
+      expect(mockClient.ilm.getLifecycle).toHaveBeenCalledWith({ policy: 'test_policy' });
+    });
+
+    it('returns null when the policy does not exist', async () => {
+      const { errors } = require('@elastic/elasticsearch');
+      mockClient.ilm.getLifecycle.mockRejectedValue(new errors.ResponseError({ body: {}, statusCode: 404, headers: {}, meta: {} }));
+
+      const result = await getLifecyclePolicy(mockClient, 'missing_policy');
+
+      expect(result).toBeNull();
+    });
+
+    it('explains that OpenSearch clusters have no ILM', async () => {
+      const { Client: OpenSearchClient } = require('@opensearch-project/opensearch');
+
+      await expect(getLifecyclePolicy(new OpenSearchClient({ node: 'http://opensearch:9200' }), 'test_policy')).rejects.toThrow('OpenSearch clusters have no index lifecycle management');
+    });
+  });
+
+  describe('putLifecyclePolicy', () => {
+    it('wraps the policy in the request body', async () => {
+      mockClient.ilm.putLifecycle.mockResolvedValue({ body: { acknowledged: true } });
+      const policy = { phases: { hot: { actions: { rollover: { max_age: '30d' } } } } };
+
+      const result = await putLifecyclePolicy(mockClient, 'test_policy', policy);
+
+      expect(result).toEqual({ acknowledged: true });
+      expect(mockClient.ilm.putLifecycle).toHaveBeenCalledWith({ policy: 'test_policy', body: { policy } });
+    });
+  });
+
+  describe('explainLifecycle', () => {
+    it('returns the explanation for the index', async () => {
+      const explanation = { index: 'test_index-000001', managed: true, phase: 'hot' };
+      mockClient.ilm.explainLifecycle.mockResolvedValue({ body: { indices: { 'test_index-000001': explanation } } });
+
+      const result = await explainLifecycle(mockClient, 'test_index-000001');
+
+      expect(result).toEqual(explanation);
+    });
+  });
+
+  describe('rolloverAlias', () => {
+    it('rolls over with conditions as a dry run', async () => {
+      mockClient.indices.rollover.mockResolvedValue({ body: { dry_run: true, rolled_over: false, conditions: { '[max_age: 30d]': false } } });
+
+      const result = await rolloverAlias(mockClient, 'test_alias', { conditions: { max_age: '30d' }, dryRun: true });
+
+      expect(result.conditions).toEqual({ '[max_age: 30d]': false });
+      expect(mockClient.indices.rollover).toHaveBeenCalledWith({ alias: 'test_alias', dry_run: true, body: { conditions: { max_age: '30d' } } });
+    });
+
+    it('passes an explicit new index name', async () => {
+      mockClient.indices.rollover.mockResolvedValue({ body: { rolled_over: true } });
+
+      await rolloverAlias(mockClient, 'test_alias', { newIndex: '<test_index-{now/d}-000001>' });
+
+      expect(mockClient.indices.rollover).toHaveBeenCalledWith({ alias: 'test_alias', new_index: '<test_index-{now/d}-000001>', dry_run: false, body: {} });
+    });
+
+    it('throws on error', async () => {
+      mockClient.indices.rollover.mockRejectedValue(new Error('illegal_argument_exception'));
+
+      await expect(rolloverAlias(mockClient, 'test_alias')).rejects.toThrow('illegal_argument_exception');
+    });
+  });
+
+  describe('putIndexSettings', () => {
+    it('updates the index settings', async () => {
+      mockClient.indices.putSettings.mockResolvedValue({ body: { acknowledged: true } });
+      const settings = { 'index.lifecycle.name': 'test_policy' };
+
+      const result = await putIndexSettings(mockClient, 'test_index', settings);
+
+      expect(result).toEqual({ acknowledged: true });
+      expect(mockClient.indices.putSettings).toHaveBeenCalledWith({ index: 'test_index', body: settings });
+    });
+  });
+
   describe('deleteIndex', () => {
     it('deletes index successfully', async () => {
       mockClient.indices.delete.mockResolvedValue({
@@ -352,6 +547,188 @@ describe('esClientMethods', () => {
     });
   });
 
+  describe('getDateHistogram', () => {
+    const startDate = 1704067200000; // 2024-01-01
+    const endDate = 1704068100000;   // 2024-01-01 00:15
+
+    it('requests a fixed interval histogram that includes empty buckets', async () => {
+      mockClient.search.mockResolvedValue({
+        body: { aggregations: { observations: { buckets: [] } } }
+      });
+
+      await getDateHistogram(mockClient, 'ambient_weather_*', startDate, endDate);
+
+      const request = mockClient.search.mock.calls[0][0];
+      expect(request.size).toBe(0);
+      expect(request.body.query).toEqual({ range: { dateutc: { gte: startDate, lt: endDate } } });
+      expect(request.body.aggs.observations.date_histogram).toEqual({
+        field: 'date',
+        fixed_interval: '5m',
+        min_doc_count: 0,
+        extended_bounds: { min: startDate, max: endDate - 1 }
+      });
+    });
+
+    it('maps buckets to counts and first/last dateutc', async () => {
+      mockClient.search.mockResolvedValue({
+        body: {
+          aggregations: {
+            observations: {
+              buckets: [
+                { key: startDate, doc_count: 1, first_dateutc: { value: startDate }, last_dateutc: { value: startDate } },
+                { key: startDate + 300000, doc_count: 0, first_dateutc: { value: null }, last_dateutc: { value: null } }
+              ]
+            }
+          }
+        }
+      });
+
+      const result = await getDateHistogram(mockClient, 'ambient_weather_*', startDate, endDate, { interval: '5m' });
+
+      expect(result).toEqual([
+        { key: startDate, docCount: 1, firstDateutc: startDate, lastDateutc: startDate },
+        { key: startDate + 300000, docCount: 0, firstDateutc: null, lastDateutc: null }
+      ]);
+    });
+
+    it('rethrows search errors', async () => {
+      mockClient.search.mockRejectedValue(new Error('Search failed'));
+
+      await expect(getDateHistogram(mockClient, 'ambient_weather_*', startDate, endDate)).rejects.toThrow('Search failed');
+    });
+  });
+
+  describe('searchAllDocsByDateRange', () => {
+    const startDate = Date.UTC(2026, 0, 1);
+    const endDate = Date.UTC(2026, 0, 2);
+    const page = (...dates) => ({ body: { pit_id: 'pit-2', hits: { hits: dates.map(dateutc => ({ _source: { dateutc }, sort: [dateutc, 7] })) } } });
+
+    const collect = async (generator) => {
+      const pages = [];
+      for await (const hits of generator) pages.push(hits.map(hit => hit._source.dateutc));
+      return pages;
+    };
+
+    beforeEach(() => {
+      mockClient.openPointInTime.mockResolvedValue({ body: { id: 'pit-1' } });
+      mockClient.closePointInTime.mockResolvedValue({ body: { succeeded: true } });
+    });
+
+    it('pages with search_after until a page comes back empty and closes the point in time', async () => {
+      mockClient.search
+        .mockResolvedValueOnce(page(1, 2))
+        .mockResolvedValueOnce(page(3))
+        .mockResolvedValueOnce(page());
+
+      const pages = await collect(searchAllDocsByDateRange(mockClient, 'ambient_weather_heiligers_imperial_*', startDate, endDate, { size: 2, _source: ['dateutc'] }));
+
+      expect(pages).toEqual([[1, 2], [3]]);
+      expect(mockClient.openPointInTime).toHaveBeenCalledWith({ index: 'ambient_weather_heiligers_imperial_*', keep_alive: '2m', expand_wildcards: 'all' });
+      expect(mockClient.search.mock.calls[0][0].body).toEqual({
+        pit: { id: 'pit-1', keep_alive: '2m' },
+        query: { range: { dateutc: { gte: startDate, lt: endDate } } },
+        sort: [{ dateutc: 'asc' }, { _shard_doc: 'asc' }],
+        size: 2,
+        _source: ['dateutc']
+      });
+      expect(mockClient.search.mock.calls[1][0].body).toEqual(expect.objectContaining({ pit: { id: 'pit-2', keep_alive: '2m' }, search_after: [2, 7] }));
+      expect(mockClient.closePointInTime).toHaveBeenCalledWith({ body: { id: 'pit-2' } });
+    });
+
+    it('closes the point in time when the consumer stops early', async () => {
+      mockClient.search.mockResolvedValue(page(1, 2));
+
+      const generator = searchAllDocsByDateRange(mockClient, 'ambient_weather_heiligers_metric_*', startDate, endDate);
+      await generator.next();
+      await generator.return();
+
+      expect(mockClient.closePointInTime).toHaveBeenCalledTimes(1);
+    });
+
+    it('rethrows search errors', async () => {
+      mockClient.search.mockRejectedValue(new Error('Search failed'));
+
+      await expect(collect(searchAllDocsByDateRange(mockClient, 'ambient_weather_heiligers_metric_*', startDate, endDate))).rejects.toThrow('Search failed');
+      expect(mockClient.closePointInTime).toHaveBeenCalled();
+    });
+
+    it('pages an OpenSearch cluster with search_after on dateutc and _id, without a point in time', async () => {
+      const { Client: OpenSearchClient } = require('@opensearch-project/opensearch');
+      const client = new OpenSearchClient({ node: 'http://opensearch:9200' });
+      client.search = jest.fn()
+        .mockResolvedValueOnce(page(1, 2))
+        .mockResolvedValueOnce(page());
+
+      const pages = await collect(searchAllDocsByDateRange(client, 'ambient_weather_heiligers_imperial_*', startDate, endDate, { size: 2 }));
+
+      expect(pages).toEqual([[1, 2]]);
+      expect(client.search.mock.calls[0][0]).toEqual({
+        index: 'ambient_weather_heiligers_imperial_*',
+        expand_wildcards: 'all',
+        body: {
+          query: { range: { dateutc: { gte: startDate, lt: endDate } } },
+          sort: [{ dateutc: 'asc' }, { _id: 'asc' }],
+          size: 2,
+          _source: true
+        }
+      });
+      expect(client.search.mock.calls[1][0].body.search_after).toEqual([2, 7]);
+      expect(mockClient.openPointInTime).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getDocsByDateutc', () => {
+    it('searches for the exact dateutc values, leaving room for duplicates', async () => {
+      mockClient.search.mockResolvedValue({ body: { hits: { hits: [{ _source: { dateutc: 1 } }] } } });
+
+      const hits = await getDocsByDateutc(mockClient, 'ambient_weather_heiligers_metric_*', [1, 2]);
+
+      expect(hits).toEqual([{ _source: { dateutc: 1 } }]);
+      expect(mockClient.search).toHaveBeenCalledWith({
+        index: 'ambient_weather_heiligers_metric_*',
+        expand_wildcards: 'all',
+        body: { query: { terms: { dateutc: [1, 2] } }, sort: [{ dateutc: 'asc' }], size: 4 }
+      });
+    });
+
+    it('does not search without dateutc values', async () => {
+      expect(await getDocsByDateutc(mockClient, 'ambient_weather_heiligers_metric_*', [])).toEqual([]);
+      expect(mockClient.search).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteDocumentsById', () => {
+    const docs = [
+      { _index: 'ambient_weather_heiligers_imperial_2021_01_01', _id: 'a' },
+      { _index: 'ambient_weather_heiligers_imperial_2021_01_01', _id: 'b' },
+      { _index: 'ambient_weather_heiligers_imperial_2022_01_01-000001', _id: 'c' }
+    ];
+    const item = (doc, status, extra = {}) => ({ delete: { ...doc, status, ...extra } });
+
+    it('deletes by index and id in batches', async () => {
+      mockClient.bulk
+        .mockResolvedValueOnce({ body: { errors: false, items: [item(docs[0], 200, { result: 'deleted' }), item(docs[1], 200, { result: 'deleted' })] } })
+        .mockResolvedValueOnce({ body: { errors: false, items: [item(docs[2], 200, { result: 'deleted' })] } });
+
+      const result = await deleteDocumentsById(mockClient, docs, { batchSize: 2 });
+
+      expect(result).toEqual({ deleted: 3, notFound: 0, errors: [] });
+      expect(mockClient.bulk).toHaveBeenCalledTimes(2);
+      expect(mockClient.bulk.mock.calls[0][0]).toEqual({ refresh: false, body: [{ delete: docs[0] }, { delete: docs[1] }] });
+    });
+
+    it('counts documents that are already gone separately from failures', async () => {
+      const error = { type: 'cluster_block_exception' };
+      mockClient.bulk.mockResolvedValueOnce({
+        body: { errors: true, items: [item(docs[0], 404, { result: 'not_found' }), item(docs[1], 403, { error }), item(docs[2], 200, { result: 'deleted' })] }
+      });
+
+      const result = await deleteDocumentsById(mockClient, docs);
+
+      expect(result).toEqual({ deleted: 1, notFound: 1, errors: [{ ...docs[1], status: 403, error }] });
+    });
+  });
+
   describe('bulkIndexDocuments', () => {
     const testPayload = [
       { index: { _index: 'test_index' } },
@@ -360,6 +737,10 @@ describe('esClientMethods', () => {
       { dateutc: 1704070800000, temp: 73 }
     ];
 
+    beforeEach(() => {
+      appendDeadLetters.mockClear();
+    });
+
     it('indexes documents successfully', async () => {
       mockClient.bulk.mockResolvedValue({
         body: { errors: false, items: [] }
@@ -373,9 +754,22 @@ describe('esClientMethods', () => {
       expect(result.indexCounts).toEqual({ count: 2 });
       expect(result.erroredDocuments).toEqual([]);
       expect(mockClient.bulk).toHaveBeenCalledWith({
-        refresh: 'true',
+        refresh: false,
         body: testPayload
       });
+      // once, before counting
+      expect(mockClient.indices.refresh).toHaveBeenCalledTimes(1);
+      expect(mockClient.indices.refresh).toHaveBeenCalledWith({ index: 'test_index' });
+    });
+
+    it('refreshes every bulk request instead when asked to', async () => {
+      mockClient.bulk.mockResolvedValue({ body: { errors: false, items: [] } });
+      mockClient.count.mockResolvedValue({ body: { count: 2 } });
+
+      await bulkIndexDocuments(mockClient, 'test_index', testPayload, { refresh: 'wait_for', maxChunkDocs: 1 });
+
+      expect(mockClient.bulk).toHaveBeenNthCalledWith(2, { refresh: 'wait_for', body: testPayload.slice(2) });
+      expect(mockClient.indices.refresh).not.toHaveBeenCalled();
     });
 
     it('captures errored documents', async () => {
@@ -424,5 +818,203 @@ describe('esClientMethods', () => {
       expect(result.indexCounts.count).toBe(0);
       expect(result.erroredDocuments).toEqual([]);
     });
+
+    it('replaces documents that are already in a rolled over index in that index', async () => {
+      const payload = [
+        { index: { _index: 'all-ambient-weather-heiligers-metric', _id: 'aabb_1704067200000' } },
+        { dateutc: 1704067200000 },
+        { index: { _index: 'all-ambient-weather-heiligers-metric', _id: 'aabb_1704067500000' } },
+        { dateutc: 1704067500000 }
+      ];
+      mockClient.search.mockResolvedValue({ body: { hits: { hits: [{ _index: 'ambient_weather_heiligers_metric_2024_01_01-000001', _id: 'aabb_1704067200000' }] } } });
+      mockClient.bulk.mockResolvedValue({ body: { errors: false, items: [] } });
+
+      await bulkIndexDocuments(mockClient, 'all-ambient-weather-heiligers-metric', payload, { count: false, existingIndices: 'ambient_weather_heiligers_metric_*' });
+
+      expect(mockClient.search).toHaveBeenCalledWith({
+        index: 'ambient_weather_heiligers_metric_*',
+        body: { query: { ids: { values: ['aabb_1704067200000', 'aabb_1704067500000'] } }, _source: false, size: 4 }
+      });
+      expect(mockClient.bulk).toHaveBeenCalledWith({
+        refresh: false,
+        body: [
+          { index: { _index: 'ambient_weather_heiligers_metric_2024_01_01-000001', _id: 'aabb_1704067200000' } },
+          payload[1],
+          payload[2],
+          payload[3]
+        ]
+      });
+      // the payload is left as it was
+      expect(payload[0].index._index).toBe('all-ambient-weather-heiligers-metric');
+    });
+
+    it('only looks documents up with existingIndices', async () => {
+      mockClient.bulk.mockResolvedValue({ body: { errors: false, items: [] } });
+
+      await bulkIndexDocuments(mockClient, 'test_index', testPayload, { count: false });
+
+      expect(mockClient.search).not.toHaveBeenCalled();
+      expect(await routeToExistingIndices(mockClient, testPayload, 'test_*')).toEqual({ chunk: testPayload, rerouted: 0 });
+      expect(mockClient.search).not.toHaveBeenCalled();
+    });
+
+    it('skips counting the index with count: false', async () => {
+      mockClient.bulk.mockResolvedValue({ body: { errors: false, items: [] } });
+
+      const result = await bulkIndexDocuments(mockClient, 'test_index', testPayload, { count: false });
+
+      expect(mockClient.count).not.toHaveBeenCalled();
+      expect(mockClient.indices.refresh).not.toHaveBeenCalled();
+      expect(result.indexCounts).toBeUndefined();
+      expect(result.indexed).toBe(2);
+    });
+
+    it('writes permanently failed documents to the dead-letter file', async () => {
+      mockClient.bulk.mockResolvedValue({
+        body: { errors: true, items: [{ index: { status: 201 } }, { index: { status: 400, error: { type: 'mapper_parsing_exception' } } }] }
+      });
+      mockClient.count.mockResolvedValue({ body: { count: 1 } });
+
+      await bulkIndexDocuments(mockClient, 'test_index', testPayload, { clusterName: 'STAGING', deadLetterFile: '/tmp/failures.jsonl' });
+
+      expect(appendDeadLetters).toHaveBeenCalledWith([
+        expect.objectContaining({
+          cluster: 'STAGING',
+          index: 'test_index',
+          status: 400,
+          attempts: 1,
+          operation: testPayload[2],
+          document: testPayload[3],
+          failedAt: expect.any(String)
+        })
+      ], '/tmp/failures.jsonl');
+    });
+
+    it('only returns the failures when the dead-letter file is turned off', async () => {
+      mockClient.bulk.mockResolvedValue({
+        body: { errors: true, items: [{ index: { status: 400, error: { type: 'mapper_parsing_exception' } } }, { index: { status: 201 } }] }
+      });
+      mockClient.count.mockResolvedValue({ body: { count: 1 } });
+
+      const result = await bulkIndexDocuments(mockClient, 'test_index', testPayload, { deadLetterFile: false });
+
+      expect(result.erroredDocuments).toHaveLength(1);
+      expect(appendDeadLetters).not.toHaveBeenCalled();
+    });
+
+    it('sends the payload in chunks of maxChunkDocs', async () => {
+      mockClient.bulk.mockResolvedValue({ body: { errors: false, items: [] } });
+      mockClient.count.mockResolvedValue({ body: { count: 2 } });
+
+      const result = await bulkIndexDocuments(mockClient, 'test_index', testPayload, { maxChunkDocs: 1 });
+
+      expect(mockClient.bulk).toHaveBeenCalledTimes(2);
+      expect(mockClient.bulk).toHaveBeenNthCalledWith(1, { refresh: false, body: testPayload.slice(0, 2) });
+      expect(mockClient.bulk).toHaveBeenNthCalledWith(2, { refresh: false, body: testPayload.slice(2) });
+      expect(result.chunks).toBe(2);
+      expect(result.indexed).toBe(2);
+    });
+
+    it('retries documents rejected with 429 and only those', async () => {
+      mockClient.bulk
+        .mockResolvedValueOnce({
+          body: { errors: true, items: [{ index: { status: 201 } }, { index: { status: 429, error: { type: 'es_rejected_execution_exception' } } }] }
+        })
+        .mockResolvedValueOnce({ body: { errors: false, items: [{ index: { status: 201 } }] } });
+      mockClient.count.mockResolvedValue({ body: { count: 2 } });
+
+      const result = await bulkIndexDocuments(mockClient, 'test_index', testPayload, { initialBackoffMs: 0 });
+
+      expect(mockClient.bulk).toHaveBeenCalledTimes(2);
+      expect(mockClient.bulk).toHaveBeenLastCalledWith({ refresh: false, body: testPayload.slice(2) });
+      expect(result.erroredDocuments).toEqual([]);
+      expect(result.retried).toBe(1);
+      expect(result.indexed).toBe(2);
+    });
+
+    it('dead-letters documents that still fail with 5xx after the last retry', async () => {
+      mockClient.bulk.mockResolvedValue({
+        body: { errors: true, items: [{ index: { status: 503, error: { type: 'unavailable_shards_exception' } } }] }
+      });
+      mockClient.count.mockResolvedValue({ body: { count: 0 } });
+
+      const result = await bulkIndexDocuments(mockClient, 'test_index', testPayload.slice(0, 2), { initialBackoffMs: 0, maxRetries: 2 });
+
+      expect(mockClient.bulk).toHaveBeenCalledTimes(3);
+      expect(result.erroredDocuments).toEqual([expect.objectContaining({ status: 503, attempts: 3 })]);
+      expect(appendDeadLetters).toHaveBeenCalledTimes(1);
+    });
+
+    it('retries the whole request on a 429 response', async () => {
+      const tooManyRequests = new errors.ResponseError({ body: { status: 429 }, statusCode: 429, headers: {}, meta: {} });
+      mockClient.bulk
+        .mockRejectedValueOnce(tooManyRequests)
+        .mockResolvedValueOnce({ body: { errors: false, items: [] } });
+      mockClient.count.mockResolvedValue({ body: { count: 2 } });
+
+      const result = await bulkIndexDocuments(mockClient, 'test_index', testPayload, { initialBackoffMs: 0 });
+
+      expect(mockClient.bulk).toHaveBeenCalledTimes(2);
+      expect(result.indexed).toBe(2);
+    });
+
+    it('retries the errors of the OpenSearch client too', async () => {
+      const { errors: openSearchErrors } = require('@opensearch-project/opensearch');
+      mockClient.bulk
+        .mockRejectedValueOnce(new openSearchErrors.ResponseError({ body: { status: 503 }, statusCode: 503, headers: {}, meta: {} }))
+        .mockRejectedValueOnce(new openSearchErrors.ConnectionError('socket hang up'))
+        .mockResolvedValueOnce({ body: { errors: false, items: [] } });
+      mockClient.count.mockResolvedValue({ body: { count: 2 } });
+
+      const result = await bulkIndexDocuments(mockClient, 'test_index', testPayload, { initialBackoffMs: 0 });
+
+      expect(mockClient.bulk).toHaveBeenCalledTimes(3);
+      expect(result.indexed).toBe(2);
+    });
+
+    it('rethrows request errors that are not worth retrying', async () => {
+      const unauthorized = new errors.ResponseError({ body: { status: 401 }, statusCode: 401, headers: {}, meta: {} });
+      mockClient.bulk.mockRejectedValue(unauthorized);
+
+      await expect(bulkIndexDocuments(mockClient, 'test_index', testPayload, { initialBackoffMs: 0 })).rejects.toThrow();
+      expect(mockClient.bulk).toHaveBeenCalledTimes(1);
+      expect(appendDeadLetters).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('chunkBulkPayload', () => {
+    const pair = (i) => [{ index: { _index: 'test_index', _id: `id_${i}` } }, { dateutc: i, temp: 70 + i }];
+    const payload = [0, 1, 2, 3, 4].flatMap(pair);
+
+    it('keeps the payload in one chunk when it is under both limits', () => {
+      expect(chunkBulkPayload(payload)).toEqual([payload]);
+    });
+
+    it('splits by document count', () => {
+      const chunks = chunkBulkPayload(payload, { maxChunkDocs: 2 });
+
+      expect(chunks.map(chunk => chunk.length / 2)).toEqual([2, 2, 1]);
+      expect(chunks.flat()).toEqual(payload);
+    });
+
+    it('splits by byte size and keeps actions with their documents', () => {
+      const pairBytes = Buffer.byteLength(`${JSON.stringify(payload[0])}\n${JSON.stringify(payload[1])}\n`);
+      const chunks = chunkBulkPayload(payload, { maxChunkBytes: pairBytes * 3 });
+
+      expect(chunks.map(chunk => chunk.length / 2)).toEqual([3, 2]);
+      chunks.forEach(chunk => expect(chunk[0]).toHaveProperty('index'));
+    });
+
+    it('gives a document bigger than the byte limit a chunk of its own', () => {
+      expect(chunkBulkPayload(payload.slice(0, 4), { maxChunkBytes: 1 })).toHaveLength(2);
+    });
+  });
+
+  describe('backoffDelay', () => {
+    it('doubles the delay every attempt up to the maximum', () => {
+      const opts = { initialBackoffMs: 100, maxBackoffMs: 500 };
+
+      expect([1, 2, 3, 4].map(attempt => backoffDelay(attempt, opts))).toEqual([100, 200, 400, 500]);
+    });
   });
 });
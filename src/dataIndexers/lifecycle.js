@@ -0,0 +1,106 @@
+const fs = require('file-system');
+const path = require('path');
+const moment = require('moment-timezone');
+const { DEFAULT_STATION } = require('../stations/stations');
+const { UNIT_PROFILES } = require('../utils/fieldMappings');
+
+const LIFECYCLE_CONFIG_FILE = path.join(__dirname, '../../config/lifecycle/ambient_weather_heiligers_policy.json');
+// ILM can only roll over a write index whose name ends in a dash and a number
+const ROLLOVER_INDEX_NAME = /-\d+$/;
+
+/**
+ * Reads the ILM policy name and rollover conditions
+ * @param {string} filePath defaults to config/lifecycle/ambient_weather_heiligers_policy.json
+ * @returns {object} { policyName, rollover } where rollover holds the rollover conditions
+ * @example { policyName: 'ambient-weather-heiligers', rollover: { max_age: '30d', max_primary_shard_size: '5gb' } }
+ */
+function readLifecycleConfig(filePath = LIFECYCLE_CONFIG_FILE) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!config.policyName) {
+    throw new Error(`${filePath} is missing "policyName"`);
+  }
+  if (!config.rollover || Object.keys(config.rollover).length === 0) {
+    throw new Error(`${filePath} needs at least one rollover condition (e.g. "max_age": "30d")`);
+  }
+  return config;
+}
+
+/**
+ * @param {object} config output of readLifecycleConfig
+ * @returns {object} ILM policy that rolls over in the hot phase
+ */
+function buildLifecyclePolicy({ rollover }) {
+  return { phases: { hot: { min_age: '0ms', actions: { rollover: { ...rollover } } } } };
+}
+
+/**
+ * Compares the rollover conditions of the policy on the cluster with the configured ones.
+ * Values are compared as strings because the cluster may return normalized values
+ * @param {object | null} currentPolicy output of getLifecyclePolicy
+ * @param {object} config output of readLifecycleConfig
+ * @returns {boolean}
+ */
+function lifecyclePolicyMatches(currentPolicy, { rollover }) {
+  const currentRollover = currentPolicy?.phases?.hot?.actions?.rollover;
+  if (!currentRollover) return false;
+  const keys = new Set([...Object.keys(currentRollover), ...Object.keys(rollover)]);
+  return [...keys].every(key => String(currentRollover[key]) === String(rollover[key]));
+}
+
+const writeAliasName = (dataType, station = DEFAULT_STATION) => `all-ambient-weather-${station}-${dataType}`;
+// every index of a station and data type: old dated indices and the numbered ILM ones
+const indexPattern = (dataType, station = DEFAULT_STATION) => `ambient_weather_${station}_${dataType}_*`;
+const templateName = (dataType, station = DEFAULT_STATION) => `ambient_weather_${station}_${dataType}`;
+
+/**
+ * Name of the first ILM-managed index for a data type, using date math so that every rollover
+ * increments the number and also moves the date to the day of the rollover
+ * @param {string} dataType 'imperial' or 'metric'
+ * @param {string} station station slug
+ * @returns {string}
+ * @example firstRolloverIndexName('metric') // '<ambient_weather_heiligers_metric_{now/d{yyyy_MM_dd|+00:00}}-000001>'
+ */
+function firstRolloverIndexName(dataType, station = DEFAULT_STATION) {
+  return `<ambient_weather_${station}_${dataType}_{now/d{yyyy_MM_dd|+00:00}}-000001>`;
+}
+
+/**
+ * What firstRolloverIndexName resolves to on the cluster
+ * @param {string} dataType 'imperial' or 'metric'
+ * @param {object} now moment, defaults to the current UTC date
+ * @param {string} station station slug
+ * @returns {string}
+ * @example resolvedFirstRolloverIndexName('metric', moment.utc('2026-10-19')) // 'ambient_weather_heiligers_metric_2026_10_19-000001'
+ */
+function resolvedFirstRolloverIndexName(dataType, now = moment.utc(), station = DEFAULT_STATION) {
+  return `ambient_weather_${station}_${dataType}_${now.format('YYYY_MM_DD')}-000001`;
+}
+
+const isRolloverIndexName = (indexName) => ROLLOVER_INDEX_NAME.test(indexName);
+
+/**
+ * Whether an index belongs to a station: a slug may contain underscores, so a prefix would also match the indices of
+ * the stations whose slug starts with it (patio and patio_2). The data type and the date that follow the slug are matched too
+ * @param {string} indexName e.g. 'ambient_weather_heiligers_metric_2026_10_19-000001'
+ * @param {string} station station slug
+ * @param {string} dataType 'imperial' or a unit profile, any of them when not set
+ * @returns {boolean}
+ * @example isStationIndex('ambient_weather_patio_2_metric_2026_10_19-000001', 'patio') // false
+ */
+function isStationIndex(indexName, station = DEFAULT_STATION, dataType) {
+  const dataTypes = dataType ? [dataType] : ['imperial', ...Object.keys(UNIT_PROFILES)];
+  return new RegExp(`^ambient_weather_${station}_(${dataTypes.join('|')})_\\d`).test(indexName);
+}
+
+module.exports = {
+  readLifecycleConfig,
+  buildLifecyclePolicy,
+  lifecyclePolicyMatches,
+  writeAliasName,
+  indexPattern,
+  templateName,
+  firstRolloverIndexName,
+  resolvedFirstRolloverIndexName,
+  isRolloverIndexName,
+  isStationIndex
+};
@@ -0,0 +1,145 @@
+const path = require('path');
+const Logger = require('../logger');
+const { createEsClient } = require('../dataIndexers/esClient');
+const { bulkIndexDocuments } = require('../dataIndexers/esClientMethods');
+const { deadLetterFile, readDeadLetters, writeDeadLetters } = require('../dataIndexers/deadLetter');
+const { findClusterTarget, selectClusterTargets } = require('../dataIndexers/clusterTargets');
+
+const replayLogger = new Logger('[replayDeadLetter]');
+
+/**
+ * Re-sends the documents in the dead-letter file to the cluster they failed on.
+ * Documents that index are removed from the file, the ones that fail again stay in it with the new error.
+ * - without cluster flags every entry goes to the cluster recorded with it
+ * - with cluster flags only the entries recorded for those clusters are replayed;
+ *   entries without a recorded cluster go to the selected cluster when exactly one is selected
+ * @param {object} cliArgs - Parsed CLI arguments from yargs ({ file, cluster, all, prod, staging, both, dryRun })
+ * @returns {object} - { status, file, total, replayed, stillFailing, skipped, clusters: [{ cluster, documents, replayed, failed, error }] }
+ */
+async function runReplay(cliArgs = {}) {
+  try {
+    const filePath = cliArgs.file ? path.resolve(cliArgs.file) : deadLetterFile();
+    const entries = readDeadLetters(filePath);
+    if (entries.length === 0) {
+      replayLogger.logInfo(`[runReplay] ${filePath} has nothing to replay`);
+      return { status: 'success', file: filePath, total: 0, replayed: 0, stillFailing: 0, skipped: 0, clusters: [] };
+    }
+
+    const selectedNames = selectClusterTargets(cliArgs).map(({ cluster }) => cluster);
+    const groups = groupByCluster(entries, selectedNames);
+    const skipped = entries.length - [...groups.values()].reduce((sum, group) => sum + group.length, 0);
+    replayLogger.logInfo(`[${new Date().toISOString()}] Replaying ${entries.length - skipped} of ${entries.length} dead-lettered documents from ${filePath}...`);
+
+    if (cliArgs.dryRun) {
+      const clusters = [...groups.entries()].map(([cluster, group]) => ({ cluster, documents: group.length }));
+      printSummary(clusters, filePath, skipped, true);
+      return { status: 'dry-run', file: filePath, total: entries.length, replayed: 0, stillFailing: 0, skipped, clusters };
+    }
+
+    // entry -> the entry to keep in the file, or null once it has been indexed
+    const outcomes = new Map();
+    const clusters = [];
+    for (const [cluster, group] of groups) {
+      clusters.push(await replayToCluster(cluster, group, outcomes));
+    }
+
+    const remaining = entries
+      .map(entry => (outcomes.has(entry) ? outcomes.get(entry) : entry))
+      .filter(Boolean);
+    writeDeadLetters(remaining, filePath);
+
+    const replayed = clusters.reduce((sum, result) => sum + result.replayed, 0);
+    const stillFailing = remaining.length - skipped;
+    printSummary(clusters, filePath, skipped, false);
+    return {
+      status: stillFailing === 0 ? 'success' : 'partial',
+      file: filePath,
+      total: entries.length,
+      replayed,
+      stillFailing,
+      skipped,
+      clusters
+    };
+  } catch (err) {
+    replayLogger.logError('[runReplay] [ERROR]', err);
+    return { status: 'error', error: err.message };
+  }
+}
+
+/**
+ * @param {array} entries dead-letter entries
+ * @param {array} selectedNames cluster names from the CLI flags, [] to use the recorded clusters
+ * @returns {Map} cluster name -> entries to replay there, in file order
+ */
+function groupByCluster(entries, selectedNames) {
+  const groups = new Map();
+  entries.forEach((entry) => {
+    let cluster = entry.cluster ? findClusterTarget(entry.cluster)?.name : undefined;
+    if (selectedNames.length > 0) {
+      if (!entry.cluster && selectedNames.length === 1) cluster = selectedNames[0];
+      if (!selectedNames.includes(cluster)) return;
+    }
+    if (!cluster) {
+      replayLogger.logWarning(`[groupByCluster] skipping ${entry.operation?.index?._id}: ${entry.cluster ? `cluster ${entry.cluster} is not configured` : 'no cluster recorded, pass --cluster <name>'}`);
+      return;
+    }
+    if (!groups.has(cluster)) groups.set(cluster, []);
+    groups.get(cluster).push(entry);
+  });
+  return groups;
+}
+
+/**
+ * Replays one cluster's entries and records what happened to each of them in outcomes
+ * @param {string} cluster - Cluster name from the clusters config
+ * @param {array} group - dead-letter entries for the cluster
+ * @param {Map} outcomes - entry -> updated entry, or null when it indexed
+ * @returns {object} { cluster, documents, replayed, failed, error }
+ */
+async function replayToCluster(cluster, group, outcomes) {
+  try {
+    const payload = group.flatMap(entry => [entry.operation, entry.document]);
+    const targetIndices = [...new Set(group.map(entry => entry.operation?.index?._index || entry.index))];
+    const { erroredDocuments } = await bulkIndexDocuments(createEsClient(cluster), targetIndices.join(','), payload, { clusterName: cluster, deadLetterFile: false });
+
+    const failures = new Map(erroredDocuments.map(failure => [failure.document, failure]));
+    const failedAt = new Date().toISOString();
+    group.forEach((entry) => {
+      const failure = failures.get(entry.document);
+      outcomes.set(entry, failure
+        ? { ...entry, failedAt, cluster, status: failure.status, error: failure.error, attempts: (entry.attempts || 0) + failure.attempts }
+        : null);
+    });
+    replayLogger.logInfo(`[${cluster}] replayed ${group.length - failures.size} of ${group.length} documents`);
+    return { cluster, documents: group.length, replayed: group.length - failures.size, failed: failures.size };
+  } catch (err) {
+    // the entries stay in the file untouched, they can be replayed again once the cluster is reachable
+    replayLogger.logError(`[${cluster}] [replayToCluster] ERROR:`, err);
+    return { cluster, documents: group.length, replayed: 0, failed: group.length, error: err.message };
+  }
+}
+
+/**
+ * Print what was (or would be) replayed to each cluster
+ * @param {array} clusters - per cluster results
+ * @param {string} filePath - the dead-letter file
+ * @param {number} skipped - entries that weren't replayed
+ * @param {boolean} dryRun - Whether the replay was only planned
+ */
+function printSummary(clusters, filePath, skipped, dryRun) {
+  if (process.env.NODE_ENV === 'test') return;
+  console.log('\n========================================');
+  console.log(`Dead-letter replay of ${filePath}${dryRun ? ' (dry run)' : ''}:`);
+  console.log('========================================');
+  clusters.forEach((result) => {
+    if (dryRun) {
+      console.log(`${result.cluster}: would replay ${result.documents} documents`);
+    } else {
+      console.log(`${result.cluster}: ${result.replayed} of ${result.documents} documents indexed${result.error ? ` (${result.error})` : ''}`);
+    }
+  });
+  if (skipped > 0) console.log(`${skipped} documents skipped, they stay in the file`);
+  console.log('========================================\n');
+}
+
+module.exports = { runReplay };
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../dataIndexers/esClient', () => ({
+  createEsClient: jest.fn()
+}));
+jest.mock('../dataIndexers/esClientMethods', () => ({
+  bulkIndexDocuments: jest.fn()
+}));
+
+const { runReplay } = require('./replay');
+const { createEsClient } = require('../dataIndexers/esClient');
+const { bulkIndexDocuments } = require('../dataIndexers/esClientMethods');
+const { appendDeadLetters, readDeadLetters } = require('../dataIndexers/deadLetter');
+
+const entry = (id, cluster) => ({
+  failedAt: '2026-01-01T00:00:00.000Z',
+  cluster,
+  index: 'ambient_weather_heiligers_imperial_2026_01_01-000001',
+  status: 503,
+  error: { type: 'unavailable_shards_exception' },
+  attempts: 6,
+  operation: { index: { _index: 'all-ambient-weather-heiligers-imperial', _id: id } },
+  document: { dateutc: Number(id), tempf: 70 }
+});
+
+describe('replay dead letters', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    createEsClient.mockImplementation(cluster => ({ name: cluster }));
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+    filePath = path.join(tempDir, 'failures.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('has nothing to do without a dead-letter file', async () => {
+    const result = await runReplay({ file: filePath });
+
+    expect(result).toEqual(expect.objectContaining({ status: 'success', total: 0 }));
+    expect(bulkIndexDocuments).not.toHaveBeenCalled();
+  });
+
+  it('replays each entry to its recorded cluster and removes the file once all index', async () => {
+    appendDeadLetters([entry('1', 'PRODUCTION'), entry('2', 'STAGING'), entry('3', 'production')], filePath);
+    bulkIndexDocuments.mockResolvedValue({ indexCounts: { count: 10 }, erroredDocuments: [] });
+
+    const result = await runReplay({ file: filePath });
+
+    expect(bulkIndexDocuments).toHaveBeenCalledTimes(2);
+    expect(bulkIndexDocuments).toHaveBeenCalledWith(
+      { name: 'PRODUCTION' },
+      'all-ambient-weather-heiligers-imperial',
+      [entry('1').operation, entry('1').document, entry('3').operation, entry('3').document],
+      { clusterName: 'PRODUCTION', deadLetterFile: false }
+    );
+    expect(result).toEqual(expect.objectContaining({ status: 'success', total: 3, replayed: 3, stillFailing: 0 }));
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it('keeps the documents that fail again with their new error', async () => {
+    appendDeadLetters([entry('1', 'PRODUCTION'), entry('2', 'PRODUCTION')], filePath);
+    bulkIndexDocuments.mockImplementation(async (client, index, payload) => ({
+      indexCounts: { count: 1 },
+      erroredDocuments: [{ status: 400, error: { type: 'mapper_parsing_exception' }, attempts: 1, operation: payload[2], document: payload[3] }]
+    }));
+
+    const result = await runReplay({ file: filePath });
+
+    expect(result).toEqual(expect.objectContaining({ status: 'partial', replayed: 1, stillFailing: 1 }));
+    const remaining = readDeadLetters(filePath);
+    expect(remaining).toHaveLength(1);
+    expect(remaining[0]).toEqual(expect.objectContaining({ status: 400, attempts: 7, cluster: 'PRODUCTION' }));
+    expect(remaining[0].operation.index._id).toBe('2');
+  });
+
+  it('only replays the selected cluster and sends entries without a cluster there', async () => {
+    appendDeadLetters([entry('1', 'PRODUCTION'), entry('2', 'STAGING'), entry('3')], filePath);
+    bulkIndexDocuments.mockResolvedValue({ indexCounts: { count: 2 }, erroredDocuments: [] });
+
+    const result = await runReplay({ file: filePath, staging: true });
+
+    expect(createEsClient).toHaveBeenCalledTimes(1);
+    expect(createEsClient).toHaveBeenCalledWith('STAGING');
+    expect(result).toEqual(expect.objectContaining({ replayed: 2, skipped: 1 }));
+    expect(readDeadLetters(filePath).map(e => e.operation.index._id)).toEqual(['1']);
+  });
+
+  it('leaves the entries in place when the cluster request fails', async () => {
+    appendDeadLetters([entry('1', 'PRODUCTION')], filePath);
+    bulkIndexDocuments.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    const result = await runReplay({ file: filePath });
+
+    expect(result.status).toBe('partial');
+    expect(result.clusters[0].error).toContain('ECONNREFUSED');
+    expect(readDeadLetters(filePath)).toEqual([entry('1', 'PRODUCTION')]);
+  });
+
+  it('only counts the entries with --dry-run', async () => {
+    appendDeadLetters([entry('1', 'PRODUCTION'), entry('2', 'STAGING')], filePath);
+
+    const result = await runReplay({ file: filePath, dryRun: true });
+
+    expect(result.status).toBe('dry-run');
+    expect(result.clusters).toEqual([{ cluster: 'PRODUCTION', documents: 1 }, { cluster: 'STAGING', documents: 1 }]);
+    expect(bulkIndexDocuments).not.toHaveBeenCalled();
+    expect(readDeadLetters(filePath)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,225 @@
+const moment = require('moment-timezone');
+const Logger = require('../logger');
+const { createEsClient } = require('../dataIndexers/esClient');
+const { selectClusterTargets, multiClusterResult } = require('../dataIndexers/clusterTargets');
+const { searchAllDocsByDateRange, deleteDocumentsById } = require('../dataIndexers/esClientMethods');
+const { indexPattern } = require('../dataIndexers/lifecycle');
+const { DEFAULT_STATION, readStationsConfig, findStation } = require('../stations/stations');
+
+const dedupeLogger = new Logger('[dedupe]');
+
+const ONE_DAY_AS_MILLISECONDS = 24 * 60 * 60 * 1000;
+
+const ingestTime = hit => (hit._source['@timestamp'] ? Date.parse(hit._source['@timestamp']) : Infinity);
+const filledFields = hit => Object.values(hit._source).filter(value => value !== null && value !== undefined && value !== '').length;
+// same copy on every run when the rule can't tell copies apart
+const byLocation = (a, b) => a._index.localeCompare(b._index) || a._id.localeCompare(b._id);
+
+/**
+ * How to pick the copy to keep among the documents that share a dateutc: sort them and keep the first
+ * - earliest: the first indexed copy (earliest @timestamp)
+ * - latest: the last indexed copy (latest @timestamp)
+ * - complete: the copy with the most fields that have a value, the earliest indexed one when that's a tie
+ */
+const KEEP_RULES = {
+  earliest: (a, b) => ingestTime(a) - ingestTime(b) || byLocation(a, b),
+  latest: (a, b) => ingestTime(b) - ingestTime(a) || byLocation(a, b),
+  complete: (a, b) => filledFields(b) - filledFields(a) || ingestTime(a) - ingestTime(b) || byLocation(a, b)
+};
+
+/**
+ * Removes duplicate observations: documents that share a dateutc across all the ambient_weather_<slug>_* indices of a data type.
+ * One copy is kept per the keep rule and the others are deleted by index and id
+ * @param {object} cliArgs - Parsed CLI arguments from yargs ({ cluster, all, prod, staging, both, from, to, type, station, keep, dryRun, batchSize })
+ * type: imperial, one of the unit profiles of the stations config, or all (both is kept for all), all when not set
+ * station: slug of the station whose indices to dedupe, the original station when not set
+ * @returns {object} - Result of the dedupe, per data type: counts and the per day summary. On several clusters the result
+ * of every cluster, see multiClusterResult
+ */
+async function runDedupe(cliArgs) {
+  try {
+    const validation = validateArgs(cliArgs);
+    if (!validation.valid) {
+      return { status: 'error', error: validation.error };
+    }
+    const { clusters, startDate, endDate, dataTypes, station, keep } = validation;
+    dedupeLogger.logInfo(`[${new Date().toISOString()}] Removing duplicate ${station.slug} ${dataTypes.join(', ')} observations, ${cliArgs.from} to ${cliArgs.to}, keeping the ${keep} copy${cliArgs.dryRun ? ' (dry run)' : ''}...`);
+
+    const results = [];
+    for (const { cluster, clusterName } of clusters) {
+      results.push(await dedupeSingleCluster(cluster, clusterName, { dataTypes, station, startDate, endDate, keep, dryRun: cliArgs.dryRun, batchSize: cliArgs.batchSize }));
+    }
+    return clusters.length === 1 ? results[0] : multiClusterResult(results, cliArgs.dryRun ? 'dry-run' : 'success');
+  } catch (err) {
+    dedupeLogger.logError('[runDedupe] [ERROR]', err);
+    return { status: 'error', error: err.message };
+  }
+}
+
+/**
+ * @param {object} args CLI arguments
+ * @returns {object} { valid, error } or { valid, clusters, startDate, endDate, dataTypes, station, keep }
+ * startDate is the start of --from and endDate the end of --to (UTC), both days are included
+ */
+function validateArgs(args) {
+  const clusters = selectClusterTargets(args);
+  if (clusters.length === 0) {
+    return { valid: false, error: 'Must specify --prod, --staging, or --both (or --cluster <name>, --all)' };
+  }
+  if (!args.from || !args.to) {
+    return { valid: false, error: 'Must specify both --from and --to dates' };
+  }
+  const from = moment.tz(args.from, 'YYYY-MM-DD', true, 'UTC');
+  const to = moment.tz(args.to, 'YYYY-MM-DD', true, 'UTC');
+  if (!from.isValid() || !to.isValid()) {
+    return { valid: false, error: `Invalid date format. Use YYYY-MM-DD. From: ${args.from}, To: ${args.to}` };
+  }
+  if (from.isAfter(to)) {
+    return { valid: false, error: `Start date must not be after end date. From: ${args.from}, To: ${args.to}` };
+  }
+
+  let station;
+  let dataTypes;
+  try {
+    const config = readStationsConfig();
+    station = findStation(args.station ?? DEFAULT_STATION, config);
+    // imperial and the unit profiles of the stations config, each has its own indices
+    dataTypes = ['imperial', ...config.profiles];
+  } catch (err) {
+    return { valid: false, error: err.message };
+  }
+
+  const type = args.type ?? 'all';
+  if (!['all', 'both'].includes(type) && !dataTypes.includes(type)) {
+    return { valid: false, error: `--type must be ${dataTypes.join(', ')} or all, got ${type}` };
+  }
+  const keep = args.keep ?? 'earliest';
+  if (!KEEP_RULES[keep]) {
+    return { valid: false, error: `--keep must be one of ${Object.keys(KEEP_RULES).join(', ')}, got ${keep}` };
+  }
+  return {
+    valid: true,
+    clusters,
+    startDate: from.valueOf(),
+    endDate: to.valueOf() + ONE_DAY_AS_MILLISECONDS,
+    dataTypes: ['all', 'both'].includes(type) ? dataTypes : [type],
+    station,
+    keep
+  };
+}
+
+/**
+ * Dedupe every data type on one cluster
+ * @returns {object} - { status, cluster, station, imperial?, metric?, ... } per data type, status is dry-run, success, or
+ * partial when deletes failed
+ */
+async function dedupeSingleCluster(cluster, clusterName, { dataTypes, station, startDate, endDate, keep, dryRun = false, batchSize }) {
+  try {
+    const client = createEsClient(cluster);
+    const types = {};
+    for (const dataType of dataTypes) {
+      types[dataType] = await dedupeDataType(client, dataType, startDate, endDate, { station, keep, dryRun, batchSize });
+      dedupeLogger.logInfo(`[${clusterName}] [${dataType}] ${types[dataType].duplicates} duplicates of ${types[dataType].timestamps} timestamps${dryRun ? '' : `, ${types[dataType].deleted} deleted, ${types[dataType].errors.length} failed`}`);
+      printDays(types[dataType], dataType, clusterName, dryRun);
+    }
+    const failed = Object.values(types).some(type => type.errors.length > 0);
+    return { status: dryRun ? 'dry-run' : (failed ? 'partial' : 'success'), cluster: clusterName, station: station.slug, keep, ...types };
+  } catch (err) {
+    dedupeLogger.logError(`[${clusterName}] [dedupeSingleCluster] ERROR:`, err);
+    return { status: 'error', cluster: clusterName, error: err.message };
+  }
+}
+
+/**
+ * Page through a data type in dateutc order and delete all but one copy of every observation.
+ * The pages come from a point in time (search_after on dateutc and _id on OpenSearch), so deleting while paging doesn't
+ * shift the results
+ * @param {object} client
+ * @param {string} dataType 'imperial' or a unit profile, e.g. 'metric'
+ * @param {number} startDate epoch ms, inclusive
+ * @param {number} endDate epoch ms, exclusive
+ * @param {object} options { station, keep, dryRun, batchSize } station as returned by findStation
+ * @returns {object} { timestamps, documents, duplicated, duplicates, deleted, notFound, errors, days: [{ day, documents, duplicated, duplicates, deleted }] }
+ */
+async function dedupeDataType(client, dataType, startDate, endDate, { station, keep = 'earliest', dryRun = false, batchSize = 1000 } = {}) {
+  const days = summaryDays(startDate, endDate);
+  const dayOf = dateutc => days.get(moment.utc(dateutc).format('YYYY-MM-DD'));
+  const result = { timestamps: 0, documents: 0, duplicated: 0, duplicates: 0, deleted: 0, notFound: 0, errors: [] };
+  let pendingDeletes = [];
+
+  const deletePending = async () => {
+    const deletes = pendingDeletes;
+    pendingDeletes = [];
+    if (dryRun || deletes.length === 0) return;
+    const outcome = await deleteDocumentsById(client, deletes, { batchSize });
+    result.deleted += outcome.deleted;
+    result.notFound += outcome.notFound;
+    result.errors.push(...outcome.errors);
+    const failed = new Set(outcome.errors.map(error => `${error._index}/${error._id}`));
+    deletes.filter(doc => !failed.has(`${doc._index}/${doc._id}`)).forEach((doc) => { dayOf(doc.dateutc).deleted += 1; });
+  };
+
+  // all the copies of one dateutc, which can span two pages
+  let group = [];
+  const closeGroup = () => {
+    if (group.length === 0) return;
+    const day = dayOf(group[0]._source.dateutc);
+    result.timestamps += 1;
+    result.documents += group.length;
+    day.documents += group.length;
+    if (group.length > 1) {
+      const [, ...remove] = [...group].sort(KEEP_RULES[keep]);
+      result.duplicated += 1;
+      result.duplicates += remove.length;
+      day.duplicated += 1;
+      day.duplicates += remove.length;
+      pendingDeletes.push(...remove.map(hit => ({ _index: hit._index, _id: hit._id, dateutc: hit._source.dateutc })));
+    }
+    group = [];
+  };
+
+  for await (const hits of searchAllDocsByDateRange(client, indexPattern(dataType, station.slug), startDate, endDate)) {
+    hits.forEach((hit) => {
+      if (group.length > 0 && group[0]._source.dateutc !== hit._source.dateutc) closeGroup();
+      group.push(hit);
+    });
+    if (pendingDeletes.length >= batchSize) await deletePending();
+  }
+  closeGroup();
+  await deletePending();
+
+  return { ...result, days: [...days.values()] };
+}
+
+/**
+ * @returns {Map} 'YYYY-MM-DD' -> { day, documents, duplicated, duplicates, deleted } for every UTC day in [startDate, endDate)
+ */
+function summaryDays(startDate, endDate) {
+  const days = new Map();
+  for (let dayStart = startDate; dayStart < endDate; dayStart += ONE_DAY_AS_MILLISECONDS) {
+    const day = moment.utc(dayStart).format('YYYY-MM-DD');
+    days.set(day, { day, documents: 0, duplicated: 0, duplicates: 0, deleted: 0 });
+  }
+  return days;
+}
+
+/**
+ * Print the per day summary
+ * @param {object} result - Output of dedupeDataType
+ * @param {string} dataType - 'imperial' or a unit profile, e.g. 'metric'
+ * @param {string} clusterName - cluster display name
+ * @param {boolean} dryRun
+ */
+function printDays(result, dataType, clusterName, dryRun) {
+  if (process.env.NODE_ENV === 'test') return;
+  console.log('\n========================================');
+  console.log(`${clusterName} ${dataType}: ${result.duplicates} duplicate documents for ${result.duplicated} timestamps${dryRun ? ' (dry run, nothing deleted)' : `, ${result.deleted} deleted`}`);
+  console.log('========================================');
+  console.log(`${'day'.padEnd(12)}${'documents'.padStart(11)}${'duplicated'.padStart(12)}${'duplicates'.padStart(12)}${'deleted'.padStart(10)}`);
+  result.days.forEach((day) => {
+    console.log(`${day.day.padEnd(12)}${String(day.documents).padStart(11)}${String(day.duplicated).padStart(12)}${String(day.duplicates).padStart(12)}${String(day.deleted).padStart(10)}`);
+  });
+  console.log('========================================\n');
+}
+
+module.exports = { runDedupe, KEEP_RULES };
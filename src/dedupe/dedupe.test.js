@@ -0,0 +1,185 @@
+jest.mock('../dataIndexers/esClient', () => ({
+  createEsClient: jest.fn(name => ({ name }))
+}));
+jest.mock('../dataIndexers/esClientMethods', () => ({
+  searchAllDocsByDateRange: jest.fn(),
+  deleteDocumentsById: jest.fn()
+}));
+
+const { runDedupe, KEEP_RULES } = require('./dedupe');
+const { createEsClient } = require('../dataIndexers/esClient');
+const { searchAllDocsByDateRange, deleteDocumentsById } = require('../dataIndexers/esClientMethods');
+
+const DAY_1 = Date.UTC(2026, 0, 1);
+const DAY_2 = Date.UTC(2026, 0, 2);
+const FIVE_MINUTES = 5 * 60 * 1000;
+const OLD_INDEX = 'ambient_weather_heiligers_imperial_2025_06_01';
+const NEW_INDEX = 'ambient_weather_heiligers_imperial_2026_01_01-000001';
+
+describe('dedupe', () => {
+  // every hit each cluster holds, by data type
+  let clusters;
+
+  const hit = (_index, dateutc, source = {}) => ({ _index, _id: `aabbccddeeff_${dateutc}`, _source: { dateutc, tempf: 70, ...source } });
+  const pagesOf = function* (hits, pageSize) {
+    for (let i = 0; i < hits.length; i += pageSize) yield hits.slice(i, i + pageSize);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clusters = { PRODUCTION: { imperial: [], metric: [], wmo: [] }, STAGING: { imperial: [], metric: [], wmo: [] } };
+    searchAllDocsByDateRange.mockImplementation(async function* (client, index, startDate, endDate) {
+      const dataType = ['imperial', 'metric', 'wmo'].find(type => index.includes(`_${type}_`));
+      const hits = clusters[client.name][dataType]
+        .filter(h => h._source.dateutc >= startDate && h._source.dateutc < endDate)
+        .sort((a, b) => a._source.dateutc - b._source.dateutc);
+      yield* pagesOf(hits, 2);
+    });
+    deleteDocumentsById.mockImplementation(async (client, docs) => ({ deleted: docs.length, notFound: 0, errors: [] }));
+  });
+
+  it('validates the clusters, dates and keep rule', async () => {
+    expect((await runDedupe({ from: '2026-01-01', to: '2026-01-02' })).error).toContain('Must specify');
+    expect((await runDedupe({ staging: true, from: '2026-01-01' })).error).toContain('--from and --to');
+    expect((await runDedupe({ staging: true, from: '01/01/2026', to: '2026-01-02' })).error).toContain('YYYY-MM-DD');
+    expect((await runDedupe({ staging: true, from: '2026-01-03', to: '2026-01-02' })).error).toContain('must not be after');
+    expect((await runDedupe({ staging: true, from: '2026-01-01', to: '2026-01-02', keep: 'newest' })).error).toContain('--keep must be one of earliest, latest, complete');
+    expect((await runDedupe({ staging: true, from: '2026-01-01', to: '2026-01-02', station: 'patio' })).error).toContain('Unknown station patio');
+    expect((await runDedupe({ staging: true, from: '2026-01-01', to: '2026-01-02', type: 'wmo' })).error).toBe('--type must be imperial, metric or all, got wmo');
+    expect(createEsClient).not.toHaveBeenCalled();
+  });
+
+  it('deletes every copy but the earliest indexed one, including copies across pages and indices', async () => {
+    clusters.STAGING.imperial = [
+      hit(OLD_INDEX, DAY_1, { '@timestamp': '2026-01-01T00:10:00.000Z' }),
+      hit(NEW_INDEX, DAY_1, { '@timestamp': '2026-01-05T00:00:00.000Z' }),
+      hit(OLD_INDEX, DAY_1 + FIVE_MINUTES),
+      hit(OLD_INDEX, DAY_2, { '@timestamp': '2026-01-02T00:10:00.000Z' }),
+      // third page: same dateutc as the last document of the second page
+      hit(NEW_INDEX, DAY_2, { '@timestamp': '2026-01-02T00:05:00.000Z' })
+    ];
+
+    const result = await runDedupe({ staging: true, from: '2026-01-01', to: '2026-01-02', type: 'imperial' });
+
+    expect(deleteDocumentsById).toHaveBeenCalledTimes(1);
+    expect(deleteDocumentsById.mock.calls[0][1]).toEqual([
+      { _index: NEW_INDEX, _id: `aabbccddeeff_${DAY_1}`, dateutc: DAY_1 },
+      { _index: OLD_INDEX, _id: `aabbccddeeff_${DAY_2}`, dateutc: DAY_2 }
+    ]);
+    expect(result).toEqual(expect.objectContaining({ status: 'success', cluster: 'STAGING', keep: 'earliest' }));
+    expect(result.imperial).toEqual(expect.objectContaining({ timestamps: 3, documents: 5, duplicated: 2, duplicates: 2, deleted: 2, errors: [] }));
+    expect(result.imperial.days).toEqual([
+      { day: '2026-01-01', documents: 3, duplicated: 1, duplicates: 1, deleted: 1 },
+      { day: '2026-01-02', documents: 2, duplicated: 1, duplicates: 1, deleted: 1 }
+    ]);
+    expect(result.metric).toBeUndefined();
+  });
+
+  it('deletes nothing on a dry run', async () => {
+    clusters.STAGING.metric = [hit(OLD_INDEX, DAY_1), hit(NEW_INDEX, DAY_1), hit(NEW_INDEX, DAY_1 + FIVE_MINUTES)];
+
+    const result = await runDedupe({ staging: true, from: '2026-01-01', to: '2026-01-01', dryRun: true });
+
+    expect(deleteDocumentsById).not.toHaveBeenCalled();
+    expect(result.status).toBe('dry-run');
+    expect(result.metric).toEqual(expect.objectContaining({ duplicated: 1, duplicates: 1, deleted: 0 }));
+    expect(result.metric.days).toEqual([{ day: '2026-01-01', documents: 3, duplicated: 1, duplicates: 1, deleted: 0 }]);
+    expect(result.imperial.duplicates).toBe(0);
+  });
+
+  it('deletes in batches while paging', async () => {
+    clusters.STAGING.imperial = [0, 1, 2].flatMap(i => [hit(OLD_INDEX, DAY_1 + i * FIVE_MINUTES), hit(NEW_INDEX, DAY_1 + i * FIVE_MINUTES)]);
+
+    await runDedupe({ staging: true, from: '2026-01-01', to: '2026-01-01', type: 'imperial', batchSize: 1 });
+
+    expect(deleteDocumentsById).toHaveBeenCalledTimes(3);
+    expect(deleteDocumentsById).toHaveBeenCalledWith({ name: 'STAGING' }, expect.any(Array), { batchSize: 1 });
+  });
+
+  it('reports the deletes that failed as partial', async () => {
+    clusters.PRODUCTION.imperial = [hit(OLD_INDEX, DAY_1), hit(NEW_INDEX, DAY_1)];
+    const error = { _index: NEW_INDEX, _id: `aabbccddeeff_${DAY_1}`, status: 403, error: { type: 'cluster_block_exception' } };
+    deleteDocumentsById.mockResolvedValueOnce({ deleted: 0, notFound: 0, errors: [error] });
+
+    const result = await runDedupe({ prod: true, from: '2026-01-01', to: '2026-01-01', type: 'imperial' });
+
+    expect(result.status).toBe('partial');
+    expect(result.imperial.errors).toEqual([error]);
+    expect(result.imperial.days[0].deleted).toBe(0);
+  });
+
+  it('dedupes each cluster on its own', async () => {
+    clusters.PRODUCTION.imperial = [hit(OLD_INDEX, DAY_1), hit(NEW_INDEX, DAY_1)];
+
+    const result = await runDedupe({ both: true, from: '2026-01-01', to: '2026-01-01', type: 'imperial' });
+
+    expect(result.mode).toBe('multi-cluster');
+    expect(result.status).toBe('success');
+    expect(result.results.map(r => [r.cluster, r.imperial.duplicates])).toEqual([['PRODUCTION', 1], ['STAGING', 0]]);
+  });
+
+  it('reports the clusters that failed when deduping several clusters', async () => {
+    clusters.PRODUCTION.imperial = [hit(OLD_INDEX, DAY_1), hit(NEW_INDEX, DAY_1)];
+    const stagingFails = () => createEsClient
+      .mockImplementationOnce(name => ({ name }))
+      .mockImplementationOnce(() => { throw new Error('STAGING_CLOUD_ID needs to be configured'); });
+
+    stagingFails();
+    const result = await runDedupe({ both: true, from: '2026-01-01', to: '2026-01-01', type: 'imperial' });
+    stagingFails();
+    const dryRun = await runDedupe({ both: true, from: '2026-01-01', to: '2026-01-01', type: 'imperial', dryRun: true });
+
+    expect(result).toEqual(expect.objectContaining({ status: 'partial', mode: 'multi-cluster', failed: ['STAGING'] }));
+    expect(dryRun.status).toBe('partial');
+  });
+
+  it('dedupes the indices of the station passed with --station', async () => {
+    clusters.STAGING.imperial = [hit('ambient_weather_112233445566_imperial_2026_01_01-000001', DAY_1), hit('ambient_weather_112233445566_imperial_2025_06_01', DAY_1)];
+
+    const result = await runDedupe({ staging: true, from: '2026-01-01', to: '2026-01-01', type: 'imperial', station: '112233445566' });
+
+    expect(searchAllDocsByDateRange).toHaveBeenCalledWith({ name: 'STAGING' }, 'ambient_weather_112233445566_imperial_*', DAY_1, DAY_2);
+    expect(result).toEqual(expect.objectContaining({ status: 'success', station: '112233445566' }));
+    expect(result.imperial.deleted).toBe(1);
+  });
+
+  it('dedupes imperial and every unit profile of the stations config by default', async () => {
+    const realFs = jest.requireActual('fs');
+    const os = require('os');
+    const path = require('path');
+    const tmpDir = realFs.mkdtempSync(path.join(os.tmpdir(), 'dedupe-profiles-'));
+    process.env.AW_STATIONS_CONFIG = path.join(tmpDir, 'stations.json');
+    realFs.writeFileSync(process.env.AW_STATIONS_CONFIG, JSON.stringify({ profiles: ['metric', 'wmo'], stations: [{ slug: 'heiligers' }] }));
+    clusters.STAGING.wmo = [hit('ambient_weather_heiligers_wmo_2025_06_01', DAY_1), hit('ambient_weather_heiligers_wmo_2026_01_01-000001', DAY_1)];
+
+    let result;
+    try {
+      result = await runDedupe({ staging: true, from: '2026-01-01', to: '2026-01-01' });
+    } finally {
+      delete process.env.AW_STATIONS_CONFIG;
+      realFs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    expect(searchAllDocsByDateRange.mock.calls.map(call => call[1])).toEqual(['ambient_weather_heiligers_imperial_*', 'ambient_weather_heiligers_metric_*', 'ambient_weather_heiligers_wmo_*']);
+    expect(result.wmo).toEqual(expect.objectContaining({ duplicates: 1, deleted: 1 }));
+  });
+
+  describe('KEEP_RULES', () => {
+    const keep = (rule, hits) => [...hits].sort(KEEP_RULES[rule])[0];
+    const first = hit(NEW_INDEX, DAY_1, { '@timestamp': '2026-01-01T00:10:00.000Z', humidity: null });
+    const second = hit(OLD_INDEX, DAY_1, { '@timestamp': '2026-01-03T00:00:00.000Z', humidity: 40 });
+
+    it('keeps the earliest or latest indexed copy', () => {
+      expect(keep('earliest', [second, first])).toBe(first);
+      expect(keep('latest', [first, second])).toBe(second);
+    });
+
+    it('keeps the copy with the most fields filled in', () => {
+      expect(keep('complete', [first, second])).toBe(second);
+    });
+
+    it('falls back to the index name when the copies look the same', () => {
+      expect(keep('earliest', [hit(NEW_INDEX, DAY_1), hit(OLD_INDEX, DAY_1)])._index).toBe(OLD_INDEX);
+    });
+  });
+});
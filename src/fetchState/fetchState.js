@@ -0,0 +1,83 @@
+const fs = require('file-system');
+const Logger = require('../logger');
+const FetchRawData = require('../dataFetchers/FetchRawData');
+const { FetchState } = require('../dataFetchers/FetchState');
+const { readStationsConfig, findStation, stationDataDirectory } = require('../stations/stations');
+
+const fetchStateLogger = new Logger('[fetch-state]');
+
+const COMMANDS = ['show', 'rebuild'];
+
+/**
+ * Shows or rebuilds the fetch state: where fetching and indexing left off for every station
+ * @param {object} cliArgs - Parsed CLI arguments from yargs ({ _: [command], station, file })
+ * station: slugs to show or rebuild, defaults to every configured station and every station in the state file
+ * @returns {object} - { status, command, file, stations: [{ slug, lastFetched, recentDates, clusters }] }
+ */
+async function runFetchState(cliArgs) {
+  try {
+    const command = cliArgs._?.[0];
+    if (!COMMANDS.includes(command)) {
+      return { status: 'error', error: `Command must be one of: ${COMMANDS.join(', ')}` };
+    }
+    const fetchState = cliArgs.file ? new FetchState({ filePath: cliArgs.file }) : new FetchState();
+    const slugs = cliArgs.station
+      ? [].concat(cliArgs.station).map(slug => findStation(slug).slug)
+      : [...new Set([...readStationsConfig().stations.map(station => station.slug), ...Object.keys(fetchState.state.stations)])];
+
+    if (command === 'rebuild') {
+      slugs.forEach((slug) => {
+        const directory = `data/${stationDataDirectory(slug, 'imperial')}`;
+        if (!fs.existsSync(directory)) {
+          fetchStateLogger.logWarning(`[rebuild] [${slug}] no ${directory} directory, nothing fetched yet`);
+          fetchState.rebuild(slug, []);
+          return;
+        }
+        const fetcher = new FetchRawData(null, fs, { slug });
+        fetchState.rebuild(slug, fetcher.extractUniqueDatesFromFiles(fetcher.pathToFiles));
+      });
+    }
+
+    const stations = slugs.map(slug => summarizeStation(slug, fetchState.station(slug)));
+    printStations(stations, fetchState.filePath);
+    return { status: 'success', command, file: fetchState.filePath, stations };
+  } catch (err) {
+    fetchStateLogger.logError('[runFetchState] [ERROR]', err);
+    return { status: 'error', error: err.message };
+  }
+}
+
+const isoDate = dateutc => (dateutc != null ? new Date(dateutc).toISOString() : null);
+
+/**
+ * @param {string} slug
+ * @param {object | undefined} stationState output of FetchState.station
+ * @returns {object} { slug, lastFetched, recentDates, clusters: { <cluster name>: lastIndexed } } dates as ISO strings, null when unknown
+ */
+function summarizeStation(slug, stationState) {
+  return {
+    slug,
+    lastFetched: isoDate(stationState?.lastFetchedDateutc),
+    recentDates: stationState?.recentDates.length ?? 0,
+    clusters: Object.fromEntries(Object.entries(stationState?.clusters ?? {}).map(([clusterName, entry]) => [clusterName, isoDate(entry.lastIndexedDateutc)]))
+  };
+}
+
+/**
+ * Print where every station left off
+ * @param {array} stations - Output of summarizeStation for every station
+ * @param {string} filePath - the state file
+ */
+function printStations(stations, filePath) {
+  if (process.env.NODE_ENV === 'test') return;
+  console.log('\n========================================');
+  console.log(`Fetch state (${filePath}):`);
+  console.log('========================================');
+  stations.forEach((station) => {
+    console.log(`${station.slug}: last fetched ${station.lastFetched ?? 'never'} (${station.recentDates} recent dates kept)`);
+    Object.entries(station.clusters).forEach(([clusterName, lastIndexed]) => console.log(`    ${clusterName}: last indexed ${lastIndexed}`));
+  });
+  console.log('========================================\n');
+}
+
+module.exports = { runFetchState };
@@ -0,0 +1,73 @@
+jest.mock('file-system', () => ({
+  existsSync: jest.fn(),
+  readdirSync: jest.fn(),
+  readFileSync: jest.fn()
+}));
+
+const realFs = jest.requireActual('fs');
+const os = require('os');
+const path = require('path');
+const fs = require('file-system');
+const { runFetchState } = require('./fetchState');
+const { FetchState } = require('../dataFetchers/FetchState');
+
+describe('fetch-state', () => {
+  const DAY = Date.UTC(2026, 0, 1);
+  let tmpDir;
+  let file;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tmpDir = realFs.mkdtempSync(path.join(os.tmpdir(), 'fetch-state-cli-'));
+    file = path.join(tmpDir, 'fetch-state.json');
+    fs.existsSync.mockReturnValue(true);
+    fs.readdirSync.mockReturnValue(['1767225600000_1767225900000.json', '.DS_Store']);
+    fs.readFileSync.mockReturnValue(JSON.stringify([{ dateutc: DAY + 300000 }, { dateutc: DAY }]));
+  });
+
+  afterEach(() => {
+    realFs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('validates the command', async () => {
+    expect((await runFetchState({ _: ['reset'], file })).error).toContain('show, rebuild');
+  });
+
+  it('rebuilds every configured station from its raw data files', async () => {
+    const result = await runFetchState({ _: ['rebuild'], file });
+
+    expect(fs.readdirSync).toHaveBeenCalledWith('data/ambient-weather-heiligers-imperial');
+    expect(result).toEqual(expect.objectContaining({ status: 'success', command: 'rebuild', file }));
+    expect(result.stations).toEqual([{ slug: 'heiligers', lastFetched: '2026-01-01T00:05:00.000Z', recentDates: 2, clusters: {} }]);
+    expect(new FetchState({ filePath: file }).station('heiligers').recentDates).toEqual([DAY, DAY + 300000]);
+  });
+
+  it('shows the stations in the state file too, without reading the raw data files', async () => {
+    const fetchState = new FetchState({ filePath: file });
+    fetchState.recordFetched('112233445566', [DAY]);
+    fetchState.recordIndexed('112233445566', 'STAGING', DAY);
+
+    const result = await runFetchState({ _: ['show'], file });
+
+    expect(fs.readdirSync).not.toHaveBeenCalled();
+    expect(result.stations).toEqual([
+      { slug: 'heiligers', lastFetched: null, recentDates: 0, clusters: {} },
+      { slug: '112233445566', lastFetched: '2026-01-01T00:00:00.000Z', recentDates: 1, clusters: { STAGING: '2026-01-01T00:00:00.000Z' } }
+    ]);
+  });
+
+  it('rebuilds a station without a data directory as never fetched', async () => {
+    fs.existsSync.mockReturnValue(false);
+
+    const result = await runFetchState({ _: ['rebuild'], station: ['112233445566'], file });
+
+    expect(result.stations).toEqual([{ slug: '112233445566', lastFetched: null, recentDates: 0, clusters: {} }]);
+  });
+
+  it('returns an error for an unknown station', async () => {
+    const result = await runFetchState({ _: ['show'], station: ['patio'], file });
+
+    expect(result.status).toBe('error');
+    expect(result.error).toContain('Unknown station patio');
+  });
+});
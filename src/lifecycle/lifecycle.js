@@ -0,0 +1,132 @@
+const Logger = require('../logger');
+const IndexData = require('../dataIndexers/Indexer');
+const { createEsClient } = require('../dataIndexers/esClient');
+const { readLifecycleConfig } = require('../dataIndexers/lifecycle');
+const { selectClusterTargets, multiClusterResult } = require('../dataIndexers/clusterTargets');
+const { readStationsConfig } = require('../stations/stations');
+
+const lifecycleLogger = new Logger('[lifecycle]');
+
+const COMMANDS = ['status', 'setup', 'rollover'];
+
+/**
+ * Main lifecycle orchestration function
+ * @param {object} cliArgs - Parsed CLI arguments from yargs ({ _: [command], cluster, all, prod, staging, both, type, dryRun, config })
+ * @returns {object} - Result of the lifecycle command, see multiClusterResult for several clusters
+ */
+async function runLifecycle(cliArgs) {
+  try {
+    const command = cliArgs._?.[0];
+    if (!COMMANDS.includes(command)) {
+      return { status: 'error', error: `Command must be one of: ${COMMANDS.join(', ')}` };
+    }
+
+    const clusters = selectClusterTargets(cliArgs);
+    if (clusters.length === 0) {
+      return { status: 'error', error: 'Must specify --prod, --staging, or --both (or --cluster <name>, --all)' };
+    }
+
+    const config = cliArgs.config ? readLifecycleConfig(cliArgs.config) : readLifecycleConfig();
+    // imperial and the unit profiles of the stations config, each has its own alias
+    const dataTypes = cliArgs.type ? [cliArgs.type] : ['imperial', ...readStationsConfig().profiles];
+    lifecycleLogger.logInfo(`[${new Date().toISOString()}] Starting lifecycle ${command}...`, { policyName: config.policyName, rollover: config.rollover });
+
+    const results = [];
+    for (const { cluster, clusterName } of clusters) {
+      results.push(await runForCluster(command, cluster, clusterName, config, dataTypes, cliArgs));
+    }
+    return clusters.length === 1 ? results[0] : multiClusterResult(results, cliArgs.dryRun && command !== 'status' ? 'dry-run' : 'success');
+  } catch (err) {
+    lifecycleLogger.logError('[runLifecycle] [ERROR]', err);
+    return { status: 'error', error: err.message };
+  }
+}
+
+/**
+ * Run one command against a single cluster
+ * @param {string} command - 'status' | 'setup' | 'rollover'
+ * @param {string} cluster - Cluster name from the clusters config
+ * @param {string} clusterName - Display name for cluster
+ * @param {object} config - Output of readLifecycleConfig
+ * @param {array} dataTypes - 'imperial' and the unit profiles ('metric', ...), or one of them
+ * @param {object} options - { dryRun }
+ * @returns {object} - Command result for the cluster
+ */
+async function runForCluster(command, cluster, clusterName, config, dataTypes, { dryRun = false } = {}) {
+  try {
+    const indexer = new IndexData(createEsClient(cluster));
+
+    if (command === 'status') {
+      const aliases = await indexer.getRolloverStatus(config, dataTypes);
+      printStatus(aliases, clusterName, config);
+      return { status: 'success', cluster: clusterName, command, aliases };
+    }
+
+    if (command === 'setup') {
+      const actions = await indexer.setupLifecycle(config, { dryRun, dataTypes });
+      printActions(actions, clusterName, dryRun);
+      return { status: dryRun ? 'dry-run' : 'success', cluster: clusterName, command, actions };
+    }
+
+    const rollovers = [];
+    for (const dataType of dataTypes) {
+      rollovers.push(await indexer.rollover(dataType, { dryRun }));
+    }
+    lifecycleLogger.logInfo(`[${clusterName}] [rollover] [RESULT]`, rollovers);
+    return { status: dryRun ? 'dry-run' : 'success', cluster: clusterName, command, rollovers };
+  } catch (err) {
+    lifecycleLogger.logError(`[${clusterName}] [runForCluster] ERROR:`, err);
+    return { status: 'error', cluster: clusterName, command, error: err.message };
+  }
+}
+
+/**
+ * Print where each write index is in its lifecycle
+ * @param {array} aliases - Output of IndexData.getRolloverStatus
+ * @param {string} clusterName - Cluster name for display
+ * @param {object} config - Output of readLifecycleConfig
+ */
+function printStatus(aliases, clusterName, config) {
+  if (process.env.NODE_ENV === 'test') return;
+  console.log('\n========================================');
+  console.log(`Rollover status for ${clusterName} cluster (policy ${config.policyName}):`);
+  console.log('========================================');
+  aliases.forEach((entry) => {
+    console.log(`${entry.alias} -> ${entry.writeIndex}`);
+    console.log(entry.managed
+      ? `    ILM: ${entry.policy} ${entry.phase}/${entry.step}, age ${entry.age}`
+      : '    ILM: not managed, run `npm run lifecycle -- setup`');
+    if (entry.failedStep) console.log(`    ILM failed at step ${entry.failedStep}`);
+    Object.entries(entry.conditions).forEach(([condition, met]) => console.log(`    ${condition}: ${met ? 'met' : 'not met'}`));
+    console.log(`    would roll over now: ${entry.wouldRollOver ? 'yes' : 'no'}`);
+  });
+  console.log('========================================\n');
+}
+
+/**
+ * Print the actions taken by setup
+ * @param {array} actions - Output of IndexData.setupLifecycle
+ * @param {string} clusterName - Cluster name for display
+ * @param {boolean} dryRun - Whether the actions were only planned
+ */
+function printActions(actions, clusterName, dryRun) {
+  if (process.env.NODE_ENV === 'test') return;
+  console.log('\n========================================');
+  console.log(`Lifecycle setup for ${clusterName} cluster${dryRun ? ' (dry run)' : ''}:`);
+  console.log('========================================');
+  if (actions.length === 0) {
+    console.log('Nothing to change: the policy is current and every write index is managed');
+  }
+  actions.forEach((action) => {
+    if (action.type === 'putPolicy') {
+      console.log(`ILM policy ${action.policyName}: ${action.change} (rollover ${JSON.stringify(action.rollover)})`);
+    } else if (action.type === 'rollover') {
+      console.log(`alias ${action.alias}: roll over from ${action.oldIndex} to ${action.newIndex}`);
+    } else if (action.type === 'attachPolicy') {
+      console.log(`index ${action.index}: attach policy, rollover alias ${action.alias}`);
+    }
+  });
+  console.log('========================================\n');
+}
+
+module.exports = { runLifecycle };
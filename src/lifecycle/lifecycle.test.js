@@ -0,0 +1,94 @@
+jest.mock('../dataIndexers/esClient', () => ({
+  createEsClient: jest.fn()
+}));
+
+const mockIndexer = {
+  getRolloverStatus: jest.fn(),
+  setupLifecycle: jest.fn(),
+  rollover: jest.fn()
+};
+jest.mock('../dataIndexers/Indexer', () => jest.fn(() => mockIndexer));
+
+const { runLifecycle } = require('./lifecycle');
+const { createEsClient } = require('../dataIndexers/esClient');
+
+describe('lifecycle', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    createEsClient.mockReturnValue({ name: 'client' });
+  });
+
+  it('returns error for an unknown command', async () => {
+    const result = await runLifecycle({ _: ['shrink'], prod: true });
+
+    expect(result.status).toBe('error');
+    expect(createEsClient).not.toHaveBeenCalled();
+  });
+
+  it('returns error when no cluster is specified', async () => {
+    const result = await runLifecycle({ _: ['status'] });
+
+    expect(result.status).toBe('error');
+    expect(result.error).toContain('--prod');
+  });
+
+  it('reports the rollover status using the configured conditions', async () => {
+    mockIndexer.getRolloverStatus.mockResolvedValue([{ alias: 'all-ambient-weather-heiligers-metric', wouldRollOver: false }]);
+
+    const result = await runLifecycle({ _: ['status'], staging: true });
+
+    expect(createEsClient).toHaveBeenCalledWith('STAGING');
+    expect(mockIndexer.getRolloverStatus).toHaveBeenCalledWith(
+      expect.objectContaining({ policyName: 'ambient-weather-heiligers', rollover: expect.any(Object) }),
+      ['imperial', 'metric']
+    );
+    expect(result).toEqual(expect.objectContaining({ status: 'success', cluster: 'STAGING', command: 'status' }));
+  });
+
+  it('passes --dry-run through to setup', async () => {
+    mockIndexer.setupLifecycle.mockResolvedValue([{ type: 'putPolicy' }]);
+
+    const result = await runLifecycle({ _: ['setup'], prod: true, dryRun: true });
+
+    expect(mockIndexer.setupLifecycle).toHaveBeenCalledWith(expect.any(Object), { dryRun: true, dataTypes: ['imperial', 'metric'] });
+    expect(result.status).toBe('dry-run');
+    expect(result.actions).toEqual([{ type: 'putPolicy' }]);
+  });
+
+  it('forces a rollover of only the requested type', async () => {
+    mockIndexer.rollover.mockResolvedValue({ alias: 'all-ambient-weather-heiligers-imperial', rolledOver: true });
+
+    const result = await runLifecycle({ _: ['rollover'], prod: true, type: 'imperial' });
+
+    expect(mockIndexer.rollover).toHaveBeenCalledTimes(1);
+    expect(mockIndexer.rollover).toHaveBeenCalledWith('imperial', { dryRun: false });
+    expect(result.rollovers).toEqual([{ alias: 'all-ambient-weather-heiligers-imperial', rolledOver: true }]);
+  });
+
+  it('runs against both clusters with --both', async () => {
+    mockIndexer.rollover.mockResolvedValue({ rolledOver: true });
+
+    const result = await runLifecycle({ _: ['rollover'], both: true });
+
+    expect(result.mode).toBe('multi-cluster');
+    expect(result.results.map(r => r.cluster)).toEqual(['PRODUCTION', 'STAGING']);
+    expect(mockIndexer.rollover).toHaveBeenCalledTimes(4);
+  });
+
+  it('reports a partial result when one of the clusters fails', async () => {
+    mockIndexer.getRolloverStatus.mockResolvedValueOnce([]).mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+    const result = await runLifecycle({ _: ['status'], both: true });
+
+    expect(result).toEqual(expect.objectContaining({ status: 'partial', mode: 'multi-cluster', failed: ['STAGING'] }));
+  });
+
+  it('returns an error result when a cluster request fails', async () => {
+    mockIndexer.setupLifecycle.mockRejectedValue(new Error('all-ambient-weather-heiligers-imperial has no write index'));
+
+    const result = await runLifecycle({ _: ['setup'], prod: true });
+
+    expect(result.status).toBe('error');
+    expect(result.error).toContain('has no write index');
+  });
+});
@@ -21,7 +21,8 @@ jest.mock('file-system', () => ({
   readdirSync: jest.fn().mockReturnValue([]),
   readFileSync: jest.fn().mockReturnValue('[]'),
   writeFileSync: jest.fn(),
-  existsSync: jest.fn().mockReturnValue(true)
+  existsSync: jest.fn().mockReturnValue(true),
+  mkdirSync: jest.fn()
 }));
 
 jest.mock('../../src/dataFetchers', () => {
@@ -36,7 +37,8 @@ jest.mock('../../src/converters', () => ({
   })),
   ConvertImperialToMetric: jest.fn().mockImplementation(() => ({
     convertImperialDataToMetricJsonl: mockConvertMetric
-  }))
+  })),
+  ImperialDocumentCache: jest.requireActual('../../src/converters/imperialDocuments').ImperialDocumentCache
 }));
 
 jest.mock('../../src/dataIndexers', () => {
@@ -50,6 +52,23 @@ jest.mock('../../src/dataIndexers/esClient', () => ({
   createEsClient: jest.fn().mockReturnValue({})
 }));
 
+const mockFetchState = {
+  station: jest.fn(),
+  recordIndexed: jest.fn()
+};
+jest.mock('../../src/dataFetchers/FetchState', () => ({
+  FetchState: jest.fn(() => mockFetchState)
+}));
+
+const mockConversionManifest = { save: jest.fn() };
+jest.mock('../../src/converters/ConversionManifest', () => ({
+  ConversionManifest: jest.fn(() => mockConversionManifest)
+}));
+
+jest.mock('../../src/recovery/recovery', () => ({
+  recoverStation: jest.fn()
+}));
+
 jest.mock('../../main_utils', () => ({
   prepareDataForBulkIndexing: jest.fn().mockReturnValue([]),
   updateProgressState: jest.fn().mockReturnValue({})
@@ -58,6 +77,12 @@ jest.mock('../../main_utils', () => ({
 // Now require the module
 const main = require('../../main.js');
 const { prepareDataForBulkIndexing } = require('../../main_utils');
+const FetchRawData = require('../../src/dataFetchers');
+const IndexData = require('../../src/dataIndexers');
+const fs = require('file-system');
+const { recoverStation } = require('../../src/recovery/recovery');
+const { QualityControl } = require('../../src/qualityControl/qualityControl');
+const awApi = require('ambient-weather-api').mock.results[0].value;
 
 describe('main', () => {
   beforeEach(() => {
@@ -76,6 +101,7 @@ describe('main', () => {
     });
 
     mockGetDataForDateRanges.mockResolvedValue('too early');
+    mockFetchState.station.mockReturnValue(undefined);
   });
 
   describe('successful execution', () => {
@@ -91,6 +117,13 @@ describe('main', () => {
       // Since they share the same mock, we check it was called at least twice
       expect(mockInitialize).toHaveBeenCalled();
     });
+
+    it('initializes every primary and mirror cluster from the clusters config', async () => {
+      await main();
+
+      // config/clusters.default.json: PRODUCTION (primary) and STAGING (mirror)
+      expect(mockInitialize).toHaveBeenCalledTimes(2);
+    });
   });
 
   describe('data fetching', () => {
@@ -116,6 +149,18 @@ describe('main', () => {
       expect(mockConvertMetric).toHaveBeenCalled();
     });
 
+    it('converts with the conversion manifest so changed raw files are converted again', async () => {
+      await main();
+
+      const { ConvertImperialToJsonl, ConvertImperialToMetric, ImperialDocumentCache } = require('../../src/converters');
+      expect(ConvertImperialToJsonl).toHaveBeenCalledWith(fs, expect.objectContaining({ slug: 'heiligers' }), { manifest: mockConversionManifest, qualityControl: expect.any(QualityControl), documents: expect.any(ImperialDocumentCache) });
+      expect(ConvertImperialToMetric).toHaveBeenCalledWith(fs, expect.objectContaining({ slug: 'heiligers' }), { manifest: mockConversionManifest, profile: 'metric', qualityControl: expect.any(QualityControl), documents: expect.any(ImperialDocumentCache) });
+      // one QC for the files of every converter
+      expect(ConvertImperialToMetric.mock.calls[0][2].qualityControl).toBe(ConvertImperialToJsonl.mock.calls[0][2].qualityControl);
+      // the documents of a raw file are computed once for every converter
+      expect(ConvertImperialToMetric.mock.calls[0][2].documents).toBe(ConvertImperialToJsonl.mock.calls[0][2].documents);
+    });
+
     it('throws when data fetching fails', async () => {
       mockGetDataForDateRanges.mockRejectedValue(new Error('API Error'));
 
@@ -146,6 +191,61 @@ describe('main', () => {
       // 4th parameter should be the cluster latest date
       expect(callArgs[3]).toBe(1704067200000);
     });
+
+    it('falls back to the last dates indexed from here when the clusters cannot be queried', async () => {
+      mockInitialize.mockRejectedValue(new Error('Connection refused'));
+      mockFetchState.station.mockReturnValue({
+        clusters: { PRODUCTION: { lastIndexedDateutc: 1704153600000 }, STAGING: { lastIndexedDateutc: 1704067200000 } }
+      });
+
+      await main();
+
+      expect(mockFetchState.station).toHaveBeenCalledWith('heiligers');
+      expect(mockGetDataForDateRanges.mock.calls[0][3]).toBe(1704067200000);
+    });
+  });
+
+  describe('fetch state', () => {
+    it('reads where fetching left off from the fetch state', async () => {
+      await main();
+
+      expect(FetchRawData.mock.calls[0][3]).toEqual({ fetchState: mockFetchState });
+    });
+
+    it('repairs the data files an interrupted run left behind before fetching', async () => {
+      await main();
+      expect(recoverStation).toHaveBeenCalledWith(fs, 'heiligers', { fetchState: mockFetchState, profiles: ['metric'] });
+      expect(recoverStation.mock.invocationCallOrder[0]).toBeLessThan(mockGetDataForDateRanges.mock.invocationCallOrder[0]);
+    });
+
+    it('fetches anyway when the data files cannot be checked', async () => {
+      recoverStation.mockImplementationOnce(() => { throw new Error('EACCES'); });
+      await expect(main()).resolves.toBe('Done');
+      expect(mockGetDataForDateRanges).toHaveBeenCalled();
+    });
+
+    it('records the last date indexed into each cluster', async () => {
+      mockGetDataForDateRanges.mockResolvedValue({ dataFetchForDates: [{}], dataFileNames: ['test'] });
+      prepareDataForBulkIndexing.mockReturnValue([
+        { index: {} }, { dateutc: 1704100000000 },
+        { index: {} }, { dateutc: 1704100300000 }
+      ]);
+
+      await main();
+
+      expect(mockFetchState.recordIndexed).toHaveBeenCalledWith('heiligers', 'PRODUCTION', 1704100300000);
+      expect(mockFetchState.recordIndexed).toHaveBeenCalledWith('heiligers', 'STAGING', 1704100300000);
+    });
+
+    it('does not record a date for a cluster that rejected documents', async () => {
+      mockGetDataForDateRanges.mockResolvedValue({ dataFetchForDates: [{}], dataFileNames: ['test'] });
+      prepareDataForBulkIndexing.mockReturnValue([{ index: {} }, { dateutc: 1704100000000 }]);
+      mockBulkIndexDocuments.mockResolvedValue({ indexCounts: { count: 10 }, erroredDocuments: [{ status: 400 }] });
+
+      await main();
+
+      expect(mockFetchState.recordIndexed).not.toHaveBeenCalled();
+    });
   });
 
   describe('indexing', () => {
@@ -166,6 +266,31 @@ describe('main', () => {
       expect(mockBulkIndexDocuments).toHaveBeenCalled();
     });
 
+    it('converts and indexes every unit profile of the stations config, each into its own alias', async () => {
+      const realFs = jest.requireActual('fs');
+      const os = require('os');
+      const path = require('path');
+      const tmpDir = realFs.mkdtempSync(path.join(os.tmpdir(), 'main-profiles-'));
+      process.env.AW_STATIONS_CONFIG = path.join(tmpDir, 'stations.json');
+      realFs.writeFileSync(process.env.AW_STATIONS_CONFIG, JSON.stringify({ profiles: ['metric', 'wmo'], stations: [{ slug: 'heiligers' }] }));
+      mockGetDataForDateRanges.mockResolvedValue({ dataFetchForDates: [{}], dataFileNames: ['test'] });
+      prepareDataForBulkIndexing.mockReturnValue([{ index: {} }, { dateutc: 1704100000000 }]);
+
+      try {
+        await main();
+      } finally {
+        delete process.env.AW_STATIONS_CONFIG;
+        realFs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+
+      const { ConvertImperialToMetric } = require('../../src/converters');
+      expect(ConvertImperialToMetric.mock.calls.map(call => call[2].profile)).toEqual(['metric', 'wmo']);
+      expect(fs.mkdirSync).toHaveBeenCalledWith('data/ambient-weather-heiligers-wmo-jsonl');
+      // on both clusters, which are indexed side by side
+      expect(prepareDataForBulkIndexing.mock.calls.map(call => call[0].dataType).sort()).toEqual(['imperial', 'imperial', 'metric', 'metric', 'wmo', 'wmo']);
+      expect(mockBulkIndexDocuments).toHaveBeenCalledWith(expect.any(Array), 'wmo');
+    });
+
     it('skips indexing when no data to index', async () => {
       mockGetDataForDateRanges.mockResolvedValue({
         dataFetchForDates: [],
@@ -224,4 +349,81 @@ describe('main', () => {
       );
     });
   });
+
+  describe('stations', () => {
+    const devices = [
+      { macAddress: 'AA:BB:CC:DD:EE:FF', info: { name: 'Patio' } },
+      { macAddress: '11:22:33:44:55:66', info: { name: 'Garden' } }
+    ];
+
+    beforeEach(() => {
+      process.env.AMBIENT_WEATHER_MACADDRESS = 'AA:BB:CC:DD:EE:FF';
+      awApi.userDevices.mockResolvedValue(devices);
+    });
+
+    afterEach(() => {
+      delete process.env.AMBIENT_WEATHER_MACADDRESS;
+    });
+
+    it('fetches and indexes every device on the account on its own', async () => {
+      await main();
+
+      // the timezone of the default stations config
+      const heiligers = { macAddress: 'AA:BB:CC:DD:EE:FF', slug: 'heiligers', name: 'Patio', timezone: 'America/Phoenix' };
+      const garden = { macAddress: '11:22:33:44:55:66', slug: '112233445566', name: 'Garden' };
+      expect(FetchRawData.mock.calls.map(call => call[2])).toEqual([heiligers, garden]);
+      expect(mockGetDataForDateRanges).toHaveBeenCalledTimes(2);
+      // an indexer per station on every cluster
+      expect(IndexData.mock.calls.map(call => call[1])).toEqual([
+        { clusterName: 'PRODUCTION', station: 'heiligers' },
+        { clusterName: 'STAGING', station: 'heiligers' },
+        { clusterName: 'PRODUCTION', station: '112233445566' },
+        { clusterName: 'STAGING', station: '112233445566' }
+      ]);
+      expect(fs.mkdirSync).toHaveBeenCalledWith('data/ambient-weather-112233445566-imperial');
+      expect(fs.mkdirSync).toHaveBeenCalledWith('data/ambient-weather-112233445566-metric-jsonl');
+    });
+
+    it('tags the documents with the station they come from', async () => {
+      mockGetDataForDateRanges.mockResolvedValue({ dataFetchForDates: [{}], dataFileNames: ['test'] });
+
+      await main();
+
+      const stations = prepareDataForBulkIndexing.mock.calls.map(call => call[0].station.slug);
+      expect([...new Set(stations)]).toEqual(['heiligers', '112233445566']);
+    });
+
+    it('keeps going when one station fails', async () => {
+      mockGetDataForDateRanges
+        .mockRejectedValueOnce(new Error('API Error'))
+        .mockResolvedValueOnce('too early');
+
+      await expect(main()).resolves.toBe('Done');
+      expect(mockGetDataForDateRanges).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not index a station whose fetch left a hole', async () => {
+      mockGetDataForDateRanges.mockResolvedValue({
+        dataFetchForDates: [{}],
+        dataFileNames: ['test'],
+        failedFetches: [{ endDate: Date.UTC(2026, 0, 1), numRecords: 288, error: '503 - {}' }]
+      });
+
+      await expect(main()).rejects.toThrow('1 fetch(es) failed (2026-01-01T00:00:00.000Z: 503 - {})');
+      expect(prepareDataForBulkIndexing).not.toHaveBeenCalled();
+      expect(mockBulkIndexDocuments).not.toHaveBeenCalled();
+    });
+
+    it('lists the devices on the account once per run', async () => {
+      await main();
+
+      expect(awApi.userDevices).toHaveBeenCalledTimes(1);
+    });
+
+    it('throws when every station fails', async () => {
+      mockGetDataForDateRanges.mockRejectedValue(new Error('API Error'));
+
+      await expect(main()).rejects.toThrow('API Error');
+    });
+  });
 });
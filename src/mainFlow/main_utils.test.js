@@ -1,10 +1,15 @@
+process.env.AMBIENT_WEATHER_MACADDRESS = 'AA:BB:CC:DD:EE:FF';
+
 const fs = require('file-system');
-const { prepareDataForBulkIndexing, updateProgressState } = require('../../main_utils');
+const { Readable } = require('stream');
+const { prepareDataForBulkIndexing, streamBulkBatches, updateProgressState } = require('../../main_utils');
+const { localTimeFields } = require('../utils');
 
 // Mock the file-system module
 jest.mock('file-system', () => ({
   readFileSync: jest.fn(),
-  readdirSync: jest.fn()
+  readdirSync: jest.fn(),
+  createReadStream: jest.fn()
 }));
 
 // Mock the logger
@@ -228,6 +233,82 @@ describe('main_utils', () => {
       });
     });
 
+    describe('document ids', () => {
+      it('adds a deterministic _id built from the station MAC and dateutc', () => {
+        const mockRecords = [{ dateutc: 1700000000000, tempf: 70 }];
+        fs.readFileSync.mockReturnValueOnce(createMockJsonlData(mockRecords));
+
+        const result = prepareDataForBulkIndexing({
+          fileNamesArray: ['test_file'],
+          dataType: 'imperial'
+        });
+
+        expect(result[0].index._id).toBe('aabbccddeeff_1700000000000');
+      });
+
+      it('uses the same _id for the imperial and metric versions of a record', () => {
+        fs.readFileSync
+          .mockReturnValueOnce(createMockJsonlData([{ dateutc: 1700000000000, tempf: 70 }]))
+          .mockReturnValueOnce(createMockJsonlData([{ dateutc: 1700000000000, temp_outside_c: 21.1 }]));
+
+        const imperial = prepareDataForBulkIndexing({ fileNamesArray: ['test_file'], dataType: 'imperial' });
+        const metric = prepareDataForBulkIndexing({ fileNamesArray: ['test_file'], dataType: 'metric' });
+
+        expect(imperial[0].index._id).toBe(metric[0].index._id);
+      });
+
+      it('produces identical payloads when the same file is prepared twice', () => {
+        const data = createMockJsonlData([
+          { dateutc: 1700000000000, tempf: 70 },
+          { dateutc: 1700000300000, tempf: 71 }
+        ]);
+        fs.readFileSync.mockReturnValueOnce(data).mockReturnValueOnce(data);
+
+        const firstRun = prepareDataForBulkIndexing({ fileNamesArray: ['test_file'], dataType: 'imperial' });
+        const secondRun = prepareDataForBulkIndexing({ fileNamesArray: ['test_file'], dataType: 'imperial' });
+
+        expect(secondRun).toEqual(firstRun);
+      });
+    });
+
+    describe('local time', () => {
+      it('adds the local date parts in the timezone of the record, else the one of the station', () => {
+        const mockRecords = [
+          { dateutc: Date.UTC(2024, 0, 1, 5), tz: 'America/Phoenix' },
+          { dateutc: Date.UTC(2024, 0, 1, 5) },
+          { dateutc: Date.UTC(2024, 0, 1, 5), tz: 'Nowhere/Special' }
+        ];
+        fs.readFileSync.mockReturnValueOnce(createMockJsonlData(mockRecords));
+
+        const result = prepareDataForBulkIndexing({
+          fileNamesArray: ['test_file'],
+          dataType: 'metric',
+          station: { slug: 'heiligers', macAddress: 'AA:BB:CC:DD:EE:FF', name: 'Roof', timezone: 'Australia/Sydney', hemisphere: 'south' }
+        });
+
+        // 5am UTC on new year's day is 10pm on new year's eve in Phoenix, 4pm in Sydney. The season is the one of the
+        // station's hemisphere
+        expect(result[1].local).toEqual({
+          timezone: 'America/Phoenix',
+          time: '2023-12-31T22:00:00-07:00',
+          date: '2023-12-31',
+          year: 2023,
+          month: 12,
+          day: 31,
+          hour: 22,
+          weekday: 7,
+          weekday_name: 'Sunday',
+          day_of_year: 365,
+          iso_week: 52,
+          iso_week_year: 2023,
+          season: 'summer'
+        });
+        expect(result[3].local).toEqual(expect.objectContaining({ timezone: 'Australia/Sydney', date: '2024-01-01', hour: 16, season: 'summer' }));
+        expect(result[5].local.timezone).toBe('Australia/Sydney');
+        expect(result[1]).toEqual(expect.objectContaining({ macAddress: 'AA:BB:CC:DD:EE:FF', deviceName: 'Roof' }));
+      });
+    });
+
     describe('multiple files', () => {
       it('processes multiple files and combines results', () => {
         const mockRecords1 = [{ dateutc: 1700000000000, tempf: 70 }];
@@ -276,6 +357,88 @@ describe('main_utils', () => {
     });
   });
 
+  describe('streamBulkBatches', () => {
+    const records = [1, 2, 3, 4, 5].map(i => ({ dateutc: 1700000000000 + i * 300000, tempf: 70 + i }));
+    const jsonl = records.map(r => JSON.stringify(r)).join('\n') + '\n';
+    // the records have no tz: their local date parts are UTC
+    const indexed = record => ({ ...record, local: localTimeFields(record.dateutc) });
+
+    // splits the file at odd places so lines cross chunk boundaries
+    const streamOf = (text) => Readable.from([text.slice(0, 25), text.slice(25, 90), text.slice(90)]);
+
+    const collect = async (generator) => {
+      const batches = [];
+      for await (const batch of generator) batches.push(batch);
+      return batches;
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    it('reads every file in the data directory when no file names are given', async () => {
+      fs.readdirSync.mockReturnValue(['a.jsonl', 'b.jsonl']);
+      fs.createReadStream.mockImplementation(() => streamOf(jsonl));
+
+      const batches = await collect(streamBulkBatches({ dataType: 'metric' }));
+
+      expect(fs.createReadStream).toHaveBeenCalledWith('data/ambient-weather-heiligers-metric-jsonl/a.jsonl', { encoding: 'utf8' });
+      expect(fs.createReadStream).toHaveBeenCalledWith('data/ambient-weather-heiligers-metric-jsonl/b.jsonl', { encoding: 'utf8' });
+      expect(batches).toHaveLength(1);
+      expect(batches[0].payload).toHaveLength(20);
+      expect(batches[0].payload[0]).toEqual({ index: { _index: 'all-ambient-weather-heiligers-metric', _id: `aabbccddeeff_${records[0].dateutc}` } });
+      expect(batches[0].payload[1]).toEqual(indexed(records[0]));
+    });
+
+    it('leaves out the temporary files of writes that did not finish', async () => {
+      fs.readdirSync.mockReturnValue(['a.jsonl', 'a.jsonl.tmp']);
+      fs.createReadStream.mockImplementation(() => streamOf(jsonl));
+
+      const batches = await collect(streamBulkBatches({ dataType: 'metric' }));
+
+      expect(fs.createReadStream).toHaveBeenCalledTimes(1);
+      expect(batches[0].progress.filesTotal).toBe(1);
+    });
+
+    it('yields batches of maxBatchDocs documents with the progress so far', async () => {
+      fs.createReadStream.mockImplementation(() => streamOf(jsonl));
+
+      const batches = await collect(streamBulkBatches({ fileNamesArray: ['a'], dataType: 'imperial', maxBatchDocs: 2 }));
+
+      expect(batches.map(batch => batch.payload.length / 2)).toEqual([2, 2, 1]);
+      expect(batches.flatMap(batch => batch.payload.filter((entry, i) => i % 2 === 1))).toEqual(records.map(indexed));
+      expect(batches[0].progress).toEqual(expect.objectContaining({ filesTotal: 1, filesRead: 0, currentFile: 'a', documents: 2 }));
+      expect(batches[2].progress).toEqual(expect.objectContaining({ filesRead: 1, linesRead: 5, documents: 5 }));
+    });
+
+    it('applies filterAfterDate like prepareDataForBulkIndexing', async () => {
+      fs.createReadStream.mockImplementation(() => streamOf(jsonl));
+
+      const batches = await collect(streamBulkBatches({ fileNamesArray: ['a'], dataType: 'imperial', filterAfterDate: records[2].dateutc }));
+
+      expect(batches[0].payload.filter((entry, i) => i % 2 === 1)).toEqual(records.slice(3).map(indexed));
+      expect(batches[0].progress.skipped).toBe(3);
+    });
+
+    it('only reads ahead when the next batch is asked for', async () => {
+      fs.createReadStream.mockImplementation(() => streamOf(jsonl));
+      const generator = streamBulkBatches({ fileNamesArray: ['a', 'b'], dataType: 'imperial', maxBatchDocs: 5 });
+
+      await generator.next();
+
+      expect(fs.createReadStream).toHaveBeenCalledTimes(1);
+      await generator.return();
+    });
+
+    it('yields nothing when every record is filtered out', async () => {
+      fs.createReadStream.mockImplementation(() => streamOf(jsonl));
+
+      const batches = await collect(streamBulkBatches({ fileNamesArray: ['a'], dataType: 'imperial', filterAfterDate: Date.now() }));
+
+      expect(batches).toEqual([]);
+    });
+  });
+
   describe('updateProgressState', () => {
     const mockLogger = {
       logInfo: jest.fn(),
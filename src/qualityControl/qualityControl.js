@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_DIR = path.join(__dirname, '../../config');
+const LOCAL_QC_FILE = path.join(CONFIG_DIR, 'qc.json'); // not committed, per machine
+const DEFAULT_QC_FILE = path.join(CONFIG_DIR, 'qc.default.json');
+const MINUTE = 60 * 1000;
+const CHECKS = ['range', 'step', 'persistence'];
+
+/**
+ * Which QC file to use: AW_QC_CONFIG, else config/qc.json, else config/qc.default.json
+ * @returns {string} path to the QC file
+ */
+function qcConfigFile() {
+  if (process.env.AW_QC_CONFIG) return process.env.AW_QC_CONFIG;
+  return fs.existsSync(LOCAL_QC_FILE) ? LOCAL_QC_FILE : DEFAULT_QC_FILE;
+}
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Reads and validates the QC checks, by imperial field name:
+ * - range: { <field>: { min, max } } the physical limits of a reading
+ * - step: { maxGapMinutes, limits: { <field>: limit } } the largest change between consecutive readings, for readings
+ *   at most maxGapMinutes apart
+ * - persistence: { maxGapMinutes, fields: { <field>: { minutes, except } } } how long a value may stay the same before
+ *   the sensor counts as stuck, readings more than maxGapMinutes apart start over. Values in except (e.g. 100% humidity
+ *   in fog) never count as stuck
+ * A check that isn't in the file checks nothing
+ * @param {string} filePath defaults to qcConfigFile()
+ * @returns {object} { range, step, persistence }
+ * @example
+ * readQcConfig()
+ * // { range: { tempf: { min: -40, max: 140 }, ... }, step: { maxGapMinutes: 15, limits: { tempf: 10, ... } }, persistence: { ... } }
+ */
+function readQcConfig(filePath = qcConfigFile()) {
+  const {
+    range = {},
+    step: { maxGapMinutes: stepGap = 15, limits = {} } = {},
+    persistence: { maxGapMinutes: persistenceGap = 15, fields = {} } = {}
+  } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  Object.entries(range).forEach(([field, { min, max }]) => {
+    if (!isNumber(min) || !isNumber(max) || min > max) {
+      throw new Error(`${filePath}: the range of ${field} needs numbers "min" <= "max"`);
+    }
+  });
+  Object.entries(limits).forEach(([field, limit]) => {
+    if (!isNumber(limit) || limit <= 0) throw new Error(`${filePath}: the step limit of ${field} must be a positive number`);
+  });
+  Object.entries(fields).forEach(([field, { minutes, except = [] }]) => {
+    if (!isNumber(minutes) || minutes <= 0) throw new Error(`${filePath}: the persistence of ${field} needs a positive number of "minutes"`);
+    if (!Array.isArray(except)) throw new Error(`${filePath}: "except" of ${field} must be a list of values`);
+  });
+  [stepGap, persistenceGap].forEach((gap) => {
+    if (!isNumber(gap) || gap <= 0) throw new Error(`${filePath}: "maxGapMinutes" must be a positive number`);
+  });
+  return {
+    range,
+    step: { maxGapMinutes: stepGap, limits },
+    persistence: {
+      maxGapMinutes: persistenceGap,
+      fields: Object.fromEntries(Object.entries(fields).map(([field, { minutes, except = [] }]) => [field, { minutes, except }]))
+    }
+  };
+}
+
+/*
+ * Flags implausible readings without altering them. Every checked record gets a `qc` object:
+ * { flagged, range: [...], step: [...], persistence: [...] } listing the fields that failed each check
+ * (see readQcConfig for the checks). A reading out of range isn't used by the step check of the next one.
+ * Counts the flags of every record it checks, for the summary of a run
+ * args:
+ * opts: { checks = readQcConfig() }
+ */
+class QualityControl {
+  #checks;
+  #checkedSources = new Set();
+  #summary = { records: 0, flagged: 0, range: {}, step: {}, persistence: {} };
+  constructor({ checks = readQcConfig() } = {}) {
+    this.#checks = checks;
+  }
+  /**
+   * @returns {object} the checks, see readQcConfig
+   */
+  get checks() {
+    return this.#checks;
+  }
+  /**
+   * @returns {number} minutes of readings the checks need before the first record
+   */
+  get historyMinutes() {
+    const { step, persistence } = this.#checks;
+    const longest = Object.values(persistence.fields).reduce((max, { minutes }) => Math.max(max, minutes), 0);
+    return Math.max(step.maxGapMinutes, longest > 0 ? longest + persistence.maxGapMinutes : 0);
+  }
+  /**
+   * @returns {object} { records, flagged, range: { <field>: count }, step, persistence } of the records checked so far
+   */
+  get summary() {
+    return this.#summary;
+  }
+
+  /**
+   * Checks records and adds their `qc` flags
+   * @param {array} records imperial records, in any order
+   * @param {object} opts { history, source }
+   * history: the readings before the records, at least historyMinutes of them (see recordsBefore in src/registry)
+   * source: name of the file the records are from, a file is only counted once in the summary however often it's checked
+   * @returns {array} the records with their `qc` flags, in the same order
+   */
+  check(records, { history = [], source } = {}) {
+    const first = records.reduce((min, record) => Math.min(min, record.dateutc), Infinity);
+    const state = { previous: {}, runs: {} };
+    history.filter(record => record.dateutc < first).forEach(record => this.#flags(record, state));
+    const flags = new Map();
+    [...records].sort((a, b) => a.dateutc - b.dateutc).forEach(record => flags.set(record, this.#flags(record, state)));
+    const checked = records.map(record => ({ ...record, qc: flags.get(record) }));
+    if (source === undefined || !this.#checkedSources.has(source)) {
+      if (source !== undefined) this.#checkedSources.add(source);
+      checked.forEach(({ qc }) => this.#count(qc));
+    }
+    return checked;
+  }
+
+  #flags(record, state) {
+    const { range, step, persistence } = this.#checks;
+    const qc = { flagged: false, range: [], step: [], persistence: [] };
+    const inRange = field => !range[field] || (record[field] >= range[field].min && record[field] <= range[field].max);
+
+    Object.keys(range).filter(field => isNumber(record[field]) && !inRange(field)).forEach(field => qc.range.push(field));
+
+    Object.entries(step.limits).forEach(([field, limit]) => {
+      const value = record[field];
+      if (!isNumber(value) || !inRange(field)) return;
+      const previous = state.previous[field];
+      if (previous && record.dateutc - previous.dateutc <= step.maxGapMinutes * MINUTE && Math.abs(value - previous.value) > limit) {
+        qc.step.push(field);
+      }
+      state.previous[field] = { dateutc: record.dateutc, value };
+    });
+
+    Object.entries(persistence.fields).forEach(([field, { minutes, except = [] }]) => {
+      const value = record[field];
+      if (!isNumber(value)) {
+        delete state.runs[field];
+        return;
+      }
+      const run = state.runs[field];
+      if (run && run.value === value && record.dateutc - run.last <= persistence.maxGapMinutes * MINUTE) {
+        run.last = record.dateutc;
+      } else {
+        state.runs[field] = { value, since: record.dateutc, last: record.dateutc };
+      }
+      if (!except.includes(value) && record.dateutc - state.runs[field].since >= minutes * MINUTE) qc.persistence.push(field);
+    });
+
+    qc.flagged = CHECKS.some(check => qc[check].length > 0);
+    return qc;
+  }
+
+  #count(qc) {
+    this.#summary.records += 1;
+    if (qc.flagged) this.#summary.flagged += 1;
+    CHECKS.forEach((check) => {
+      qc[check].forEach((field) => {
+        this.#summary[check][field] = (this.#summary[check][field] ?? 0) + 1;
+      });
+    });
+  }
+}
+
+/**
+ * A QC summary as one log line
+ * @param {object} summary QualityControl#summary
+ * @returns {string} e.g. '3 of 288 records flagged (range: tempf 1; step: tempf 2)'
+ */
+function formatQcSummary({ records, flagged, ...checks }) {
+  const counts = CHECKS
+    .filter(check => Object.keys(checks[check]).length > 0)
+    .map(check => `${check}: ${Object.entries(checks[check]).map(([field, count]) => `${field} ${count}`).join(', ')}`);
+  return `${flagged} of ${records} records flagged${counts.length > 0 ? ` (${counts.join('; ')})` : ''}`;
+}
+
+/**
+ * @param {object} document imperial document
+ * @returns {object} the record without its `qc` flags
+ */
+function withoutQcFlags(document) {
+  const { qc, ...record } = document;
+  return record;
+}
+
+module.exports = { QualityControl, readQcConfig, qcConfigFile, formatQcSummary, withoutQcFlags };
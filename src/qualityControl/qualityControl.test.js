@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QualityControl, readQcConfig, formatQcSummary, withoutQcFlags } = require('./qualityControl');
+
+describe('qualityControl', () => {
+  const FIVE_MINUTES = 5 * 60 * 1000;
+  const HOUR = 60 * 60 * 1000;
+  const JAN_1 = Date.UTC(2026, 0, 1);
+  const NOT_FLAGGED = { flagged: false, range: [], step: [], persistence: [] };
+  const checks = {
+    range: { tempf: { min: -40, max: 140 }, humidity: { min: 0, max: 100 } },
+    step: { maxGapMinutes: 15, limits: { tempf: 10 } },
+    persistence: { maxGapMinutes: 15, fields: { windspeedmph: { minutes: 60 }, humidity: { minutes: 60, except: [100] } } }
+  };
+  const readings = (values, start = JAN_1) => values.map((value, i) => ({ dateutc: start + i * FIVE_MINUTES, ...value }));
+  const flagsOf = checked => checked.map(({ qc }) => qc);
+
+  describe('QualityControl', () => {
+    it('flags readings outside their physical range without altering them', () => {
+      const qualityControl = new QualityControl({ checks });
+      const records = readings([{ tempf: 200, humidity: -3 }, { tempf: 70, humidity: 40, uv: 99 }]);
+
+      const checked = qualityControl.check(records);
+
+      expect(flagsOf(checked)).toEqual([{ ...NOT_FLAGGED, flagged: true, range: ['tempf', 'humidity'] }, NOT_FLAGGED]);
+      expect(checked.map(withoutQcFlags)).toEqual(records);
+      expect(records[0]).not.toHaveProperty('qc');
+    });
+
+    it('flags the steps between consecutive readings, in the order of their dates', () => {
+      const qualityControl = new QualityControl({ checks });
+      // a spike: the step up and the step back down
+      const records = readings([{ tempf: 70 }, { tempf: 95 }, { tempf: 71 }, { tempf: 75 }]).reverse();
+
+      expect(flagsOf(qualityControl.check(records)).map(({ step }) => step)).toEqual([[], ['tempf'], ['tempf'], []]);
+    });
+
+    it('does not compare readings further apart than the largest gap, or out of range', () => {
+      const qualityControl = new QualityControl({ checks });
+      const records = [{ dateutc: JAN_1, tempf: 70 }, { dateutc: JAN_1 + HOUR, tempf: 90 }, { dateutc: JAN_1 + HOUR + FIVE_MINUTES, tempf: 300 }, { dateutc: JAN_1 + HOUR + 2 * FIVE_MINUTES, tempf: 91 }];
+
+      expect(flagsOf(qualityControl.check(records)).map(({ step }) => step)).toEqual([[], [], [], []]);
+    });
+
+    it('flags values that stay the same for longer than their persistence', () => {
+      const qualityControl = new QualityControl({ checks });
+      // 13 readings over an hour
+      const records = readings(Array.from({ length: 14 }, (_, i) => ({ windspeedmph: 4, humidity: i < 13 ? 100 : 99 })));
+
+      const persistence = flagsOf(qualityControl.check(records)).map(flags => flags.persistence);
+
+      expect(persistence.slice(0, 12)).toEqual(Array(12).fill([]));
+      // 100% humidity (fog) is never stuck
+      expect(persistence.slice(12)).toEqual([['windspeedmph'], ['windspeedmph']]);
+    });
+
+    it('starts the persistence over after a gap or a missing value', () => {
+      const qualityControl = new QualityControl({ checks });
+      const records = [
+        ...readings(Array(10).fill({ windspeedmph: 4 })),
+        ...readings(Array(4).fill({ windspeedmph: 4 }), JAN_1 + 9 * FIVE_MINUTES + 20 * 60 * 1000)
+      ];
+
+      expect(flagsOf(qualityControl.check(records)).every(({ flagged }) => !flagged)).toBe(true);
+    });
+
+    it('checks the first records with the readings before them', () => {
+      const qualityControl = new QualityControl({ checks });
+      const history = readings(Array(12).fill({ tempf: 70, windspeedmph: 4 }));
+      const records = readings([{ tempf: 85, windspeedmph: 4 }], JAN_1 + 12 * FIVE_MINUTES);
+
+      expect(flagsOf(qualityControl.check(records, { history }))).toEqual([{ ...NOT_FLAGGED, flagged: true, step: ['tempf'], persistence: ['windspeedmph'] }]);
+    });
+
+    it('counts the flags of every file once', () => {
+      const qualityControl = new QualityControl({ checks });
+      const records = readings([{ tempf: 70 }, { tempf: 200 }, { tempf: 70 }]);
+
+      qualityControl.check(records, { source: 'first' });
+      qualityControl.check(records, { source: 'first' });
+      qualityControl.check(readings([{ tempf: 150 }]), { source: 'second' });
+
+      expect(qualityControl.summary).toEqual({ records: 4, flagged: 2, range: { tempf: 2 }, step: {}, persistence: {} });
+      expect(formatQcSummary(qualityControl.summary)).toBe('2 of 4 records flagged (range: tempf 2)');
+      expect(formatQcSummary(new QualityControl({ checks }).summary)).toBe('0 of 0 records flagged');
+    });
+
+    it('needs the readings of the longest persistence before a file', () => {
+      expect(new QualityControl({ checks }).historyMinutes).toBe(75);
+      expect(new QualityControl({ checks: { ...checks, persistence: { maxGapMinutes: 15, fields: {} } } }).historyMinutes).toBe(15);
+    });
+  });
+
+  describe('readQcConfig', () => {
+    let tmpDir;
+    const write = (config) => {
+      const filePath = path.join(tmpDir, 'qc.json');
+      fs.writeFileSync(filePath, JSON.stringify(config));
+      return filePath;
+    };
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qc-config-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('reads the default checks', () => {
+      const config = readQcConfig();
+
+      expect(config.range.tempf).toEqual({ min: -40, max: 140 });
+      expect(config.step.maxGapMinutes).toBe(15);
+      expect(config.persistence.fields.humidity).toEqual({ minutes: 360, except: [100] });
+    });
+
+    it('checks nothing a file leaves out', () => {
+      expect(readQcConfig(write({ range: { uv: { min: 0, max: 16 } } }))).toEqual({
+        range: { uv: { min: 0, max: 16 } },
+        step: { maxGapMinutes: 15, limits: {} },
+        persistence: { maxGapMinutes: 15, fields: {} }
+      });
+    });
+
+    it('throws for checks that are not valid', () => {
+      expect(() => readQcConfig(write({ range: { tempf: { min: 10, max: 0 } } }))).toThrow('the range of tempf needs numbers "min" <= "max"');
+      expect(() => readQcConfig(write({ step: { limits: { tempf: 0 } } }))).toThrow('the step limit of tempf must be a positive number');
+      expect(() => readQcConfig(write({ persistence: { fields: { tempf: {} } } }))).toThrow('the persistence of tempf needs a positive number of "minutes"');
+      expect(() => readQcConfig(write({ persistence: { maxGapMinutes: -1 } }))).toThrow('"maxGapMinutes" must be a positive number');
+    });
+  });
+});
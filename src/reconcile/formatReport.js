@@ -0,0 +1,94 @@
+const { UNIT_PROFILES } = require('../utils/fieldMappings');
+
+const FORMATS = ['table', 'json', 'markdown'];
+// the report holds the data types that were compared: imperial and the configured unit profiles
+const DATA_TYPES = ['imperial', ...Object.keys(UNIT_PROFILES)];
+
+const describeDateutc = dateutc => `${new Date(dateutc).toISOString()} (${dateutc})`;
+
+/**
+ * Renders a reconciliation report (see runReconcile in ./reconcile)
+ * @param {object} report { reference, compared, station, from, to, ignoredFields, inSync, imperial?, metric?, ... } one entry per
+ * compared data type
+ * @param {string} format 'table' for the terminal, 'json', or 'markdown' to paste into an incident write-up
+ * @returns {string}
+ */
+function formatReport(report, format = 'table') {
+  if (format === 'json') return `${JSON.stringify(report, null, 2)}\n`;
+  if (format === 'markdown') return formatMarkdown(report);
+  return formatTable(report);
+}
+
+const dayColumns = report => [
+  ['day', day => day.day],
+  [`${report.reference} docs`, day => day.referenceCount],
+  [`${report.compared} docs`, day => day.comparedCount],
+  [`${report.reference} checksum`, day => day.referenceChecksum],
+  [`${report.compared} checksum`, day => day.comparedChecksum],
+  ['missing', day => day.missing],
+  ['extra', day => day.extra],
+  ['differing', day => day.differing],
+  ['match', day => (day.match ? 'yes' : 'NO')]
+];
+
+const differingLine = entry => `${describeDateutc(entry.dateutc)}: ${entry.fields?.length ? entry.fields.join(', ') : 'same fields'}${entry.duplicates ? ', duplicate documents' : ''}`;
+
+function formatTable(report) {
+  const lines = [`Reconciliation of ${report.station ? `${report.station} on ` : ''}${report.compared} against ${report.reference}, ${report.from} to ${report.to}: ${report.inSync ? 'in sync' : 'OUT OF SYNC'}`];
+  DATA_TYPES.filter(dataType => report[dataType]).forEach((dataType) => {
+    const result = report[dataType];
+    const columns = dayColumns(report);
+    const rows = result.days.map(day => columns.map(([, value]) => String(value(day))));
+    const widths = columns.map(([title], i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    const formatRow = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ');
+
+    lines.push('', `${dataType}:`, formatRow(columns.map(([title]) => title)), formatRow(widths.map(width => '-'.repeat(width))));
+    rows.forEach(row => lines.push(formatRow(row)));
+    if (result.missing.length > 0) {
+      lines.push('', `  missing on ${report.compared}:`, ...result.missing.map(dateutc => `    ${describeDateutc(dateutc)}`));
+    }
+    if (result.extra.length > 0) {
+      lines.push('', `  only on ${report.compared} (extra):`, ...result.extra.map(dateutc => `    ${describeDateutc(dateutc)}`));
+    }
+    if (result.differing.length > 0) {
+      lines.push('', '  differing content:', ...result.differing.map(entry => `    ${differingLine(entry)}`));
+    }
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+function formatMarkdown(report) {
+  const lines = [
+    `## Reconciliation: ${report.compared} against ${report.reference}`,
+    '',
+    ...(report.station ? [`- Station: ${report.station}`] : []),
+    `- Period: ${report.from} to ${report.to} (UTC days)`,
+    `- Result: ${report.inSync ? 'in sync' : '**out of sync**'}`,
+    `- Checksums ignore: ${report.ignoredFields.map(field => `\`${field}\``).join(', ')}`
+  ];
+  DATA_TYPES.filter(dataType => report[dataType]).forEach((dataType) => {
+    const result = report[dataType];
+    const columns = dayColumns(report);
+    lines.push(
+      '',
+      `### ${dataType}`,
+      '',
+      `| ${columns.map(([title]) => title).join(' | ')} |`,
+      `| ${columns.map(() => '---').join(' | ')} |`,
+      ...result.days.map(day => `| ${columns.map(([, value]) => {
+        const cell = String(value(day));
+        return cell === 'NO' ? '**no**' : cell;
+      }).join(' | ')} |`)
+    );
+    const section = (title, entries) => {
+      if (entries.length === 0) return;
+      lines.push('', `**${title}** (${entries.length})`, '', ...entries.map(entry => `- ${entry}`));
+    };
+    section(`Missing on ${report.compared}`, result.missing.map(describeDateutc));
+    section(`Only on ${report.compared}`, result.extra.map(describeDateutc));
+    section('Differing content', result.differing.map(differingLine));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { FORMATS, formatReport };
@@ -0,0 +1,49 @@
+const { formatReport } = require('./formatReport');
+
+const DAY_2 = Date.UTC(2026, 0, 2);
+
+const report = {
+  reference: 'PRODUCTION',
+  compared: 'STAGING',
+  from: '2026-01-01',
+  to: '2026-01-02',
+  ignoredFields: ['@timestamp'],
+  inSync: false,
+  imperial: {
+    inSync: false,
+    days: [
+      { day: '2026-01-01', referenceCount: 288, comparedCount: 288, referenceChecksum: 'aaaaaaaaaaaa', comparedChecksum: 'aaaaaaaaaaaa', missing: 0, extra: 0, differing: 0, match: true },
+      { day: '2026-01-02', referenceCount: 288, comparedCount: 287, referenceChecksum: 'bbbbbbbbbbbb', comparedChecksum: 'cccccccccccc', missing: 1, extra: 0, differing: 1, match: false }
+    ],
+    missing: [DAY_2],
+    extra: [],
+    differing: [{ dateutc: DAY_2 + 300000, duplicates: false, fields: ['tempf', 'uv'] }]
+  }
+};
+
+describe('formatReport', () => {
+  it('renders json', () => {
+    expect(JSON.parse(formatReport(report, 'json'))).toEqual(report);
+  });
+
+  it('renders an aligned table with the dateutc lists', () => {
+    const table = formatReport(report, 'table');
+
+    expect(table).toContain('OUT OF SYNC');
+    expect(table).toMatch(/day\s+PRODUCTION docs\s+STAGING docs/);
+    expect(table).toMatch(/2026-01-02\s+288\s+287\s+bbbbbbbbbbbb\s+cccccccccccc\s+1\s+0\s+1\s+NO/);
+    expect(table).toContain(`missing on STAGING:\n    2026-01-02T00:00:00.000Z (${DAY_2})`);
+    expect(table).toContain('2026-01-02T00:05:00.000Z (1767312300000): tempf, uv');
+    expect(table).not.toContain('only on STAGING');
+  });
+
+  it('renders markdown for incident write-ups', () => {
+    const markdown = formatReport(report, 'markdown');
+
+    expect(markdown).toContain('## Reconciliation: STAGING against PRODUCTION');
+    expect(markdown).toContain('| day | PRODUCTION docs | STAGING docs |');
+    expect(markdown).toContain('| 2026-01-02 | 288 | 287 | bbbbbbbbbbbb | cccccccccccc | 1 | 0 | 1 | **no** |');
+    expect(markdown).toContain(`**Missing on STAGING** (1)\n\n- 2026-01-02T00:00:00.000Z (${DAY_2})`);
+    expect(markdown).not.toContain('Only on STAGING');
+  });
+});
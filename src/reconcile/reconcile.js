@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const Logger = require('../logger');
+const { createEsClient } = require('../dataIndexers/esClient');
+const { selectClusterTargets } = require('../dataIndexers/clusterTargets');
+const { searchAllDocsByDateRange, getDocsByDateutc } = require('../dataIndexers/esClientMethods');
+const { indexPattern } = require('../dataIndexers/lifecycle');
+const { DEFAULT_STATION, readStationsConfig, findStation } = require('../stations/stations');
+const { formatReport, FORMATS } = require('./formatReport');
+
+const reconcileLogger = new Logger('[reconcile]');
+
+const ONE_DAY_AS_MILLISECONDS = 24 * 60 * 60 * 1000;
+// set at ingest time, so it differs between clusters for the same observation
+const IGNORED_FIELDS = ['@timestamp'];
+const DOCS_PER_LOOKUP = 1000;
+
+/**
+ * Compares two clusters day by day: document counts, a checksum of the document content per day,
+ * and the exact dateutc values missing, extra or differing on the second cluster
+ * @param {object} cliArgs - Parsed CLI arguments from yargs ({ cluster, all, both, from, to, type, station, format, output })
+ * type: imperial, one of the unit profiles of the stations config, or all (both is kept for all), all when not set
+ * station: slug of the station whose indices to compare, the original station when not set
+ * @returns {object} - { status, report, rendered } report is the reconciliation, rendered the report in the requested format
+ */
+async function runReconcile(cliArgs) {
+  try {
+    const validation = validateArgs(cliArgs);
+    if (!validation.valid) {
+      return { status: 'error', error: validation.error };
+    }
+    const { reference, compared, startDate, endDate, dataTypes, station, format } = validation;
+    reconcileLogger.logInfo(`[${new Date().toISOString()}] Reconciling ${station.slug} on ${compared} against ${reference}, ${cliArgs.from} to ${cliArgs.to}...`);
+
+    const referenceClient = createEsClient(reference);
+    const comparedClient = createEsClient(compared);
+    const report = { reference, compared, station: station.slug, from: cliArgs.from, to: cliArgs.to, ignoredFields: IGNORED_FIELDS };
+    for (const dataType of dataTypes) {
+      report[dataType] = await reconcileDataType(referenceClient, comparedClient, dataType, station, startDate, endDate);
+    }
+    report.inSync = dataTypes.every(dataType => report[dataType].inSync);
+
+    const rendered = formatReport(report, format);
+    if (cliArgs.output) {
+      fs.mkdirSync(path.dirname(path.resolve(cliArgs.output)), { recursive: true });
+      fs.writeFileSync(cliArgs.output, rendered);
+      reconcileLogger.logInfo(`[runReconcile] ${format} report written to ${cliArgs.output}`);
+    }
+    return { status: report.inSync ? 'in-sync' : 'out-of-sync', report, rendered };
+  } catch (err) {
+    reconcileLogger.logError('[runReconcile] [ERROR]', err);
+    return { status: 'error', error: err.message };
+  }
+}
+
+/**
+ * @param {object} args CLI arguments
+ * @returns {object} { valid, error } or { valid, reference, compared, startDate, endDate, dataTypes, station, format }
+ * The first selected cluster is the reference. startDate is the start of --from, endDate the end of --to (UTC)
+ */
+function validateArgs(args) {
+  const clusters = selectClusterTargets(args);
+  if (!args.cluster) {
+    // --both / --all: the primary is the reference
+    clusters.sort((a, b) => (b.role === 'primary') - (a.role === 'primary'));
+  }
+  if (clusters.length !== 2) {
+    return { valid: false, error: `Must specify exactly two clusters (--cluster <reference> --cluster <other>, or --both), got ${clusters.length}` };
+  }
+  if (!args.from || !args.to) {
+    return { valid: false, error: 'Must specify both --from and --to dates' };
+  }
+  const from = moment.tz(args.from, 'YYYY-MM-DD', true, 'UTC');
+  const to = moment.tz(args.to, 'YYYY-MM-DD', true, 'UTC');
+  if (!from.isValid() || !to.isValid()) {
+    return { valid: false, error: `Invalid date format. Use YYYY-MM-DD. From: ${args.from}, To: ${args.to}` };
+  }
+  if (from.isAfter(to)) {
+    return { valid: false, error: `Start date must not be after end date. From: ${args.from}, To: ${args.to}` };
+  }
+
+  let station;
+  let dataTypes;
+  try {
+    const config = readStationsConfig();
+    station = findStation(args.station ?? DEFAULT_STATION, config);
+    // imperial and the unit profiles of the stations config, each has its own indices
+    dataTypes = ['imperial', ...config.profiles];
+  } catch (err) {
+    return { valid: false, error: err.message };
+  }
+
+  const type = args.type ?? 'all';
+  if (!['all', 'both'].includes(type) && !dataTypes.includes(type)) {
+    return { valid: false, error: `--type must be ${dataTypes.join(', ')} or all, got ${type}` };
+  }
+  const format = args.format ?? 'table';
+  if (!FORMATS.includes(format)) {
+    return { valid: false, error: `--format must be one of ${FORMATS.join(', ')}, got ${format}` };
+  }
+  return {
+    valid: true,
+    reference: clusters[0].cluster,
+    compared: clusters[1].cluster,
+    startDate: from.valueOf(),
+    endDate: to.valueOf() + ONE_DAY_AS_MILLISECONDS,
+    dataTypes: ['all', 'both'].includes(type) ? dataTypes : [type],
+    station,
+    format
+  };
+}
+
+/**
+ * JSON with the object keys sorted at every level, so equal content always gives the same string
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const hash = text => crypto.createHash('sha1').update(text).digest('hex');
+
+/**
+ * @param {object} doc document _source
+ * @returns {string} checksum of every field except the IGNORED_FIELDS
+ */
+function documentChecksum(doc) {
+  const content = Object.fromEntries(Object.entries(doc).filter(([field]) => !IGNORED_FIELDS.includes(field)));
+  return hash(canonicalJson(content)).slice(0, 16);
+}
+
+/**
+ * @param {object} referenceDoc
+ * @param {object} comparedDoc
+ * @returns {array} names of the fields whose values differ (or that only one of the documents has)
+ */
+function differingFields(referenceDoc, comparedDoc) {
+  const fields = new Set([...Object.keys(referenceDoc), ...Object.keys(comparedDoc)]);
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => canonicalJson(referenceDoc[field]) !== canonicalJson(comparedDoc[field]))
+    .sort();
+}
+
+/**
+ * @returns {Map} dateutc -> checksums of the documents with that dateutc (more than one when the cluster holds duplicates)
+ */
+async function collectChecksums(client, dataType, station, startDate, endDate) {
+  const checksums = new Map();
+  for await (const hits of searchAllDocsByDateRange(client, indexPattern(dataType, station.slug), startDate, endDate)) {
+    hits.forEach(({ _source: doc }) => {
+      if (!checksums.has(doc.dateutc)) checksums.set(doc.dateutc, []);
+      checksums.get(doc.dateutc).push(documentChecksum(doc));
+    });
+  }
+  return checksums;
+}
+
+/**
+ * Reconcile one data type of a station (as returned by findStation)
+ * @returns {object} { inSync, days, missing, extra, differing }, see compareChecksums, with the differing fields filled in
+ */
+async function reconcileDataType(referenceClient, comparedClient, dataType, station, startDate, endDate) {
+  const referenceChecksums = await collectChecksums(referenceClient, dataType, station, startDate, endDate);
+  const comparedChecksums = await collectChecksums(comparedClient, dataType, station, startDate, endDate);
+  const result = compareChecksums(referenceChecksums, comparedChecksums, startDate, endDate);
+
+  // fetch the documents behind a checksum mismatch to name the fields that differ
+  const index = indexPattern(dataType, station.slug);
+  for (let i = 0; i < result.differing.length; i += DOCS_PER_LOOKUP) {
+    const batch = result.differing.slice(i, i + DOCS_PER_LOOKUP);
+    const dateutcs = batch.map(entry => entry.dateutc);
+    const firstDocs = hits => new Map(hits.reverse().map(hit => [hit._source.dateutc, hit._source]));
+    const referenceDocs = firstDocs(await getDocsByDateutc(referenceClient, index, dateutcs));
+    const comparedDocs = firstDocs(await getDocsByDateutc(comparedClient, index, dateutcs));
+    batch.forEach((entry) => {
+      entry.fields = differingFields(referenceDocs.get(entry.dateutc) || {}, comparedDocs.get(entry.dateutc) || {});
+    });
+  }
+  reconcileLogger.logInfo(`[${dataType}] ${result.missing.length} missing, ${result.extra.length} extra, ${result.differing.length} differing`);
+  return result;
+}
+
+/**
+ * @param {Map} referenceChecksums output of collectChecksums for the reference cluster
+ * @param {Map} comparedChecksums output of collectChecksums for the compared cluster
+ * @param {number} startDate epoch ms at the start of a UTC day
+ * @param {number} endDate epoch ms at the start of a UTC day, exclusive
+ * @returns {object} {
+ *  inSync,
+ *  days: [{ day, referenceCount, comparedCount, referenceChecksum, comparedChecksum, missing, extra, differing, match }],
+ *  missing: [dateutc] only on the reference cluster, extra: [dateutc] only on the compared cluster,
+ *  differing: [{ dateutc, duplicates }] on both with different content (duplicates when the document counts differ)
+ * }
+ */
+function compareChecksums(referenceChecksums, comparedChecksums, startDate, endDate) {
+  const days = new Map();
+  for (let dayStart = startDate; dayStart < endDate; dayStart += ONE_DAY_AS_MILLISECONDS) {
+    const day = moment.utc(dayStart).format('YYYY-MM-DD');
+    days.set(day, { day, referenceCount: 0, comparedCount: 0, referenceLines: [], comparedLines: [], missing: 0, extra: 0, differing: 0 });
+  }
+  const dayOf = dateutc => days.get(moment.utc(dateutc).format('YYYY-MM-DD'));
+  const missing = [];
+  const extra = [];
+  const differing = [];
+
+  referenceChecksums.forEach((checksums, dateutc) => {
+    const day = dayOf(dateutc);
+    day.referenceCount += checksums.length;
+    day.referenceLines.push(`${dateutc}:${[...checksums].sort().join(',')}`);
+    const compared = comparedChecksums.get(dateutc);
+    if (!compared) {
+      day.missing += 1;
+      missing.push(dateutc);
+    } else if ([...checksums].sort().join(',') !== [...compared].sort().join(',')) {
+      day.differing += 1;
+      differing.push({ dateutc, duplicates: checksums.length !== compared.length });
+    }
+  });
+  comparedChecksums.forEach((checksums, dateutc) => {
+    const day = dayOf(dateutc);
+    day.comparedCount += checksums.length;
+    day.comparedLines.push(`${dateutc}:${[...checksums].sort().join(',')}`);
+    if (!referenceChecksums.has(dateutc)) {
+      day.extra += 1;
+      extra.push(dateutc);
+    }
+  });
+
+  const dayChecksum = lines => (lines.length === 0 ? '-' : hash(lines.sort().join('\n')).slice(0, 12));
+  const dayRows = [...days.values()].map(({ referenceLines, comparedLines, ...day }) => {
+    const referenceChecksum = dayChecksum(referenceLines);
+    const comparedChecksum = dayChecksum(comparedLines);
+    return { ...day, referenceChecksum, comparedChecksum, match: referenceChecksum === comparedChecksum };
+  });
+  const byDate = (a, b) => a - b;
+  return {
+    inSync: dayRows.every(day => day.match),
+    days: dayRows,
+    missing: missing.sort(byDate),
+    extra: extra.sort(byDate),
+    differing: differing.sort((a, b) => a.dateutc - b.dateutc)
+  };
+}
+
+module.exports = { runReconcile, compareChecksums, documentChecksum, differingFields };
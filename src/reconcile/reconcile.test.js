@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../dataIndexers/esClient', () => ({
+  createEsClient: jest.fn(name => ({ name }))
+}));
+jest.mock('../dataIndexers/esClientMethods', () => ({
+  searchAllDocsByDateRange: jest.fn(),
+  getDocsByDateutc: jest.fn()
+}));
+
+const { runReconcile, compareChecksums, documentChecksum, differingFields } = require('./reconcile');
+const { searchAllDocsByDateRange, getDocsByDateutc } = require('../dataIndexers/esClientMethods');
+
+const DAY_1 = Date.UTC(2026, 0, 1);
+const DAY_2 = Date.UTC(2026, 0, 2);
+const FIVE_MINUTES = 5 * 60 * 1000;
+const observation = (dateutc, extra = {}) => ({ dateutc, tempf: 70, humidity: 20, '@timestamp': new Date().toISOString(), ...extra });
+
+describe('reconcile', () => {
+  let clusters;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clusters = { PRODUCTION: { imperial: [], metric: [], wmo: [] }, STAGING: { imperial: [], metric: [], wmo: [] } };
+    const docsFor = (client, index) => clusters[client.name][['imperial', 'metric', 'wmo'].find(type => index.includes(`_${type}_`))];
+    searchAllDocsByDateRange.mockImplementation(async function* (client, index) {
+      yield docsFor(client, index).map(doc => ({ _source: doc }));
+    });
+    getDocsByDateutc.mockImplementation(async (client, index, dateutcs) => (
+      docsFor(client, index).filter(doc => dateutcs.includes(doc.dateutc)).map(doc => ({ _source: doc }))
+    ));
+  });
+
+  const args = { both: true, from: '2026-01-01', to: '2026-01-02' };
+
+  it('validates the clusters, dates and format', async () => {
+    expect((await runReconcile({ prod: true, from: '2026-01-01', to: '2026-01-02' })).error).toContain('exactly two clusters');
+    expect((await runReconcile({ both: true, from: '2026-01-01' })).error).toContain('--from and --to');
+    expect((await runReconcile({ ...args, to: '2025-12-31' })).error).toContain('must not be after');
+    expect((await runReconcile({ ...args, format: 'csv' })).error).toContain('--format');
+    expect((await runReconcile({ ...args, station: 'patio' })).error).toContain('Unknown station patio');
+    expect((await runReconcile({ ...args, type: 'wmo' })).error).toBe('--type must be imperial, metric or all, got wmo');
+    expect(searchAllDocsByDateRange).not.toHaveBeenCalled();
+  });
+
+  it('reports clusters with the same content as in sync, ignoring @timestamp', async () => {
+    clusters.PRODUCTION.imperial = [observation(DAY_1), observation(DAY_2)];
+    clusters.STAGING.imperial = [observation(DAY_1, { '@timestamp': '2020-01-01T00:00:00.000Z' }), observation(DAY_2)];
+
+    const result = await runReconcile({ ...args, type: 'imperial' });
+
+    expect(result.status).toBe('in-sync');
+    expect(result.report.reference).toBe('PRODUCTION');
+    expect(result.report.imperial.days.map(day => day.match)).toEqual([true, true]);
+    expect(result.report.metric).toBeUndefined();
+  });
+
+  it('lists the missing, extra and differing dateutc values and the differing fields', async () => {
+    clusters.PRODUCTION.metric = [observation(DAY_1), observation(DAY_1 + FIVE_MINUTES), observation(DAY_2)];
+    clusters.STAGING.metric = [observation(DAY_1), observation(DAY_2, { tempf: 71 }), observation(DAY_2 + FIVE_MINUTES)];
+
+    const { status, report } = await runReconcile({ ...args, type: 'metric' });
+
+    expect(status).toBe('out-of-sync');
+    expect(report.metric.missing).toEqual([DAY_1 + FIVE_MINUTES]);
+    expect(report.metric.extra).toEqual([DAY_2 + FIVE_MINUTES]);
+    expect(report.metric.differing).toEqual([{ dateutc: DAY_2, duplicates: false, fields: ['tempf'] }]);
+    expect(report.metric.days).toEqual([
+      expect.objectContaining({ day: '2026-01-01', referenceCount: 2, comparedCount: 1, missing: 1, extra: 0, differing: 0, match: false }),
+      expect.objectContaining({ day: '2026-01-02', referenceCount: 1, comparedCount: 2, missing: 0, extra: 1, differing: 1, match: false })
+    ]);
+  });
+
+  it('flags observations a cluster holds twice', async () => {
+    clusters.PRODUCTION.imperial = [observation(DAY_1)];
+    clusters.STAGING.imperial = [observation(DAY_1), observation(DAY_1)];
+
+    const { report } = await runReconcile({ ...args, type: 'imperial' });
+
+    expect(report.imperial.differing).toEqual([{ dateutc: DAY_1, duplicates: true, fields: [] }]);
+    expect(report.imperial.days[0]).toEqual(expect.objectContaining({ referenceCount: 1, comparedCount: 2 }));
+  });
+
+  it('uses the first --cluster as the reference and writes the report to --output', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reconcile-'));
+    const output = path.join(tempDir, 'reports', 'staging.md');
+    clusters.STAGING.imperial = [observation(DAY_1)];
+
+    const result = await runReconcile({ cluster: ['STAGING', 'PRODUCTION'], from: '2026-01-01', to: '2026-01-01', type: 'imperial', format: 'markdown', output });
+
+    expect(result.report.reference).toBe('STAGING');
+    expect(result.report.imperial.missing).toEqual([DAY_1]);
+    expect(fs.readFileSync(output, 'utf8')).toBe(result.rendered);
+    expect(result.rendered).toContain('## Reconciliation: PRODUCTION against STAGING');
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('compares the indices of the station passed with --station', async () => {
+    clusters.PRODUCTION.imperial = [observation(DAY_1)];
+
+    const { report, rendered } = await runReconcile({ ...args, type: 'imperial', station: '112233445566' });
+
+    expect(searchAllDocsByDateRange.mock.calls.map(call => call[1])).toEqual(['ambient_weather_112233445566_imperial_*', 'ambient_weather_112233445566_imperial_*']);
+    expect(getDocsByDateutc).not.toHaveBeenCalled();
+    expect(report).toEqual(expect.objectContaining({ station: '112233445566' }));
+    expect(report.imperial.missing).toEqual([DAY_1]);
+    expect(rendered).toContain('Reconciliation of 112233445566 on STAGING against PRODUCTION');
+  });
+
+  it('compares imperial and every unit profile of the stations config by default', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reconcile-profiles-'));
+    process.env.AW_STATIONS_CONFIG = path.join(tmpDir, 'stations.json');
+    fs.writeFileSync(process.env.AW_STATIONS_CONFIG, JSON.stringify({ profiles: ['metric', 'wmo'], stations: [{ slug: 'heiligers' }] }));
+    clusters.PRODUCTION.wmo = [observation(DAY_1)];
+
+    let result;
+    try {
+      result = await runReconcile(args);
+    } finally {
+      delete process.env.AW_STATIONS_CONFIG;
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    expect(result.status).toBe('out-of-sync');
+    expect(result.report.wmo.missing).toEqual([DAY_1]);
+    expect(result.report.imperial.inSync).toBe(true);
+    expect(result.rendered).toContain('wmo:');
+  });
+
+  it('returns an error result when a cluster request fails', async () => {
+    searchAllDocsByDateRange.mockImplementation(async function* () {
+      throw new Error('index_not_found_exception');
+    });
+
+    expect(await runReconcile(args)).toEqual({ status: 'error', error: 'index_not_found_exception' });
+  });
+
+  describe('checksums', () => {
+    it('does not depend on the order of the fields', () => {
+      expect(documentChecksum({ dateutc: 1, tempf: 70, nested: { a: 1, b: 2 } })).toBe(documentChecksum({ nested: { b: 2, a: 1 }, tempf: 70, dateutc: 1 }));
+      expect(documentChecksum({ dateutc: 1, tempf: 70 })).not.toBe(documentChecksum({ dateutc: 1, tempf: 70.1 }));
+    });
+
+    it('names fields that differ or only exist on one side', () => {
+      expect(differingFields({ dateutc: 1, tempf: 70, uv: 1 }, { dateutc: 1, tempf: 71, solarradiation: 3 })).toEqual(['solarradiation', 'tempf', 'uv']);
+    });
+
+    it('gives an empty day the same checksum on both sides', () => {
+      const result = compareChecksums(new Map(), new Map(), DAY_1, DAY_2);
+
+      expect(result.days).toEqual([{ day: '2026-01-01', referenceCount: 0, comparedCount: 0, referenceChecksum: '-', comparedChecksum: '-', missing: 0, extra: 0, differing: 0, match: true }]);
+      expect(result.inSync).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+const fs = require('file-system');
+const path = require('path');
+const Logger = require('../logger');
+const { FetchState } = require('../dataFetchers/FetchState');
+const { parseDataFileName, parseRecords } = require('../registry');
+const { readStationsConfig, findStation, stationDataKinds, stationDataDirectory, dataFileExtension } = require('../stations/stations');
+const { writeFileAtomic, isTempFile, TEMP_FILE_SUFFIX, DEFAULT_PROFILES } = require('../utils');
+const { rawRecord } = require('../converters/imperialDocuments');
+
+const recoveryLogger = new Logger('[recovery]');
+
+// file modification times can lag the clock by a timer tick: files modified just before a check are read again by the next
+const MTIME_SLACK_MS = 1000;
+
+/**
+ * Finds and repairs the data files an interrupted run left behind, for every station
+ * @param {object} cliArgs - Parsed CLI arguments from yargs ({ station, all, dryRun })
+ * station: slugs, defaults to every configured station
+ * all: check every file, not only the ones written since the last check
+ * @returns {object} - { status, dryRun, stations: [output of recoverStation] }
+ */
+async function runRecover(cliArgs) {
+  try {
+    const { stations: configured, profiles } = readStationsConfig();
+    const slugs = cliArgs.station
+      ? [].concat(cliArgs.station).map(slug => findStation(slug).slug)
+      : configured.map(station => station.slug);
+    const fetchState = new FetchState();
+    recoveryLogger.logInfo(`[${new Date().toISOString()}] Checking the data files of ${slugs.join(', ')}${cliArgs.dryRun ? ' (dry run)' : ''}...`);
+
+    const stations = slugs.map(slug => recoverStation(fs, slug, { fetchState, profiles, all: cliArgs.all, dryRun: cliArgs.dryRun }));
+    printStations(stations, cliArgs.dryRun);
+    return { status: cliArgs.dryRun ? 'dry-run' : 'success', dryRun: Boolean(cliArgs.dryRun), stations };
+  } catch (err) {
+    recoveryLogger.logError('[runRecover] [ERROR]', err);
+    return { status: 'error', error: err.message };
+  }
+}
+
+/**
+ * Finds and repairs the partial and orphaned files of a station. Data files are written to `<file>.tmp` and renamed
+ * into place, so an interrupted write leaves a temporary file behind; files written before that can be truncated.
+ * - a temporary file is moved into place when its file doesn't exist and it's complete, removed otherwise
+ * - a JSONL copy that can't be read or doesn't hold the records of its raw file is removed: the converters
+ *   convert the raw files without one on the next run
+ * - a raw file that can't be read is written again from its imperial JSONL copy when that one is complete
+ * - anything else that can't be read is moved to data/quarantine, the records it held are a gap for backfill
+ * Only the files modified since the station's last check are read, unless all is set
+ * @param {object} fs file system module
+ * @param {string} slug station slug
+ * @param {object} opts { fetchState: records when the station was checked, profiles: the unit profiles whose JSONL copies
+ *   to check (defaults to metric), dataDirectory = 'data', all, dryRun }
+ * @returns {object} { slug, checked, since, repairs: [{ file, problem, action }] }
+ */
+function recoverStation(fs, slug, { fetchState, profiles = DEFAULT_PROFILES, dataDirectory = 'data', all = false, dryRun = false }) {
+  const startedAt = Date.now();
+  const since = all ? null : fetchState?.station(slug)?.recoveryCheckedAt ?? null;
+  const kinds = stationDataKinds(profiles);
+  const directories = Object.fromEntries(kinds.map(kind => [kind, `${dataDirectory}/${stationDataDirectory(slug, kind)}`]));
+  const repairs = [];
+  const repair = (file, problem, action, change) => {
+    repairs.push({ file, problem, action });
+    recoveryLogger.logWarning(`[${slug}] ${file}: ${problem}, ${dryRun ? 'would be ' : ''}${action}`);
+    if (!dryRun) change();
+  };
+  const quarantine = (file, problem) => {
+    const destination = `${dataDirectory}/quarantine/${path.basename(path.dirname(file))}/${path.basename(file)}`;
+    const { from, to } = parseDataFileName(file);
+    const gap = from != null ? ` (records from ${new Date(from).toISOString()} to ${new Date(to).toISOString()} are missing, see npm run backfill)` : '';
+    repair(file, `${problem}${gap}`, `moved to ${destination}`, () => {
+      fs.mkdirSync(path.dirname(destination), { recursive: true });
+      fs.renameSync(file, destination);
+    });
+  };
+
+  // temporary files first: one that's moved into place is checked with the others
+  Object.entries(directories).forEach(([kind, directory]) => {
+    listFiles(fs, directory).filter(isTempFile).forEach((fileName) => {
+      const tempFile = `${directory}/${fileName}`;
+      const file = tempFile.slice(0, -TEMP_FILE_SUFFIX.length);
+      if (!file.endsWith(dataFileExtension(kind)) || fs.existsSync(file) || readRecords(fs, tempFile) === null) {
+        repair(tempFile, 'interrupted write', 'removed', () => fs.unlinkSync(tempFile));
+      } else {
+        repair(tempFile, 'interrupted before it was moved into place', `moved to ${file}`, () => fs.renameSync(tempFile, file));
+      }
+    });
+  });
+
+  const modified = file => since === null || fs.statSync(file).mtimeMs >= since - MTIME_SLACK_MS;
+  const dataFiles = kind => listFiles(fs, directories[kind]).filter(fileName => fileName.endsWith(dataFileExtension(kind)));
+  const baseNames = [...new Set(kinds.flatMap(kind => dataFiles(kind).map(fileName => parseDataFileName(fileName).baseName)))];
+  let checked = 0;
+
+  baseNames.forEach((baseName) => {
+    const files = Object.fromEntries(kinds.map((kind) => {
+      const file = `${directories[kind]}/${baseName}${dataFileExtension(kind)}`;
+      return [kind, fs.existsSync(file) ? file : null];
+    }));
+    if (!Object.values(files).some(file => file && modified(file))) return;
+    checked += 1;
+
+    const records = Object.fromEntries(Object.entries(files).map(([kind, file]) => [kind, file ? readRecords(fs, file) : null]));
+    const readable = kind => files[kind] && records[kind] !== null;
+
+    if (files.imperial && !readable('imperial')) {
+      if (readable('imperial-jsonl') && records['imperial-jsonl'].length > 0) {
+        // the raw file holds what the API returned, without the QC flags, rain and derived quantities of the JSONL lines
+        const raw = records['imperial-jsonl'].map(rawRecord);
+        repair(files.imperial, 'unreadable or empty', 'written again from its imperial JSONL copy', () => writeFileAtomic(fs, files.imperial, JSON.stringify(raw, null, 2)));
+        records.imperial = raw;
+      } else {
+        quarantine(files.imperial, 'unreadable or empty');
+        records.imperial = null;
+      }
+    }
+    kinds.filter(kind => kind !== 'imperial').forEach((kind) => {
+      if (!files[kind]) return;
+      if (records.imperial !== null) {
+        // a raw file without records converts to an empty file
+        const converted = records[kind] ?? [];
+        if (converted.length !== records.imperial.length) {
+          repair(files[kind], `holds ${converted.length} of the ${records.imperial.length} records of its raw file`, 'removed to be converted again', () => fs.unlinkSync(files[kind]));
+        }
+      } else if (!readable(kind)) {
+        quarantine(files[kind], 'unreadable or empty, without a raw file to convert it from');
+      }
+    });
+  });
+
+  if (!dryRun && fetchState) fetchState.recordRecoveryCheck(slug, startedAt);
+  recoveryLogger.logInfo(`[${slug}] ${checked} data files checked${since !== null ? ` (modified since ${new Date(since).toISOString()})` : ''}, ${repairs.length} repairs`);
+  return { slug, checked, since: since !== null ? new Date(since).toISOString() : null, repairs };
+}
+
+function listFiles(fs, directory) {
+  return fs.existsSync(directory) ? fs.readdirSync(directory) : [];
+}
+
+// the records of a file, null when it can't be read or is empty: every write leaves at least `[]` or a line
+function readRecords(fs, file) {
+  try {
+    const content = fs.readFileSync(file, 'utf8');
+    return content.trim().length > 0 ? parseRecords(content) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Print the repairs per station
+ * @param {array} stations - Output of recoverStation for every station
+ * @param {boolean} dryRun
+ */
+function printStations(stations, dryRun) {
+  if (process.env.NODE_ENV === 'test') return;
+  console.log('\n========================================');
+  console.log(`Data file recovery${dryRun ? ' (dry run)' : ''}:`);
+  console.log('========================================');
+  stations.forEach((station) => {
+    console.log(`${station.slug}: ${station.checked} files checked, ${station.repairs.length} repairs`);
+    station.repairs.forEach(({ file, problem, action }) => console.log(`    ${file}: ${problem} -> ${action}`));
+  });
+  console.log('========================================\n');
+}
+
+module.exports = { runRecover, recoverStation };
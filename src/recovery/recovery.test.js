@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runRecover, recoverStation } = require('./recovery');
+const { FetchState } = require('../dataFetchers/FetchState');
+const { convertToMetric, withDerivedFields } = require('../utils');
+
+describe('recovery', () => {
+  const FIVE_MINUTES = 5 * 60 * 1000;
+  const DAY = 24 * 60 * 60 * 1000;
+  const JAN_1 = Date.UTC(2026, 0, 1);
+  let tmpDir;
+  let dataDirectory;
+  let fetchState;
+
+  const records = (start, count) => Array.from({ length: count }, (_, i) => ({ dateutc: start + i * FIVE_MINUTES, tempf: 70 }));
+  const directory = kind => path.join(dataDirectory, `ambient-weather-heiligers-${kind}`);
+  const file = (kind, baseName) => path.join(directory(kind), `${baseName}${kind === 'imperial' ? '.json' : '.jsonl'}`);
+  const writeFetched = (data) => {
+    const baseName = `${data[0].dateutc}_${data[data.length - 1].dateutc}`;
+    fs.writeFileSync(file('imperial', baseName), JSON.stringify(data, null, 2));
+    // what the converters write: the QC flags, rain and derived quantities next to the raw values
+    fs.writeFileSync(file('imperial-jsonl', baseName), data.map(record => `${JSON.stringify(withDerivedFields({ ...record, qc: { flagged: false, range: [], step: [], persistence: [] }, rainin: null, rainrateinhr: null }))}\n`).join(''));
+    fs.writeFileSync(file('metric-jsonl', baseName), data.map(record => `${JSON.stringify(convertToMetric(withDerivedFields(record)))}\n`).join(''));
+    return baseName;
+  };
+  const recover = (opts = {}) => recoverStation(fs, 'heiligers', { fetchState, dataDirectory, ...opts });
+  const actions = result => result.repairs.map(({ file: repaired, action }) => [path.basename(repaired), action]);
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recovery-'));
+    dataDirectory = path.join(tmpDir, 'data');
+    ['imperial', 'imperial-jsonl', 'metric-jsonl'].forEach(kind => fs.mkdirSync(directory(kind), { recursive: true }));
+    fetchState = new FetchState({ filePath: path.join(tmpDir, 'state', 'fetch-state.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('changes nothing when every file is complete', () => {
+    writeFetched(records(JAN_1, 3));
+    const empty = `${JAN_1 + DAY}_${JAN_1 + DAY}`;
+    // a fetch without records converts to empty JSONL files
+    fs.writeFileSync(file('imperial', empty), '[]');
+    fs.writeFileSync(file('imperial-jsonl', empty), '');
+    fs.writeFileSync(file('metric-jsonl', empty), '');
+
+    const result = recover();
+
+    expect(result).toEqual({ slug: 'heiligers', checked: 2, since: null, repairs: [] });
+  });
+
+  it('moves a complete temporary file into place and removes the ones of files that were written', () => {
+    const baseName = writeFetched(records(JAN_1, 2));
+    fs.writeFileSync(`${file('metric-jsonl', baseName)}.tmp`, '{"dateutc":');
+    const unrenamed = `${JAN_1 + 2 * FIVE_MINUTES}_${JAN_1 + 2 * FIVE_MINUTES}`;
+    fs.writeFileSync(`${file('imperial', unrenamed)}.tmp`, JSON.stringify(records(JAN_1 + 2 * FIVE_MINUTES, 1)));
+
+    const result = recover();
+
+    expect(actions(result)).toEqual([
+      [`${unrenamed}.json.tmp`, `moved to ${file('imperial', unrenamed)}`],
+      [`${baseName}.jsonl.tmp`, 'removed']
+    ]);
+    expect(fs.readdirSync(directory('imperial'))).toEqual([`${baseName}.json`, `${unrenamed}.json`]);
+    expect(fs.readdirSync(directory('metric-jsonl'))).toEqual([`${baseName}.jsonl`]);
+  });
+
+  it('removes truncated JSONL copies so the converters write them again', () => {
+    const baseName = writeFetched(records(JAN_1, 3));
+    // cut off after a complete line: still valid JSON lines, one record short
+    fs.writeFileSync(file('imperial-jsonl', baseName), records(JAN_1, 2).map(record => `${JSON.stringify(record)}\n`).join(''));
+    fs.writeFileSync(file('metric-jsonl', baseName), '{"dateutc":');
+
+    const result = recover();
+
+    expect(result.repairs).toEqual([
+      { file: file('imperial-jsonl', baseName), problem: 'holds 2 of the 3 records of its raw file', action: 'removed to be converted again' },
+      { file: file('metric-jsonl', baseName), problem: 'holds 0 of the 3 records of its raw file', action: 'removed to be converted again' }
+    ]);
+    expect(fs.existsSync(file('imperial', baseName))).toBe(true);
+    expect(fs.existsSync(file('imperial-jsonl', baseName))).toBe(false);
+    expect(fs.existsSync(file('metric-jsonl', baseName))).toBe(false);
+  });
+
+  it('checks the JSONL copies of every unit profile', () => {
+    fs.mkdirSync(directory('wmo-jsonl'));
+    const baseName = writeFetched(records(JAN_1, 2));
+    fs.writeFileSync(file('wmo-jsonl', baseName), '{"dateutc":');
+
+    const result = recover({ profiles: ['metric', 'wmo'] });
+
+    expect(actions(result)).toEqual([[`${baseName}.jsonl`, 'removed to be converted again']]);
+    expect(fs.existsSync(file('wmo-jsonl', baseName))).toBe(false);
+    expect(fs.existsSync(file('metric-jsonl', baseName))).toBe(true);
+  });
+
+  it('writes a truncated raw file again from its imperial JSONL copy', () => {
+    const baseName = writeFetched(records(JAN_1, 3));
+    fs.writeFileSync(file('imperial', baseName), '[\n  {\n    "dateutc": 1');
+
+    const result = recover();
+
+    expect(actions(result)).toEqual([[`${baseName}.json`, 'written again from its imperial JSONL copy']]);
+    expect(JSON.parse(fs.readFileSync(file('imperial', baseName), 'utf8'))).toEqual(records(JAN_1, 3));
+  });
+
+  it('quarantines a raw file that cannot be repaired and reports the gap', () => {
+    const baseName = `${JAN_1}_${JAN_1 + FIVE_MINUTES}`;
+    fs.writeFileSync(file('imperial', baseName), '');
+
+    const result = recover();
+
+    expect(result.repairs).toEqual([{
+      file: file('imperial', baseName),
+      problem: 'unreadable or empty (records from 2026-01-01T00:00:00.000Z to 2026-01-01T00:05:00.000Z are missing, see npm run backfill)',
+      action: `moved to ${dataDirectory}/quarantine/ambient-weather-heiligers-imperial/${baseName}.json`
+    }]);
+    expect(fs.readdirSync(directory('imperial'))).toEqual([]);
+    expect(fs.readFileSync(path.join(dataDirectory, 'quarantine', 'ambient-weather-heiligers-imperial', `${baseName}.json`), 'utf8')).toBe('');
+  });
+
+  it('only reads the files modified since the last check', () => {
+    const old = writeFetched(records(JAN_1, 2));
+    recover();
+    expect(fetchState.station('heiligers').recoveryCheckedAt).toEqual(expect.any(Number));
+    // modified before the check: not read again
+    fs.writeFileSync(file('metric-jsonl', old), '{"dateutc":');
+    const checkedAt = fetchState.station('heiligers').recoveryCheckedAt;
+    ['imperial', 'imperial-jsonl', 'metric-jsonl'].forEach(kind => fs.utimesSync(file(kind, old), new Date(checkedAt - 60000), new Date(checkedAt - 60000)));
+    const recent = writeFetched(records(JAN_1 + 2 * FIVE_MINUTES, 2));
+    fs.writeFileSync(file('imperial-jsonl', recent), '');
+
+    const result = recover();
+
+    expect(result.checked).toBe(1);
+    expect(actions(result)).toEqual([[`${recent}.jsonl`, 'removed to be converted again']]);
+    expect(actions(recover({ all: true }))).toEqual([[`${old}.jsonl`, 'removed to be converted again']]);
+  });
+
+  it('changes nothing on a dry run', () => {
+    const baseName = writeFetched(records(JAN_1, 2));
+    fs.writeFileSync(file('metric-jsonl', baseName), '');
+    fs.writeFileSync(`${file('imperial', baseName)}.tmp`, '[');
+
+    const result = recover({ dryRun: true });
+
+    expect(result.repairs.length).toBe(2);
+    expect(fs.existsSync(`${file('imperial', baseName)}.tmp`)).toBe(true);
+    expect(fs.existsSync(file('metric-jsonl', baseName))).toBe(true);
+    expect(fetchState.station('heiligers')).toBeUndefined();
+  });
+
+  describe('runRecover', () => {
+    it('returns an error for an unknown station', async () => {
+      const result = await runRecover({ station: ['patio'], dryRun: true });
+
+      expect(result.status).toBe('error');
+      expect(result.error).toContain('Unknown station patio');
+    });
+  });
+});
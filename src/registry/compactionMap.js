@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../logger');
+const { writeFileAtomic } = require('../utils');
+
+const compactionMapLogger = new Logger('[CompactionMap]');
+
+const DEFAULT_COMPACTION_MAP_FILE = path.join(__dirname, '../../data/state/compaction-map.json');
+
+/**
+ * Which compaction map to use: AW_COMPACTION_MAP_FILE, else data/state/compaction-map.json
+ * @returns {string} path to the compaction map file
+ */
+function compactionMapFile() {
+  return process.env.AW_COMPACTION_MAP_FILE || DEFAULT_COMPACTION_MAP_FILE;
+}
+
+const emptyMap = () => ({ version: 1, stations: {} });
+
+/*
+ * Where the records of compacted data files went. Per station, every file name compaction removed maps to the
+ * daily files that hold its records now: { <old base name>: [<new base name>, ...] } (a file that spanned midnight
+ * went into two daily files). When a daily file is compacted again, the names that pointed to it follow it
+ * args:
+ * opts: { filePath = compactionMapFile() }
+ */
+class CompactionMap {
+  #filePath;
+  #map = null;
+  constructor({ filePath = compactionMapFile() } = {}) {
+    this.#filePath = filePath;
+  }
+  get filePath() {
+    return this.#filePath;
+  }
+  /**
+   * @param {string} slug station slug
+   * @returns {object} { <old base name>: [<new base name>, ...] } every compacted file of the station
+   */
+  station(slug) {
+    return this.#load().stations[slug] ?? {};
+  }
+  /**
+   * @param {string} slug station slug
+   * @param {string} baseName file name without its extension
+   * @returns {array} the names of the files that hold its records now: [baseName] when it wasn't compacted
+   */
+  resolve(slug, baseName) {
+    return this.station(slug)[baseName] ?? [baseName];
+  }
+  /**
+   * Records where the records of compacted files went, and points the names that mapped to them there too
+   * @param {string} slug station slug
+   * @param {object} moves { <old base name>: [<new base name>, ...] }
+   */
+  record(slug, moves) {
+    const current = this.station(slug);
+    const follow = names => [...new Set(names.flatMap(name => moves[name] ?? [name]))];
+    const updated = Object.fromEntries(Object.entries(current).map(([oldName, newNames]) => [oldName, follow(newNames)]));
+    Object.entries(moves).forEach(([oldName, newNames]) => {
+      updated[oldName] = newNames;
+    });
+    this.#load().stations[slug] = updated;
+    this.#save();
+  }
+
+  #load() {
+    if (this.#map) return this.#map;
+    this.#map = emptyMap();
+    if (!fs.existsSync(this.#filePath)) return this.#map;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.#filePath, 'utf8'));
+      if (parsed && typeof parsed.stations === 'object' && !Array.isArray(parsed.stations)) {
+        this.#map = { ...emptyMap(), ...parsed };
+      } else {
+        // don't start over: the next save would lose every mapping
+        throw new Error('no stations');
+      }
+    } catch (err) {
+      compactionMapLogger.logError(`[load] ${this.#filePath} can't be read, fix or move it before compacting:`, err.message);
+      throw err;
+    }
+    return this.#map;
+  }
+
+  // an interrupted write leaves the previous map, never half of one
+  #save() {
+    fs.mkdirSync(path.dirname(this.#filePath), { recursive: true });
+    writeFileAtomic(fs, this.#filePath, JSON.stringify(this.#map, null, 2));
+  }
+}
+
+module.exports = { CompactionMap, compactionMapFile };
@@ -1,6 +1,4 @@
-const Registry = require('./savedDataFilenamesRegistry');
+const { Registry, parseDataFileName, parseRecords, DATA_KINDS } = require('./savedDataFilenamesRegistry');
+const { recordsBefore, rawDataFiles } = require('./recordsBefore');
 
-const testRegistry = new Registry(fs = require('file-system'))
-const result = testRegistry.run();
-console.log('result:', result);
-module.exports = result;
+module.exports = { Registry, parseDataFileName, parseRecords, DATA_KINDS, recordsBefore, rawDataFiles };
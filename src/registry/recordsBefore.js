@@ -0,0 +1,46 @@
+const { parseDataFileName, parseRecords } = require('./savedDataFilenamesRegistry');
+
+const MINUTE = 60 * 1000;
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * The records of the window before a date, from the files before it: the QC checks and rain increments of a file's
+ * first readings need the readings before them. Only the files that end in the window are read
+ * @param {array} files [{ to, read }] to: last dateutc of the file, read: () => its records
+ * @param {number} dateutc epoch ms, the first reading to check
+ * @param {number} windowMinutes how far back to read
+ * @returns {array} records between dateutc - windowMinutes and dateutc, oldest first
+ */
+function recordsBefore(files, dateutc, windowMinutes) {
+  const start = dateutc - windowMinutes * MINUTE;
+  return files
+    .filter(({ to }) => isNumber(to) && to < dateutc && to >= start)
+    .sort((a, b) => b.to - a.to)
+    .flatMap(({ read }) => read())
+    .filter(record => isNumber(record?.dateutc) && record.dateutc >= start && record.dateutc < dateutc)
+    .sort((a, b) => a.dateutc - b.dateutc);
+}
+
+/**
+ * The raw files of a data directory as files for recordsBefore, with the dates their names claim. Files with names
+ * without dates are left out, a file that can't be read has no records
+ * @param {file-system} fs
+ * @param {string} directory e.g. data/ambient-weather-heiligers-imperial
+ * @param {array} baseNames the names of the raw files, without .json
+ * @returns {array} [{ baseName, to, read }]
+ */
+function rawDataFiles(fs, directory, baseNames) {
+  return baseNames.map(baseName => parseDataFileName(baseName)).filter(({ to }) => to !== null).map(({ baseName, to }) => ({
+    baseName,
+    to,
+    read: () => {
+      try {
+        return parseRecords(fs.readFileSync(`${directory}/${baseName}.json`, 'utf8'));
+      } catch (err) {
+        return [];
+      }
+    }
+  }));
+}
+
+module.exports = { recordsBefore, rawDataFiles };
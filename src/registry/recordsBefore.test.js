@@ -0,0 +1,46 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { recordsBefore, rawDataFiles } = require('./index');
+
+describe('history files', () => {
+  const FIVE_MINUTES = 5 * 60 * 1000;
+  const HOUR = 60 * 60 * 1000;
+  const JAN_1 = Date.UTC(2026, 0, 1);
+  const readings = (values, start = JAN_1) => values.map((value, i) => ({ dateutc: start + i * FIVE_MINUTES, ...value }));
+
+  describe('recordsBefore', () => {
+    it('reads the files that end in the window before a date', () => {
+      const read = jest.fn(() => readings([{ tempf: 1 }, { tempf: 2 }], JAN_1 + HOUR));
+      const old = jest.fn(() => readings([{ tempf: 0 }]));
+      const files = [{ to: JAN_1 + HOUR + FIVE_MINUTES, read }, { to: JAN_1, read: old }, { to: JAN_1 + 2 * HOUR, read: jest.fn() }];
+
+      expect(recordsBefore(files, JAN_1 + 2 * HOUR, 60)).toEqual(readings([{ tempf: 1 }, { tempf: 2 }], JAN_1 + HOUR));
+      expect(old).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rawDataFiles', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'records-before-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('lists the raw files with the dates of their names', () => {
+      fs.writeFileSync(path.join(tmpDir, `${JAN_1}_${JAN_1 + FIVE_MINUTES}.json`), JSON.stringify(readings([{ tempf: 1 }, { tempf: 2 }])));
+      fs.writeFileSync(path.join(tmpDir, 'broken_1.json'), '');
+
+      const files = rawDataFiles(fs, tmpDir, [`${JAN_1}_${JAN_1 + FIVE_MINUTES}`, 'broken_1', `${JAN_1 + HOUR}_${JAN_1 + HOUR}`]);
+
+      expect(files.map(({ to }) => to)).toEqual([JAN_1 + FIVE_MINUTES, JAN_1 + HOUR]);
+      expect(files[0].read()).toEqual(readings([{ tempf: 1 }, { tempf: 2 }]));
+      // gone since
+      expect(files[1].read()).toEqual([]);
+    });
+  });
+});
@@ -1,50 +1,229 @@
-const addToArray = (arrayToAddTo, itemToAdd) => {
-  return Array.isArray(itemToAdd) ? arrayToAddTo.concat(itemToAdd) : arrayToAddTo.concat([itemToAdd]);
-};
+const path = require('path');
+const Logger = require('../logger');
+const { DEFAULT_STATION, STATION_DATA_KINDS, stationDataKinds, stationDataDirectory, dataFileExtension } = require('../stations/stations');
+const { DEFAULT_PROFILES } = require('../utils/fieldMappings');
+const { CompactionMap } = require('./compactionMap');
 
+const registryLogger = new Logger('[Registry]');
+
+// the three copies of a data file: the raw JSON array and its two JSONL conversions (with the default unit profile)
+const DATA_KINDS = STATION_DATA_KINDS;
+
+/*
+ * Every file name format the data directories have used, with the dates the name claims.
+ * The names were never a reliable record of their content (the old timestamp names don't say which timezone they
+ * are in, backfill names are the documents either side of a gap), so they're only used to sort files that can't be read
+ */
+const FILE_NAME_FORMATS = [
+  {
+    // 20211231-T-1900_20211231-T-2125, 20200629-T-1201_1201 and 20200717-T-1055
+    format: 'timestamp',
+    pattern: /^(\d{8})-T-(\d{4})(?:_(?:(\d{8})-T-)?(\d{4}))?$/,
+    dates: ([, fromDay, fromTime, toDay, toTime]) => {
+      const from = timestampToEpoch(fromDay, fromTime);
+      if (!toTime) return { from, to: from };
+      const to = timestampToEpoch(toDay || fromDay, toTime);
+      // a time without a day is on the day of the first timestamp, or the next one when it's earlier
+      return { from, to: !toDay && to < from ? to + 24 * 60 * 60 * 1000 : to };
+    }
+  },
+  {
+    // backfill_1641684000000_1641752460000: the temporary files of a backfill from the API
+    format: 'backfill',
+    pattern: /^backfill_(\d+)_(\d+)$/,
+    dates: ([, from, to]) => ({ from: Number(from), to: Number(to) })
+  },
+  {
+    // 1641684000000_1641752460000: what FetchRawData writes
+    format: 'epoch-range',
+    pattern: /^(\d+)_(\d+)$/,
+    dates: ([, from, to]) => ({ from: Number(from), to: Number(to) })
+  },
+  {
+    // 1590176940000: single device readings
+    format: 'epoch',
+    pattern: /^(\d+)$/,
+    dates: ([, epoch]) => ({ from: Number(epoch), to: Number(epoch) })
+  }
+];
+
+function timestampToEpoch(day, time) {
+  return Date.UTC(Number(day.slice(0, 4)), Number(day.slice(4, 6)) - 1, Number(day.slice(6, 8)), Number(time.slice(0, 2)), Number(time.slice(2, 4)));
+}
+
+/**
+ * Parses a data file name in any of the formats the data directories have used
+ * @param {string} fileName file name with or without its .json/.jsonl extension
+ * @returns {object} { baseName, format, from, to }: format is one of timestamp, backfill, epoch-range, epoch or unknown,
+ * from and to are the epoch ms the name claims (null for unknown names, timestamps read as UTC)
+ * @example parseDataFileName('backfill_1641684000000_1641752460000.jsonl') // { baseName: 'backfill_1641684000000_1641752460000', format: 'backfill', from: 1641684000000, to: 1641752460000 }
+ */
+function parseDataFileName(fileName) {
+  const baseName = path.basename(fileName).replace(/\.jsonl?$/, '');
+  for (const { format, pattern, dates } of FILE_NAME_FORMATS) {
+    const match = baseName.match(pattern);
+    if (match) return { baseName, format, ...dates(match) };
+  }
+  return { baseName, format: 'unknown', from: null, to: null };
+}
+
+/**
+ * The records of a data file's content: a JSON array, JSON lines or a single device reading ({ macAddress, lastData })
+ * @param {string} content
+ * @returns {array} records
+ */
+function parseRecords(content) {
+  const text = content.toString().trim();
+  if (text.length === 0) return [];
+  if (text.startsWith('[')) return JSON.parse(text);
+  const lines = text.split('\n').filter(line => line.trim().length > 0);
+  if (lines.length > 1 && lines.every(line => line.trim().startsWith('{') && line.trim().endsWith('}'))) return lines.map(line => JSON.parse(line));
+  // one record, or a device reading pretty printed over several lines
+  const parsed = JSON.parse(text);
+  return [parsed.lastData ?? parsed];
+}
+
+/*
+ * Catalog of a station's local data files. Every file is listed once, by base name, with:
+ * - format, nameFrom, nameTo: what its name says (see parseDataFileName)
+ * - minDateutc, maxDateutc, records: what it actually holds, read from the raw JSON file (or the imperial JSONL when
+ *   there is no raw file any more). null when the file couldn't be read, see error
+ * - paths: { imperial, 'imperial-jsonl', 'metric-jsonl' } where each copy is, null when it doesn't exist. With other
+ *   unit profiles, the JSONL copy of each profile instead of 'metric-jsonl' (e.g. 'wmo-jsonl')
+ * - status: 'converted' (every copy), 'unconverted' (raw file without every JSONL copy) or 'jsonl-only'
+ * Backfill, archive-data and manual-index ask the catalog which files cover a range instead of listing directories,
+ * and the names of compacted files resolve to the daily files that replaced them (see resolve)
+ * args:
+ * fs: file system module
+ * opts: { slug = DEFAULT_STATION, dataDirectory = 'data', directories: { <kind>: directory } to override a kind's directory,
+ *   compactionMap = new CompactionMap(), profiles = DEFAULT_PROFILES: the unit profiles the station is converted to }
+ */
 class Registry {
-  #allFileNames = [];
-  #readAllFileNames = [];
-  #todoAllFileNames = [];
-  constructor(fs) {
-    this.fs = fs;
+  #fs;
+  #slug;
+  #profiles;
+  #kinds;
+  #directories;
+  #compactionMap;
+  #entries = null;
+  constructor(fs, { slug = DEFAULT_STATION, dataDirectory = 'data', directories = {}, compactionMap = new CompactionMap(), profiles = DEFAULT_PROFILES } = {}) {
+    this.#fs = fs;
+    this.#slug = slug;
+    this.#compactionMap = compactionMap;
+    this.#profiles = [...profiles];
+    this.#kinds = stationDataKinds(profiles);
+    this.#directories = Object.fromEntries(this.#kinds.map(kind => [kind, directories[kind] ?? `${dataDirectory}/${stationDataDirectory(slug, kind)}`]));
   }
-  get allFileNames() {
-    return this.#allFileNames
-  };
-  set allFileNames(files) {
-    this.#allFileNames = addToArray(this.#allFileNames, files)
+  get slug() {
+    return this.#slug;
   }
-  get readAllFileNames() {
-    return this.#readAllFileNames;
+  /**
+   * @returns {array} the unit profiles whose JSONL copies are cataloged
+   */
+  get profiles() {
+    return [...this.#profiles];
   }
-  set readAllFileNames(names) {
-    this.#readAllFileNames = addToArray(this.#readAllFileNames, names)
+  /**
+   * @returns {object} { imperial, 'imperial-jsonl', 'metric-jsonl' } the directory of each kind of file (a
+   * '<profile>-jsonl' directory per unit profile)
+   */
+  get directories() {
+    return { ...this.#directories };
   }
-  get todoAllFileNames() {
-    return this.#todoAllFileNames;
+  /**
+   * Every cataloged file, oldest first. Scans the directories the first time
+   * @returns {array} entries, see the class comment
+   */
+  get entries() {
+    return this.#entries ?? this.scan();
   }
-  set todoAllFileNames(names) {
-    this.#todoAllFileNames = this.allFileNames.filter(name => this.readAllFileNames.indexOf(name) === -1);
+  /**
+   * (Re)reads the data directories: lists the files of every kind and reads the dates of every file
+   * @returns {array} entries, oldest first
+   */
+  scan() {
+    const byBaseName = new Map();
+    this.#kinds.forEach((kind) => {
+      this.#listDirectory(kind).forEach((fileName) => {
+        const parsed = parseDataFileName(fileName);
+        if (!byBaseName.has(parsed.baseName)) byBaseName.set(parsed.baseName, { ...parsed, paths: Object.fromEntries(this.#kinds.map(k => [k, null])) });
+        byBaseName.get(parsed.baseName).paths[kind] = `${this.#directories[kind]}/${fileName}`;
+      });
+    });
+    this.#entries = [...byBaseName.values()].map(parsed => this.#catalog(parsed)).sort(byDate);
+    const unreadable = this.#entries.filter(entry => entry.error);
+    registryLogger.logInfo(`[scan] [${this.#slug}] ${this.#entries.length} data files${unreadable.length > 0 ? `, ${unreadable.length} unreadable` : ''}`);
+    return this.#entries;
   }
-
-  retrieveAllFileNames(pathToFolder = 'ambient-weather-heiligers-imperial') {
-    const directoryPath = `data/${pathToFolder}`;
-    const files = this.fs.readdirSync(directoryPath);
-    this.allFileNames = files;
-    return this.allFileNames;
+  /**
+   * @param {string} baseName file name without its extension
+   * @returns {object | undefined} the file's entry
+   */
+  entry(baseName) {
+    return this.entries.find(entry => entry.baseName === baseName);
+  }
+  /**
+   * The files that hold a file's records now: the file itself, or the daily files it was compacted into
+   * @param {string} baseName file name without its extension, of a file on disk or one that was compacted
+   * @returns {array} entries, empty when none of the files are on disk
+   */
+  resolve(baseName) {
+    return this.#compactionMap.resolve(this.#slug, baseName).map(name => this.entry(name)).filter(Boolean);
+  }
+  /**
+   * Which files hold records between start and end (inclusive). Files that couldn't be read are left out
+   * @param {number} start epoch ms
+   * @param {number} end epoch ms
+   * @returns {array} entries, oldest first
+   */
+  filesCovering(start, end) {
+    return this.entries.filter(entry => entry.records > 0 && entry.minDateutc <= end && entry.maxDateutc >= start);
+  }
+  /**
+   * Files whose records are all older than a date. Files that couldn't be read are left out
+   * @param {number} dateutc epoch ms
+   * @returns {array} entries, oldest first
+   */
+  filesBefore(dateutc) {
+    return this.entries.filter(entry => entry.records > 0 && entry.maxDateutc < dateutc);
+  }
+  /**
+   * Reads the records of one copy of a file
+   * @param {object} entry a cataloged file
+   * @param {string} kind imperial (default), imperial-jsonl or the JSONL kind of a unit profile (metric-jsonl)
+   * @returns {array} records, empty when the file has no copy of that kind
+   */
+  readRecords(entry, kind = 'imperial') {
+    if (!entry.paths[kind]) return [];
+    return parseRecords(this.#fs.readFileSync(entry.paths[kind], 'utf8'));
   }
 
-  retrieveFileNamesForCount(count = 10, year = '2022') {
-    const filesForYear = this.allFileNames.filter(fileName => fileName.split('-T-')[0].startsWith(year));
-    return filesForYear.filter((entry, index) => index < count);
+  #listDirectory(kind) {
+    const directory = this.#directories[kind];
+    if (!this.#fs.existsSync(directory)) return [];
+    return this.#fs.readdirSync(directory).filter(fileName => fileName.endsWith(dataFileExtension(kind)));
   }
 
-  run = () => {
-    this.retrieveAllFileNames();
-    const requiredStuff = this.retrieveFileNamesForCount(10, '2021')
-    return requiredStuff;
+  #catalog({ baseName, format, from, to, paths }) {
+    const status = !paths.imperial ? 'jsonl-only' : (Object.values(paths).every(Boolean) ? 'converted' : 'unconverted');
+    const entry = { baseName, format, nameFrom: from, nameTo: to, minDateutc: null, maxDateutc: null, records: null, paths, status };
+    try {
+      const dates = this.readRecords(entry, paths.imperial ? 'imperial' : 'imperial-jsonl').map(record => record.dateutc).filter(Number.isFinite);
+      return {
+        ...entry,
+        // reduce, not Math.min(...dates): a file can hold more dates than there's room for function arguments
+        minDateutc: dates.length > 0 ? dates.reduce((min, dateutc) => Math.min(min, dateutc)) : null,
+        maxDateutc: dates.length > 0 ? dates.reduce((max, dateutc) => Math.max(max, dateutc)) : null,
+        records: dates.length
+      };
+    } catch (err) {
+      registryLogger.logWarning(`[scan] [${this.#slug}] can't read ${baseName}:`, err.message);
+      return { ...entry, error: err.message };
+    }
   }
 }
 
-module.exports = Registry
+// by the dates in the file, else the dates in its name, then by name; files without any date first
+const byDate = (a, b) => ((a.minDateutc ?? a.nameFrom ?? -Infinity) - (b.minDateutc ?? b.nameFrom ?? -Infinity)) || a.baseName.localeCompare(b.baseName);
+
+module.exports = { Registry, parseDataFileName, parseRecords, DATA_KINDS };
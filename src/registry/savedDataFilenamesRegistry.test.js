@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Registry, parseDataFileName, parseRecords } = require('./index');
+
+describe('Registry', () => {
+  const FIVE_MINUTES = 5 * 60 * 1000;
+  const DAY = Date.UTC(2022, 0, 1);
+  let dataDirectory;
+
+  const records = (start, count) => Array.from({ length: count }, (_, i) => ({ dateutc: start + i * FIVE_MINUTES, tempf: 70 }));
+  const write = (kind, fileName, content) => {
+    const directory = path.join(dataDirectory, `ambient-weather-heiligers-${kind}`);
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(path.join(directory, fileName), content);
+  };
+  const writeJson = (baseName, data) => write('imperial', `${baseName}.json`, JSON.stringify(data));
+  const writeJsonl = (kind, baseName, data) => write(kind, `${baseName}.jsonl`, data.map(record => JSON.stringify(record)).join('\n'));
+
+  beforeEach(() => {
+    dataDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDirectory, { recursive: true, force: true });
+  });
+
+  describe('parseDataFileName', () => {
+    it('parses every file name format', () => {
+      expect(parseDataFileName('20211231-T-1900_20211231-T-2125.json')).toEqual({
+        baseName: '20211231-T-1900_20211231-T-2125', format: 'timestamp', from: Date.UTC(2021, 11, 31, 19), to: Date.UTC(2021, 11, 31, 21, 25)
+      });
+      expect(parseDataFileName('1641684000000_1641752460000.jsonl')).toEqual({
+        baseName: '1641684000000_1641752460000', format: 'epoch-range', from: 1641684000000, to: 1641752460000
+      });
+      expect(parseDataFileName('data/x/backfill_1641684000000_1641752460000.jsonl')).toEqual({
+        baseName: 'backfill_1641684000000_1641752460000', format: 'backfill', from: 1641684000000, to: 1641752460000
+      });
+      expect(parseDataFileName('1590176940000.json')).toEqual({ baseName: '1590176940000', format: 'epoch', from: 1590176940000, to: 1590176940000 });
+      expect(parseDataFileName('device.json')).toEqual({ baseName: 'device', format: 'unknown', from: null, to: null });
+    });
+
+    it('parses the short timestamp names', () => {
+      expect(parseDataFileName('20200717-T-1055.json')).toEqual(expect.objectContaining({ from: Date.UTC(2020, 6, 17, 10, 55), to: Date.UTC(2020, 6, 17, 10, 55) }));
+      expect(parseDataFileName('20200629-T-1201_1301')).toEqual(expect.objectContaining({ from: Date.UTC(2020, 5, 29, 12, 1), to: Date.UTC(2020, 5, 29, 13, 1) }));
+      // a time earlier than the first one is on the next day
+      expect(parseDataFileName('20200629-T-2300_0100').to).toBe(Date.UTC(2020, 5, 30, 1));
+    });
+  });
+
+  describe('parseRecords', () => {
+    it('reads JSON arrays, JSON lines and device readings', () => {
+      expect(parseRecords('[{"dateutc":1},{"dateutc":2}]')).toEqual([{ dateutc: 1 }, { dateutc: 2 }]);
+      expect(parseRecords('{"dateutc":1}\n{"dateutc":2}\n')).toEqual([{ dateutc: 1 }, { dateutc: 2 }]);
+      expect(parseRecords('{"dateutc":1}')).toEqual([{ dateutc: 1 }]);
+      expect(parseRecords(JSON.stringify({ macAddress: 'F4:CF:A2:CD:9B:12', lastData: { dateutc: 3 } }, null, 2))).toEqual([{ dateutc: 3 }]);
+      expect(parseRecords('')).toEqual([]);
+    });
+  });
+
+  it('catalogs every file once with the dates, count and conversion status read from its records', () => {
+    const raw = records(DAY, 3);
+    writeJson('20220101-T-0000_20220101-T-0010', raw);
+    writeJsonl('imperial-jsonl', '20220101-T-0000_20220101-T-0010', raw);
+    writeJsonl('metric-jsonl', '20220101-T-0000_20220101-T-0010', raw);
+    // the name is a day off, the records decide
+    writeJson(`${DAY}_${DAY + 2 * FIVE_MINUTES}`, records(DAY + 86400000, 2));
+    writeJsonl('imperial-jsonl', `backfill_${DAY - FIVE_MINUTES}_${DAY + 86400000}`, records(DAY + 3 * FIVE_MINUTES, 4));
+    write('imperial', '.DS_Store', '');
+
+    const registry = new Registry(fs, { dataDirectory });
+
+    expect(registry.entries.map(({ baseName, format, minDateutc, maxDateutc, records: count, status }) => ({ baseName, format, minDateutc, maxDateutc, count, status }))).toEqual([
+      { baseName: '20220101-T-0000_20220101-T-0010', format: 'timestamp', minDateutc: DAY, maxDateutc: DAY + 2 * FIVE_MINUTES, count: 3, status: 'converted' },
+      { baseName: `backfill_${DAY - FIVE_MINUTES}_${DAY + 86400000}`, format: 'backfill', minDateutc: DAY + 3 * FIVE_MINUTES, maxDateutc: DAY + 6 * FIVE_MINUTES, count: 4, status: 'jsonl-only' },
+      { baseName: `${DAY}_${DAY + 2 * FIVE_MINUTES}`, format: 'epoch-range', minDateutc: DAY + 86400000, maxDateutc: DAY + 86400000 + FIVE_MINUTES, count: 2, status: 'unconverted' }
+    ]);
+    expect(registry.entry('20220101-T-0000_20220101-T-0010').paths).toEqual({
+      imperial: `${dataDirectory}/ambient-weather-heiligers-imperial/20220101-T-0000_20220101-T-0010.json`,
+      'imperial-jsonl': `${dataDirectory}/ambient-weather-heiligers-imperial-jsonl/20220101-T-0000_20220101-T-0010.jsonl`,
+      'metric-jsonl': `${dataDirectory}/ambient-weather-heiligers-metric-jsonl/20220101-T-0000_20220101-T-0010.jsonl`
+    });
+  });
+
+  it('answers which files cover a time range and which are older than a date', () => {
+    writeJson('1641000000000_1641000600000', records(DAY, 3));
+    writeJson('20220102-T-0000_20220102-T-0010', records(DAY + 86400000, 3));
+    writeJson('empty', []);
+
+    const registry = new Registry(fs, { dataDirectory });
+    const baseNames = entries => entries.map(entry => entry.baseName);
+
+    expect(baseNames(registry.filesCovering(DAY + 2 * FIVE_MINUTES, DAY + 86400000))).toEqual(['1641000000000_1641000600000', '20220102-T-0000_20220102-T-0010']);
+    expect(baseNames(registry.filesCovering(DAY + 3 * FIVE_MINUTES, DAY + 86400000 - 1))).toEqual([]);
+    expect(baseNames(registry.filesBefore(DAY + 86400000))).toEqual(['1641000000000_1641000600000']);
+    expect(registry.readRecords(registry.entry('1641000000000_1641000600000'))).toEqual(records(DAY, 3));
+    expect(registry.readRecords(registry.entry('1641000000000_1641000600000'), 'metric-jsonl')).toEqual([]);
+  });
+
+  it('keeps files that cannot be read, without dates, and leaves them out of the queries', () => {
+    write('imperial', '1641000000000_1641000600000.json', '[{"dateutc": 16410');
+
+    const registry = new Registry(fs, { dataDirectory });
+
+    expect(registry.entries).toEqual([expect.objectContaining({ baseName: '1641000000000_1641000600000', minDateutc: null, records: null, error: expect.any(String) })]);
+    expect(registry.filesCovering(0, Infinity)).toEqual([]);
+  });
+
+  it('reads the directories of other stations and single device readings', () => {
+    const devices = path.join(dataDirectory, 'device');
+    fs.mkdirSync(devices);
+    fs.writeFileSync(path.join(devices, '1590176940000.json'), JSON.stringify({ macAddress: 'F4:CF:A2:CD:9B:12', lastData: { dateutc: 1590176940000 } }, null, 2));
+
+    expect(new Registry(fs, { slug: 'patio', dataDirectory }).directories.imperial).toBe(`${dataDirectory}/ambient-weather-patio-imperial`);
+    expect(new Registry(fs, { slug: 'patio', dataDirectory }).entries).toEqual([]);
+    expect(new Registry(fs, { dataDirectory, directories: { imperial: devices } }).entries).toEqual([
+      expect.objectContaining({ baseName: '1590176940000', format: 'epoch', minDateutc: 1590176940000, maxDateutc: 1590176940000, records: 1 })
+    ]);
+  });
+
+  it('only scans again when asked to', () => {
+    writeJson('1641000000000_1641000600000', records(DAY, 1));
+    const registry = new Registry(fs, { dataDirectory });
+    expect(registry.entries).toHaveLength(1);
+
+    writeJson('1641000600000_1641001200000', records(DAY + FIVE_MINUTES, 1));
+
+    expect(registry.entries).toHaveLength(1);
+    expect(registry.scan()).toHaveLength(2);
+  });
+});
@@ -0,0 +1,110 @@
+const moment = require('moment-timezone');
+const Logger = require('../logger');
+const IndexData = require('../dataIndexers/Indexer');
+const { createEsClient } = require('../dataIndexers/esClient');
+const { selectClusterTargets, multiClusterResult } = require('../dataIndexers/clusterTargets');
+const { streamBulkBatches } = require('../../main_utils');
+const { readStationsConfig, findStation } = require('../stations/stations');
+
+const reindexLogger = new Logger('[reindex]');
+
+/**
+ * Re-indexes every local JSONL file (or only the records after a date) into one or more clusters.
+ * Files are streamed in batches so a multi-year run never holds more than one batch in memory
+ * @param {object} cliArgs - Parsed CLI arguments from yargs ({ cluster, all, prod, staging, both, type, after, sinceLatest, batchDocs, station })
+ * station: slugs of the stations whose files to re-index, every station in the stations config when not set
+ * @returns {object} - Result of the re-index, see multiClusterResult for several clusters or stations
+ */
+async function runReindex(cliArgs) {
+  try {
+    const clusters = selectClusterTargets(cliArgs);
+    if (clusters.length === 0) {
+      return { status: 'error', error: 'Must specify --prod, --staging, or --both (or --cluster <name>, --all)' };
+    }
+
+    let afterDate = null;
+    if (cliArgs.after) {
+      const parsed = moment.tz(cliArgs.after, 'YYYY-MM-DD', 'UTC');
+      if (!parsed.isValid()) {
+        return { status: 'error', error: `Invalid date format. Use YYYY-MM-DD. After: ${cliArgs.after}` };
+      }
+      afterDate = parsed.valueOf();
+    }
+
+    const config = readStationsConfig();
+    let stations;
+    try {
+      stations = (cliArgs.station ? [].concat(cliArgs.station) : config.stations.map(station => station.slug)).map(slug => findStation(slug, config));
+    } catch (err) {
+      return { status: 'error', error: err.message };
+    }
+
+    // imperial and the unit profiles of the stations config
+    const dataTypes = cliArgs.type ? [cliArgs.type] : ['imperial', ...config.profiles];
+    reindexLogger.logInfo(`[${new Date().toISOString()}] Starting re-index of ${dataTypes.join(', ')} data for ${stations.map(station => station.slug).join(', ')}...`);
+
+    const results = [];
+    for (const { cluster, clusterName } of clusters) {
+      for (const station of stations) {
+        results.push({ ...await reindexSingleCluster(cluster, clusterName, dataTypes, afterDate, { ...cliArgs, station }), station: station.slug });
+      }
+    }
+    return results.length === 1 ? results[0] : multiClusterResult(results);
+  } catch (err) {
+    reindexLogger.logError('[runReindex] [ERROR]', err);
+    return { status: 'error', error: err.message };
+  }
+}
+
+/**
+ * Stream each data type's files of a station into a single cluster
+ * @param {string} cluster - Cluster name from the clusters config
+ * @param {string} clusterName - Display name for cluster
+ * @param {array} dataTypes - 'imperial' and the unit profiles ('metric', ...), or one of them
+ * @param {number|null} afterDate - only records after this epoch ms, null for all of them
+ * @param {object} options - { sinceLatest, batchDocs, station } station as returned by findStation
+ * @returns {object} - Re-index result for the cluster
+ */
+async function reindexSingleCluster(cluster, clusterName, dataTypes, afterDate, { sinceLatest = false, batchDocs, station } = {}) {
+  try {
+    const indexer = new IndexData(createEsClient(cluster), { clusterName, station: station.slug });
+    const initResult = await indexer.initialize();
+    if (initResult.outcome !== 'success') {
+      reindexLogger.logError(`[${clusterName}] Indexer initialization failed:`, initResult);
+      return { status: 'error', cluster: clusterName, error: 'Indexer initialization failed' };
+    }
+
+    const types = {};
+    for (const dataType of dataTypes) {
+      // --since-latest: same filter main uses, only what this cluster doesn't have yet. The other unit profiles are
+      // indexed with the imperial documents, they go by the latest imperial one
+      const filterAfterDate = sinceLatest
+        ? (dataType === 'metric' ? indexer.dateOflatestIndexedMetricDoc : indexer.dateOflatestIndexedImperialDoc)
+        : afterDate;
+      reindexLogger.logInfo(`[${clusterName}] Streaming ${dataType} files${filterAfterDate != null ? ` (records newer than ${new Date(filterAfterDate).toISOString()})` : ''}...`);
+
+      const batches = streamBulkBatches({ dataType, filterAfterDate, ...(batchDocs ? { maxBatchDocs: batchDocs } : {}), station });
+      const result = await indexer.bulkIndexBatches(batches, dataType, {
+        onProgress: progress => reindexLogger.logInfo(
+          `[${clusterName}] [${dataType}] file ${progress.filesRead}/${progress.filesTotal} (${progress.currentFile}): ${progress.linesRead} read, ${progress.skipped} skipped, ${progress.indexed} indexed, ${progress.errored} failed`
+        )
+      });
+      types[dataType] = {
+        batches: result.batches,
+        indexed: result.indexed,
+        retried: result.retried,
+        errors: result.erroredDocuments.length,
+        totalDocs: result.indexCounts.count
+      };
+      reindexLogger.logInfo(`[${clusterName}] ${dataType} re-index complete`, types[dataType]);
+    }
+
+    const errors = Object.values(types).reduce((sum, type) => sum + type.errors, 0);
+    return { status: errors > 0 ? 'partial' : 'success', cluster: clusterName, ...types };
+  } catch (err) {
+    reindexLogger.logError(`[${clusterName}] [reindexSingleCluster] ERROR:`, err);
+    return { status: 'error', cluster: clusterName, error: err.message };
+  }
+}
+
+module.exports = { runReindex };
@@ -0,0 +1,119 @@
+jest.mock('../dataIndexers/esClient', () => ({
+  createEsClient: jest.fn()
+}));
+
+const mockIndexer = {
+  initialize: jest.fn(),
+  bulkIndexBatches: jest.fn(),
+  dateOflatestIndexedImperialDoc: 1704067200000,
+  dateOflatestIndexedMetricDoc: 1704070800000
+};
+jest.mock('../dataIndexers/Indexer', () => jest.fn(() => mockIndexer));
+jest.mock('../../main_utils', () => ({
+  streamBulkBatches: jest.fn(() => 'batches')
+}));
+
+const { runReindex } = require('./reindex');
+const { createEsClient } = require('../dataIndexers/esClient');
+const IndexData = require('../dataIndexers/Indexer');
+const { streamBulkBatches } = require('../../main_utils');
+
+describe('reindex', () => {
+  // the station of the default stations config
+  const heiligers = expect.objectContaining({ slug: 'heiligers', timezone: 'America/Phoenix' });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    createEsClient.mockReturnValue({ name: 'client' });
+    mockIndexer.initialize.mockResolvedValue({ outcome: 'success' });
+    mockIndexer.bulkIndexBatches.mockResolvedValue({ indexCounts: { count: 10 }, erroredDocuments: [], indexed: 10, retried: 0, chunks: 1, batches: 1 });
+  });
+
+  it('returns error when no cluster is specified', async () => {
+    const result = await runReindex({});
+
+    expect(result.status).toBe('error');
+    expect(result.error).toContain('--prod');
+  });
+
+  it('returns error for an invalid --after date', async () => {
+    const result = await runReindex({ prod: true, after: 'last tuesday' });
+
+    expect(result.status).toBe('error');
+    expect(result.error).toContain('YYYY-MM-DD');
+  });
+
+  it('streams every file of both types of the configured stations into the cluster', async () => {
+    const result = await runReindex({ staging: true });
+
+    expect(IndexData).toHaveBeenCalledWith({ name: 'client' }, { clusterName: 'STAGING', station: 'heiligers' });
+    expect(streamBulkBatches).toHaveBeenCalledWith({ dataType: 'imperial', filterAfterDate: null, station: heiligers });
+    expect(streamBulkBatches).toHaveBeenCalledWith({ dataType: 'metric', filterAfterDate: null, station: heiligers });
+    expect(mockIndexer.bulkIndexBatches).toHaveBeenCalledWith('batches', 'imperial', { onProgress: expect.any(Function) });
+    expect(result).toEqual(expect.objectContaining({
+      status: 'success',
+      cluster: 'STAGING',
+      station: 'heiligers',
+      metric: { batches: 1, indexed: 10, retried: 0, errors: 0, totalDocs: 10 }
+    }));
+  });
+
+  it('filters on --after and sizes batches with --batch-docs', async () => {
+    await runReindex({ prod: true, type: 'metric', after: '2025-01-01', batchDocs: 250 });
+
+    expect(streamBulkBatches).toHaveBeenCalledTimes(1);
+    expect(streamBulkBatches).toHaveBeenCalledWith({ dataType: 'metric', filterAfterDate: Date.UTC(2025, 0, 1), maxBatchDocs: 250, station: heiligers });
+  });
+
+  it('only sends what each cluster is missing with --since-latest', async () => {
+    await runReindex({ prod: true, sinceLatest: true });
+
+    expect(streamBulkBatches).toHaveBeenCalledWith({ dataType: 'imperial', filterAfterDate: 1704067200000, station: heiligers });
+    expect(streamBulkBatches).toHaveBeenCalledWith({ dataType: 'metric', filterAfterDate: 1704070800000, station: heiligers });
+  });
+
+  it("re-indexes a station's own files into its own indices with --station", async () => {
+    const station = { macAddress: 'aabbccddee01', slug: 'aabbccddee01', name: 'aabbccddee01' };
+
+    await runReindex({ prod: true, type: 'metric', station: 'aabbccddee01' });
+
+    expect(IndexData).toHaveBeenCalledWith({ name: 'client' }, { clusterName: 'PRODUCTION', station: 'aabbccddee01' });
+    expect(streamBulkBatches).toHaveBeenCalledWith({ dataType: 'metric', filterAfterDate: null, station });
+  });
+
+  it('re-indexes every station passed with --station, one result each', async () => {
+    const result = await runReindex({ prod: true, type: 'metric', station: ['heiligers', 'aabbccddee01'] });
+
+    expect(IndexData).toHaveBeenCalledWith({ name: 'client' }, { clusterName: 'PRODUCTION', station: 'heiligers' });
+    expect(IndexData).toHaveBeenCalledWith({ name: 'client' }, { clusterName: 'PRODUCTION', station: 'aabbccddee01' });
+    expect(result).toEqual(expect.objectContaining({ status: 'success', mode: 'multi-cluster' }));
+    expect(result.results.map(r => [r.cluster, r.station])).toEqual([['PRODUCTION', 'heiligers'], ['PRODUCTION', 'aabbccddee01']]);
+  });
+
+  it('returns error for an unknown station', async () => {
+    const result = await runReindex({ prod: true, station: 'patio' });
+
+    expect(result.status).toBe('error');
+    expect(result.error).toContain('Unknown station patio');
+    expect(createEsClient).not.toHaveBeenCalled();
+  });
+
+  it('reports partial when documents failed', async () => {
+    mockIndexer.bulkIndexBatches.mockResolvedValue({ indexCounts: { count: 9 }, erroredDocuments: [{ status: 400 }], indexed: 9, retried: 0, chunks: 1, batches: 1 });
+
+    const result = await runReindex({ prod: true, type: 'imperial' });
+
+    expect(result.status).toBe('partial');
+    expect(result.imperial.errors).toBe(1);
+  });
+
+  it('returns an error result when the indexer cannot initialize', async () => {
+    mockIndexer.initialize.mockResolvedValue({ outcome: 'error: no currentIndices found or non returned' });
+
+    const result = await runReindex({ both: true });
+
+    expect(result).toEqual(expect.objectContaining({ status: 'error', mode: 'multi-cluster', failed: ['PRODUCTION', 'STAGING'] }));
+    expect(result.results.map(r => r.status)).toEqual(['error', 'error']);
+    expect(mockIndexer.bulkIndexBatches).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const { UNIT_PROFILES, DEFAULT_PROFILES } = require('../utils/fieldMappings');
+const { isTimezone, HEMISPHERES } = require('../utils/localTime');
+
+const CONFIG_DIR = path.join(__dirname, '../../config');
+const LOCAL_STATIONS_FILE = path.join(CONFIG_DIR, 'stations.json'); // not committed, per machine
+const DEFAULT_STATIONS_FILE = path.join(CONFIG_DIR, 'stations.default.json');
+
+// the original station: its directories, indices and aliases keep the names they've always had
+const DEFAULT_STATION = 'heiligers';
+const SLUG_PATTERN = /^[a-z0-9_]+$/;
+/**
+ * all: every device on the Ambient Weather account, listed or not
+ * listed: only the stations in the config
+ */
+const FETCH_MODES = ['all', 'listed'];
+
+/**
+ * Which stations file to use: AW_STATIONS_CONFIG, else config/stations.json, else config/stations.default.json
+ * @returns {string} path to the stations file
+ */
+function stationsConfigFile() {
+  if (process.env.AW_STATIONS_CONFIG) return process.env.AW_STATIONS_CONFIG;
+  return fs.existsSync(LOCAL_STATIONS_FILE) ? LOCAL_STATIONS_FILE : DEFAULT_STATIONS_FILE;
+}
+
+const normalizeMac = macAddress => `${macAddress ?? ''}`.toLowerCase().replace(/[^0-9a-f]/g, '');
+
+/**
+ * @param {string} macAddress e.g. 'AA:BB:CC:DD:EE:FF'
+ * @returns {string} slug for a station that isn't in the config, e.g. 'aabbccddeeff'
+ */
+const slugFromMac = macAddress => normalizeMac(macAddress);
+
+/**
+ * Reads and validates the stations config. "${ENV_VAR}" mac addresses are resolved from the environment,
+ * a station whose variable isn't set keeps an undefined macAddress.
+ * "profiles" are the unit profiles every station is converted to and indexed in (see src/utils/fieldMappings.js)
+ * A station's "timezone" is the one of its readings without a tz, its "hemisphere" ('north' unless configured, or
+ * 'south') the one of their seasons (see src/utils/localTime.js)
+ * @param {string} filePath defaults to stationsConfigFile()
+ * @returns {object} { fetch, profiles, stations: [{ macAddress, slug, name, timezone, hemisphere }] }
+ * @example
+ * readStationsConfig()
+ * // { fetch: 'all', profiles: ['metric'], stations: [{ macAddress: 'AA:BB:CC:DD:EE:FF', slug: 'heiligers', name: undefined, timezone: 'America/Phoenix', hemisphere: undefined }] }
+ */
+function readStationsConfig(filePath = stationsConfigFile()) {
+  const { fetch = 'all', profiles = DEFAULT_PROFILES, stations = [] } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!FETCH_MODES.includes(fetch)) {
+    throw new Error(`${filePath}: "fetch" is "${fetch}", expected one of ${FETCH_MODES.join(', ')}`);
+  }
+  if (!Array.isArray(profiles) || profiles.length === 0) {
+    throw new Error(`${filePath}: "profiles" must be a list of at least one unit profile`);
+  }
+  const unknownProfile = profiles.find(profile => !Object.prototype.hasOwnProperty.call(UNIT_PROFILES, profile));
+  if (unknownProfile !== undefined) {
+    throw new Error(`${filePath}: unit profile "${unknownProfile}" is unknown, expected one of ${Object.keys(UNIT_PROFILES).join(', ')}`);
+  }
+  if (!Array.isArray(stations)) {
+    throw new Error(`${filePath}: "stations" must be a list`);
+  }
+  const seenSlugs = new Set();
+  const resolved = stations.map((station) => {
+    if (!station.slug || !SLUG_PATTERN.test(station.slug)) {
+      throw new Error(`${filePath}: station slug "${station.slug}" must be lowercase letters, digits and underscores (it is used in index names)`);
+    }
+    if (seenSlugs.has(station.slug)) {
+      throw new Error(`${filePath}: station slug ${station.slug} is used more than once`);
+    }
+    seenSlugs.add(station.slug);
+    if (station.timezone !== undefined && !isTimezone(station.timezone)) {
+      throw new Error(`${filePath}: the timezone "${station.timezone}" of ${station.slug} is unknown, expected an IANA name like America/Phoenix`);
+    }
+    if (station.hemisphere !== undefined && !HEMISPHERES.includes(station.hemisphere)) {
+      throw new Error(`${filePath}: the hemisphere of ${station.slug} is "${station.hemisphere}", expected one of ${HEMISPHERES.join(', ')}`);
+    }
+    const envReference = `${station.macAddress ?? ''}`.match(/^\$\{(\w+)\}$/);
+    const macAddress = envReference ? process.env[envReference[1]] : station.macAddress;
+    return { macAddress: macAddress || undefined, slug: station.slug, name: station.name, timezone: station.timezone, hemisphere: station.hemisphere };
+  });
+  if (fetch === 'listed' && resolved.length === 0) {
+    throw new Error(`${filePath}: "fetch": "listed" needs at least one station`);
+  }
+  return { fetch, profiles: [...new Set(profiles)], stations: resolved };
+}
+
+/**
+ * Works out which stations to fetch from the devices on the account
+ * - a device that's in the config gets the configured slug (and name, when configured)
+ * - with fetch "all", a device that isn't gets a slug built from its mac address
+ * - without a device list (the API returned nothing), the configured stations are used as they are
+ * @param {array} devices output of the AW API userDevices(): [{ macAddress, info: { name } }]
+ * @param {object} config output of readStationsConfig
+ * @returns {array} [{ macAddress, slug, name, timezone, hemisphere }] in account order, the last two when configured
+ */
+function resolveStations(devices, config = readStationsConfig()) {
+  if (!Array.isArray(devices) || devices.length === 0) {
+    return config.stations.map(station => ({ ...station, name: station.name ?? station.slug }));
+  }
+  const configured = station => config.stations.find(entry => normalizeMac(entry.macAddress) === normalizeMac(station.macAddress));
+  return devices
+    .filter(device => config.fetch === 'all' || configured(device))
+    .map((device) => {
+      const station = configured(device);
+      return {
+        macAddress: device.macAddress,
+        slug: station ? station.slug : slugFromMac(device.macAddress),
+        name: station?.name ?? device.info?.name ?? device.macAddress,
+        timezone: station?.timezone,
+        hemisphere: station?.hemisphere
+      };
+    });
+}
+
+/**
+ * A station by its slug, for the commands that work on the local files of one station (reindex)
+ * @param {string} slug configured slug, or the slug of an unlisted device (its mac address)
+ * @param {object} config output of readStationsConfig
+ * @returns {object} { macAddress, slug, name, timezone, hemisphere }, the last two when configured
+ * @throws when the slug is neither configured nor a mac address
+ */
+function findStation(slug, config = readStationsConfig()) {
+  const station = resolveStations(undefined, config).find(entry => entry.slug === slug);
+  if (station) return station;
+  if (/^[0-9a-f]{12}$/.test(slug)) return { macAddress: slug, slug, name: slug };
+  throw new Error(`Unknown station ${slug}: not in the stations config and not a mac address slug`);
+}
+
+/**
+ * The data directories of a station converted to these unit profiles: a JSONL directory per profile
+ * @param {array} profiles names of unit profiles, see readStationsConfig
+ * @returns {array} kinds for stationDataDirectory
+ * @example stationDataKinds(['metric', 'wmo']) // ['imperial', 'imperial-jsonl', 'metric-jsonl', 'wmo-jsonl']
+ */
+const stationDataKinds = (profiles = DEFAULT_PROFILES) => ['imperial', 'imperial-jsonl', ...profiles.map(profile => `${profile}-jsonl`)];
+// the data directories of a station with the default profile: raw json, and the jsonl files that are indexed
+const STATION_DATA_KINDS = stationDataKinds();
+
+/**
+ * @param {string} slug station slug
+ * @param {string} kind one of stationDataKinds
+ * @returns {string} directory under data/
+ * @example stationDataDirectory('heiligers', 'metric-jsonl') // 'ambient-weather-heiligers-metric-jsonl'
+ */
+const stationDataDirectory = (slug = DEFAULT_STATION, kind) => `ambient-weather-${slug}-${kind}`;
+
+// the raw files are JSON arrays, every other kind is JSON lines
+const dataFileExtension = kind => (kind === 'imperial' ? '.json' : '.jsonl');
+
+/**
+ * The fields every document of a station is tagged with when it is indexed
+ * @param {object} station { macAddress, name }
+ * @returns {object} { macAddress, deviceName }
+ */
+const stationFields = ({ macAddress, name }) => ({ macAddress, deviceName: name });
+
+module.exports = {
+  DEFAULT_STATION,
+  FETCH_MODES,
+  STATION_DATA_KINDS,
+  stationDataKinds,
+  stationsConfigFile,
+  readStationsConfig,
+  resolveStations,
+  findStation,
+  slugFromMac,
+  stationDataDirectory,
+  dataFileExtension,
+  stationFields
+};
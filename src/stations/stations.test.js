@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  readStationsConfig,
+  resolveStations,
+  findStation,
+  slugFromMac,
+  stationDataDirectory,
+  stationDataKinds,
+  stationFields
+} = require('./stations');
+
+describe('stations', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stations-'));
+  const writeConfig = (config) => {
+    const filePath = path.join(tmpDir, 'stations.json');
+    fs.writeFileSync(filePath, JSON.stringify(config));
+    return filePath;
+  };
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('readStationsConfig', () => {
+    const originalMac = process.env.AMBIENT_WEATHER_MACADDRESS;
+
+    afterEach(() => {
+      process.env.AMBIENT_WEATHER_MACADDRESS = originalMac;
+    });
+
+    it('resolves mac addresses from the environment', () => {
+      process.env.AMBIENT_WEATHER_MACADDRESS = 'AA:BB:CC:DD:EE:FF';
+
+      const config = readStationsConfig(writeConfig({
+        fetch: 'listed',
+        stations: [{ macAddress: '${AMBIENT_WEATHER_MACADDRESS}', slug: 'heiligers' }, { macAddress: '11:22:33:44:55:66', slug: 'patio', name: 'Patio' }]
+      }));
+
+      expect(config).toEqual({
+        fetch: 'listed',
+        profiles: ['metric'],
+        stations: [
+          { macAddress: 'AA:BB:CC:DD:EE:FF', slug: 'heiligers', name: undefined },
+          { macAddress: '11:22:33:44:55:66', slug: 'patio', name: 'Patio' }
+        ]
+      });
+    });
+
+    it('reads the default config', () => {
+      expect(readStationsConfig(path.join(__dirname, '../../config/stations.default.json')).stations.map(station => station.slug)).toEqual(['heiligers']);
+    });
+
+    it('rejects an unknown fetch mode, slugs that cannot be used in index names and duplicate slugs', () => {
+      expect(() => readStationsConfig(writeConfig({ fetch: 'some' }))).toThrow('expected one of all, listed');
+      expect(() => readStationsConfig(writeConfig({ stations: [{ slug: 'Back-Yard' }] }))).toThrow('must be lowercase letters');
+      expect(() => readStationsConfig(writeConfig({ stations: [{ slug: 'patio' }, { slug: 'patio' }] }))).toThrow('used more than once');
+      expect(() => readStationsConfig(writeConfig({ fetch: 'listed', stations: [] }))).toThrow('at least one station');
+    });
+
+    it('reads the unit profiles and rejects the ones that do not exist', () => {
+      expect(readStationsConfig(writeConfig({ profiles: ['metric', 'wmo', 'metric'] })).profiles).toEqual(['metric', 'wmo']);
+      expect(() => readStationsConfig(writeConfig({ profiles: ['wmo', 'imperial'] }))).toThrow('unit profile "imperial" is unknown, expected one of metric, si, wmo, aviation');
+      expect(() => readStationsConfig(writeConfig({ profiles: [] }))).toThrow('"profiles" must be a list of at least one unit profile');
+    });
+
+    it('reads the timezone and hemisphere of a station and rejects the ones that do not exist', () => {
+      const [station] = readStationsConfig(writeConfig({ stations: [{ slug: 'patio', timezone: 'Australia/Sydney', hemisphere: 'south' }] })).stations;
+
+      expect(station).toEqual({ macAddress: undefined, slug: 'patio', name: undefined, timezone: 'Australia/Sydney', hemisphere: 'south' });
+      expect(readStationsConfig(path.join(__dirname, '../../config/stations.default.json')).stations[0].timezone).toBe('America/Phoenix');
+      expect(() => readStationsConfig(writeConfig({ stations: [{ slug: 'patio', timezone: 'Mars/Olympus' }] }))).toThrow('the timezone "Mars/Olympus" of patio is unknown');
+      expect(() => readStationsConfig(writeConfig({ stations: [{ slug: 'patio', hemisphere: 'east' }] }))).toThrow('expected one of north, south');
+    });
+  });
+
+  describe('resolveStations', () => {
+    const devices = [
+      { macAddress: 'AA:BB:CC:DD:EE:FF', info: { name: 'Roof' } },
+      { macAddress: '11:22:33:44:55:66', info: { name: 'Garden' } },
+      { macAddress: '77:88:99:AA:BB:CC' }
+    ];
+    const stations = [{ macAddress: 'aa:bb:cc:dd:ee:ff', slug: 'heiligers', name: undefined }];
+
+    it('fetches every device on the account with fetch "all"', () => {
+      expect(resolveStations(devices, { fetch: 'all', stations })).toEqual([
+        { macAddress: 'AA:BB:CC:DD:EE:FF', slug: 'heiligers', name: 'Roof' },
+        { macAddress: '11:22:33:44:55:66', slug: '112233445566', name: 'Garden' },
+        { macAddress: '77:88:99:AA:BB:CC', slug: '778899aabbcc', name: '77:88:99:AA:BB:CC' }
+      ]);
+    });
+
+    it('only fetches the configured devices with fetch "listed"', () => {
+      expect(resolveStations(devices, { fetch: 'listed', stations })).toEqual([
+        { macAddress: 'AA:BB:CC:DD:EE:FF', slug: 'heiligers', name: 'Roof' }
+      ]);
+    });
+
+    it('falls back to the configured stations without a device list', () => {
+      expect(resolveStations([], { fetch: 'all', stations })).toEqual([
+        { macAddress: 'aa:bb:cc:dd:ee:ff', slug: 'heiligers', name: 'heiligers' }
+      ]);
+    });
+  });
+
+  describe('findStation', () => {
+    const config = { fetch: 'all', stations: [{ macAddress: 'AA:BB:CC:DD:EE:FF', slug: 'heiligers', name: 'Roof' }] };
+
+    it('finds configured stations and the stations named after their mac address', () => {
+      expect(findStation('heiligers', config)).toEqual({ macAddress: 'AA:BB:CC:DD:EE:FF', slug: 'heiligers', name: 'Roof' });
+      expect(findStation('112233445566', config)).toEqual({ macAddress: '112233445566', slug: '112233445566', name: '112233445566' });
+      expect(() => findStation('patio', config)).toThrow('Unknown station patio');
+    });
+  });
+
+  it('names the directories and tags of a station', () => {
+    expect(slugFromMac('AA:BB:CC:DD:EE:FF')).toBe('aabbccddeeff');
+    expect(stationDataDirectory(undefined, 'imperial')).toBe('ambient-weather-heiligers-imperial');
+    expect(stationDataDirectory('patio', 'metric-jsonl')).toBe('ambient-weather-patio-metric-jsonl');
+    expect(stationDataKinds(['metric', 'wmo'])).toEqual(['imperial', 'imperial-jsonl', 'metric-jsonl', 'wmo-jsonl']);
+    expect(stationFields({ macAddress: 'AA:BB:CC:DD:EE:FF', slug: 'heiligers', name: 'Roof' })).toEqual({ macAddress: 'AA:BB:CC:DD:EE:FF', deviceName: 'Roof' });
+  });
+});
@@ -0,0 +1,223 @@
+const moment = require('moment-timezone');
+const Logger = require('../logger');
+const { createEsClient } = require('../dataIndexers/esClient');
+const { findClusterTarget, readClusterTargets } = require('../dataIndexers/clusterTargets');
+const { searchAllDocsByDateRange, bulkIndexDocuments, refreshIndex } = require('../dataIndexers/esClientMethods');
+const { writeAliasName, indexPattern } = require('../dataIndexers/lifecycle');
+const { createDocumentId } = require('../utils');
+const { DEFAULT_STATION, readStationsConfig, findStation } = require('../stations/stations');
+
+const syncLogger = new Logger('[sync]');
+
+const ONE_DAY_AS_MILLISECONDS = 24 * 60 * 60 * 1000;
+
+/**
+ * Copies the observations a target cluster is missing from a source cluster.
+ * Only timestamps (dateutc) the target doesn't have are sent, with the usual deterministic ids,
+ * so running the same sync twice transfers nothing the second time
+ * @param {object} cliArgs - Parsed CLI arguments from yargs ({ source, target, from, to, type, station, dryRun })
+ * type: imperial, one of the unit profiles of the stations config, or all (both is kept for all), all when not set
+ * station: slug of the station whose indices to sync, the original station when not set
+ * @returns {object} - Result of the sync, per data type: counts and the per day verification
+ */
+async function runSync(cliArgs) {
+  try {
+    const validation = validateArgs(cliArgs);
+    if (!validation.valid) {
+      return { status: 'error', error: validation.error };
+    }
+    const { source, target, startDate, endDate, dataTypes, station } = validation;
+    syncLogger.logInfo(`[${new Date().toISOString()}] Syncing ${station.slug} ${dataTypes.join(', ')} from ${source} to ${target}, ${cliArgs.from} to ${cliArgs.to}${cliArgs.dryRun ? ' (dry run)' : ''}...`);
+
+    const sourceClient = createEsClient(source);
+    const targetClient = createEsClient(target);
+    const types = {};
+    for (const dataType of dataTypes) {
+      types[dataType] = await syncDataType(sourceClient, targetClient, dataType, startDate, endDate, { targetName: target, station, dryRun: cliArgs.dryRun });
+      printDays(types[dataType], dataType, source, target);
+    }
+
+    const complete = Object.values(types).every(type => type.verified);
+    return {
+      status: cliArgs.dryRun ? 'dry-run' : (complete ? 'success' : 'incomplete'),
+      source,
+      target,
+      station: station.slug,
+      from: cliArgs.from,
+      to: cliArgs.to,
+      ...types
+    };
+  } catch (err) {
+    syncLogger.logError('[runSync] [ERROR]', err);
+    return { status: 'error', error: err.message };
+  }
+}
+
+/**
+ * @param {object} args CLI arguments
+ * @returns {object} { valid, error } or { valid, source, target, startDate, endDate, dataTypes, station }
+ * startDate is the start of --from and endDate the end of --to (UTC), both days are included
+ */
+function validateArgs(args) {
+  if (!args.source || !args.target) {
+    return { valid: false, error: 'Must specify --source and --target clusters' };
+  }
+  const targets = readClusterTargets();
+  const [source, target] = [args.source, args.target].map(name => findClusterTarget(name, targets));
+  if (!source || !target) {
+    const unknown = !source ? args.source : args.target;
+    return { valid: false, error: `Unknown cluster "${unknown}". Configured clusters: ${targets.map(t => t.name).join(', ')}` };
+  }
+  if (source.name === target.name) {
+    return { valid: false, error: '--source and --target must be different clusters' };
+  }
+
+  if (!args.from || !args.to) {
+    return { valid: false, error: 'Must specify both --from and --to dates' };
+  }
+  const from = moment.tz(args.from, 'YYYY-MM-DD', true, 'UTC');
+  const to = moment.tz(args.to, 'YYYY-MM-DD', true, 'UTC');
+  if (!from.isValid() || !to.isValid()) {
+    return { valid: false, error: `Invalid date format. Use YYYY-MM-DD. From: ${args.from}, To: ${args.to}` };
+  }
+  if (from.isAfter(to)) {
+    return { valid: false, error: `Start date must not be after end date. From: ${args.from}, To: ${args.to}` };
+  }
+
+  let station;
+  let dataTypes;
+  try {
+    const config = readStationsConfig();
+    station = findStation(args.station ?? DEFAULT_STATION, config);
+    // imperial and the unit profiles of the stations config, each has its own indices
+    dataTypes = ['imperial', ...config.profiles];
+  } catch (err) {
+    return { valid: false, error: err.message };
+  }
+
+  const type = args.type ?? 'all';
+  if (!['all', 'both'].includes(type) && !dataTypes.includes(type)) {
+    return { valid: false, error: `--type must be ${dataTypes.join(', ')} or all, got ${type}` };
+  }
+
+  return {
+    valid: true,
+    station,
+    source: source.name,
+    target: target.name,
+    startDate: from.valueOf(),
+    endDate: to.valueOf() + ONE_DAY_AS_MILLISECONDS,
+    dataTypes: ['all', 'both'].includes(type) ? dataTypes : [type]
+  };
+}
+
+/**
+ * Every distinct dateutc a cluster has for a data type of a station in [startDate, endDate)
+ * @returns {Set} dateutc values
+ */
+async function collectTimestamps(client, dataType, station, startDate, endDate) {
+  const timestamps = new Set();
+  for await (const hits of searchAllDocsByDateRange(client, indexPattern(dataType, station.slug), startDate, endDate, { _source: ['dateutc'] })) {
+    hits.forEach(hit => timestamps.add(hit._source.dateutc));
+  }
+  return timestamps;
+}
+
+/**
+ * Sync one data type: read the target's timestamps, page through the source and bulk index every document
+ * whose timestamp the target doesn't have, then compare both clusters day by day
+ * @param {object} sourceClient
+ * @param {object} targetClient
+ * @param {string} dataType 'imperial' or a unit profile, e.g. 'metric'
+ * @param {number} startDate epoch ms, inclusive
+ * @param {number} endDate epoch ms, exclusive
+ * @param {object} options { targetName, station, dryRun } station as returned by findStation
+ * @returns {object} { sourceDocs, targetDocsBefore, missing, transferred, errors, verified, days: [{ day, source, target, missing }] }
+ */
+async function syncDataType(sourceClient, targetClient, dataType, startDate, endDate, { targetName, station, dryRun = false } = {}) {
+  const targetBefore = await collectTimestamps(targetClient, dataType, station, startDate, endDate);
+  const sourceTimestamps = new Set();
+  let missing = 0;
+  let transferred = 0;
+  let errors = 0;
+
+  for await (const hits of searchAllDocsByDateRange(sourceClient, indexPattern(dataType, station.slug), startDate, endDate)) {
+    const payload = [];
+    hits.forEach(({ _source: doc }) => {
+      // older indices can hold the same observation twice, only send it once
+      if (sourceTimestamps.has(doc.dateutc)) return;
+      sourceTimestamps.add(doc.dateutc);
+      if (targetBefore.has(doc.dateutc)) return;
+      missing += 1;
+      // the documents indexed before stations were tagged have no macAddress, they are the station's own
+      payload.push({ index: { _index: writeAliasName(dataType, station.slug), _id: createDocumentId(doc, doc.macAddress || station.macAddress) } }, doc);
+    });
+    if (!dryRun && payload.length > 0) {
+      const result = await bulkIndexDocuments(targetClient, writeAliasName(dataType, station.slug), payload, { clusterName: targetName, count: false });
+      transferred += result.indexed;
+      errors += result.erroredDocuments.length;
+    }
+  }
+  syncLogger.logInfo(`[${dataType}] ${missing} of ${sourceTimestamps.size} source timestamps missing on ${targetName}${dryRun ? '' : `, ${transferred} transferred, ${errors} failed`}`);
+
+  // dry runs compare against what the target has now, real runs read the target again to check the transfer, once
+  // the documents sent are searchable
+  if (!dryRun && transferred > 0) await refreshIndex(targetClient, writeAliasName(dataType, station.slug));
+  const targetAfter = dryRun || missing === 0 ? targetBefore : await collectTimestamps(targetClient, dataType, station, startDate, endDate);
+  const days = compareByDay(sourceTimestamps, targetAfter, startDate, endDate);
+  return {
+    sourceDocs: sourceTimestamps.size,
+    targetDocsBefore: targetBefore.size,
+    missing,
+    transferred,
+    errors,
+    verified: days.every(day => day.missing === 0),
+    days
+  };
+}
+
+/**
+ * @param {Set} sourceTimestamps
+ * @param {Set} targetTimestamps
+ * @param {number} startDate epoch ms at the start of a UTC day
+ * @param {number} endDate epoch ms at the start of a UTC day, exclusive
+ * @returns {array} [{ day: 'YYYY-MM-DD', source, target, missing }] distinct timestamps per UTC day, missing is on the target
+ */
+function compareByDay(sourceTimestamps, targetTimestamps, startDate, endDate) {
+  const days = [];
+  const dayIndex = new Map();
+  for (let dayStart = startDate; dayStart < endDate; dayStart += ONE_DAY_AS_MILLISECONDS) {
+    dayIndex.set(dayStart, days.length);
+    days.push({ day: moment.utc(dayStart).format('YYYY-MM-DD'), source: 0, target: 0, missing: 0 });
+  }
+  const dayOf = timestamp => days[dayIndex.get(timestamp - ((timestamp - startDate) % ONE_DAY_AS_MILLISECONDS))];
+  sourceTimestamps.forEach((timestamp) => {
+    const day = dayOf(timestamp);
+    day.source += 1;
+    if (!targetTimestamps.has(timestamp)) day.missing += 1;
+  });
+  targetTimestamps.forEach((timestamp) => { dayOf(timestamp).target += 1; });
+  return days;
+}
+
+/**
+ * Print the per day comparison
+ * @param {object} result - Output of syncDataType
+ * @param {string} dataType - 'imperial' or a unit profile, e.g. 'metric'
+ * @param {string} source - source cluster name
+ * @param {string} target - target cluster name
+ */
+function printDays(result, dataType, source, target) {
+  if (process.env.NODE_ENV === 'test') return;
+  console.log('\n========================================');
+  console.log(`${dataType}: ${source} -> ${target}, ${result.transferred} of ${result.missing} missing documents transferred`);
+  console.log('========================================');
+  console.log(`${'day'.padEnd(12)}${source.padStart(12)}${target.padStart(12)}${'missing'.padStart(10)}`);
+  result.days.forEach((day) => {
+    console.log(`${day.day.padEnd(12)}${String(day.source).padStart(12)}${String(day.target).padStart(12)}${String(day.missing).padStart(10)}${day.missing > 0 ? '  ✗' : ''}`);
+  });
+  console.log(`Status: ${result.verified ? '✓ every source timestamp is on the target' : '✗ timestamps still missing on the target'}`);
+  console.log('========================================\n');
+}
+
+module.exports = { runSync, compareByDay };
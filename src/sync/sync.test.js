@@ -0,0 +1,186 @@
+process.env.AMBIENT_WEATHER_MACADDRESS = 'AA:BB:CC:DD:EE:FF';
+
+jest.mock('../dataIndexers/esClient', () => ({
+  createEsClient: jest.fn(name => ({ name }))
+}));
+jest.mock('../dataIndexers/esClientMethods', () => ({
+  searchAllDocsByDateRange: jest.fn(),
+  bulkIndexDocuments: jest.fn(),
+  refreshIndex: jest.fn()
+}));
+
+const { runSync, compareByDay } = require('./sync');
+const { createEsClient } = require('../dataIndexers/esClient');
+const { searchAllDocsByDateRange, bulkIndexDocuments, refreshIndex } = require('../dataIndexers/esClientMethods');
+
+const DAY_1 = Date.UTC(2026, 0, 1);
+const DAY_2 = Date.UTC(2026, 0, 2);
+const FIVE_MINUTES = 5 * 60 * 1000;
+
+describe('sync', () => {
+  // every document each cluster holds, by data type
+  let clusters;
+
+  const hit = doc => ({ _source: doc });
+  const pagesOf = function* (docs, pageSize) {
+    for (let i = 0; i < docs.length; i += pageSize) yield docs.slice(i, i + pageSize).map(hit);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clusters = { PRODUCTION: { imperial: [], metric: [], wmo: [] }, STAGING: { imperial: [], metric: [], wmo: [] } };
+    searchAllDocsByDateRange.mockImplementation(async function* (client, index, startDate, endDate) {
+      const dataType = ['imperial', 'metric', 'wmo'].find(type => index.includes(`_${type}_`));
+      const docs = clusters[client.name][dataType].filter(doc => doc.dateutc >= startDate && doc.dateutc < endDate);
+      yield* pagesOf(docs, 2);
+    });
+    // indexing into the target adds the documents, so the verification sees them
+    bulkIndexDocuments.mockImplementation(async (client, alias, payload) => {
+      const dataType = alias.split('-').pop();
+      const docs = payload.filter((entry, i) => i % 2 === 1);
+      clusters[client.name][dataType].push(...docs);
+      return { erroredDocuments: [], indexed: docs.length, retried: 0, chunks: 1 };
+    });
+  });
+
+  const observations = (start, count) => Array.from({ length: count }, (_, i) => ({ dateutc: start + i * FIVE_MINUTES, tempf: 70 }));
+
+  it('validates the clusters and dates', async () => {
+    expect((await runSync({ target: 'STAGING', from: '2026-01-01', to: '2026-01-02' })).error).toContain('--source');
+    expect((await runSync({ source: 'PRODUCTION', target: 'ELSEWHERE', from: '2026-01-01', to: '2026-01-02' })).error).toContain('Unknown cluster "ELSEWHERE"');
+    expect((await runSync({ source: 'staging', target: 'STAGING', from: '2026-01-01', to: '2026-01-02' })).error).toContain('different');
+    expect((await runSync({ source: 'PRODUCTION', target: 'STAGING', from: '01/01/2026', to: '2026-01-02' })).error).toContain('YYYY-MM-DD');
+    expect((await runSync({ source: 'PRODUCTION', target: 'STAGING', from: '2026-01-03', to: '2026-01-02' })).error).toContain('must not be after');
+    expect((await runSync({ source: 'PRODUCTION', target: 'STAGING', from: '2026-01-01', to: '2026-01-02', station: 'patio' })).error).toContain('Unknown station patio');
+    expect((await runSync({ source: 'PRODUCTION', target: 'STAGING', from: '2026-01-01', to: '2026-01-02', type: 'wmo' })).error).toBe('--type must be imperial, metric or all, got wmo');
+    expect(createEsClient).not.toHaveBeenCalled();
+  });
+
+  it('transfers only the timestamps the target is missing, across pages', async () => {
+    clusters.PRODUCTION.imperial = observations(DAY_1, 5);
+    clusters.STAGING.imperial = [clusters.PRODUCTION.imperial[1], clusters.PRODUCTION.imperial[3]];
+
+    const result = await runSync({ source: 'PRODUCTION', target: 'STAGING', from: '2026-01-01', to: '2026-01-01', type: 'imperial' });
+
+    const sent = bulkIndexDocuments.mock.calls.flatMap(call => call[2]);
+    expect(sent.filter((entry, i) => i % 2 === 1).map(doc => doc.dateutc)).toEqual([0, 2, 4].map(i => DAY_1 + i * FIVE_MINUTES));
+    expect(sent[0]).toEqual({ index: { _index: 'all-ambient-weather-heiligers-imperial', _id: `aabbccddeeff_${DAY_1}` } });
+    expect(bulkIndexDocuments).toHaveBeenCalledWith({ name: 'STAGING' }, 'all-ambient-weather-heiligers-imperial', expect.any(Array), { clusterName: 'STAGING', count: false });
+    // once, before the target is read again
+    expect(refreshIndex).toHaveBeenCalledTimes(1);
+    expect(refreshIndex).toHaveBeenCalledWith({ name: 'STAGING' }, 'all-ambient-weather-heiligers-imperial');
+    expect(result.status).toBe('success');
+    expect(result.imperial).toEqual(expect.objectContaining({ sourceDocs: 5, targetDocsBefore: 2, missing: 3, transferred: 3, errors: 0, verified: true }));
+    expect(result.metric).toBeUndefined();
+  });
+
+  it("syncs the indices of the station passed with --station, with the ids of its documents' mac address", async () => {
+    clusters.PRODUCTION.imperial = observations(DAY_1, 2).map(doc => ({ ...doc, macAddress: '11:22:33:44:55:66' }));
+
+    const result = await runSync({ source: 'PRODUCTION', target: 'STAGING', from: '2026-01-01', to: '2026-01-01', type: 'imperial', station: '112233445566' });
+
+    expect(searchAllDocsByDateRange).toHaveBeenCalledWith({ name: 'PRODUCTION' }, 'ambient_weather_112233445566_imperial_*', DAY_1, DAY_2);
+    expect(searchAllDocsByDateRange).toHaveBeenCalledWith({ name: 'STAGING' }, 'ambient_weather_112233445566_imperial_*', DAY_1, DAY_2, { _source: ['dateutc'] });
+    expect(bulkIndexDocuments.mock.calls[0][2][0]).toEqual({ index: { _index: 'all-ambient-weather-112233445566-imperial', _id: `112233445566_${DAY_1}` } });
+    expect(result).toEqual(expect.objectContaining({ status: 'success', station: '112233445566' }));
+  });
+
+  it('transfers nothing when run a second time', async () => {
+    clusters.PRODUCTION.imperial = observations(DAY_1, 3);
+    clusters.PRODUCTION.metric = observations(DAY_1, 3);
+    const args = { source: 'PRODUCTION', target: 'STAGING', from: '2026-01-01', to: '2026-01-01' };
+
+    await runSync(args);
+    bulkIndexDocuments.mockClear();
+    const second = await runSync(args);
+
+    expect(bulkIndexDocuments).not.toHaveBeenCalled();
+    expect(second.imperial.missing).toBe(0);
+    expect(second.metric.missing).toBe(0);
+    expect(clusters.STAGING.imperial).toHaveLength(3);
+  });
+
+  it('sends an observation duplicated on the source only once', async () => {
+    const [first, second] = observations(DAY_1, 2);
+    clusters.PRODUCTION.metric = [first, { ...first }, second];
+
+    const result = await runSync({ source: 'PRODUCTION', target: 'STAGING', from: '2026-01-01', to: '2026-01-01', type: 'metric' });
+
+    expect(result.metric.sourceDocs).toBe(2);
+    expect(result.metric.transferred).toBe(2);
+  });
+
+  it('only reports what is missing per day with --dry-run', async () => {
+    clusters.PRODUCTION.imperial = [...observations(DAY_1, 2), ...observations(DAY_2, 3)];
+    clusters.STAGING.imperial = observations(DAY_1, 2);
+
+    const result = await runSync({ source: 'PRODUCTION', target: 'STAGING', from: '2026-01-01', to: '2026-01-02', type: 'imperial', dryRun: true });
+
+    expect(bulkIndexDocuments).not.toHaveBeenCalled();
+    expect(result.status).toBe('dry-run');
+    expect(result.imperial.days).toEqual([
+      { day: '2026-01-01', source: 2, target: 2, missing: 0 },
+      { day: '2026-01-02', source: 3, target: 0, missing: 3 }
+    ]);
+  });
+
+  it('reports incomplete when documents fail to index', async () => {
+    clusters.PRODUCTION.imperial = observations(DAY_1, 2);
+    bulkIndexDocuments.mockResolvedValue({ erroredDocuments: [{ status: 400 }, { status: 400 }], indexed: 0, retried: 0, chunks: 1 });
+
+    const result = await runSync({ source: 'PRODUCTION', target: 'STAGING', from: '2026-01-01', to: '2026-01-01', type: 'imperial' });
+
+    expect(result.status).toBe('incomplete');
+    expect(result.imperial).toEqual(expect.objectContaining({ errors: 2, verified: false }));
+    expect(result.imperial.days[0].missing).toBe(2);
+  });
+
+  it('syncs imperial and every unit profile of the stations config by default', async () => {
+    const realFs = jest.requireActual('fs');
+    const os = require('os');
+    const path = require('path');
+    const tmpDir = realFs.mkdtempSync(path.join(os.tmpdir(), 'sync-profiles-'));
+    process.env.AW_STATIONS_CONFIG = path.join(tmpDir, 'stations.json');
+    realFs.writeFileSync(process.env.AW_STATIONS_CONFIG, JSON.stringify({ profiles: ['metric', 'wmo'], stations: [{ slug: 'heiligers' }] }));
+    clusters.PRODUCTION.wmo = observations(DAY_1, 2);
+
+    let result;
+    let onlyWmo;
+    try {
+      result = await runSync({ source: 'PRODUCTION', target: 'STAGING', from: '2026-01-01', to: '2026-01-01' });
+      onlyWmo = await runSync({ source: 'PRODUCTION', target: 'STAGING', from: '2026-01-01', to: '2026-01-01', type: 'wmo' });
+    } finally {
+      delete process.env.AW_STATIONS_CONFIG;
+      realFs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    expect(bulkIndexDocuments).toHaveBeenCalledWith(expect.anything(), 'all-ambient-weather-heiligers-wmo', expect.any(Array), expect.any(Object));
+    expect(Object.keys(result).filter(key => ['imperial', 'metric', 'wmo'].includes(key))).toEqual(['imperial', 'metric', 'wmo']);
+    expect(result.wmo).toEqual(expect.objectContaining({ transferred: 2, verified: true }));
+    expect(onlyWmo).toEqual(expect.objectContaining({ status: 'success', wmo: expect.objectContaining({ missing: 0 }) }));
+    expect(onlyWmo.imperial).toBeUndefined();
+  });
+
+  it('returns an error result when a cluster request fails', async () => {
+    searchAllDocsByDateRange.mockImplementation(async function* () {
+      throw new Error('point in time not supported');
+    });
+
+    const result = await runSync({ source: 'PRODUCTION', target: 'STAGING', from: '2026-01-01', to: '2026-01-01' });
+
+    expect(result).toEqual({ status: 'error', error: 'point in time not supported' });
+  });
+
+  describe('compareByDay', () => {
+    it('counts distinct timestamps per UTC day, including empty days', () => {
+      const source = new Set([DAY_1, DAY_1 + FIVE_MINUTES, DAY_2 + 1]);
+      const target = new Set([DAY_1, DAY_2 + 1, DAY_2 + 2]);
+
+      expect(compareByDay(source, target, DAY_1, DAY_2 + 2 * 86400000)).toEqual([
+        { day: '2026-01-01', source: 2, target: 1, missing: 1 },
+        { day: '2026-01-02', source: 1, target: 2, missing: 0 },
+        { day: '2026-01-03', source: 0, target: 0, missing: 0 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/*
+ * Quantities the station doesn't report, derived from an imperial record when it's converted. They're added to the
+ * imperial documents in imperial units, named like the fields of the API (unit at the end), and the unit profiles
+ * map them like any other field (see fieldMappings.js). A quantity whose inputs the record doesn't have (no sensor,
+ * or a value that isn't a number) is null
+ * - heatindexf: heat index, NWS (Rothfusz regression with its adjustments, Steadman's simple formula below 80°F)
+ * - windchillf: wind chill, NWS 2001. The air temperature above 50°F or below 3 mph, where the formula isn't defined
+ * - wetbulbf: wet-bulb temperature, Stull (2011)
+ * - abshumiditygm3: absolute humidity in g/m³, the water vapour density of the vapour pressure
+ * - vpdin: vapour pressure deficit in inHg, saturation minus actual vapour pressure
+ * - cloudbaseft: cloud-base estimate in feet above the station, FAA: temperature/dew point spread (°F) / 4.4 * 1000
+ * - airdensitylbft3: density of moist air in lb/ft³ at the station pressure (baromabsin)
+ * Vapour pressures are Bolton's (1980) saturation vapour pressure over water
+ */
+
+const PASCALS_PER_INHG = 3386.389;
+const KG_PER_M3_IN_LB_PER_FT3 = 0.062427961;
+// specific gas constants of dry air and water vapour, J/(kg·K)
+const R_DRY_AIR = 287.058;
+const R_WATER_VAPOUR = 461.495;
+
+const DERIVED_FIELDS = ['heatindexf', 'windchillf', 'wetbulbf', 'abshumiditygm3', 'vpdin', 'cloudbaseft', 'airdensitylbft3'];
+
+const toCelsius = f => (f - 32) * 5 / 9;
+const toFahrenheit = c => c * 9 / 5 + 32;
+const toKelvin = f => toCelsius(f) + 273.15;
+const round = (value, precision) => (Number.isFinite(value) ? Number(value.toFixed(precision)) : null);
+const known = (...values) => values.every(Number.isFinite);
+
+// saturation vapour pressure over water in hPa, Bolton (1980)
+const saturationVapourPressure = celsius => 6.112 * Math.exp(17.67 * celsius / (celsius + 243.5));
+// actual vapour pressure in hPa
+const vapourPressure = (f, humidity) => saturationVapourPressure(toCelsius(f)) * humidity / 100;
+
+function heatIndex(f, humidity) {
+  if (!known(f, humidity)) return null;
+  const simple = 0.5 * (f + 61 + (f - 68) * 1.2 + humidity * 0.094);
+  if ((simple + f) / 2 < 80) return simple;
+  let index = -42.379 + 2.04901523 * f + 10.14333127 * humidity - 0.22475541 * f * humidity - 0.00683783 * f * f
+    - 0.05481717 * humidity * humidity + 0.00122874 * f * f * humidity + 0.00085282 * f * humidity * humidity
+    - 0.00000199 * f * f * humidity * humidity;
+  if (humidity < 13 && f >= 80 && f <= 112) index -= ((13 - humidity) / 4) * Math.sqrt((17 - Math.abs(f - 95)) / 17);
+  if (humidity > 85 && f >= 80 && f <= 87) index += ((humidity - 85) / 10) * ((87 - f) / 5);
+  return index;
+}
+
+function windChill(f, mph) {
+  if (!known(f, mph)) return null;
+  if (f > 50 || mph < 3) return f;
+  const windFactor = mph ** 0.16;
+  return 35.74 + 0.6215 * f - 35.75 * windFactor + 0.4275 * f * windFactor;
+}
+
+function wetBulb(f, humidity) {
+  if (!known(f, humidity)) return null;
+  const c = toCelsius(f);
+  return toFahrenheit(c * Math.atan(0.151977 * Math.sqrt(humidity + 8.313659)) + Math.atan(c + humidity)
+    - Math.atan(humidity - 1.676331) + 0.00391838 * humidity ** 1.5 * Math.atan(0.023101 * humidity) - 4.686035);
+}
+
+function absoluteHumidity(f, humidity) {
+  if (!known(f, humidity)) return null;
+  return vapourPressure(f, humidity) * 100 / (R_WATER_VAPOUR * toKelvin(f)) * 1000;
+}
+
+function vapourPressureDeficit(f, humidity) {
+  if (!known(f, humidity)) return null;
+  return (saturationVapourPressure(toCelsius(f)) - vapourPressure(f, humidity)) * 100 / PASCALS_PER_INHG;
+}
+
+// the dew point the station reports, else the one of the vapour pressure
+function dewPointOf(f, humidity, reported) {
+  if (Number.isFinite(reported)) return reported;
+  if (!known(f, humidity) || humidity <= 0) return null;
+  const gamma = Math.log(vapourPressure(f, humidity) / 6.112);
+  return toFahrenheit(243.5 * gamma / (17.67 - gamma));
+}
+
+function cloudBase(f, humidity, reportedDewPoint) {
+  const dewPoint = dewPointOf(f, humidity, reportedDewPoint);
+  if (!known(f, dewPoint)) return null;
+  return Math.max(0, (f - dewPoint) / 4.4 * 1000);
+}
+
+function airDensity(f, humidity, inHg) {
+  if (!known(f, humidity, inHg)) return null;
+  const kelvin = toKelvin(f);
+  const vapour = vapourPressure(f, humidity) * 100;
+  const dry = inHg * PASCALS_PER_INHG - vapour;
+  return (dry / (R_DRY_AIR * kelvin) + vapour / (R_WATER_VAPOUR * kelvin)) * KG_PER_M3_IN_LB_PER_FT3;
+}
+
+/**
+ * The derived quantities of an imperial record, see DERIVED_FIELDS
+ * @param {object} datum imperial record
+ * @returns {object} { heatindexf, windchillf, wetbulbf, abshumiditygm3, vpdin, cloudbaseft, airdensitylbft3 }, null
+ * for the quantities the record has no inputs for
+ * @example deriveFields({ tempf: 90, humidity: 60, windspeedmph: 5, baromabsin: 29.92 }).heatindexf // 99.68
+ */
+function deriveFields({ tempf, humidity, windspeedmph, baromabsin, dewPoint } = {}) {
+  return {
+    heatindexf: round(heatIndex(tempf, humidity), 2),
+    windchillf: round(windChill(tempf, windspeedmph), 2),
+    wetbulbf: round(wetBulb(tempf, humidity), 2),
+    abshumiditygm3: round(absoluteHumidity(tempf, humidity), 2),
+    vpdin: round(vapourPressureDeficit(tempf, humidity), 4),
+    cloudbaseft: round(cloudBase(tempf, humidity, dewPoint), 0),
+    airdensitylbft3: round(airDensity(tempf, humidity, baromabsin), 6)
+  };
+}
+
+/**
+ * @param {object} datum imperial record
+ * @returns {object} the record with its derived quantities, what the imperial JSONL files hold
+ */
+const withDerivedFields = datum => ({ ...datum, ...deriveFields(datum) });
+
+/**
+ * @param {object} document imperial document
+ * @returns {object} the record as the API returned it, without the derived quantities
+ */
+function withoutDerivedFields(document) {
+  const record = { ...document };
+  DERIVED_FIELDS.forEach(field => delete record[field]);
+  return record;
+}
+
+module.exports = { deriveFields, withDerivedFields, withoutDerivedFields, DERIVED_FIELDS };
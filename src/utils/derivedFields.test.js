@@ -0,0 +1,67 @@
+const { deriveFields, withDerivedFields, withoutDerivedFields, DERIVED_FIELDS } = require('./derivedFields');
+
+describe("derivedFields", () => {
+  describe("deriveFields", () => {
+    it("computes the heat index of the NWS table", () => {
+      // NWS heat index chart: 90°F at 50% is 95°F, 100°F at 40% is 109°F, 80°F at 40% is 80°F
+      expect(deriveFields({ tempf: 90, humidity: 50 }).heatindexf).toBeCloseTo(95, 0);
+      expect(deriveFields({ tempf: 100, humidity: 40 }).heatindexf).toBeCloseTo(109, 0);
+      expect(deriveFields({ tempf: 80, humidity: 40 }).heatindexf).toBeCloseTo(80, 0);
+    });
+    it("applies the low and high humidity adjustments of the heat index", () => {
+      // the regression gives 90.18°F and 101.58°F
+      expect(deriveFields({ tempf: 95, humidity: 5 }).heatindexf).toBe(88.18);
+      expect(deriveFields({ tempf: 85, humidity: 90 }).heatindexf).toBe(101.78);
+    });
+    it("uses the simple formula below 80°F", () => {
+      expect(deriveFields({ tempf: 60, humidity: 50 }).heatindexf).toBe(58.05);
+    });
+    it("computes the wind chill of the NWS table, the air temperature where it isn't defined", () => {
+      // NWS wind chill chart: 0°F at 15 mph is -19°F, 30°F at 10 mph is 21°F
+      expect(Math.round(deriveFields({ tempf: 0, windspeedmph: 15 }).windchillf)).toBe(-19);
+      expect(Math.round(deriveFields({ tempf: 30, windspeedmph: 10 }).windchillf)).toBe(21);
+      expect(deriveFields({ tempf: 60, windspeedmph: 20 }).windchillf).toBe(60);
+      expect(deriveFields({ tempf: 20, windspeedmph: 2 }).windchillf).toBe(20);
+    });
+    it("computes the wet-bulb temperature of Stull", () => {
+      // Stull (2011): 20°C at 50% is 13.7°C
+      expect((deriveFields({ tempf: 68, humidity: 50 }).wetbulbf - 32) * 5 / 9).toBeCloseTo(13.7, 1);
+    });
+    it("computes the absolute humidity and vapour pressure deficit", () => {
+      // 20°C: 23.38 hPa saturation vapour pressure, at 50% 8.65 g/m³ of water vapour
+      const { abshumiditygm3, vpdin } = deriveFields({ tempf: 68, humidity: 50 });
+      expect(abshumiditygm3).toBeCloseTo(8.65, 1);
+      expect(vpdin * 33.86389).toBeCloseTo(11.69, 1);
+      expect(deriveFields({ tempf: 68, humidity: 100 }).vpdin).toBe(0);
+    });
+    it("estimates the cloud base from the reported dew point, else from the humidity", () => {
+      expect(deriveFields({ tempf: 70, dewPoint: 48 }).cloudbaseft).toBe(5000);
+      expect(deriveFields({ tempf: 70, humidity: 100 }).cloudbaseft).toBe(0);
+      expect(deriveFields({ tempf: 68, humidity: 50 }).cloudbaseft).toBe(4390);
+    });
+    it("computes the density of moist air at the station pressure", () => {
+      // 15°C, 1013.25 hPa, dry: 1.225 kg/m³, 0.0765 lb/ft³
+      expect(deriveFields({ tempf: 59, humidity: 0, baromabsin: 29.9213 }).airdensitylbft3).toBeCloseTo(0.0765, 4);
+      expect(deriveFields({ tempf: 59, humidity: 100, baromabsin: 29.9213 }).airdensitylbft3).toBeLessThan(0.0765);
+    });
+    it("is null for the quantities without their sensors", () => {
+      expect(deriveFields({ tempf: 70 })).toEqual(Object.fromEntries(DERIVED_FIELDS.map(field => [field, null])));
+      expect(deriveFields({})).toEqual(Object.fromEntries(DERIVED_FIELDS.map(field => [field, null])));
+      expect(deriveFields({ tempf: 70, humidity: 50 })).toEqual(expect.objectContaining({ windchillf: null, airdensitylbft3: null, wetbulbf: expect.any(Number) }));
+    });
+    it("is null for values that aren't numbers", () => {
+      expect(deriveFields({ tempf: '70', humidity: null, windspeedmph: NaN }).heatindexf).toBeNull();
+      expect(deriveFields({ tempf: 70, windspeedmph: null }).windchillf).toBeNull();
+    });
+  });
+  describe("withDerivedFields / withoutDerivedFields", () => {
+    it("adds the derived quantities to the record and takes them off again", () => {
+      const record = { dateutc: 1595094900000, tempf: 90, humidity: 50 };
+      const derived = withDerivedFields(record);
+
+      expect(Object.keys(derived)).toEqual([...Object.keys(record), ...DERIVED_FIELDS]);
+      expect(withoutDerivedFields(derived)).toEqual(record);
+      expect(record).toEqual({ dateutc: 1595094900000, tempf: 90, humidity: 50 });
+    });
+  });
+});
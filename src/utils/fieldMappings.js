@@ -0,0 +1,259 @@
+const cu = require('convert-units');
+
+/*
+ * The metric documents (and the other unit profiles), declared as data instead of a fixed object literal. A record
+ * is mapped field by field:
+ * 1. a field in `fields` goes to its target, through its unit conversion (rounded to its precision) or its values
+ * 2. else a field matching a pattern in `channels` (the numbered sensors: temp1f, humidity2, soilhum3, ...) goes to
+ *    the pattern's target, $1 being the channel number
+ * 3. else the `unknownFields` policy applies: 'keep' copies the field as it is, 'drop' leaves it out
+ * Fields the record doesn't have are left out of the document
+ */
+
+// imperial to the units of the profiles, numbers only: anything else converts to null
+const PASCALS_PER_INHG = 3386.389;
+const METRES_PER_NAUTICAL_MILE = 1852;
+const KG_PER_M3_PER_LB_PER_FT3 = 16.01846337;
+const UNIT_CONVERSIONS = {
+  fahrenheitToCelsius: f => cu(f).from('F').to('C'),
+  fahrenheitToKelvin: f => cu(f).from('F').to('K'),
+  mphToKmh: mph => cu(mph).from('m/h').to('km/h'),
+  mphToMs: mph => cu(mph).from('m/h').to('m/s'),
+  mphToKnots: mph => cu(mph).from('m/h').to('knot'),
+  inchesToMm: inches => cu(inches).from('in').to('mm'),
+  milesToKm: miles => cu(miles).from('mi').to('km'),
+  milesToM: miles => cu(miles).from('mi').to('m'),
+  milesToNauticalMiles: miles => cu(miles).from('mi').to('m') / METRES_PER_NAUTICAL_MILE,
+  inHgToPa: inHg => inHg * PASCALS_PER_INHG,
+  inHgToHpa: inHg => inHg * PASCALS_PER_INHG / 100,
+  // what the barometer_*_bar fields have always held: inHg in pascals, times 0.1
+  inHgToBarometer: inHg => inHg * PASCALS_PER_INHG * 0.1,
+  inHgToKpa: inHg => inHg * PASCALS_PER_INHG / 1000,
+  feetToM: feet => cu(feet).from('ft').to('m'),
+  lbPerFt3ToKgPerM3: lbPerFt3 => lbPerFt3 * KG_PER_M3_PER_LB_PER_FT3,
+  // the unit stays, only the precision applies
+  unchanged: value => value
+};
+
+const same = target => ({ target });
+// the units of the derived quantities (see derivedFields.js and rainIncrements.js) that aren't measured ones. The rain
+// of a reading is a fraction of a millimetre: it has decimals in every profile
+const DERIVED_QUANTITIES = {
+  rainIncrement: { unit: 'inchesToMm', precision: 2, suffix: '_mm' },
+  rainRate: { unit: 'inchesToMm', precision: 1, suffix: '_mm_per_hr' },
+  vapourPressure: { unit: 'inHgToKpa', precision: 3, suffix: '_kpa' },
+  height: { unit: 'feetToM', precision: 0, suffix: '_m' },
+  density: { unit: 'lbPerFt3ToKgPerM3', precision: 3, suffix: '_kg_per_m3' }
+};
+
+/**
+ * The field mapping registry of a unit profile. Every measured quantity has its unit conversion, its precision
+ * (decimals) and the suffix of its field names: temperature { unit: 'fahrenheitToCelsius', precision: 1, suffix: '_c' }
+ * maps tempf to temp_outside_c. The fields without a unit are the same in every profile
+ * @param {object} quantities { temperature, speed, pressure, rain, distance, rainIncrement, rainRate, vapourPressure,
+ * height, density } each { unit, precision, suffix }, the last five (of the derived quantities) default to millimetres,
+ * millimetres per hour, kPa, metres and kg/m³
+ * @returns {object} registry for mapFields
+ */
+function unitProfile({
+  temperature, speed, pressure, rain, distance,
+  rainIncrement = DERIVED_QUANTITIES.rainIncrement, rainRate = DERIVED_QUANTITIES.rainRate,
+  vapourPressure = DERIVED_QUANTITIES.vapourPressure, height = DERIVED_QUANTITIES.height, density = DERIVED_QUANTITIES.density
+}) {
+  const measured = ({ unit, precision, suffix }) => name => ({ target: `${name}${suffix}`, unit, precision });
+  const [inTemperature, inSpeed, inPressure, inRain, inDistance, inRainIncrement, inRainRate, inVapourPressure, inHeight, inDensity] = [
+    temperature, speed, pressure, rain, distance, rainIncrement, rainRate, vapourPressure, height, density
+  ].map(measured);
+  return {
+    fields: {
+      date: same('date'),
+      dateutc: same('dateutc'),
+      tz: same('tz'),
+      loc: same('loc'),
+      lastRain: same('last_rain'),
+      uv: same('uv'),
+      winddir: same('wind_dir'),
+      winddir_avg2m: same('wind_dir_avg_2m'),
+      winddir_avg10m: same('wind_dir_avg_10m'),
+      humidity: same('humidity'),
+      humidityin: same('humidity_inside'),
+      baromabsin: inPressure('barometer_abs'),
+      baromrelin: inPressure('barometer_rel'),
+      tempinf: inTemperature('temp_inside'),
+      tempf: inTemperature('temp_outside'),
+      battout: { target: 'battery_condition', values: { 1: 'good' }, otherwise: 'bad' },
+      battin: { target: 'battery_inside_condition', values: { 1: 'good' }, otherwise: 'bad' },
+      windspeedmph: inSpeed('windspeed'),
+      windgustmph: inSpeed('windgust'),
+      maxdailygust: inSpeed('max_daily_gust'),
+      windspdmph_avg2m: inSpeed('windspeed_avg_2m'),
+      windspdmph_avg10m: inSpeed('windspeed_avg_10m'),
+      hourlyrainin: inRain('hourly_rain'),
+      eventrainin: inRain('event_rain'),
+      dailyrainin: inRain('daily_rain'),
+      weeklyrainin: inRain('weekly_rain'),
+      monthlyrainin: inRain('monthly_rain'),
+      yearlyrainin: inRain('yearly_rain'),
+      totalrainin: inRain('total_rain'),
+      rainin: inRainIncrement('rain'),
+      rainrateinhr: inRainRate('rain_rate'),
+      solarradiation: same('solar_radiation_W_per_sq_m'),
+      feelsLike: inTemperature('feels_like_outside'),
+      dewPoint: inTemperature('dewpoint'),
+      feelsLikein: inTemperature('feelslike_inside'),
+      dewPointin: inTemperature('dewpoint_inside'),
+      pm25: same('pm25'),
+      pm25_24h: same('pm25_24h'),
+      pm25_in: same('pm25_in'),
+      pm25_in_24h: same('pm25_in_24h'),
+      co2: same('co2'),
+      lightning_day: same('lightning_day'),
+      lightning_hour: same('lightning_hour'),
+      lightning_time: same('lightning_time'),
+      lightning_distance: inDistance('lightning_distance'),
+      heatindexf: inTemperature('heat_index'),
+      windchillf: inTemperature('wind_chill'),
+      wetbulbf: inTemperature('wet_bulb'),
+      abshumiditygm3: same('absolute_humidity_g_per_m3'),
+      vpdin: inVapourPressure('vapour_pressure_deficit'),
+      cloudbaseft: inHeight('cloud_base'),
+      airdensitylbft3: inDensity('air_density'),
+      // the QC flags list the fields that failed, by their names in the document (see src/qualityControl)
+      qc: { target: 'qc', fieldNames: true }
+    },
+    channels: [
+      { pattern: /^temp(\d+)f$/, ...inTemperature('temp_$1') },
+      { pattern: /^humidity(\d+)$/, ...same('humidity_$1') },
+      { pattern: /^feelsLike(\d+)$/, ...inTemperature('feels_like_$1') },
+      { pattern: /^dewPoint(\d+)$/, ...inTemperature('dewpoint_$1') },
+      { pattern: /^soiltemp(\d+)f$/, ...inTemperature('soil_temp_$1') },
+      { pattern: /^soilhum(\d+)$/, ...same('soil_humidity_$1') },
+      { pattern: /^batt(\d+)$/, target: 'battery_$1_condition', values: { 1: 'good' }, otherwise: 'bad' },
+      { pattern: /^leak(\d+)$/, ...same('leak_$1') },
+      { pattern: /^relay(\d+)$/, ...same('relay_$1') }
+    ],
+    unknownFields: 'keep'
+  };
+}
+
+// the documents of the metric indices, as they have always been: pressure labelled bar, rain in whole millimetres
+const METRIC_FIELDS = unitProfile({
+  temperature: { unit: 'fahrenheitToCelsius', precision: 3, suffix: '_c' },
+  speed: { unit: 'mphToKmh', precision: 3, suffix: '_km_per_hr' },
+  pressure: { unit: 'inHgToBarometer', precision: 6, suffix: '_bar' },
+  rain: { unit: 'inchesToMm', precision: 0, suffix: '_mm' },
+  distance: { unit: 'milesToKm', precision: 3, suffix: '_km' }
+});
+
+/*
+ * The documents a station can be converted to, by profile name. The name is the data type of the profile's JSONL
+ * directory (ambient-weather-<station>-<profile>-jsonl), write alias and indices, the stations config picks the profiles
+ * - metric: METRIC_FIELDS
+ * - si: kelvin, pascals, metres per second, metres (rain stays in millimetres)
+ * - wmo: what WMO observations report: degrees Celsius and hectopascals to 0.1, metres per second, millimetres to 0.1
+ * - aviation: degrees Celsius, inches of mercury, knots, inches of rain, nautical miles, feet, pounds per cubic foot
+ * The derived quantities are in millimetres, millimetres per hour, kPa, metres and kg/m³ unless the profile says otherwise
+ */
+const UNIT_PROFILES = {
+  metric: METRIC_FIELDS,
+  si: unitProfile({
+    temperature: { unit: 'fahrenheitToKelvin', precision: 2, suffix: '_k' },
+    speed: { unit: 'mphToMs', precision: 2, suffix: '_m_per_s' },
+    pressure: { unit: 'inHgToPa', precision: 0, suffix: '_pa' },
+    rain: { unit: 'inchesToMm', precision: 1, suffix: '_mm' },
+    distance: { unit: 'milesToM', precision: 0, suffix: '_m' },
+    vapourPressure: { unit: 'inHgToPa', precision: 0, suffix: '_pa' }
+  }),
+  wmo: unitProfile({
+    temperature: { unit: 'fahrenheitToCelsius', precision: 1, suffix: '_c' },
+    speed: { unit: 'mphToMs', precision: 1, suffix: '_m_per_s' },
+    pressure: { unit: 'inHgToHpa', precision: 1, suffix: '_hpa' },
+    rain: { unit: 'inchesToMm', precision: 1, suffix: '_mm' },
+    distance: { unit: 'milesToKm', precision: 1, suffix: '_km' },
+    vapourPressure: { unit: 'inHgToHpa', precision: 1, suffix: '_hpa' }
+  }),
+  aviation: unitProfile({
+    temperature: { unit: 'fahrenheitToCelsius', precision: 1, suffix: '_c' },
+    speed: { unit: 'mphToKnots', precision: 0, suffix: '_kt' },
+    pressure: { unit: 'unchanged', precision: 2, suffix: '_inhg' },
+    rain: { unit: 'unchanged', precision: 2, suffix: '_in' },
+    distance: { unit: 'milesToNauticalMiles', precision: 1, suffix: '_nmi' },
+    rainIncrement: { unit: 'unchanged', precision: 2, suffix: '_in' },
+    rainRate: { unit: 'unchanged', precision: 2, suffix: '_in_per_hr' },
+    vapourPressure: { unit: 'unchanged', precision: 2, suffix: '_inhg' },
+    height: { unit: 'unchanged', precision: 0, suffix: '_ft' },
+    density: { unit: 'unchanged', precision: 4, suffix: '_lb_per_ft3' }
+  })
+};
+const DEFAULT_PROFILES = ['metric'];
+
+/**
+ * Maps a record to a document with a field mapping registry
+ * @param {object} datum the record, e.g. an imperial record from the API
+ * @param {object} registry { fields: { <source field>: rule }, channels: [{ pattern, ...rule }], unknownFields: 'keep' | 'drop' }
+ * where a rule is { target, unit (a key of UNIT_CONVERSIONS), precision (decimals) }, { target, values: { <value>: <mapped> }, otherwise }
+ * or { target, fieldNames: true } for an object whose lists are source field names, mapped to their targets
+ * @returns {object | undefined} the document, undefined without a record
+ * @example mapFields({ tempf: 50, temp1f: 68 }) // { temp_outside_c: 10, temp_1_c: 20 }
+ */
+function mapFields(datum, registry = METRIC_FIELDS) {
+  if (!datum) return;
+  const document = {};
+  Object.entries(datum).forEach(([source, value]) => {
+    if (value === undefined) return;
+    const rule = registry.fields[source];
+    if (rule) {
+      document[rule.target] = rule.fieldNames ? mapFieldNames(value, registry) : convertValue(value, rule);
+      return;
+    }
+    const channel = registry.channels.find(({ pattern }) => pattern.test(source));
+    if (channel) {
+      document[source.replace(channel.pattern, channel.target)] = convertValue(value, channel);
+    } else if (registry.unknownFields === 'keep') {
+      document[source] = value;
+    }
+  });
+  return document;
+}
+
+// the name a source field has in the document
+function targetName(source, registry) {
+  const rule = registry.fields[source];
+  if (rule) return rule.target;
+  const channel = registry.channels.find(({ pattern }) => pattern.test(source));
+  return channel ? source.replace(channel.pattern, channel.target) : source;
+}
+
+function mapFieldNames(value, registry) {
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, names]) => [key, Array.isArray(names) ? names.map(name => targetName(name, registry)) : names]));
+}
+
+function convertValue(value, { unit, precision, values, otherwise }) {
+  if (values) return Object.prototype.hasOwnProperty.call(values, value) ? values[value] : otherwise;
+  if (!unit) return value;
+  if (!Number.isFinite(value)) return null;
+  const converted = UNIT_CONVERSIONS[unit](value);
+  return precision === undefined ? converted : Number(converted.toFixed(precision));
+}
+
+/**
+ * The metric document of an imperial record, see METRIC_FIELDS
+ * @param {object} datum imperial record
+ * @returns {object | undefined} metric document, undefined without a record
+ */
+const convertToMetric = datum => mapFields(datum, METRIC_FIELDS);
+
+/**
+ * @param {string} profile name of a unit profile
+ * @returns {object} the registry of the profile
+ * @throws for a profile that doesn't exist
+ */
+function profileFields(profile) {
+  if (!Object.prototype.hasOwnProperty.call(UNIT_PROFILES, profile)) {
+    throw new Error(`Unknown unit profile "${profile}", expected one of ${Object.keys(UNIT_PROFILES).join(', ')}`);
+  }
+  return UNIT_PROFILES[profile];
+}
+
+module.exports = { mapFields, convertToMetric, profileFields, unitProfile, METRIC_FIELDS, UNIT_PROFILES, DEFAULT_PROFILES, UNIT_CONVERSIONS };
@@ -0,0 +1,161 @@
+const { mapFields, convertToMetric, profileFields, METRIC_FIELDS } = require('./fieldMappings');
+
+describe("fieldMappings", () => {
+  describe("convertToMetric", () => {
+    it("converts imperial units to metric units", () => {
+      const imperialDatum = {
+        dateutc: 1595094900000,
+        tempinf: 81.5,
+        humidityin: 41,
+        baromrelin: 29.965,
+        baromabsin: 28.621,
+        tempf: 103.5,
+        battout: 1,
+        humidity: 21,
+        winddir: 167,
+        windspeedmph: 1.8,
+        windgustmph: 3.4,
+        maxdailygust: 4.5,
+        hourlyrainin: 0,
+        eventrainin: 0,
+        dailyrainin: 0,
+        weeklyrainin: 0,
+        monthlyrainin: 0,
+        totalrainin: 0.071,
+        solarradiation: 956.05,
+        uv: 9,
+        feelsLike: 102.71,
+        dewPoint: 55.86,
+        feelsLikein: 81.1,
+        dewPointin: 55.5,
+        lastRain: "2020-06-06T03:34:00.000Z",
+        loc: "ambient-prod-2020-29",
+        date: "2020-07-18T17:55:00.000Z"
+      };
+      const expectedMetricDatum = {
+        date: '2020-07-18T17:55:00.000Z',
+        dateutc: 1595094900000,
+        loc: 'ambient-prod-2020-29',
+        last_rain: '2020-06-06T03:34:00.000Z',
+        uv: 9,
+        wind_dir: 167,
+        humidity: 21,
+        humidity_inside: 41,
+        barometer_abs_bar: 9692.183957,
+        barometer_rel_bar: 10147.314639,
+        temp_inside_c: 27.5,
+        temp_outside_c: 39.722,
+        battery_condition: 'good',
+        windspeed_km_per_hr: 2.897,
+        windgust_km_per_hr: 5.472,
+        max_daily_gust_km_per_hr: 7.242,
+        hourly_rain_mm: 0,
+        event_rain_mm: 0,
+        daily_rain_mm: 0,
+        weekly_rain_mm: 0,
+        monthly_rain_mm: 0,
+        total_rain_mm: 2,
+        solar_radiation_W_per_sq_m: 956.05,
+        feels_like_outside_c: 39.283,
+        dewpoint_c: 13.256,
+        feelslike_inside_c: 27.278,
+        dewpoint_inside_c: 13.056
+      };
+      const actualResult = convertToMetric(imperialDatum);
+      expect(actualResult).toEqual(expectedMetricDatum);
+    });
+  });
+  describe("mapFields", () => {
+    it("maps the numbered channels with their pattern rules", () => {
+      expect(convertToMetric({ temp1f: 68, humidity2: 40, soilhum3: 25, soiltemp1f: 50, batt4: 0, dewPoint5: 32 })).toEqual({
+        temp_1_c: 20,
+        humidity_2: 40,
+        soil_humidity_3: 25,
+        soil_temp_1_c: 10,
+        battery_4_condition: 'bad',
+        dewpoint_5_c: 0
+      });
+    });
+    it("keeps the fields it has no rule for, and leaves out the fields the record doesn't have", () => {
+      expect(convertToMetric({ dateutc: 1595094900000, lightning_distance: 10, pm25: 12, co2: 410, batt_co2: 1, tempf: undefined })).toEqual({
+        dateutc: 1595094900000,
+        lightning_distance_km: 16.093,
+        pm25: 12,
+        co2: 410,
+        batt_co2: 1
+      });
+    });
+    it("drops the fields it has no rule for with the drop policy", () => {
+      expect(mapFields({ dateutc: 1595094900000, batt_co2: 1 }, { ...METRIC_FIELDS, unknownFields: 'drop' })).toEqual({ dateutc: 1595094900000 });
+    });
+    it("converts values that aren't numbers to null", () => {
+      expect(convertToMetric({ tempf: null, windspeedmph: '' })).toEqual({ temp_outside_c: null, windspeed_km_per_hr: null });
+    });
+  });
+  describe("unit profiles", () => {
+    const datum = { dateutc: 1595094900000, tempf: 50, temp1f: 68, windspeedmph: 10, baromrelin: 29.92, hourlyrainin: 0.12, lightning_distance: 5, humidity: 21 };
+    it("converts to the units, precision and suffixes of each profile", () => {
+      expect(mapFields(datum, profileFields('si'))).toEqual({
+        dateutc: 1595094900000,
+        temp_outside_k: 283.15,
+        temp_1_k: 293.15,
+        windspeed_m_per_s: 4.47,
+        barometer_rel_pa: 101321,
+        hourly_rain_mm: 3,
+        lightning_distance_m: 8047,
+        humidity: 21
+      });
+      expect(mapFields(datum, profileFields('wmo'))).toEqual({
+        dateutc: 1595094900000,
+        temp_outside_c: 10,
+        temp_1_c: 20,
+        windspeed_m_per_s: 4.5,
+        barometer_rel_hpa: 1013.2,
+        hourly_rain_mm: 3,
+        lightning_distance_km: 8,
+        humidity: 21
+      });
+      expect(mapFields(datum, profileFields('aviation'))).toEqual({
+        dateutc: 1595094900000,
+        temp_outside_c: 10,
+        temp_1_c: 20,
+        windspeed_kt: 9,
+        barometer_rel_inhg: 29.92,
+        hourly_rain_in: 0.12,
+        lightning_distance_nmi: 4.3,
+        humidity: 21
+      });
+    });
+    it("keeps the metric profile as the metric documents have always been", () => {
+      expect(profileFields('metric')).toBe(METRIC_FIELDS);
+      expect(mapFields(datum, profileFields('metric'))).toEqual(convertToMetric(datum));
+    });
+    it("maps the derived quantities to the units of each profile", () => {
+      const derived = { heatindexf: 99.68, vpdin: 0.5693, cloudbaseft: 3575, airdensitylbft3: 0.071379, abshumiditygm3: 20.52, windchillf: null };
+      expect(mapFields(derived, profileFields('metric'))).toEqual({
+        heat_index_c: 37.6,
+        vapour_pressure_deficit_kpa: 1.928,
+        cloud_base_m: 1090,
+        air_density_kg_per_m3: 1.143,
+        absolute_humidity_g_per_m3: 20.52,
+        wind_chill_c: null
+      });
+      expect(mapFields(derived, profileFields('wmo'))).toEqual(expect.objectContaining({ vapour_pressure_deficit_hpa: 19.3, cloud_base_m: 1090 }));
+      expect(mapFields(derived, profileFields('aviation'))).toEqual(expect.objectContaining({ vapour_pressure_deficit_inhg: 0.57, cloud_base_ft: 3575, air_density_lb_per_ft3: 0.0714 }));
+    });
+    it("maps the rain of a reading with decimals, unlike the running totals of the metric profile", () => {
+      const rain = { totalrainin: 1.23, rainin: 0.03, rainrateinhr: 0.36 };
+      expect(mapFields(rain, profileFields('metric'))).toEqual({ total_rain_mm: 31, rain_mm: 0.76, rain_rate_mm_per_hr: 9.1 });
+      expect(mapFields(rain, profileFields('wmo'))).toEqual({ total_rain_mm: 31.2, rain_mm: 0.76, rain_rate_mm_per_hr: 9.1 });
+      expect(mapFields(rain, profileFields('aviation'))).toEqual({ total_rain_in: 1.23, rain_in: 0.03, rain_rate_in_per_hr: 0.36 });
+    });
+    it("maps the fields the QC flags list to their names in each profile", () => {
+      const qc = { flagged: true, range: ['tempf', 'temp2f'], step: [], persistence: ['windspeedmph', 'pm25'] };
+      expect(mapFields({ qc }, profileFields('metric'))).toEqual({ qc: { flagged: true, range: ['temp_outside_c', 'temp_2_c'], step: [], persistence: ['windspeed_km_per_hr', 'pm25'] } });
+      expect(mapFields({ qc }, profileFields('aviation')).qc.persistence).toEqual(['windspeed_kt', 'pm25']);
+    });
+    it("throws for a profile that doesn't exist", () => {
+      expect(() => profileFields('imperial')).toThrow('Unknown unit profile "imperial", expected one of metric, si, wmo, aviation');
+    });
+  });
+});
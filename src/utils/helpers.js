@@ -1,6 +1,7 @@
 const cu = require("convert-units");
 const momentTZ = require("moment-timezone");
 const moment = require('moment')
+const assert = require('assert');
 const timeConstants = require('./constants')
 
 const convertTemp = function (f) {
@@ -24,45 +25,21 @@ const calcMinutesDiff = (to, from) => {
 };
 
 
-function convertRainReading(reading) {
-  if (reading !== 0) {
-    const converted = cu(reading).from('in').to('mm');
-    return Number((converted).toFixed(0));
-  }
-  return 0.0;
-};
-
-function convertToMetric(datum) {
-  if (!datum) return;
-  return {
-    date: datum.date,
-    dateutc: datum.dateutc,
-    loc: datum.loc,
-    last_rain: datum.lastRain,
-    uv: datum.uv,
-    wind_dir: datum.winddir,
-    humidity: datum.humidity,
-    humidity_inside: datum.humidityin,
-    barometer_abs_bar: Number((datum.baromabsin * (3386.389) * 0.1).toFixed(6)),
-    barometer_rel_bar: Number((datum.baromrelin * (3386.389) * 0.1).toFixed(6)),
-    temp_inside_c: convertTemp(datum.tempinf),
-    temp_outside_c: convertTemp(datum.tempf),
-    battery_condition: datum.battout === 1 ? 'good' : 'bad',
-    windspeed_km_per_hr: convertMPH(datum.windspeedmph),
-    windgust_km_per_hr: convertMPH(datum.windgustmph),
-    max_daily_gust_km_per_hr: convertMPH(datum.maxdailygust),
-    hourly_rain_mm: convertRainReading(datum.hourlyrainin),
-    event_rain_mm: convertRainReading(datum.eventrainin),
-    daily_rain_mm: convertRainReading(datum.dailyrainin),
-    weekly_rain_mm: convertRainReading(datum.weeklyrainin),
-    monthly_rain_mm: convertRainReading(datum.monthlyrainin),
-    total_rain_mm: convertRainReading(datum.totalrainin),
-    solar_radiation_W_per_sq_m: datum.solarradiation,
-    feels_like_outside_c: convertTemp(datum.feelsLike),
-    dewpoint_c: convertTemp(datum.dewPoint),
-    feelslike_inside_c: convertTemp(datum.feelsLikein),
-    dewpoint_inside_c: convertTemp(datum.dewPointin),
-  }
+/**
+ * Builds a stable Elasticsearch document id for an observation so that re-indexing the same
+ * record overwrites the existing document instead of creating a duplicate.
+ * The same id is used for the imperial and metric versions of a record: they live in different indices.
+ * @param {object} datum imperial or metric record containing `dateutc`
+ * @param {string} macAddress station MAC address, defaults to AMBIENT_WEATHER_MACADDRESS
+ * @returns {string} id of the form `<mac without separators, lowercase>_<dateutc>`
+ * @example
+ * createDocumentId({ dateutc: 1641684000000 }, 'AA:BB:CC:DD:EE:FF') // 'aabbccddeeff_1641684000000'
+ */
+function createDocumentId(datum, macAddress = process.env.AMBIENT_WEATHER_MACADDRESS) {
+  assert.ok(macAddress, 'AMBIENT_WEATHER_MACADDRESS needs to be configured');
+  assert.ok(datum && Number.isFinite(datum.dateutc), 'record needs a numeric dateutc to create a document id');
+  const normalizedMac = `${macAddress}`.toLowerCase().replace(/[^0-9a-f]/g, '');
+  return `${normalizedMac}_${datum.dateutc}`;
 }
 /**
  *
@@ -89,6 +66,6 @@ module.exports = {
   convertTemp,
   convertMPH,
   calcMinutesDiff,
-  convertToMetric,
+  createDocumentId,
   minDateFromDateObjects
 };
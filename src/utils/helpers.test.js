@@ -3,7 +3,7 @@ const {
   convertTemp,
   convertMPH,
   calcMinutesDiff,
-  convertToMetric,
+  createDocumentId,
   minDateFromDateObjects
 } = require("./helpers");
 const timeConstants = require('./constants');
@@ -41,68 +41,18 @@ describe("helpers", () => {
       expect(actual).toEqual(expected)
     })
   });
-  describe("convertToMetric", () => {
-    it("converts imperial units to metric units", () => {
-      const imperialDatum = {
-        dateutc: 1595094900000,
-        tempinf: 81.5,
-        humidityin: 41,
-        baromrelin: 29.965,
-        baromabsin: 28.621,
-        tempf: 103.5,
-        battout: 1,
-        humidity: 21,
-        winddir: 167,
-        windspeedmph: 1.8,
-        windgustmph: 3.4,
-        maxdailygust: 4.5,
-        hourlyrainin: 0,
-        eventrainin: 0,
-        dailyrainin: 0,
-        weeklyrainin: 0,
-        monthlyrainin: 0,
-        totalrainin: 0.071,
-        solarradiation: 956.05,
-        uv: 9,
-        feelsLike: 102.71,
-        dewPoint: 55.86,
-        feelsLikein: 81.1,
-        dewPointin: 55.5,
-        lastRain: "2020-06-06T03:34:00.000Z",
-        loc: "ambient-prod-2020-29",
-        date: "2020-07-18T17:55:00.000Z"
-      };
-      const expectedMetricDatum = {
-        date: '2020-07-18T17:55:00.000Z',
-        dateutc: 1595094900000,
-        loc: 'ambient-prod-2020-29',
-        last_rain: '2020-06-06T03:34:00.000Z',
-        uv: 9,
-        wind_dir: 167,
-        humidity: 21,
-        humidity_inside: 41,
-        barometer_abs_bar: 9692.183957,
-        barometer_rel_bar: 10147.314639,
-        temp_inside_c: 27.5,
-        temp_outside_c: 39.722,
-        battery_condition: 'good',
-        windspeed_km_per_hr: 2.897,
-        windgust_km_per_hr: 5.472,
-        max_daily_gust_km_per_hr: 7.242,
-        hourly_rain_mm: 0,
-        event_rain_mm: 0,
-        daily_rain_mm: 0,
-        weekly_rain_mm: 0,
-        monthly_rain_mm: 0,
-        total_rain_mm: 2,
-        solar_radiation_W_per_sq_m: 956.05,
-        feels_like_outside_c: 39.283,
-        dewpoint_c: 13.256,
-        feelslike_inside_c: 27.278,
-        dewpoint_inside_c: 13.056
-      };
-      const actualResult = convertToMetric(imperialDatum);
-      expect(actualResult).toEqual(expectedMetricDatum);
+  describe("createDocumentId", () => {
+    it("combines the normalized MAC address and dateutc", () => {
+      expect(createDocumentId({ dateutc: 1595094900000 }, 'AA:BB:CC:DD:EE:FF')).toEqual('aabbccddeeff_1595094900000');
+    });
+    it("returns the same id for differently formatted MAC addresses", () => {
+      expect(createDocumentId({ dateutc: 1595094900000 }, 'aa-bb-cc-dd-ee-ff')).toEqual(createDocumentId({ dateutc: 1595094900000 }, 'AA:BB:CC:DD:EE:FF'));
+    });
+    it("throws when the MAC address is missing", () => {
+      expect(() => createDocumentId({ dateutc: 1595094900000 }, '')).toThrow('AMBIENT_WEATHER_MACADDRESS needs to be configured');
+    });
+    it("throws when the record has no dateutc", () => {
+      expect(() => createDocumentId({ tempf: 70 }, 'AA:BB:CC:DD:EE:FF')).toThrow('dateutc');
     });
   });
   describe("minDateFromDateObjects", () => {
@@ -1,10 +1,35 @@
-const { convertTemp, convertMPH, calcMinutesDiff, convertToMetric, minDateFromDateObjects } = require('./helpers');
+const { convertTemp, convertMPH, calcMinutesDiff, createDocumentId, minDateFromDateObjects } = require('./helpers');
+const { mapFields, convertToMetric, profileFields, METRIC_FIELDS, UNIT_PROFILES, DEFAULT_PROFILES } = require('./fieldMappings');
 const timeConstants = require('./constants');
+const { writeFileAtomic, isTempFile, TEMP_FILE_SUFFIX } = require('./writeFileAtomic');
+const { deriveFields, withDerivedFields, withoutDerivedFields, DERIVED_FIELDS } = require('./derivedFields');
+const { localTimeFields, isTimezone, DEFAULT_TIMEZONE } = require('./localTime');
+const { withRainIncrements, withoutRainIncrements, RAIN_FIELDS, RAIN_MAX_GAP_MINUTES } = require('./rainIncrements');
 module.exports = {
   convertTemp,
   convertMPH,
   calcMinutesDiff,
   convertToMetric,
+  mapFields,
+  METRIC_FIELDS,
+  profileFields,
+  UNIT_PROFILES,
+  DEFAULT_PROFILES,
+  deriveFields,
+  withDerivedFields,
+  withoutDerivedFields,
+  DERIVED_FIELDS,
+  withRainIncrements,
+  withoutRainIncrements,
+  RAIN_FIELDS,
+  RAIN_MAX_GAP_MINUTES,
+  localTimeFields,
+  isTimezone,
+  DEFAULT_TIMEZONE,
+  createDocumentId,
   minDateFromDateObjects,
-  timeConstants
+  timeConstants,
+  writeFileAtomic,
+  isTempFile,
+  TEMP_FILE_SUFFIX
 }
@@ -0,0 +1,56 @@
+const momentTZ = require('moment-timezone');
+
+/*
+ * The date parts of a reading in the station's own time, what Logstash used to split the dates into. Dashboards bucket
+ * by them (the local day, the hour of the day, the season) without scripts: the dates of the documents are UTC
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+const HEMISPHERES = ['north', 'south'];
+// meteorological seasons: whole months, winter is December to February in the north
+const NORTHERN_SEASONS = ['winter', 'winter', 'spring', 'spring', 'spring', 'summer', 'summer', 'summer', 'autumn', 'autumn', 'autumn', 'winter'];
+const OPPOSITE_SEASONS = { winter: 'summer', spring: 'autumn', summer: 'winter', autumn: 'spring' };
+
+/**
+ * @param {string} timezone IANA name, e.g. 'America/Phoenix'
+ * @returns {boolean} whether moment-timezone knows the timezone
+ */
+const isTimezone = timezone => typeof timezone === 'string' && momentTZ.tz.zone(timezone) !== null;
+
+/**
+ * @param {number} dateutc epoch ms
+ * @param {object} opts { timezone, hemisphere }
+ * timezone: the station's timezone (the tz of its records), UTC when it isn't one moment-timezone knows
+ * hemisphere: 'north' or 'south', for the season
+ * @returns {object | null} { timezone, time, date, year, month, day, hour, weekday, weekday_name, day_of_year, iso_week,
+ * iso_week_year, season }, null without a dateutc. weekday is ISO: 1 is Monday, iso_week_year is the year iso_week belongs
+ * to, which isn't year in the first and last days of a year
+ * @example
+ * localTimeFields(1590176760000, { timezone: 'America/Phoenix' })
+ * // { timezone: 'America/Phoenix', time: '2020-05-22T12:46:00-07:00', date: '2020-05-22', year: 2020, month: 5, day: 22,
+ * //   hour: 12, weekday: 5, weekday_name: 'Friday', day_of_year: 143, iso_week: 21,
+ * //   iso_week_year: 2020, season: 'spring' }
+ */
+function localTimeFields(dateutc, { timezone, hemisphere = 'north' } = {}) {
+  if (typeof dateutc !== 'number' || !Number.isFinite(dateutc)) return null;
+  const zone = isTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  const local = momentTZ.tz(dateutc, zone);
+  const season = NORTHERN_SEASONS[local.month()];
+  return {
+    timezone: zone,
+    time: local.format(),
+    date: local.format('YYYY-MM-DD'),
+    year: local.year(),
+    month: local.month() + 1,
+    day: local.date(),
+    hour: local.hour(),
+    weekday: local.isoWeekday(),
+    weekday_name: local.format('dddd'),
+    day_of_year: local.dayOfYear(),
+    iso_week: local.isoWeek(),
+    iso_week_year: local.isoWeekYear(),
+    season: hemisphere === 'south' ? OPPOSITE_SEASONS[season] : season
+  };
+}
+
+module.exports = { localTimeFields, isTimezone, DEFAULT_TIMEZONE, HEMISPHERES };
@@ -0,0 +1,57 @@
+const { localTimeFields, isTimezone } = require('./localTime');
+
+describe("localTime", () => {
+  describe("localTimeFields", () => {
+    it("splits the date of a reading in the timezone of the station", () => {
+      // data/device.json: the last reading of the device, 19:46 UTC
+      expect(localTimeFields(1590176760000, { timezone: 'America/Phoenix' })).toEqual({
+        timezone: 'America/Phoenix',
+        time: '2020-05-22T12:46:00-07:00',
+        date: '2020-05-22',
+        year: 2020,
+        month: 5,
+        day: 22,
+        hour: 12,
+        weekday: 5,
+        weekday_name: 'Friday',
+        day_of_year: 143,
+        iso_week: 21,
+        iso_week_year: 2020,
+        season: 'spring'
+      });
+    });
+    it("puts a reading on the local day, week and year", () => {
+      // 3am UTC on 1 January 2021 is 8pm on new year's eve in Phoenix, in ISO week 53 of 2020
+      expect(localTimeFields(Date.UTC(2021, 0, 1, 3), { timezone: 'America/Phoenix' })).toEqual(expect.objectContaining({
+        date: '2020-12-31', year: 2020, hour: 20, weekday: 4, day_of_year: 366, iso_week: 53, iso_week_year: 2020
+      }));
+    });
+    it("puts the first days of a year in the ISO week of the year before", () => {
+      // 1 January 2021 is a Friday: ISO week 53 of 2020
+      expect(localTimeFields(Date.UTC(2021, 0, 1, 12), { timezone: 'UTC' })).toEqual(expect.objectContaining({
+        date: '2021-01-01', year: 2021, iso_week: 53, iso_week_year: 2020
+      }));
+      // and 31 December 2024 a Tuesday: ISO week 1 of 2025
+      expect(localTimeFields(Date.UTC(2024, 11, 31, 12), { timezone: 'UTC' })).toEqual(expect.objectContaining({
+        year: 2024, iso_week: 1, iso_week_year: 2025
+      }));
+    });
+    it("follows daylight saving time where the timezone has it", () => {
+      expect(localTimeFields(Date.UTC(2024, 6, 1, 12), { timezone: 'America/Denver' }).hour).toBe(6);
+      expect(localTimeFields(Date.UTC(2024, 0, 1, 12), { timezone: 'America/Denver' }).hour).toBe(5);
+      // Arizona doesn't
+      expect(localTimeFields(Date.UTC(2024, 6, 1, 12), { timezone: 'America/Phoenix' }).hour).toBe(5);
+    });
+    it("names the meteorological season of the hemisphere", () => {
+      const seasons = hemisphere => [0, 3, 6, 9, 11].map(month => localTimeFields(Date.UTC(2024, month, 15), { timezone: 'UTC', hemisphere }).season);
+      expect(seasons()).toEqual(['winter', 'spring', 'summer', 'autumn', 'winter']);
+      expect(seasons('south')).toEqual(['summer', 'autumn', 'winter', 'spring', 'summer']);
+    });
+    it("uses UTC for a timezone it doesn't know, and has nothing without a date", () => {
+      expect(localTimeFields(Date.UTC(2024, 0, 1), { timezone: 'Mars/Olympus' })).toEqual(expect.objectContaining({ timezone: 'UTC', time: '2024-01-01T00:00:00Z' }));
+      expect(localTimeFields(undefined, { timezone: 'America/Phoenix' })).toBeNull();
+      expect(isTimezone('America/Phoenix')).toBe(true);
+      expect(isTimezone(undefined)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+/*
+ * The rain of every reading, which the station only reports as running totals. Added to the imperial documents next to
+ * the derived quantities (see derivedFields.js), named like the fields of the API:
+ * - rainin: the rain since the reading before, the change of totalrainin
+ * - rainrateinhr: that rain per hour of the time since the reading before
+ * totalrainin only grows, unless the counter is reset (a new console, new batteries) or rolls over. Then the change of
+ * dailyrainin is the rain of the reading, or dailyrainin itself when it was reset too (at midnight), else totalrainin
+ * itself: the rain since the reset. Both are null for a reading without totalrainin, or without a reading with it in
+ * the RAIN_MAX_GAP_MINUTES before: the rain of a longer gap isn't the rain of one reading
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const RAIN_MAX_GAP_MINUTES = 60;
+const RAIN_FIELDS = ['rainin', 'rainrateinhr'];
+
+const round = value => Number(value.toFixed(3));
+const NO_RAIN = { rainin: null, rainrateinhr: null };
+
+function rainOf(record, previous) {
+  if (!Number.isFinite(record.totalrainin) || !previous) return NO_RAIN;
+  const interval = record.dateutc - previous.dateutc;
+  if (interval > RAIN_MAX_GAP_MINUTES * MINUTE) return NO_RAIN;
+  let rain = record.totalrainin - previous.totalrainin;
+  if (rain < 0) {
+    const daily = record.dailyrainin - previous.dailyrainin;
+    if (daily >= 0) rain = daily;
+    else rain = Number.isFinite(record.dailyrainin) ? record.dailyrainin : record.totalrainin;
+  }
+  return { rainin: round(rain), rainrateinhr: interval > 0 ? round(rain / (interval / HOUR)) : null };
+}
+
+/**
+ * Adds the rain of every reading, see RAIN_FIELDS
+ * @param {array} records imperial records, in any order
+ * @param {object} opts { history } the readings before the records, at least RAIN_MAX_GAP_MINUTES of them (see
+ * recordsBefore in src/registry)
+ * @returns {array} the records with rainin and rainrateinhr, in the same order
+ * @example
+ * withRainIncrements([{ dateutc: 300000, totalrainin: 1.23, dailyrainin: 0.2 }], { history: [{ dateutc: 0, totalrainin: 1.2, dailyrainin: 0.17 }] })
+ * // [{ dateutc: 300000, totalrainin: 1.23, dailyrainin: 0.2, rainin: 0.03, rainrateinhr: 0.36 }]
+ */
+function withRainIncrements(records, { history = [] } = {}) {
+  const first = records.reduce((min, record) => Math.min(min, record.dateutc), Infinity);
+  let previous = null;
+  const follow = (record) => {
+    if (Number.isFinite(record.totalrainin)) previous = record;
+  };
+  [...history].filter(record => record.dateutc < first).sort((a, b) => a.dateutc - b.dateutc).forEach(follow);
+  const rain = new Map();
+  [...records].sort((a, b) => a.dateutc - b.dateutc).forEach((record) => {
+    rain.set(record, rainOf(record, previous));
+    follow(record);
+  });
+  return records.map(record => ({ ...record, ...rain.get(record) }));
+}
+
+/**
+ * @param {object} document imperial document
+ * @returns {object} the record without the rain of its reading
+ */
+function withoutRainIncrements(document) {
+  const record = { ...document };
+  RAIN_FIELDS.forEach(field => delete record[field]);
+  return record;
+}
+
+module.exports = { withRainIncrements, withoutRainIncrements, RAIN_FIELDS, RAIN_MAX_GAP_MINUTES };
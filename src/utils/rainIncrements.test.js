@@ -0,0 +1,81 @@
+const { withRainIncrements, withoutRainIncrements, RAIN_FIELDS } = require('./rainIncrements');
+
+describe("rainIncrements", () => {
+  const FIVE_MINUTES = 5 * 60 * 1000;
+  const HOUR = 60 * 60 * 1000;
+  const JAN_1 = Date.UTC(2026, 0, 1);
+  const readings = (values, start = JAN_1) => values.map((value, i) => ({ dateutc: start + i * FIVE_MINUTES, ...value }));
+  const rainOf = records => records.map(({ rainin, rainrateinhr }) => ({ rainin, rainrateinhr }));
+
+  describe("withRainIncrements", () => {
+    it("adds the change of the total rain since the reading before, and its rate per hour", () => {
+      const records = readings([{ totalrainin: 1.2 }, { totalrainin: 1.23 }, { totalrainin: 1.23 }, { totalrainin: 1.31 }]);
+
+      expect(rainOf(withRainIncrements(records))).toEqual([
+        { rainin: null, rainrateinhr: null },
+        { rainin: 0.03, rainrateinhr: 0.36 },
+        { rainin: 0, rainrateinhr: 0 },
+        { rainin: 0.08, rainrateinhr: 0.96 }
+      ]);
+    });
+
+    it("keeps the records and their order", () => {
+      const [first, second] = readings([{ totalrainin: 1, tempf: 70 }, { totalrainin: 1.1, tempf: 71 }]);
+
+      const withRain = withRainIncrements([second, first]);
+
+      expect(withRain).toEqual([{ ...second, rainin: 0.1, rainrateinhr: 1.2 }, { ...first, rainin: null, rainrateinhr: null }]);
+      expect(second).not.toHaveProperty('rainin');
+    });
+
+    it("takes the rain of a reset counter from the daily rain", () => {
+      const records = readings([
+        { totalrainin: 12.5, dailyrainin: 0.1 },
+        // new batteries: the total starts over, the daily rain goes on
+        { totalrainin: 0.02, dailyrainin: 0.12 },
+        // reset at midnight too: the rain since then
+        { totalrainin: 10.04, dailyrainin: 0.12 },
+        { totalrainin: 0.01, dailyrainin: 0.01 },
+        // without daily rain: the rain since the reset
+        { totalrainin: 0.03 },
+        { totalrainin: 0.01 }
+      ]);
+
+      expect(withRainIncrements(records).map(({ rainin }) => rainin)).toEqual([null, 0.02, 10.02, 0.01, 0.02, 0.01]);
+    });
+
+    it("has no rain without a total or after a gap", () => {
+      const records = [
+        ...readings([{ totalrainin: 1 }, { tempf: 70 }, { totalrainin: 1.05 }]),
+        { dateutc: JAN_1 + 10 * FIVE_MINUTES + HOUR, totalrainin: 1.5 },
+        { dateutc: JAN_1 + 10 * FIVE_MINUTES + HOUR, totalrainin: 1.5 }
+      ];
+
+      expect(rainOf(withRainIncrements(records))).toEqual([
+        { rainin: null, rainrateinhr: null },
+        { rainin: null, rainrateinhr: null },
+        // from the reading before the one without a total
+        { rainin: 0.05, rainrateinhr: 0.3 },
+        { rainin: null, rainrateinhr: null },
+        // the same time twice: no rate
+        { rainin: 0, rainrateinhr: null }
+      ]);
+    });
+
+    it("adds the rain of the first records with the readings before them", () => {
+      const history = readings([{ totalrainin: 2 }, { totalrainin: 2.1 }]);
+      const records = readings([{ totalrainin: 2.15 }], JAN_1 + 2 * FIVE_MINUTES);
+
+      expect(rainOf(withRainIncrements(records, { history: [...history, ...records] }))).toEqual([{ rainin: 0.05, rainrateinhr: 0.6 }]);
+    });
+  });
+
+  describe("withoutRainIncrements", () => {
+    it("leaves the record the rain was added to", () => {
+      const [record] = readings([{ totalrainin: 1 }]);
+
+      expect(withoutRainIncrements(withRainIncrements([record])[0])).toEqual(record);
+      expect(RAIN_FIELDS).toEqual(['rainin', 'rainrateinhr']);
+    });
+  });
+});
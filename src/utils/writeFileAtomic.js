@@ -0,0 +1,41 @@
+const path = require('path');
+
+// suffix of the temporary file a write goes to before it's renamed over the target
+const TEMP_FILE_SUFFIX = '.tmp';
+
+/**
+ * @param {string} fileName
+ * @returns {boolean} whether the file is the temporary file of a write that didn't finish
+ */
+const isTempFile = fileName => fileName.endsWith(TEMP_FILE_SUFFIX);
+
+/**
+ * Writes a file so that a crash or a power loss leaves either the previous file or the new one, never part of one:
+ * the content goes to `<filePath>.tmp`, is fsynced, renamed over filePath and the directory is fsynced so the
+ * rename is on disk too. A crash can only leave the temporary file behind, see recoverDataFiles
+ * @param {file-system} fs
+ * @param {string} filePath
+ * @param {string} content
+ */
+function writeFileAtomic(fs, filePath, content) {
+  const tempFile = `${filePath}${TEMP_FILE_SUFFIX}`;
+  fs.writeFileSync(tempFile, content);
+  fsync(fs, tempFile, 'r+');
+  fs.renameSync(tempFile, filePath);
+  try {
+    fsync(fs, path.dirname(filePath), 'r');
+  } catch (err) {
+    // not every platform can open a directory to fsync it; the file itself is on disk
+  }
+}
+
+function fsync(fs, filePath, flags) {
+  const fd = fs.openSync(filePath, flags);
+  try {
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = { writeFileAtomic, isTempFile, TEMP_FILE_SUFFIX };
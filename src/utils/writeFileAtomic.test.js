@@ -0,0 +1,40 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic, isTempFile } = require('./writeFileAtomic');
+
+describe('writeFileAtomic', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'write-file-atomic-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('writes and replaces a file without leaving the temporary file behind', () => {
+    const filePath = path.join(tmpDir, '1641684000000_1641752460000.json');
+
+    writeFileAtomic(fs, filePath, '[{"dateutc":1}]');
+    writeFileAtomic(fs, filePath, '[{"dateutc":2}]');
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('[{"dateutc":2}]');
+    expect(fs.readdirSync(tmpDir)).toEqual(['1641684000000_1641752460000.json']);
+  });
+
+  it('leaves the previous file when the write fails', () => {
+    const filePath = path.join(tmpDir, 'data.json');
+    writeFileAtomic(fs, filePath, '[]');
+    const failingFs = { ...fs, fsyncSync: () => { throw new Error('EIO'); } };
+
+    expect(() => writeFileAtomic(failingFs, filePath, '[{"dateutc":1}]')).toThrow('EIO');
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('[]');
+  });
+
+  it('tells temporary files apart', () => {
+    expect(isTempFile('data.jsonl.tmp')).toBe(true);
+    expect(isTempFile('data.jsonl')).toBe(false);
+  });
+});